@@ -2,6 +2,33 @@
 // Uses: PapaParse, Chart.js, jsPDF (loaded via index.html CDNs)
 
 import { jsPDF } from "https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js";
+import { formulaEngine } from "./src/modules/FormulaEngine.js";
+import { dependencyGraph } from "./src/modules/DependencyGraph.js";
+import { pivotEngine, AGGREGATIONS } from "./src/modules/PivotEngine.js";
+import { xlsxParser } from "./src/modules/XlsxParser.js";
+import { xlsxWriter } from "./src/modules/XlsxWriter.js";
+import { columnVirtualizer } from "./src/modules/ColumnVirtualizer.js";
+import { sortEngine } from "./src/modules/SortEngine.js";
+import { filterEngine, FILTER_OPERATORS } from "./src/modules/FilterEngine.js";
+import { viewManager } from "./src/modules/ViewManager.js";
+import { searchEngine } from "./src/modules/SearchEngine.js";
+import { replaceEngine } from "./src/modules/ReplaceEngine.js";
+import { searchIndex } from "./src/modules/SearchIndex.js";
+import { historyManager } from "./src/modules/HistoryManager.js";
+import { snapshotManager } from "./src/modules/SnapshotManager.js";
+import { diffEngine } from "./src/modules/DiffEngine.js";
+import { workspaceStore, DEFAULT_WORKSPACE } from "./src/modules/WorkspaceStore.js";
+import {
+  workspaceImporter,
+  WORKSPACE_SCHEMA_VERSION,
+  COLLISION_ACTIONS
+} from "./src/modules/WorkspaceImporter.js";
+import {
+  importTransformer,
+  ENCODINGS,
+  COLUMN_TYPES,
+  DATE_FORMATS
+} from "./src/modules/ImportTransformer.js";
 
 // --- Global Error Handler ---
 class ErrorHandler {
@@ -265,15 +292,20 @@ const dataCache = new DataCache();
 
 // --- Enhanced App state ---
 const state = {
-  files: [], // {id,name,headers:[],rows:[]}
+  files: [], // {id,name,headers:[],rows:[],formulas?:{[rowIdx]:{[col]:"=..."}},computed?:{[col]:"expr"},schema?:{[col]:{type,format,nullable,description,unit}},pinnedColumns?:[col],sort?:[{column,direction,nulls}],filter?:{logic,groups:[{logic,conditions:[{id,column,op,value,value2}]}]},columnFilters?:{[col]:{values?,range?:{min,max}}},hiddenColumns?:[col],columnOrder?:[col],views?:[{id,name,...settings}],activeView?}
   activeId: null,
   page: 0,
   perPage: 25,
-  history: [],
-  future: [],
   searchTerm: '',
+  searchMode: 'plain', // plain | word | regex | fuzzy (see SearchEngine)
   filterColumn: '',
-  filteredRows: null,
+  filteredRows: null, // row indices passing the filter and search, null when neither is active
+  view: [], // row indices in display order (filter and search, then the file's sort keys)
+  searchHits: [], // matching cells {row,col} in display order, for the next/previous navigator
+  searchCursor: null, // the hit the navigator is on
+  columnKey: null, // rendered column window (see columnLayout), null when all columns are rendered
+  workspace: null, // {id,name} of the open workspace (see WorkspaceStore)
+  chat: [], // {who,text} chat assistant messages, saved with the workspace
   optimizations: {
     virtualScrolling: false,
     lazyLoading: true,
@@ -291,8 +323,10 @@ const dropZone = document.getElementById("dropZone");
 const fileInput = document.getElementById("fileInput");
 const filesList = document.getElementById("filesList");
 const activeFileName = document.getElementById("activeFileName");
+const dataTable = document.getElementById("dataTable");
 const tableHead = document.getElementById("tableHead");
 const tableBody = document.getElementById("tableBody");
+const tableViewport = dataTable.closest(".overflow-auto") || dataTable.parentElement;
 const tableStats = document.getElementById("tableStats");
 const columnsPanel = document.getElementById("columnsPanel");
 const chartColumnSelect = document.getElementById("chartColumnSelect");
@@ -307,6 +341,10 @@ const searchInput = document.getElementById("searchInput");
 const filterColumn = document.getElementById("filterColumn");
 const clearFilterBtn = document.getElementById("clearFilterBtn");
 const filterStats = document.getElementById("filterStats");
+const filterChips = document.getElementById("filterChips");
+const viewSelect = document.getElementById("viewSelect");
+const searchModeSelect = document.getElementById("searchMode");
+const searchHitInfo = document.getElementById("searchHitInfo");
 const pageSizeSelect = document.getElementById("pageSizeSelect");
 const pageInfo = document.getElementById("pageInfo");
 const undoBtn = document.getElementById("undoBtn");
@@ -321,13 +359,18 @@ const dataInsights = document.getElementById("dataInsights");
 // Buttons
 const addRowBtn = document.getElementById("addRowBtn");
 const addColBtn = document.getElementById("addColBtn");
+const addCalcColBtn = document.getElementById("addCalcColBtn");
 const deleteSelectedBtn = document.getElementById("deleteSelectedBtn");
 const exportCsvBtn = document.getElementById("exportCsvBtn");
+const exportXlsxBtn = document.getElementById("exportXlsxBtn");
 const autoCleanBtn = document.getElementById("autoCleanBtn");
 const vlookupBtn = document.getElementById("vlookupBtn");
+const pivotBtn = document.getElementById("pivotBtn");
 const compareBtn = document.getElementById("compareBtn");
 const exportWorkspaceBtn = document.getElementById("exportWorkspaceBtn");
 const clearWorkspaceBtn = document.getElementById("clearWorkspaceBtn");
+const workspaceSelect = document.getElementById("workspaceSelect");
+const workspacesBtn = document.getElementById("workspacesBtn");
 const exportChatPdfBtn = document.getElementById("exportChatPdfBtn");
 const exportSummaryPdfBtn = document.getElementById("exportSummaryPdfBtn");
 
@@ -359,10 +402,20 @@ document.addEventListener('keydown', (e) => {
     e.preventDefault();
     searchInput.focus();
   }
+  // Ctrl+H - Find & Replace
+  else if (e.ctrlKey && e.key === 'h') {
+    e.preventDefault();
+    openReplaceModal();
+  }
   // Escape - Clear search
   else if (e.key === 'Escape') {
     clearSearch();
   }
+  // F3 / Shift+F3 - Next / previous search match
+  else if (e.key === 'F3') {
+    e.preventDefault();
+    gotoSearchHit(e.shiftKey ? -1 : 1);
+  }
   // Ctrl+S - Export CSV
   else if (e.ctrlKey && e.key === 's') {
     e.preventDefault();
@@ -387,10 +440,29 @@ document.addEventListener('keydown', (e) => {
 
 // Search functionality
 searchInput.addEventListener('input', debounce(() => {
-  state.searchTerm = searchInput.value.toLowerCase();
+  if (state.searchTerm === searchInput.value) return;
+  state.searchTerm = searchInput.value;
   applyFiltersAndSearch();
 }, 300));
 
+// Enter / Shift+Enter step through the matches
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  if (state.searchTerm !== searchInput.value) {
+    state.searchTerm = searchInput.value;
+    applyFiltersAndSearch();
+  }
+  gotoSearchHit(e.shiftKey ? -1 : 1);
+});
+
+searchModeSelect.addEventListener('change', () => {
+  state.searchMode = searchModeSelect.value;
+  applyFiltersAndSearch();
+});
+document.getElementById('searchPrev').addEventListener('click', () => gotoSearchHit(-1));
+document.getElementById('searchNext').addEventListener('click', () => gotoSearchHit(1));
+
 // Filter functionality
 filterColumn.addEventListener('change', () => {
   state.filterColumn = filterColumn.value;
@@ -398,17 +470,40 @@ filterColumn.addEventListener('change', () => {
 });
 
 clearFilterBtn.addEventListener('click', clearSearch);
+document.getElementById('sortBtn').addEventListener('click', openSortModal);
+document.getElementById('filterBtn').addEventListener('click', () => openFilterBuilder());
+document.getElementById('replaceBtn').addEventListener('click', openReplaceModal);
 
 // Page size selector
 pageSizeSelect.addEventListener('change', () => {
   state.perPage = parseInt(pageSizeSelect.value);
   state.page = 0; // Reset to first page
   renderTable();
+  saveUi();
 });
 
+// Wide files only render the columns in view; swap the window when scrolling sideways
+let columnFrame = null;
+function checkColumnWindow() {
+  columnFrame = null;
+  const f = getActive();
+  if (!f) return;
+  const layout = columnLayout(f);
+  if ((layout ? layout.key : null) === state.columnKey) return;
+  // Commit an in-progress cell edit before its element is replaced
+  if (tableBody.contains(document.activeElement)) document.activeElement.blur();
+  renderGrid();
+}
+tableViewport.addEventListener('scroll', () => {
+  if (!columnFrame) columnFrame = requestAnimationFrame(checkColumnWindow);
+}, { passive: true });
+window.addEventListener('resize', debounce(checkColumnWindow, 150));
+
 // Undo/Redo buttons
 undoBtn.addEventListener('click', performUndo);
 redoBtn.addEventListener('click', performRedo);
+document.getElementById('historyBtn').addEventListener('click', openHistoryPanel);
+document.getElementById('versionsBtn').addEventListener('click', () => openVersionsPanel());
 
 // New action buttons
 optimizeBtn.addEventListener('click', optimizeData);
@@ -439,97 +534,385 @@ function applyFiltersAndSearch() {
   const f = getActive();
   if (!f) return;
 
-  let filtered = f.rows;
-
-  // Apply search
-  if (state.searchTerm) {
-    filtered = filtered.filter(row => {
-      const searchColumns = state.filterColumn ? [state.filterColumn] : f.headers;
-      return searchColumns.some(col =>
-        String(row[col] || '').toLowerCase().includes(state.searchTerm)
-      );
-    });
-  }
-
-  state.filteredRows = filtered;
   state.page = 0; // Reset to first page
-
-  // Update filter stats
-  if (state.searchTerm || state.filterColumn) {
-    filterStats.textContent = `${filtered.length} filtered results`;
-    filterStats.classList.remove('hidden');
-  } else {
-    filterStats.classList.add('hidden');
-    state.filteredRows = null;
-  }
-
-  renderTable();
+  state.searchCursor = null;
+  renderTable(); // the search itself is applied by buildView, which also updates filterStats
+  saveUi();
 }
 
 function clearSearch() {
   searchInput.value = '';
   state.searchTerm = '';
+  state.searchCursor = null;
   state.filterColumn = '';
   filterColumn.value = '';
-  state.filteredRows = null;
-  filterStats.classList.add('hidden');
   renderTable();
+  saveUi();
 }
 
-function pushHistory() {
-  const currentState = JSON.parse(JSON.stringify({
-    files: state.files,
-    activeId: state.activeId
-  }));
-
-  state.history.push(currentState);
-  if (state.history.length > 50) state.history.shift(); // Limit history size
-
-  state.future = []; // Clear future when new action is performed
-  updateUndoRedoButtons();
+// --- History (undo/redo) ---
+// Each change is recorded as a step of operations (see HistoryManager): start one with
+// recordStep(label), report what changes as it happens, then commit() the step
+function recordStep(label) {
+  return historyManager.begin(state, label);
 }
 
 function performUndo() {
-  if (state.history.length === 0) return;
-
-  const currentState = {
-    files: JSON.parse(JSON.stringify(state.files)),
-    activeId: state.activeId
-  };
-
-  state.future.push(currentState);
-  const previousState = state.history.pop();
-
-  state.files = previousState.files;
-  state.activeId = previousState.activeId;
-
+  if (!historyManager.undo(state)) return;
   renderAll();
   saveLocal();
-  updateUndoRedoButtons();
 }
 
 function performRedo() {
-  if (state.future.length === 0) return;
+  if (!historyManager.redo(state)) return;
+  renderAll();
+  saveLocal();
+}
 
-  const currentState = {
-    files: JSON.parse(JSON.stringify(state.files)),
-    activeId: state.activeId
-  };
+function updateUndoRedoButtons() {
+  const steps = historyManager.steps();
+  const lastDone = steps.filter((s) => s.done).pop();
+  const nextUndone = steps.find((s) => !s.done);
+  undoBtn.disabled = !lastDone;
+  redoBtn.disabled = !nextUndone;
+  undoBtn.title = lastDone ? `Undo ${lastDone.label} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+  redoBtn.title = nextUndone ? `Redo ${nextUndone.label} (Ctrl+Y)` : "Redo (Ctrl+Y)";
+}
+
+// Every recorded step, oldest first; clicking one undoes or redoes everything after or up to it
+function openHistoryPanel() {
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">History</h3>
+      <div id="hi_list" class="max-h-96 overflow-auto border rounded divide-y text-sm"></div>
+      <div class="text-xs text-slate-500">Click a step to go back (or forward) to right after it.</div>
+      <div class="flex justify-between"><button id="hi_clear" class="px-3 py-1 border rounded">Clear history</button><button id="hi_close" class="px-3 py-1 border rounded">Close</button></div>
+    </div>`);
+  const list = modal.querySelector("#hi_list");
+  function render() {
+    const steps = historyManager.steps();
+    const current = steps.filter((s) => s.done).pop()?.id ?? 0;
+    const item = (id, label, detail, done) =>
+      `<button data-step="${id}" class="history-step w-full text-left px-3 py-2 flex justify-between gap-3 hover:bg-gray-50 ${id === current ? "history-current" : ""} ${done ? "" : "history-undone"}">
+        <span>${escapeHtml(label)}</span><span class="text-xs text-slate-500 whitespace-nowrap">${escapeHtml(detail)}</span>
+      </button>`;
+    list.innerHTML =
+      item(0, "Start", steps.length ? "" : "No changes yet", true) +
+      steps.map((s) => item(s.id, s.label, new Date(s.time).toLocaleTimeString(), s.done)).join("");
+    list.querySelector(".history-current")?.scrollIntoView({ block: "nearest" });
+  }
+  list.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-step]");
+    if (!btn) return;
+    historyManager.jumpTo(state, Number(btn.dataset.step));
+    renderAll();
+    saveLocal();
+    render();
+  });
+  modal.querySelector("#hi_clear").addEventListener("click", () => {
+    if (!confirm("Clear the undo history? The data stays as it is.")) return;
+    historyManager.clear();
+    updateUndoRedoButtons();
+    render();
+  });
+  modal.querySelector("#hi_close").addEventListener("click", closeModal);
+  render();
+}
+
+// --- Versions ---
+// Files are snapshotted on import, before destructive bulk changes and periodically while they
+// change (see SnapshotManager); unlike undo steps, snapshots survive reloads and deleted files
+function takeSnapshots(files, reason) {
+  // Failures are logged by the snapshot manager and must not hold up the change itself
+  files.forEach((f) => snapshotManager.take(f, reason).catch(() => {}));
+}
+
+function snapshotLabel(s) {
+  return `${s.fileName} · ${new Date(s.time).toLocaleString()}`;
+}
 
-  state.history.push(currentState);
-  const futureState = state.future.pop();
+// Snapshots of one file at a time (including deleted files), to compare and restore
+async function openVersionsPanel(fileId = state.activeId) {
+  const snapshots = await snapshotManager.list();
+  const deleted = new Map();
+  snapshots.forEach((s) => {
+    if (!state.files.some((f) => f.id === s.fileId) && !deleted.has(s.fileId)) deleted.set(s.fileId, s.fileName);
+  });
+  if (!state.files.length && !deleted.size) return alert("No files yet");
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Versions</h3>
+      <div class="flex items-center gap-2">
+        <select id="vs_file" class="border rounded p-1 text-sm flex-1">
+          ${state.files.map((f) => `<option value="${escapeAttr(f.id)}">${escapeHtml(f.name)}</option>`).join("")}
+          ${[...deleted].map(([id, name]) => `<option value="${escapeAttr(id)}">${escapeHtml(name)} (deleted)</option>`).join("")}
+        </select>
+        <button id="vs_take" class="px-3 py-1 border rounded">Snapshot now</button>
+      </div>
+      <div id="vs_list" class="max-h-96 overflow-auto border rounded divide-y text-sm"></div>
+      <div class="text-xs text-slate-500">Snapshots are taken on import, before bulk deletes, replacements and cleaning, and periodically while a file changes. Tick two to compare them.</div>
+      <div class="flex justify-between"><button id="vs_compare" class="px-3 py-1 border rounded" disabled>Compare selected</button><button id="vs_close" class="px-3 py-1 border rounded">Close</button></div>
+    </div>`);
+  const select = modal.querySelector("#vs_file");
+  const list = modal.querySelector("#vs_list");
+  const compareBtn = modal.querySelector("#vs_compare");
+  if (fileId && select.querySelector(`option[value="${CSS.escape(fileId)}"]`)) select.value = fileId;
+  let shown = [];
+
+  async function render() {
+    const id = select.value;
+    const current = state.files.find((f) => f.id === id);
+    const items = await snapshotManager.list(id);
+    if (select.value !== id) return; // another file was picked meanwhile
+    shown = items;
+    modal.querySelector("#vs_take").disabled = !current;
+    list.innerHTML = items.length
+      ? items
+          .map(
+            (s) => `<div class="flex items-center gap-3 px-3 py-2">
+          <input type="checkbox" class="vs_pick" data-id="${escapeAttr(s.id)}" />
+          <div class="flex-1"><div>${escapeHtml(s.reason)}</div><div class="text-xs text-slate-500">${new Date(s.time).toLocaleString()} · ${s.rows} rows × ${s.columns} columns</div></div>
+          ${current ? `<button data-act="current" data-id="${escapeAttr(s.id)}" class="px-2 py-1 border rounded text-xs">Compare with current</button>
+          <button data-act="restore" data-id="${escapeAttr(s.id)}" class="px-2 py-1 border rounded text-xs">Restore</button>` : ""}
+          <button data-act="copy" data-id="${escapeAttr(s.id)}" class="px-2 py-1 border rounded text-xs">Restore as new file</button>
+          <button data-act="delete" data-id="${escapeAttr(s.id)}" class="px-2 py-1 border rounded text-xs text-red-600">Delete</button>
+        </div>`
+          )
+          .join("")
+      : `<div class="px-3 py-2 text-slate-500">No snapshots of this file yet.</div>`;
+    compareBtn.disabled = true;
+  }
 
-  state.files = futureState.files;
-  state.activeId = futureState.activeId;
+  const picked = () => [...list.querySelectorAll(".vs_pick:checked")].map((cb) => shown.find((s) => s.id === cb.dataset.id));
+  const back = () => openVersionsPanel(select.value);
+  list.addEventListener("change", () => {
+    compareBtn.disabled = picked().length !== 2;
+  });
+  list.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-act]");
+    if (!btn) return;
+    const meta = shown.find((s) => s.id === btn.dataset.id);
+    try {
+      if (btn.dataset.act === "current") {
+        const current = state.files.find((f) => f.id === meta.fileId);
+        const old = await snapshotManager.file(meta.id);
+        showDiff(diffEngine.diff(old, current), old, current, {
+          labelA: snapshotLabel(meta),
+          labelB: `${current.name} · now`,
+          back
+        });
+      } else if (btn.dataset.act === "delete") {
+        if (!confirm(`Delete the snapshot "${meta.reason}" from ${new Date(meta.time).toLocaleString()}?`)) return;
+        await snapshotManager.remove([meta.id]);
+        render();
+      } else {
+        await restoreSnapshot(meta, btn.dataset.act === "restore");
+      }
+    } catch (err) {
+      alert(`Could not open the snapshot: ${err.message || err}`);
+    }
+  });
+  compareBtn.addEventListener("click", async () => {
+    // Older on the left; the list is newest first
+    const [newer, older] = picked();
+    try {
+      const [a, b] = await Promise.all([snapshotManager.file(older.id), snapshotManager.file(newer.id)]);
+      showDiff(diffEngine.diff(a, b), a, b, { labelA: snapshotLabel(older), labelB: snapshotLabel(newer), back });
+    } catch (err) {
+      alert(`Could not open the snapshot: ${err.message || err}`);
+    }
+  });
+  select.addEventListener("change", render);
+  modal.querySelector("#vs_take").addEventListener("click", async () => {
+    const file = state.files.find((f) => f.id === select.value);
+    if (!file) return;
+    await snapshotManager.take(file, "Manual").catch((err) => alert(`Could not take the snapshot: ${err.message || err}`));
+    render();
+  });
+  modal.querySelector("#vs_close").addEventListener("click", closeModal);
+  render();
+}
 
+// Put snapshot `meta` back in place of its file (as one undoable step), or add it as a new file
+async function restoreSnapshot(meta, inPlace) {
+  const file = await snapshotManager.file(meta.id);
+  const when = new Date(meta.time).toLocaleString();
+  const current = state.files.find((f) => f.id === meta.fileId);
+  let step;
+  if (inPlace && current) {
+    if (!confirm(`Replace "${current.name}" with the snapshot from ${when}? Its current state is kept as a snapshot.`)) return;
+    takeSnapshots([current], "Before restoring");
+    step = recordStep(`Restore ${current.name} from ${when}`).deleteFile(current);
+    state.files.splice(state.files.indexOf(current), 1, file);
+  } else {
+    file.id = uid(8);
+    file.name = `${meta.fileName} (${when})`;
+    state.files.push(file);
+    step = recordStep(`Restore ${meta.fileName} from ${when} as a new file`);
+  }
+  searchIndex.touch(file);
+  step.addFile(file);
+  state.activeId = file.id;
+  step.commit();
+  closeModal();
   renderAll();
   saveLocal();
-  updateUndoRedoButtons();
 }
 
-function updateUndoRedoButtons() {
-  undoBtn.disabled = state.history.length === 0;
-  redoBtn.disabled = state.future.length === 0;
+// Changed rows shown in the diff view; the counts above it cover all of them
+const DIFF_PREVIEW = 500;
+
+/**
+ * Show `diff` (from diffEngine.diff) between tables `a` and `b`, headed `labelA` and `labelB`.
+ * Only rows that differ are listed, either side by side or inline with the old and new value
+ * of each changed cell, and they can be exported as CSV. `back`, when given, is run by a Back
+ * button; `onApply(into, { add, remove, update })`, when given, offers to apply the changes to
+ * either table (see diffEngine.apply).
+ */
+function showDiff(diff, a, b, { labelA, labelB, back = null, onApply = null }) {
+  const { summary } = diff;
+  const changes = diff.rows.filter((r) => r.type !== "same");
+  const perColumn = Object.entries(summary.columns).filter(([, count]) => count);
+  const notes = [
+    diff.keys.length ? `Rows matched on ${diff.keys.map(escapeHtml).join(", ")}` : "",
+    diff.addedColumns.length ? `Columns added: ${diff.addedColumns.map(escapeHtml).join(", ")}` : "",
+    diff.removedColumns.length ? `Columns removed: ${diff.removedColumns.map(escapeHtml).join(", ")}` : "",
+    diff.duplicates.a || diff.duplicates.b
+      ? `${diff.duplicates.a} rows on the left and ${diff.duplicates.b} on the right share their key with another row; those are paired in order`
+      : ""
+  ].filter(Boolean);
+
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Compare</h3>
+      <div class="text-sm"><span class="diff-old">${escapeHtml(labelA)}</span> → <span class="diff-new">${escapeHtml(labelB)}</span></div>
+      <div class="text-sm">${summary.added} added, ${summary.removed} removed, ${summary.changed} changed and ${summary.same} unchanged rows</div>
+      ${notes.length ? `<div class="text-xs text-slate-500">${notes.join("<br/>")}</div>` : ""}
+      ${
+        perColumn.length
+          ? `<div class="flex flex-wrap gap-1 text-xs">${perColumn
+              .map(([c, count]) => `<span class="px-2 py-0.5 border rounded">${escapeHtml(c)}: ${count} changed</span>`)
+              .join("")}</div>`
+          : ""
+      }
+      ${
+        changes.length
+          ? `<div class="flex items-center gap-2 text-sm">
+        <select id="df_layout" class="border rounded p-1 text-sm"><option value="side">Side by side</option><option value="inline">Inline</option></select>
+        <button id="df_csv" class="px-3 py-1 border rounded">Export CSV</button>
+      </div>
+      <div id="df_table" class="max-h-96 overflow-auto"></div>`
+          : `<div class="text-sm text-slate-500">No differences.</div>`
+      }
+      ${changes.length > DIFF_PREVIEW ? `<div class="text-xs text-slate-500">Showing the first ${DIFF_PREVIEW} of ${changes.length} differing rows; the CSV has all of them.</div>` : ""}
+      ${
+        onApply && changes.length
+          ? `<div class="border rounded p-2 space-y-1 text-sm">
+        <div class="font-medium">Apply changes</div>
+        <label class="flex items-center gap-2"><input type="checkbox" id="df_add" checked /> Add the rows only the other file has</label>
+        <label class="flex items-center gap-2"><input type="checkbox" id="df_remove" checked /> Delete the rows the other file doesn't have</label>
+        <label class="flex items-center gap-2"><input type="checkbox" id="df_update" checked /> Copy the other file's values into changed cells</label>
+        <div class="flex gap-2 pt-1">
+          <button id="df_into_a" class="px-3 py-1 border rounded">Change ${escapeHtml(labelA)}</button>
+          <button id="df_into_b" class="px-3 py-1 border rounded">Change ${escapeHtml(labelB)}</button>
+        </div>
+        <div class="text-xs text-slate-500">Only the columns both files have are changed. A snapshot is taken first and the change can be undone.</div>
+      </div>`
+          : ""
+      }
+      <div class="flex justify-between">${back ? `<button id="df_back" class="px-3 py-1 border rounded">Back</button>` : "<span></span>"}<button id="df_close" class="px-3 py-1 border rounded">Close</button></div>
+    </div>`);
+  modal.classList.replace("max-w-2xl", "max-w-5xl");
+
+  const value = (row, column) => escapeHtml(row?.[column] ?? "");
+  const rowNumber = (i) => `<td class="p-1 text-xs text-slate-500">${i === null ? "" : i + 1}</td>`;
+  const headCell = (c, divider = false) => {
+    const cls = diff.addedColumns.includes(c) ? "diff-added" : diff.removedColumns.includes(c) ? "diff-removed" : "";
+    return `<th class="p-1 ${cls} ${divider ? "diff-divider" : ""}">${escapeHtml(c)}</th>`;
+  };
+  // One side of a side-by-side row: the row's cells, or blanks where that side has no row
+  const side = (r, table, index, headers, changedClass) => {
+    const row = index === null ? null : table.rows[index];
+    if (!row) return headers.map(() => `<td class="p-1 diff-missing"></td>`).join("");
+    const whole = r.type === "added" || r.type === "removed" ? `diff-${r.type}` : "";
+    return headers
+      .map((c) =>
+        r.cells.includes(c)
+          ? `<td class="p-1 diff-changed"><span class="${changedClass}">${value(row, c)}</span></td>`
+          : `<td class="p-1 ${whole}">${value(row, c)}</td>`
+      )
+      .join("");
+  };
+  function renderTable(layout) {
+    const shown = changes.slice(0, DIFF_PREVIEW);
+    let head;
+    let body;
+    if (layout === "side") {
+      head = `<tr class="bg-gray-50 text-left"><th class="p-1" colspan="${a.headers.length + 1}">${escapeHtml(labelA)}</th><th class="p-1 diff-divider" colspan="${b.headers.length + 1}">${escapeHtml(labelB)}</th></tr>
+        <tr class="bg-gray-50 text-left"><th class="p-1">Row</th>${a.headers.map((c) => headCell(c)).join("")}<th class="p-1 diff-divider">Row</th>${b.headers.map((c) => headCell(c)).join("")}</tr>`;
+      body = shown
+        .map(
+          (r) => `<tr class="align-top">${rowNumber(r.a)}${side(r, a, r.a, a.headers, "diff-old")}
+            <td class="p-1 text-xs text-slate-500 diff-divider">${r.b === null ? "" : r.b + 1}</td>${side(r, b, r.b, b.headers, "diff-new")}</tr>`
+        )
+        .join("");
+    } else {
+      head = `<tr class="bg-gray-50 text-left"><th class="p-1">Row</th><th class="p-1">→</th>${diff.columns.map((c) => headCell(c)).join("")}</tr>`;
+      body = shown
+        .map((r) => {
+          const rowA = r.a === null ? null : a.rows[r.a];
+          const rowB = r.b === null ? null : b.rows[r.b];
+          const whole = r.type === "changed" ? "" : `diff-${r.type}`;
+          const cells = diff.columns
+            .map((c) =>
+              r.cells.includes(c)
+                ? `<td class="p-1 diff-changed"><span class="diff-old">${value(rowA, c)}</span> <span class="diff-new">${value(rowB, c)}</span></td>`
+                : `<td class="p-1 ${whole}">${value(rowB ?? rowA, c)}</td>`
+            )
+            .join("");
+          return `<tr class="align-top">${rowNumber(r.a)}${rowNumber(r.b)}${cells}</tr>`;
+        })
+        .join("");
+    }
+    modal.querySelector("#df_table").innerHTML = `<table class="w-full text-sm border"><thead>${head}</thead><tbody>${body}</tbody></table>`;
+  }
+
+  if (changes.length) {
+    renderTable("side");
+    modal.querySelector("#df_layout").addEventListener("change", (e) => renderTable(e.target.value));
+    modal.querySelector("#df_csv").addEventListener("click", () =>
+      downloadBlob(new Blob([diffToCsv(diff, a, b)], { type: "text/csv" }), "diff.csv")
+    );
+  }
+  if (onApply && changes.length) {
+    const kinds = () => ({
+      add: modal.querySelector("#df_add").checked,
+      remove: modal.querySelector("#df_remove").checked,
+      update: modal.querySelector("#df_update").checked
+    });
+    modal.querySelector("#df_into_a").addEventListener("click", () => onApply("a", kinds()));
+    modal.querySelector("#df_into_b").addEventListener("click", () => onApply("b", kinds()));
+  }
+  modal.querySelector("#df_back")?.addEventListener("click", back);
+  modal.querySelector("#df_close").addEventListener("click", closeModal);
+}
+
+// Every differing row of `diff`; changed cells hold "old → new"
+function diffToCsv(diff, a, b) {
+  const lines = [["Change", "Row in A", "Row in B", "Changed columns", ...diff.columns].map(csvEscape).join(",")];
+  diff.rows
+    .filter((r) => r.type !== "same")
+    .forEach((r) => {
+      const rowA = r.a === null ? null : a.rows[r.a];
+      const rowB = r.b === null ? null : b.rows[r.b];
+      const cells = diff.columns.map((c) =>
+        r.cells.includes(c) ? `${rowA[c] ?? ""} → ${rowB[c] ?? ""}` : (rowB ?? rowA)[c]
+      );
+      lines.push(
+        [r.type, r.a === null ? "" : r.a + 1, r.b === null ? "" : r.b + 1, r.cells.join("; "), ...cells].map(csvEscape).join(",")
+      );
+    });
+  return lines.join("\n");
 }
 
 function optimizeData() {
@@ -537,16 +920,22 @@ function optimizeData() {
   if (!f) return;
 
   const startTime = performance.now();
+  takeSnapshots([f], "Before optimizing");
+  const step = recordStep("Optimize data");
 
   // Remove empty rows
   const originalRowCount = f.rows.length;
-  f.rows = f.rows.filter(row => {
-    return f.headers.some(header => row[header] && String(row[header]).trim() !== '');
+  const emptyIdx = [];
+  f.rows.forEach((row, idx) => {
+    if (!f.headers.some(header => row[header] && String(row[header]).trim() !== '')) emptyIdx.push(idx);
   });
+  step.deleteRows(f, emptyIdx);
+  const empty = new Set(emptyIdx);
+  f.rows = f.rows.filter((row, idx) => !empty.has(idx));
+  formulaEngine.removeRows(f, emptyIdx);
 
   // Optimize data types and trim whitespace
-  f.rows = f.rows.map(row => {
-    const optimizedRow = {};
+  f.rows.forEach((row, idx) => {
     f.headers.forEach(header => {
       let value = row[header];
       if (typeof value === 'string') {
@@ -556,31 +945,203 @@ function optimizeData() {
           value = parseFloat(value);
         }
       }
-      optimizedRow[header] = value;
+      if (value !== row[header]) step.setCell(f, idx, header, value);
     });
-    return optimizedRow;
   });
 
+  step.commit();
+  searchIndex.touch(f);
   const endTime = performance.now();
   const removedRows = originalRowCount - f.rows.length;
 
-  pushHistory();
   renderAll();
   saveLocal();
 
   alert(`Optimization complete!\n• Removed ${removedRows} empty rows\n• Optimized data types\n• Completed in ${Math.round(endTime - startTime)}ms`);
 }
 
+// --- Column schema ---
+// f.schema = {[col]: {type, format, nullable, description, unit}}. Types are inferred once
+// when a column first appears; after that the schema is the source of truth and is only
+// changed by the user (Schema button in the columns panel).
+const SCHEMA_TYPES = ["text", "number", "date", "boolean", "email", "url"];
+const SCHEMA_SAMPLE = 1000;
+
+function inferColumnSchema(f, col) {
+  const sample = f.rows.slice(0, SCHEMA_SAMPLE).map((r) => r[col]);
+  const present = sample.filter((v) => v !== null && v !== undefined && v !== "");
+  let type = "text";
+  if (present.length && present.every((v) => /^(true|false)$/i.test(String(v)))) {
+    type = "boolean";
+  } else if (present.length) {
+    const { primaryType } = DataValidator.validateColumn(col, present);
+    type = SCHEMA_TYPES.includes(primaryType) ? primaryType : "text";
+  }
+  // Date.parse accepts almost anything, so a date column also needs a format every value fits
+  const format =
+    type === "date"
+      ? DATE_FORMATS.find((fmt) =>
+        present.every((v) => importTransformer.parseDate(String(v).trim(), fmt) !== null)
+      )
+      : "";
+  if (type === "date" && !format) type = "text";
+  return {
+    type,
+    format: format || "",
+    nullable: present.length < sample.length || !sample.length,
+    description: "",
+    unit: ""
+  };
+}
+
+// Fill in missing columns (partial entries such as the import wizard's {type, format} are
+// completed) and drop entries for columns that no longer exist
+function ensureSchema(f) {
+  const prev = f.schema || {};
+  const next = {};
+  f.headers.forEach((h) => {
+    next[h] =
+      prev[h] && "nullable" in prev[h]
+        ? prev[h]
+        : { ...inferColumnSchema(f, h), ...prev[h] };
+  });
+  f.schema = next;
+  return next;
+}
+
+function columnType(f, col) {
+  return f.schema?.[col]?.type || "text";
+}
+
+function columnUnit(f, col) {
+  const unit = f.schema?.[col]?.unit;
+  return unit ? ` ${unit}` : "";
+}
+
+// Numeric value of a cell in a number column, or null
+function numericValue(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(String(v).replace(/[\s,$€£¥%]/g, ""));
+  return isFinite(n) ? n : null;
+}
+
+function matchesType(value, column) {
+  const text = String(value).trim();
+  switch (column.type) {
+    case "number":
+      return numericValue(text) !== null;
+    case "date":
+      return importTransformer.parseDate(text, column.format || DATE_FORMATS[0]) !== null;
+    case "boolean":
+      return /^(true|false)$/i.test(text);
+    case "email":
+      return DataValidator.isEmail(text);
+    case "url":
+      return DataValidator.isUrl(text);
+    default:
+      return true;
+  }
+}
+
+function schemaBadge(f, col) {
+  const column = f.schema?.[col];
+  if (!column) return "";
+  return ` <span class="schema-badge" title="${escapeAttr(
+    column.description || column.type
+  )}">${escapeHtml(column.type)}${column.unit ? " · " + escapeHtml(column.unit) : ""}</span>`;
+}
+
+function openSchemaModal(col) {
+  const f = getActive();
+  if (!f) return;
+  const column = ensureSchema(f)[col];
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Column schema — ${escapeHtml(col)}</h3>
+      <div class="grid grid-cols-2 gap-3 text-sm">
+        <label>Type<select id="sc_type" class="w-full border rounded p-2">${SCHEMA_TYPES.map(
+    (t) => `<option value="${t}" ${t === column.type ? "selected" : ""}>${t}</option>`
+  ).join("")}</select></label>
+        <label>Date format<select id="sc_format" class="w-full border rounded p-2">${DATE_FORMATS.map(
+    (d) => `<option value="${d}" ${d === column.format ? "selected" : ""}>${d}</option>`
+  ).join("")}</select></label>
+        <label>Unit<input id="sc_unit" class="w-full border rounded p-2" placeholder="e.g. USD, kg" value="${escapeAttr(
+    column.unit
+  )}" /></label>
+        <label class="flex items-end gap-2 pb-2"><input id="sc_nullable" type="checkbox" ${column.nullable ? "checked" : ""
+    } /> Empty values allowed</label>
+      </div>
+      <label class="block text-sm">Description<textarea id="sc_desc" rows="2" class="w-full border rounded p-2">${escapeHtml(
+      column.description
+    )}</textarea></label>
+      <div id="sc_check" class="text-xs text-slate-500"></div>
+      <div class="text-right"><button id="sc_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="sc_save" class="px-3 py-1 bg-indigo-600 text-white rounded">Save</button></div>
+    </div>`);
+  const typeSel = modal.querySelector("#sc_type"),
+    formatSel = modal.querySelector("#sc_format"),
+    check = modal.querySelector("#sc_check");
+
+  const read = () => ({
+    type: typeSel.value,
+    format: typeSel.value === "date" ? formatSel.value : "",
+    nullable: modal.querySelector("#sc_nullable").checked,
+    description: modal.querySelector("#sc_desc").value.trim(),
+    unit: modal.querySelector("#sc_unit").value.trim()
+  });
+  // Show how many existing values would not fit the chosen type
+  const refresh = () => {
+    formatSel.disabled = typeSel.value !== "date";
+    const draft = read();
+    const bad = f.rows.filter((r) => {
+      const v = r[col];
+      return v !== null && v !== undefined && v !== "" && !matchesType(v, draft);
+    }).length;
+    check.textContent = bad
+      ? `${bad} of ${f.rows.length} values don't match this type`
+      : "All values match this type";
+  };
+  typeSel.addEventListener("change", refresh);
+  formatSel.addEventListener("change", refresh);
+  refresh();
+
+  modal.querySelector("#sc_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#sc_save").addEventListener("click", () => {
+    const step = recordStep(`Edit schema of ${col}`).meta(f);
+    f.schema[col] = read();
+    step.commit();
+    closeModal();
+    renderAll();
+    saveLocal();
+  });
+}
+
 function validateData() {
   const f = getActive();
   if (!f) return;
 
   const insights = [];
+  const schema = ensureSchema(f);
 
+  // Values are checked against the declared column type rather than a fresh guess
   f.headers.forEach(header => {
-    const columnData = f.rows.map(row => row[header]);
-    const validation = DataValidator.validateColumn(header, columnData);
-    insights.push(validation);
+    const column = schema[header];
+    const issues = [];
+    let emptyCount = 0;
+    f.rows.forEach((r, row) => {
+      const value = r[header];
+      const empty = value === null || value === undefined || value === '';
+      if (empty) emptyCount++;
+      if (empty ? !column.nullable : !matchesType(value, column)) {
+        issues.push({ row, value, expected: column.type, actual: DataValidator.detectType(value) });
+      }
+    });
+    insights.push({
+      column: header,
+      primaryType: column.type,
+      emptyCount,
+      emptyPercentage: f.rows.length ? Math.round((emptyCount / f.rows.length) * 100) : 0,
+      issues
+    });
   });
 
   // Display validation results
@@ -592,7 +1153,7 @@ function validateData() {
       </div>
       <div class="text-xs text-gray-600 space-y-1">
         <div>Empty: ${insight.emptyPercentage}% (${insight.emptyCount} rows)</div>
-        ${insight.issues.length > 0 ? `<div class="text-amber-600">⚠ ${insight.issues.length} type inconsistencies</div>` : ''}
+        ${insight.issues.length > 0 ? `<div class="text-amber-600">⚠ ${insight.issues.length} values don't match the schema</div>` : ''}
       </div>
     </div>
   `).join('');
@@ -622,6 +1183,7 @@ function updateDataInsights() {
 
   const totalRows = f.rows.length;
   const totalCols = f.headers.length;
+  const shownRows = filterEngine.isFiltered(f) ? filteredIndices(f).length : null;
   const numericCols = f.headers.filter(header => {
     const sample = f.rows.slice(0, 100).map(row => row[header]);
     return sample.some(val => !isNaN(val) && !isNaN(parseFloat(val)));
@@ -633,6 +1195,10 @@ function updateDataInsights() {
         <span class="text-gray-600">Total rows:</span>
         <span class="font-medium">${totalRows.toLocaleString()}</span>
       </div>
+      ${shownRows === null ? "" : `<div class="flex justify-between text-sm">
+        <span class="text-gray-600">Matching filter:</span>
+        <span class="font-medium">${shownRows.toLocaleString()}</span>
+      </div>`}
       <div class="flex justify-between text-sm">
         <span class="text-gray-600">Total columns:</span>
         <span class="font-medium">${totalCols}</span>
@@ -650,24 +1216,399 @@ function updateDataInsights() {
 }
 
 // --- Persistence ---
-const STORAGE_KEY = "ssd_mod_v1";
+// The workspace lives in IndexedDB (see WorkspaceStore); saves are debounced and incremental
 function saveLocal() {
-  localStorage.setItem(
-    STORAGE_KEY,
-    JSON.stringify({ files: state.files, activeId: state.activeId })
-  );
+  workspaceStore.save(state);
+}
+// Write pending saves when the tab is hidden or closed
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") workspaceStore.flush();
+});
+window.addEventListener("pagehide", () => workspaceStore.flush());
+window.addEventListener("beforeunload", () => workspaceStore.flush());
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+// Storage indicator: space used against the browser's quota, and whether the last save failed
+workspaceStore.onStatus((status) => {
+  const el = document.getElementById("storageStatus");
+  if (!el) return;
+  const used =
+    status.usage !== null && status.quota
+      ? `${formatBytes(status.usage)} of ${formatBytes(status.quota)}`
+      : "";
+  const full = status.quota ? status.usage / status.quota >= 0.8 : false;
+  if (status.state === "error") {
+    el.textContent = "⚠ Not saved";
+    el.title = `Saving the workspace failed: ${status.error}`;
+  } else {
+    el.textContent = status.state === "saving" ? `Saving… ${used}` : used;
+    el.title = [
+      "Workspace storage",
+      status.savedAt ? `last saved ${new Date(status.savedAt).toLocaleTimeString()}` : "",
+      full ? "storage is almost full" : ""
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+  el.classList.toggle("text-red-300", status.state === "error" || full);
+});
+
+// Search and page size are kept apart from the files so typing doesn't re-serialize every row
+const UI_STORAGE_KEY = "ssd_ui_v1";
+function uiSettings() {
+  return {
+    searchTerm: state.searchTerm,
+    searchMode: state.searchMode,
+    filterColumn: state.filterColumn,
+    perPage: state.perPage
+  };
+}
+function saveUi() {
+  localStorage.setItem(UI_STORAGE_KEY, JSON.stringify(uiSettings()));
 }
-function loadLocal() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) return;
+// Apply search/page size settings (from storage or a saved view) to the state and the controls
+function applyUiSettings(ui) {
+  state.searchTerm = ui.searchTerm || "";
+  state.searchMode = ui.searchMode || "plain";
+  state.filterColumn = ui.filterColumn || "";
+  if (ui.perPage) state.perPage = ui.perPage;
+  state.page = 0;
+  state.searchCursor = null;
+  searchInput.value = state.searchTerm;
+  searchModeSelect.value = state.searchMode;
+  if (![...pageSizeSelect.options].some((o) => o.value === String(state.perPage))) {
+    pageSizeSelect.add(new Option(String(state.perPage), String(state.perPage)));
+  }
+  pageSizeSelect.value = String(state.perPage);
+}
+
+// Resolves to whether a saved workspace was found
+async function loadLocal() {
+  try {
+    applyUiSettings(JSON.parse(localStorage.getItem(UI_STORAGE_KEY)) || {});
+  } catch (e) {
+    console.warn("ui settings load failed", e);
+  }
+  let saved = null;
   try {
-    const p = JSON.parse(raw);
-    state.files = p.files || [];
-    state.activeId =
-      p.activeId || (state.files[0] && state.files[0].id) || null;
+    saved = await workspaceStore.load();
+    applyWorkspace(saved);
   } catch (e) {
     console.warn("load failed", e);
+    alert(`Could not load the saved workspace: ${e.message || e}`);
+    state.workspace = { id: workspaceStore.workspaceId, name: DEFAULT_WORKSPACE.name };
+  }
+  refreshWorkspaces();
+  return Boolean(saved);
+}
+
+// --- Workspaces ---
+// Put a workspace returned by workspaceStore.load() (null for a new one) in place of the open one
+function applyWorkspace(saved) {
+  state.workspace = {
+    id: workspaceStore.workspaceId,
+    name: (saved && saved.name) || DEFAULT_WORKSPACE.name
+  };
+  state.files = (saved && saved.files) || [];
+  state.activeId =
+    (saved && saved.activeId) || (state.files[0] && state.files[0].id) || null;
+  state.chat = (saved && saved.chat) || [];
+  state.page = 0;
+  state.searchCursor = null;
+  // Undo steps refer to the files of the workspace they were recorded in
+  historyManager.clear();
+  renderChat();
+}
+
+async function openWorkspace(id) {
+  try {
+    applyWorkspace(await workspaceStore.load(id));
+  } catch (e) {
+    alert(`Could not open the workspace: ${e.message || e}`);
+  }
+  renderAll();
+  refreshWorkspaces();
+}
+
+async function refreshWorkspaces() {
+  let list = [];
+  try {
+    list = await workspaceStore.list();
+  } catch (e) {
+    console.warn("workspace list failed", e);
+  }
+  const current = state.workspace;
+  // The open workspace is only stored after its first save
+  if (current && !list.some((w) => w.id === current.id)) list.unshift(current);
+  workspaceSelect.innerHTML = list
+    .map(
+      (w) =>
+        `<option value="${escapeAttr(w.id)}" ${current && w.id === current.id ? "selected" : ""}>${escapeHtml(w.name)}</option>`
+    )
+    .join("");
+  return list;
+}
+
+workspaceSelect.addEventListener("change", () => openWorkspace(workspaceSelect.value));
+workspacesBtn.addEventListener("click", openWorkspacesModal);
+
+function openWorkspacesModal() {
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Workspaces</h3>
+      <div id="ws_list" class="space-y-2 max-h-96 overflow-auto"></div>
+      <div class="text-xs text-slate-500">Each workspace keeps its own files, views and chat.</div>
+      <div class="flex justify-between gap-2">
+        <div class="flex gap-2">
+          <button id="ws_new" class="px-3 py-1 border rounded">New workspace</button>
+          <button id="ws_import" class="px-3 py-1 border rounded">Import workspace.json</button>
+          <input id="ws_file" type="file" accept=".json,application/json" class="hidden" />
+        </div>
+        <button id="ws_close" class="px-3 py-1 border rounded">Close</button>
+      </div>
+    </div>`);
+  const list = modal.querySelector("#ws_list");
+  async function render() {
+    const workspaces = await refreshWorkspaces();
+    list.innerHTML = workspaces
+      .map((w) => {
+        const open = w.id === state.workspace.id;
+        const files = open ? state.files.length : w.fileCount;
+        return `<div class="flex items-center gap-2" data-id="${escapeAttr(w.id)}">
+          <input data-rename class="border rounded p-1 text-sm flex-1" value="${escapeAttr(w.name)}" />
+          <span class="text-xs text-slate-500 whitespace-nowrap">${files} file${files === 1 ? "" : "s"}</span>
+          <button data-open class="px-2 py-1 border rounded text-xs" ${open ? "disabled" : ""}>${open ? "Open now" : "Open"}</button>
+          <button data-duplicate class="px-2 py-1 border rounded text-xs">Duplicate</button>
+          <button data-delete class="px-2 py-1 border rounded text-xs">Delete</button>
+        </div>`;
+      })
+      .join("");
+  }
+  // Changes to the open workspace must be stored before it is copied, renamed or listed
+  const stored = () => {
+    saveLocal();
+    return workspaceStore.flush();
+  };
+  list.addEventListener("change", async (e) => {
+    if (!e.target.hasAttribute("data-rename")) return;
+    const id = e.target.closest("[data-id]").dataset.id;
+    const name = e.target.value.trim();
+    if (!name) return render();
+    try {
+      if (id === state.workspace.id) {
+        state.workspace.name = name;
+        await stored();
+      }
+      await workspaceStore.rename(id, name);
+    } catch (err) {
+      alert(err.message || String(err));
+    }
+    render();
+  });
+  list.addEventListener("click", async (e) => {
+    if (e.target.tagName !== "BUTTON") return;
+    const id = e.target.closest("[data-id]").dataset.id;
+    const name = e.target.closest("[data-id]").querySelector("[data-rename]").value;
+    try {
+      if (e.target.hasAttribute("data-open")) {
+        closeModal();
+        return openWorkspace(id);
+      }
+      if (e.target.hasAttribute("data-duplicate")) {
+        const copyName = prompt("Name of the copy", `${name} (copy)`);
+        if (!copyName || !copyName.trim()) return;
+        if (id === state.workspace.id) await stored();
+        await workspaceStore.duplicate(id, copyName.trim());
+      } else if (e.target.hasAttribute("data-delete")) {
+        if (!confirm(`Delete the workspace "${name}" and all its files? This cannot be undone.`)) return;
+        if (id === state.workspace.id) {
+          // Move to another workspace first, or to a new empty one when this is the last
+          const other = (await workspaceStore.list()).find((w) => w.id !== id);
+          await openWorkspace(other ? other.id : await workspaceStore.create(DEFAULT_WORKSPACE.name));
+        }
+        await workspaceStore.remove(id);
+      }
+    } catch (err) {
+      alert(err.message || String(err));
+    }
+    render();
+  });
+  modal.querySelector("#ws_new").addEventListener("click", async () => {
+    const name = prompt("Workspace name", "New workspace");
+    if (!name || !name.trim()) return;
+    closeModal();
+    try {
+      await openWorkspace(await workspaceStore.create(name.trim()));
+    } catch (err) {
+      alert(err.message || String(err));
+    }
+  });
+  const fileField = modal.querySelector("#ws_file");
+  modal.querySelector("#ws_import").addEventListener("click", () => fileField.click());
+  fileField.addEventListener("change", async () => {
+    const file = fileField.files[0];
+    if (!file) return;
+    closeModal();
+    await importWorkspaceFile(file);
+  });
+  modal.querySelector("#ws_close").addEventListener("click", closeModal);
+  render();
+}
+
+// Import a workspace.json export into a new workspace or the open one
+async function importWorkspaceFile(file) {
+  const result = workspaceImporter.read(await file.text());
+  if (result.error) {
+    return alert(
+      [`Could not import ${file.name}: ${result.error}`, ...result.warnings].join("\n")
+    );
   }
+  const collisions = workspaceImporter.collisions(result.entries, state.files);
+  const rowCount = result.entries.reduce((sum, e) => sum + e.file.rows.length, 0);
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Import ${escapeHtml(file.name)}</h3>
+      <div class="text-sm">${result.entries.length} file${result.entries.length === 1 ? "" : "s"}, ${rowCount} rows${
+        result.fromVersion < WORKSPACE_SCHEMA_VERSION
+          ? ` · upgraded from schema version ${result.fromVersion} to ${WORKSPACE_SCHEMA_VERSION}`
+          : ""
+      }</div>
+      ${
+        result.warnings.length
+          ? `<ul class="text-xs text-amber-700 list-disc pl-5">${result.warnings.map((w) => `<li>${escapeHtml(w)}</li>`).join("")}</ul>`
+          : ""
+      }
+      <label class="flex items-center gap-2 text-sm"><input type="radio" name="wi_target" value="new" checked />
+        New workspace <input id="wi_name" class="border rounded p-1 text-sm flex-1" value="${escapeAttr(
+          result.workspace.name || file.name.replace(/\.json$/i, "")
+        )}" /></label>
+      <label class="flex items-center gap-2 text-sm"><input type="radio" name="wi_target" value="current" />
+        Add to the open workspace "${escapeHtml(state.workspace.name)}"</label>
+      <div id="wi_collisions" class="hidden space-y-2 border rounded p-2">
+        <div class="text-xs text-slate-500">These files are already in the open workspace:</div>
+        ${collisions
+          .map(
+            ({ entry, existing }) => `<div class="flex items-center gap-2 text-sm">
+            <span class="flex-1">${escapeHtml(entry.file.name)} → ${escapeHtml(existing.name)}</span>
+            <select data-id="${escapeAttr(entry.file.id)}" class="border rounded p-1 text-xs">${Object.entries(COLLISION_ACTIONS)
+              .map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`)
+              .join("")}</select>
+          </div>`
+          )
+          .join("")}
+      </div>
+      <div class="flex justify-end gap-2"><button id="wi_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="wi_ok" class="px-3 py-1 bg-blue-600 text-white rounded">Import</button></div>
+    </div>`);
+  const target = () => modal.querySelector('input[name="wi_target"]:checked').value;
+  modal.querySelectorAll('input[name="wi_target"]').forEach((r) =>
+    r.addEventListener("change", () =>
+      modal.querySelector("#wi_collisions").classList.toggle("hidden", target() !== "current" || !collisions.length)
+    )
+  );
+  modal.querySelector("#wi_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#wi_ok").addEventListener("click", async () => {
+    const actions = {};
+    modal.querySelectorAll("#wi_collisions select").forEach((sel) => {
+      actions[sel.dataset.id] = sel.value;
+    });
+    const intoNew = target() === "new";
+    const name = modal.querySelector("#wi_name").value.trim() || file.name;
+    closeModal();
+
+    if (intoNew) {
+      try {
+        const id = await workspaceStore.create(name);
+        await openWorkspace(id);
+        // openWorkspace reports its own load errors; the files must not land in whatever is open instead
+        if (state.workspace.id !== id) return;
+      } catch (err) {
+        return alert(`Could not create the workspace: ${err.message || err}`);
+      }
+    } else {
+      takeSnapshots(
+        collisions.filter(({ entry }) => ["merge", "replace"].includes(actions[entry.file.id])).map((c) => c.existing),
+        `Before importing ${file.name}`
+      );
+    }
+    const step = recordStep(`Import ${file.name}`);
+    const report = workspaceImporter.apply(state, result.entries, intoNew ? {} : actions, step);
+    takeSnapshots(
+      result.entries.map((e) => e.file).filter((f) => state.files.includes(f)),
+      "Imported"
+    );
+    if (intoNew) {
+      state.chat = result.workspace.chat;
+      renderChat();
+      if (state.files.some((f) => f.id === result.workspace.activeId)) state.activeId = result.workspace.activeId;
+    }
+    if (!state.activeId && state.files.length) state.activeId = state.files[0].id;
+    step.commit();
+    renderAll();
+    await workspaceStore.flush();
+    refreshWorkspaces();
+    showImportReport(file.name, report, result.warnings);
+  });
+}
+
+// What an import did, file by file
+function showImportReport(source, report, warnings) {
+  const verbs = {
+    add: "Added as",
+    copy: "Added as a copy,",
+    merge: "Appended to",
+    replace: "Replaced",
+    skip: "Skipped"
+  };
+  const rows = report
+    .map((r) => {
+      const where =
+        r.action === "skip"
+          ? ""
+          : r.rows
+            ? `rows ${r.from}–${r.to}`
+            : "no rows";
+      return `<tr class="align-top">
+        <td class="p-1">${escapeHtml(r.name)}</td>
+        <td class="p-1">${verbs[r.action]} ${r.action === "skip" ? "" : `“${escapeHtml(r.target)}”`}</td>
+        <td class="p-1 whitespace-nowrap">${where}</td>
+        <td class="p-1 text-xs text-slate-500">${[
+          r.dropped ? `${r.dropped} rows dropped` : "",
+          ...r.notes
+        ]
+          .filter(Boolean)
+          .map(escapeHtml)
+          .join("<br/>")}</td>
+      </tr>`;
+    })
+    .join("");
+  const imported = report.reduce((sum, r) => sum + r.rows, 0);
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Imported ${escapeHtml(source)}</h3>
+      <div class="text-sm">${imported} rows imported from ${report.filter((r) => r.action !== "skip").length} of ${report.length} files.</div>
+      <div class="max-h-96 overflow-auto"><table class="w-full text-sm border">
+        <thead><tr class="bg-gray-50 text-left"><th class="p-1">File</th><th class="p-1">Result</th><th class="p-1">Rows</th><th class="p-1">Notes</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table></div>
+      ${
+        warnings.length
+          ? `<ul class="text-xs text-amber-700 list-disc pl-5">${warnings.map((w) => `<li>${escapeHtml(w)}</li>`).join("")}</ul>`
+          : ""
+      }
+      <div class="text-right"><button id="ir_close" class="px-3 py-1 border rounded">Close</button></div>
+    </div>`);
+  modal.querySelector("#ir_close").addEventListener("click", closeModal);
 }
 
 // --- File upload / parse ---
@@ -692,16 +1633,26 @@ fileInput.addEventListener("change", async (e) => {
 async function handleFiles(list) {
   for (const f of Array.from(list)) {
     try {
-      const parsed = await parseFile(f);
+      if (isWorkbook(f)) {
+        await importWorkbook(f);
+        continue;
+      }
+      const parsed = isJson(f) ? await parseJsonFile(f) : await openImportWizard(f);
+      if (!parsed) continue;
       const id = uid(8);
       state.files.push({
         id,
         name: f.name || parsed.name,
         headers: parsed.headers,
-        rows: parsed.rows
+        rows: parsed.rows,
+        ...(parsed.schema ? { schema: parsed.schema } : {})
       });
+      const added = state.files[state.files.length - 1];
+      ensureSchema(added);
+      searchIndex.ensure(added);
       state.activeId = id;
-      pushHistory();
+      recordStep(`Import ${added.name}`).addFile(added).commit();
+      takeSnapshots([added], "Imported");
       renderAll();
       saveLocal();
     } catch (err) {
@@ -712,62 +1663,308 @@ async function handleFiles(list) {
   }
 }
 
-function parseFile(file) {
-  return new Promise((resolve, reject) => {
-    const name = file.name || "file-" + uid(4);
-    const ext = name.split(".").pop().toLowerCase();
-    if (ext === "json") {
-      const r = new FileReader();
-      r.onload = (e) => {
-        try {
-          const arr = JSON.parse(e.target.result);
-          if (!Array.isArray(arr))
-            throw new Error("JSON must be an array of objects");
-          const headers = Array.from(
-            new Set(arr.flatMap((o) => Object.keys(o)))
-          );
-          resolve({
-            name,
-            headers,
-            rows: arr.map((r) => normalizeRow(r, headers))
-          });
-        } catch (err) {
-          reject(err);
-        }
-      };
-      r.onerror = reject;
-      r.readAsText(file);
-    } else {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        complete: function (results) {
-          const rows = results.data;
-          const headers =
-            results.meta.fields ||
-            Array.from(new Set(rows.flatMap(Object.keys)));
-          resolve({
-            name,
-            headers,
-            rows: rows.map((r) => normalizeRow(r, headers))
-          });
-        },
-        error: reject
-      });
-    }
+function isWorkbook(file) {
+  return /\.xlsx$/i.test(file.name || "");
+}
+
+// Each selected worksheet becomes its own entry in the files list
+async function importWorkbook(file) {
+  const { sheets } = await xlsxParser.parse(await file.arrayBuffer());
+  if (!sheets.length) throw new Error("Workbook has no sheets with data");
+  const chosen = sheets.length > 1 ? await pickSheets(file.name, sheets) : sheets;
+  if (!chosen.length) return;
+  const base = file.name.replace(/\.[^/.]+$/, "");
+  const step = recordStep(`Import ${file.name}`);
+  chosen.forEach((sheet) => {
+    const id = uid(8);
+    const entry = {
+      id,
+      name: sheets.length > 1 ? `${base} - ${sheet.name}` : file.name,
+      headers: sheet.headers,
+      rows: sheet.rows
+    };
+    ensureSchema(entry);
+    searchIndex.ensure(entry);
+    state.files.push(entry);
+    step.addFile(entry);
+    state.activeId = id;
   });
+  step.commit();
+  takeSnapshots(state.files.slice(-chosen.length), "Imported");
+  renderAll();
+  saveLocal();
 }
 
-function normalizeRow(rawRow, headers) {
-  const row = {};
-  headers.forEach(
-    (h) => (row[h] = rawRow && rawRow[h] !== undefined ? rawRow[h] : "")
-  );
-  return row;
+// Resolves with the sheets the user ticked, or [] when cancelled
+function pickSheets(fileName, sheets) {
+  return new Promise((resolve) => {
+    const modal = openModal(`
+      <div class="space-y-3">
+        <h3 class="font-semibold">Import sheets — ${escapeHtml(fileName)}</h3>
+        <div id="s_list" class="max-h-64 overflow-auto border rounded p-2">${sheets
+        .map(
+          (s, i) =>
+            `<label class="block text-sm"><input type="checkbox" value="${i}" checked /> ${escapeHtml(
+              s.name
+            )} <span class="text-xs text-slate-500">(${s.rows.length} rows × ${s.headers.length
+            } cols)</span></label>`
+        )
+        .join("")}</div>
+        <div class="flex justify-between text-xs"><button id="s_all" class="underline">Select all</button><button id="s_none" class="underline">Select none</button></div>
+        <div class="text-right"><button id="s_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="s_import" class="px-3 py-1 bg-indigo-600 text-white rounded">Import</button></div>
+      </div>`, () => resolve([]));
+    const boxes = Array.from(modal.querySelectorAll("#s_list input"));
+    modal
+      .querySelector("#s_all")
+      .addEventListener("click", () => boxes.forEach((b) => (b.checked = true)));
+    modal
+      .querySelector("#s_none")
+      .addEventListener("click", () => boxes.forEach((b) => (b.checked = false)));
+    // Closing the modal any other way counts as Cancel
+    modal.querySelector("#s_cancel").addEventListener("click", closeModal);
+    modal.querySelector("#s_import").addEventListener("click", () => {
+      resolve(boxes.filter((b) => b.checked).map((b) => sheets[Number(b.value)]));
+      closeModal();
+    });
+  });
 }
 
-// --- Rendering helpers ---
-function getActive() {
+function isJson(file) {
+  return /\.json$/i.test(file.name || "");
+}
+
+function parseJsonFile(file) {
+  return new Promise((resolve, reject) => {
+    const name = file.name || "file-" + uid(4);
+    const r = new FileReader();
+    r.onload = (e) => {
+      try {
+        const arr = JSON.parse(e.target.result);
+        if (!Array.isArray(arr))
+          throw new Error("JSON must be an array of objects");
+        const headers = Array.from(new Set(arr.flatMap((o) => Object.keys(o))));
+        resolve({
+          name,
+          headers,
+          rows: arr.map((r) => normalizeRow(r, headers))
+        });
+      } catch (err) {
+        reject(err);
+      }
+    };
+    r.onerror = reject;
+    r.readAsText(file);
+  });
+}
+
+// --- Import wizard (delimited text) ---
+const WIZARD_PREVIEW_BYTES = 512 * 1024;
+const WIZARD_PREVIEW_ROWS = 50;
+
+// Resolves with { name, headers, rows, schema } or null when cancelled
+async function openImportWizard(file) {
+  const previewBuffer = await file.slice(0, WIZARD_PREVIEW_BYTES).arrayBuffer();
+  const complete = file.size <= WIZARD_PREVIEW_BYTES;
+  let raw = null;
+  let plan = null;
+  // Closing or replacing the modal any other way counts as Cancel
+  let closed = false;
+  let cancel = () => {};
+
+  const options = (list, selected, label = (v) => v) =>
+    list
+      .map(
+        (v) =>
+          `<option value="${escapeAttr(v)}" ${v === selected ? "selected" : ""}>${escapeHtml(
+            label(v)
+          )}</option>`
+      )
+      .join("");
+  const delimiterLabels = { auto: "Auto-detect", ",": "Comma", ";": "Semicolon", "\t": "Tab", "|": "Pipe" };
+
+  const modal = openModal(`
+    <div class="space-y-3 text-sm">
+      <h3 class="font-semibold">Import — ${escapeHtml(file.name)}</h3>
+      <div class="grid grid-cols-3 gap-2">
+        <label>Encoding<select id="w_encoding" class="w-full border rounded p-1">${options(ENCODINGS, "utf-8")}</select></label>
+        <label>Delimiter<select id="w_delimiter" class="w-full border rounded p-1">${options(
+    Object.keys(delimiterLabels),
+    "auto",
+    (v) => delimiterLabels[v]
+  )}</select></label>
+        <label>Decimal separator<select id="w_decimal" class="w-full border rounded p-1"><option value=".">Dot (1,234.5)</option><option value=",">Comma (1.234,5)</option></select></label>
+        <label>Skip leading lines<input id="w_skip_lead" type="number" min="0" value="0" class="w-full border rounded p-1" /></label>
+        <label>Skip trailing lines<input id="w_skip_trail" type="number" min="0" value="0" class="w-full border rounded p-1" /></label>
+        <label>Header row (0 = none)<input id="w_header" type="number" min="0" value="1" class="w-full border rounded p-1" /></label>
+      </div>
+      <div>
+        <div class="font-medium mb-1">Columns</div>
+        <div id="w_columns" class="max-h-48 overflow-auto border rounded"></div>
+      </div>
+      <div>
+        <div class="font-medium mb-1">Preview <span id="w_preview_note" class="text-xs text-slate-500"></span></div>
+        <div id="w_preview" class="max-h-64 overflow-auto border rounded"></div>
+      </div>
+      <div class="text-right"><button id="w_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="w_import" class="px-3 py-1 bg-indigo-600 text-white rounded">Import</button></div>
+    </div>`, () => {
+    closed = true;
+    cancel();
+  });
+  modal.classList.replace("max-w-2xl", "max-w-5xl");
+
+  const field = (id) => modal.querySelector(id);
+  const numberField = (id) => Math.max(0, parseInt(field(id).value, 10) || 0);
+
+  function readSettings() {
+    return {
+      encoding: field("#w_encoding").value,
+      delimiter: field("#w_delimiter").value,
+      decimal: field("#w_decimal").value,
+      skipLeading: numberField("#w_skip_lead"),
+      skipTrailing: numberField("#w_skip_trail"),
+      headerRow: numberField("#w_header")
+    };
+  }
+
+  // Re-read the preview bytes (encoding/delimiter changed)
+  function reread() {
+    const settings = readSettings();
+    const text = importTransformer.decode(previewBuffer, settings.encoding);
+    const before = raw;
+    raw = importTransformer.readRecords(text, { delimiter: settings.delimiter });
+    // Column edits refer to fields split by the old delimiter
+    if (before && before.delimiter !== raw.delimiter) plan = null;
+    if (!complete) {
+      // The last record of a partial read may be cut off
+      raw.records.pop();
+      raw.lines.pop();
+    }
+    redetect();
+  }
+
+  // Rebuild the column list (header row, skipped lines or decimal separator changed), keeping
+  // the names, types and formats set by hand and the unticked columns
+  function redetect() {
+    const settings = readSettings();
+    plan = importTransformer.createPlan(raw, {
+      ...settings,
+      delimiter: raw.delimiter,
+      skipTrailing: complete ? settings.skipTrailing : 0
+    }, plan ? plan.columns : []);
+    plan.skipTrailing = settings.skipTrailing;
+    renderColumns();
+    renderPreview();
+  }
+
+  function renderColumns() {
+    field("#w_columns").innerHTML = `<table class="w-full text-xs"><thead><tr><th class="px-2 text-left">Import</th><th class="px-2 text-left">Name</th><th class="px-2 text-left">Type</th><th class="px-2 text-left">Date format</th></tr></thead><tbody>${plan.columns
+      .map(
+        (c, i) => `<tr data-i="${i}">
+          <td class="px-2"><input type="checkbox" data-prop="include" ${c.include ? "checked" : ""} /></td>
+          <td class="px-2"><input type="text" data-prop="name" value="${escapeAttr(c.name)}" class="border rounded p-1 w-full" /></td>
+          <td class="px-2"><select data-prop="type" class="border rounded p-1">${options(COLUMN_TYPES, c.type)}</select></td>
+          <td class="px-2"><select data-prop="format" class="border rounded p-1" ${c.type === "date" ? "" : "disabled"}>${options(
+          DATE_FORMATS,
+          c.format
+        )}</select></td>
+        </tr>`
+      )
+      .join("")}</tbody></table>`;
+  }
+
+  function renderPreview() {
+    const columns = plan.columns.filter((c) => c.include);
+    const { body } = importTransformer.split(raw, {
+      ...plan,
+      skipTrailing: complete ? plan.skipTrailing : 0
+    });
+    const shown = body.slice(0, WIZARD_PREVIEW_ROWS);
+    const head = columns
+      .map((c) => `<th class="px-2 py-1 text-left">${escapeHtml(c.name)}</th>`)
+      .join("");
+    const rows = shown
+      .map(
+        (fields) =>
+          `<tr>${columns
+            .map((c) => {
+              const { value, ok } = importTransformer.convert(fields[c.source] ?? "", c, plan);
+              return `<td class="px-2 py-1${ok ? "" : " import-invalid"}">${escapeHtml(value)}</td>`;
+            })
+            .join("")}</tr>`
+      )
+      .join("");
+    field("#w_preview").innerHTML = `<table class="w-full text-xs"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+    field("#w_preview_note").textContent = `first ${shown.length} rows${complete ? ` of ${body.length}` : ""
+      }${complete || !plan.skipTrailing ? "" : " (trailing lines are skipped at import)"}`;
+  }
+
+  field("#w_columns").addEventListener("change", (e) => {
+    const tr = e.target.closest("tr[data-i]");
+    if (!tr) return;
+    const column = plan.columns[Number(tr.dataset.i)];
+    const prop = e.target.dataset.prop;
+    column[prop] = prop === "include" ? e.target.checked : e.target.value;
+    if (!column.edited?.includes(prop)) column.edited = [...(column.edited || []), prop];
+    if (prop === "type") renderColumns();
+    renderPreview();
+  });
+  ["#w_encoding", "#w_delimiter"].forEach((id) =>
+    field(id).addEventListener("change", reread)
+  );
+  ["#w_decimal", "#w_skip_lead", "#w_skip_trail", "#w_header"].forEach((id) =>
+    field(id).addEventListener("change", redetect)
+  );
+
+  reread();
+
+  return new Promise((resolve, reject) => {
+    cancel = () => resolve(null);
+    if (closed) cancel();
+    field("#w_cancel").addEventListener("click", closeModal);
+    field("#w_import").addEventListener("click", async () => {
+      const columns = plan.columns.filter((c) => c.include);
+      const names = columns.map((c) => c.name.trim());
+      if (!columns.length) return alert("Select at least one column");
+      if (names.some((n) => !n)) return alert("Column names cannot be empty");
+      if (new Set(names).size !== names.length) return alert("Column names must be unique");
+      columns.forEach((c, i) => (c.name = names[i]));
+
+      try {
+        const buffer = complete ? previewBuffer : await file.arrayBuffer();
+        const text = importTransformer.decode(buffer, plan.encoding);
+        const data = importTransformer.readRecords(text, { delimiter: plan.delimiter });
+        const result = importTransformer.apply(data, plan);
+        if (closed) return; // dismissed while the file was read
+        resolve({ name: file.name, ...result });
+        closeModal();
+        if (result.errors.length) {
+          alert(
+            `Imported with ${result.errors.length} problem(s):\n` +
+            result.errors
+              .slice(0, 10)
+              .map((e) => `Line ${e.line}: ${e.message}`)
+              .join("\n")
+          );
+        }
+      } catch (err) {
+        if (closed) return;
+        reject(err);
+        closeModal();
+      }
+    });
+  });
+}
+
+function normalizeRow(rawRow, headers) {
+  const row = {};
+  headers.forEach(
+    (h) => (row[h] = rawRow && rawRow[h] !== undefined ? rawRow[h] : "")
+  );
+  return row;
+}
+
+// --- Rendering helpers ---
+function getActive() {
   return state.files.find((f) => f.id === state.activeId) || null;
 }
 function escapeHtml(s) {
@@ -805,7 +2002,6 @@ function renderFilesList() {
   filesList.querySelectorAll("input[name=activeFile]").forEach((r) =>
     r.addEventListener("change", (e) => {
       state.activeId = e.target.dataset.id;
-      pushHistory();
       renderAll();
       saveLocal();
     })
@@ -816,9 +2012,11 @@ function renderFilesList() {
       if (!confirm("Delete file?")) return;
       const idx = state.files.findIndex((x) => x.id === id);
       if (idx >= 0) {
+        takeSnapshots([state.files[idx]], "Before deleting the file");
+        const step = recordStep(`Delete ${state.files[idx].name}`).deleteFile(state.files[idx]);
         state.files.splice(idx, 1);
         if (state.activeId === id) state.activeId = state.files[0]?.id || null;
-        pushHistory();
+        step.commit();
         renderAll();
         saveLocal();
       }
@@ -829,15 +2027,7 @@ function renderFilesList() {
       const id = e.target.dataset.id;
       const f = state.files.find((x) => x.id === id);
       if (!f) return;
-      const rows = [f.headers.join(",")].concat(
-        f.rows.map((r) =>
-          f.headers.map((h) => csvEscape(String(r[h] ?? ""))).join(",")
-        )
-      );
-      downloadBlob(
-        new Blob([rows.join("\n")], { type: "text/csv" }),
-        f.name.replace(/\.[^/.]+$/, "") + ".csv"
-      );
+      exportFileCsv(f);
     })
   );
 }
@@ -850,20 +2040,27 @@ function renderTable() {
     activeFileName.textContent = "— none —";
     tableHead.innerHTML = "";
     tableBody.innerHTML = "";
+    dataTable.classList.remove("columns-fixed");
+    dataTable.style.width = "";
+    state.columnKey = null;
     tableStats.textContent = "0 rows • 0 cols";
     pageInfo.textContent = "Page 0 of 0";
     columnsPanel.innerHTML = "";
     chartColumnSelect.innerHTML = '<option value="">Select numeric column</option>';
     filterColumn.innerHTML = '<option value="">All columns</option>';
+    filterStats.classList.add('hidden');
+    renderFilterChips(null);
+    renderViewSelect(null);
+    searchHitInfo.textContent = "";
     updateDataInsights();
     return;
   }
 
   activeFileName.textContent = f.name;
 
-  // Use filtered rows if search/filter is active
-  const dataToRender = state.filteredRows || f.rows;
-  const totalRows = dataToRender.length;
+  // Filtered and sorted row indices; the rows themselves keep their positions
+  state.view = buildView(f);
+  const totalRows = state.view.length;
   const totalPages = Math.ceil(totalRows / state.perPage);
 
   // Ensure page is within bounds
@@ -873,7 +2070,7 @@ function renderTable() {
 
   // pagination
   const start = state.page * state.perPage;
-  const paged = dataToRender.slice(start, start + state.perPage);
+  const paged = state.view.slice(start, start + state.perPage);
 
   // Update page info
   pageInfo.textContent = `Page ${state.page + 1} of ${Math.max(totalPages, 1)}`;
@@ -882,19 +2079,80 @@ function renderTable() {
   document.getElementById('prevPage').disabled = state.page === 0;
   document.getElementById('nextPage').disabled = state.page >= totalPages - 1 || totalPages === 0;
 
+  renderGrid(f, paged);
+
+  // Filter stats and chips
+  if (state.filteredRows) {
+    filterStats.textContent = `${state.view.length} filtered results`;
+    filterStats.classList.remove('hidden');
+  } else {
+    filterStats.classList.add('hidden');
+  }
+  renderFilterChips(f);
+  renderViewSelect(f);
+  updateSearchInfo();
+
+  // Enhanced table stats
+  const displayedRows = paged.length;
+  const filteredCount = state.filteredRows ? state.filteredRows.length : f.rows.length;
+  const totalRowsText = state.filteredRows ? `${filteredCount} filtered` : `${f.rows.length}`;
+  tableStats.textContent = `${totalRowsText} rows • ${f.headers.length} cols (showing ${displayedRows})`;
+
+  // Update filter column dropdown
+  filterColumn.innerHTML = '<option value="">All columns</option>' +
+    f.headers.map(h => `<option value="${escapeAttr(h)}" ${h === state.filterColumn ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('');
+
+  renderColumnsPanel();
+  populateChartColumns();
+  updateDataInsights();
+
+  // Record render time
+  const renderEnd = performance.now();
+  performanceMonitor.recordRenderTime(renderEnd - renderStart);
+}
+
+// Header and body of the table for the current page. Split from renderTable so horizontal
+// scrolling can swap the rendered column window without redrawing the panels around it.
+function renderGrid(f = getActive(), paged = null) {
+  if (!f) return;
+  if (!paged) {
+    const start = state.page * state.perPage;
+    paged = state.view.slice(start, start + state.perPage);
+  }
+  const sortKeys = f.sort || [];
+  const highlight = cellHighlighter(f);
+
+  const layout = columnLayout(f);
+  const columns = columnVirtualizer.sequence(displayHeaders(f), layout);
+  const pinned = f.pinnedColumns || [];
+  state.columnKey = layout ? layout.key : null;
+  dataTable.classList.toggle("columns-fixed", !!layout);
+  dataTable.style.width = layout ? `${layout.totalWidth}px` : "";
+  const selectorAttrs = layout
+    ? `class="p-2 pinned-cell${layout.pinned.length ? "" : " pinned-edge"}" style="width:${SELECTOR_WIDTH}px;left:0"`
+    : `class="p-2"`;
+
   // header
   tableHead.innerHTML = "";
   const trh = document.createElement("tr");
   trh.innerHTML =
-    `<th class="p-2"><input id="selectAll" type="checkbox" /></th>` +
-    f.headers
-      .map(
-        (h) =>
-          `<th class="p-2 text-left">${escapeHtml(
+    `<th ${selectorAttrs}><input id="selectAll" type="checkbox" /></th>` +
+    columns
+      .map((h) =>
+        typeof h !== "string"
+          ? spacerCell("th", h.spacer)
+          : `<th ${columnCellAttrs(h, layout, "p-2 text-left sortable-col")} data-col="${escapeAttr(
+            h
+          )}" title="Click to sort, Shift+click to add a sort key">${escapeHtml(
+            h
+          )}${computedBadge(f, h)}${sortBadge(sortKeys, h)} <button data-col="${escapeAttr(
             h
-          )} <button data-col="${escapeAttr(
+          )}" class="col-filter-btn${f.columnFilters?.[h] ? " is-active" : ""}" title="Filter by value">▾</button> <button data-col="${escapeAttr(
             h
-          )}" class="rename-col text-xs px-1 py-0.5 border rounded ml-2">Rename</button> <button data-col="${escapeAttr(
+          )}" class="pin-col text-xs px-1 py-0.5 border rounded ml-2" title="Keep this column visible while scrolling sideways">${pinned.includes(h) ? "Unpin" : "Pin"
+          }</button> <button data-col="${escapeAttr(
+            h
+          )}" class="rename-col text-xs px-1 py-0.5 border rounded ml-1">Rename</button> <button data-col="${escapeAttr(
             h
           )}" class="del-col text-xs px-1 py-0.5 border rounded ml-1">Del</button></th>`
       )
@@ -903,30 +2161,76 @@ function renderTable() {
 
   // body
   tableBody.innerHTML = "";
-  paged.forEach((row, idx) => {
-    const gIdx = start + idx;
+  paged.forEach((gIdx) => {
+    const row = f.rows[gIdx];
     const tr = document.createElement("tr");
     tr.className = "border-t";
-    let cells = `<td class="p-2"><input type="checkbox" class="rowSel" data-idx="${gIdx}" /></td>`;
-    f.headers.forEach((h) => {
+    let cells = `<td ${selectorAttrs}><input type="checkbox" class="rowSel" data-idx="${gIdx}" /></td>`;
+    columns.forEach((h) => {
+      if (typeof h !== "string") {
+        cells += spacerCell("td", h.spacer);
+        return;
+      }
       const val = row[h] ?? "";
-      cells += `<td class="p-2 align-top"><div contenteditable="true" data-idx="${gIdx}" data-col="${escapeAttr(
+      const attrs = columnCellAttrs(h, layout, "p-2 align-top");
+      if (formulaEngine.isComputed(f, h)) {
+        // Derived from the column expression, so not editable per cell
+        cells += `<td ${attrs}><div contenteditable="false" class="computed-cell" data-idx="${gIdx}" data-col="${escapeAttr(
+          h
+        )}">${highlight(String(val), h)}</div></td>`;
+        return;
+      }
+      const formula = formulaEngine.getFormula(f, gIdx, h);
+      const formulaAttrs = formula
+        ? ` class="formula-cell" title="${escapeAttr(formula)}"`
+        : "";
+      cells += `<td ${attrs}><div contenteditable="true"${formulaAttrs} data-idx="${gIdx}" data-col="${escapeAttr(
         h
-      )}">${escapeHtml(String(val))}</div></td>`;
+      )}">${highlight(String(val), h)}</div></td>`;
     });
     tr.innerHTML = cells;
     tableBody.appendChild(tr);
   });
 
+  const cursor = state.searchCursor;
+  if (cursor) {
+    tableBody
+      .querySelector(`[data-idx="${cursor.row}"][data-col="${CSS.escape(cursor.col)}"]`)
+      ?.classList.add("search-current");
+  }
+
   // wire cells
   tableBody.querySelectorAll("[contenteditable=true]").forEach((el) => {
+    el.addEventListener("focus", (e) => {
+      // Edit the formula source, not its computed value
+      const file = getActive();
+      if (!file) return;
+      const formula = formulaEngine.getFormula(
+        file,
+        Number(e.target.dataset.idx),
+        e.target.dataset.col
+      );
+      if (formula) e.target.textContent = formula;
+      // Edit plain text, without the search highlight marks
+      else if (e.target.querySelector("mark")) e.target.textContent = e.target.textContent;
+    });
     el.addEventListener("blur", (e) => {
       const idx = Number(e.target.dataset.idx),
         col = e.target.dataset.col;
       const file = getActive();
       if (!file) return;
-      file.rows[idx][col] = e.target.textContent.trim();
-      pushHistory();
+      const text = e.target.textContent.trim();
+      // Leaving a cell unchanged keeps its value as it is (42 must not become "42") and records nothing
+      const shown = formulaEngine.getFormula(file, idx, col) ?? String(file.rows[idx]?.[col] ?? "").trim();
+      if (text === shown) {
+        refreshVisibleCells(); // show the value again instead of the formula source
+        return;
+      }
+      const step = recordStep(`Edit ${col} in row ${idx + 1}`).cell(file, idx, col);
+      setCellInput(file, idx, col, text);
+      step.commit();
+      updateUndoRedoButtons();
+      refreshVisibleCells();
       renderColumnsPanel();
       saveLocal();
     });
@@ -944,56 +2248,1115 @@ function renderTable() {
       .forEach((cb) => (cb.checked = e.target.checked));
   });
 
-  // rename / delete
-  tableHead
-    .querySelectorAll(".rename-col")
-    .forEach((b) =>
-      b.addEventListener("click", (e) =>
-        promptRenameColumn(e.target.dataset.col)
+  // sort: plain click replaces the sort, shift+click adds or cycles a secondary key
+  tableHead.querySelectorAll(".sortable-col").forEach((th) =>
+    th.addEventListener("click", (e) => {
+      if (e.target.closest("button, input")) return;
+      sortByColumn(th.dataset.col, e.shiftKey);
+    })
+  );
+
+  // header filter dropdowns
+  tableHead.querySelectorAll(".col-filter-btn").forEach((b) =>
+    b.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openColumnFilter(b.dataset.col, b);
+    })
+  );
+
+  // pin / rename / delete
+  tableHead
+    .querySelectorAll(".pin-col")
+    .forEach((b) =>
+      b.addEventListener("click", (e) => togglePinnedColumn(e.target.dataset.col))
+    );
+  tableHead
+    .querySelectorAll(".rename-col")
+    .forEach((b) =>
+      b.addEventListener("click", (e) =>
+        promptRenameColumn(e.target.dataset.col)
+      )
+    );
+  tableHead.querySelectorAll(".del-col").forEach((b) =>
+    b.addEventListener("click", (e) => {
+      if (confirm("Delete column " + e.target.dataset.col + "?"))
+        deleteColumn(e.target.dataset.col);
+    })
+  );
+}
+
+// Store raw cell input: "=..." becomes a formula, anything else a literal value.
+// Only the edited cell's dependents are recalculated.
+function setCellInput(file, idx, col, text) {
+  const before = file.rows[idx][col];
+  if (formulaEngine.isFormula(text)) {
+    formulaEngine.setFormula(file, idx, col, text);
+  } else {
+    formulaEngine.setFormula(file, idx, col, null);
+    file.rows[idx][col] = text;
+  }
+  searchIndex.updateCell(file, idx, col, before);
+  dependencyGraph.update(file, idx, col);
+  dependencyGraph.recalculate(file, [[idx, col]]);
+}
+
+// Update rendered cell text in place so focus survives recalculation
+function refreshVisibleCells() {
+  const f = getActive();
+  if (!f) return;
+  const highlight = cellHighlighter(f);
+  tableBody.querySelectorAll("[data-idx][data-col]").forEach((el) => {
+    if (el === document.activeElement) return;
+    const idx = Number(el.dataset.idx),
+      col = el.dataset.col;
+    el.innerHTML = highlight(String(f.rows[idx]?.[col] ?? ""), col);
+    if (formulaEngine.isComputed(f, col)) return;
+    const formula = formulaEngine.getFormula(f, idx, col);
+    el.classList.toggle("formula-cell", !!formula);
+    if (formula) el.title = formula;
+    else el.removeAttribute("title");
+  });
+}
+
+// --- Column window / frozen columns ---
+const SELECTOR_WIDTH = 40; // px, the row checkbox column, always frozen when columns are windowed
+
+function columnLayout(f) {
+  return columnVirtualizer.layout(displayHeaders(f), {
+    pinned: f.pinnedColumns || [],
+    scrollLeft: tableViewport.scrollLeft,
+    viewportWidth: tableViewport.clientWidth,
+    leading: SELECTOR_WIDTH
+  });
+}
+
+function columnCellAttrs(col, layout, classes) {
+  if (!layout) return `class="${classes}"`;
+  let style = `width:${layout.width}px`;
+  if (col in layout.offsets) {
+    classes += " pinned-cell";
+    if (col === layout.pinned[layout.pinned.length - 1]) classes += " pinned-edge";
+    style += `;left:${layout.offsets[col]}px`;
+  }
+  return `class="${classes}" style="${style}"`;
+}
+
+function spacerCell(tag, width) {
+  return `<${tag} class="column-spacer" style="width:${width}px"></${tag}>`;
+}
+
+// Pinned columns are saved with the file and shown in header order
+function togglePinnedColumn(col) {
+  const f = getActive();
+  if (!f) return;
+  const pinned = f.pinnedColumns || [];
+  f.pinnedColumns = pinned.includes(col)
+    ? pinned.filter((c) => c !== col)
+    : [...pinned, col];
+  renderGrid();
+  saveLocal();
+}
+
+// --- Sorting ---
+// Row indices for the table: rows passing the file's filter and the search, ordered by the
+// file's sort keys. Rebuilt on every render so edits and deleted rows are reflected.
+// Also collects the matching cells for the search navigator.
+function buildView(f) {
+  let indices = filterEngine.isFiltered(f) ? filteredIndices(f) : null;
+  const hitColumns = new Map(); // row index -> its matching columns
+  if (state.searchTerm) {
+    const matcher = searchMatcher();
+    const searchColumns = searchColumnsFor(f);
+    // The token index narrows plain and whole-word searches to candidate rows; the matcher still decides
+    const candidates = searchIndex.candidates(f, state.searchTerm, state.searchMode, searchColumns);
+    if (candidates && indices) {
+      const allowed = new Set(candidates);
+      indices = indices.filter((i) => allowed.has(i));
+    }
+    indices = (indices || candidates || f.rows.map((_, i) => i)).filter((i) => {
+      const cols = searchColumns.filter((col) => matcher.test(String(f.rows[i][col] ?? "")));
+      if (cols.length) hitColumns.set(i, cols);
+      return cols.length > 0;
+    });
+  }
+  state.filteredRows = indices;
+  const view = f.sort?.length
+    ? sortEngine.order(f, f.sort, indices)
+    : indices || f.rows.map((_, i) => i);
+
+  state.searchHits = [];
+  for (const i of view) {
+    if (state.searchHits.length >= MAX_SEARCH_HITS) break;
+    hitColumns.get(i)?.forEach((col) => state.searchHits.push({ row: i, col }));
+  }
+  return view;
+}
+
+function sortBadge(keys, col) {
+  const index = keys.findIndex((k) => k.column === col);
+  if (index < 0) return "";
+  const key = keys[index];
+  return ` <span class="sort-badge" title="${escapeAttr(
+    `Sorted ${key.direction === "asc" ? "ascending" : "descending"}, empty cells ${key.nulls === "first" ? "first" : "last"}`
+  )}">${key.direction === "asc" ? "▲" : "▼"}${keys.length > 1 ? `<sup>${index + 1}</sup>` : ""}</span>`;
+}
+
+function sortByColumn(col, additive) {
+  const f = getActive();
+  if (!f) return;
+  f.sort = sortEngine.toggle(f.sort, col, additive);
+  state.page = 0;
+  renderTable();
+  saveLocal();
+}
+
+// Edit every sort key at once: priority order, direction and where empty cells go
+function openSortModal() {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  let keys = (f.sort || []).map((k) => ({ nulls: "last", ...k }));
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Sort — ${escapeHtml(f.name)}</h3>
+      <div id="so_keys" class="space-y-2"></div>
+      <button id="so_add" class="px-2 py-1 border rounded text-sm">+ Add sort key</button>
+      <div class="text-xs text-slate-500">Keys apply top to bottom. Sorting only changes the view — rows and formulas keep their positions.</div>
+      <div class="flex justify-between"><button id="so_clear" class="px-3 py-1 border rounded">Clear sort</button><div><button id="so_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="so_apply" class="px-3 py-1 bg-indigo-600 text-white rounded">Apply</button></div></div>
+    </div>`);
+  const list = modal.querySelector("#so_keys");
+  const select = (name, value, options) =>
+    `<select data-prop="${name}" class="border rounded p-1 text-sm">${options
+      .map(
+        ([v, label]) =>
+          `<option value="${escapeAttr(v)}" ${v === value ? "selected" : ""}>${escapeHtml(label)}</option>`
+      )
+      .join("")}</select>`;
+
+  function render() {
+    list.innerHTML = keys.length
+      ? keys
+        .map(
+          (k, i) => `<div class="flex items-center gap-2" data-i="${i}">
+          <span class="text-xs text-slate-500 w-10">${i === 0 ? "Sort by" : "then"}</span>
+          ${select("column", k.column, f.headers.map((h) => [h, h]))}
+          ${select("direction", k.direction, [["asc", "Ascending"], ["desc", "Descending"]])}
+          ${select("nulls", k.nulls, [["last", "Empty last"], ["first", "Empty first"]])}
+          <button data-move="-1" class="px-1 border rounded text-xs" ${i === 0 ? "disabled" : ""}>↑</button>
+          <button data-move="1" class="px-1 border rounded text-xs" ${i === keys.length - 1 ? "disabled" : ""}>↓</button>
+          <button data-remove class="px-1 border rounded text-xs">✕</button>
+        </div>`
+        )
+        .join("")
+      : '<div class="text-sm text-slate-500">Not sorted</div>';
+  }
+  list.addEventListener("change", (e) => {
+    const i = Number(e.target.closest("[data-i]").dataset.i);
+    keys[i][e.target.dataset.prop] = e.target.value;
+  });
+  list.addEventListener("click", (e) => {
+    const row = e.target.closest("[data-i]");
+    if (!row || e.target.tagName !== "BUTTON") return;
+    const i = Number(row.dataset.i);
+    if (e.target.hasAttribute("data-remove")) {
+      keys.splice(i, 1);
+    } else {
+      const j = i + Number(e.target.dataset.move);
+      [keys[i], keys[j]] = [keys[j], keys[i]];
+    }
+    render();
+  });
+  modal.querySelector("#so_add").addEventListener("click", () => {
+    const unused = f.headers.find((h) => !keys.some((k) => k.column === h));
+    if (!unused) return;
+    keys.push({ column: unused, direction: "asc", nulls: "last" });
+    render();
+  });
+  modal.querySelector("#so_clear").addEventListener("click", () => {
+    keys = [];
+    render();
+  });
+  modal.querySelector("#so_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#so_apply").addEventListener("click", () => {
+    // A column listed twice only counts once, at its highest priority
+    f.sort = keys.filter(
+      (k, i) => keys.findIndex((other) => other.column === k.column) === i
+    );
+    state.page = 0;
+    closeModal();
+    renderTable();
+    saveLocal();
+  });
+  render();
+}
+
+// --- Find & Replace ---
+const REPLACE_PREVIEW = 200; // cells listed in the preview; the replacement itself isn't capped
+
+function openReplaceModal() {
+  const active = getActive();
+  if (!active) return alert("No active file");
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Find & Replace</h3>
+      <div class="grid grid-cols-2 gap-2 text-sm">
+        <label>Find<input id="rp_find" class="w-full border rounded p-1" /></label>
+        <label>Replace with<input id="rp_replace" class="w-full border rounded p-1" /></label>
+      </div>
+      <div class="flex flex-wrap items-center gap-3 text-sm">
+        <select id="rp_mode" class="border rounded p-1 text-sm"><option value="plain">Plain text</option><option value="regex">Regex</option></select>
+        <label><input type="checkbox" id="rp_case" /> Match case</label>
+        <label><input type="checkbox" id="rp_whole" /> Entire cell</label>
+      </div>
+      <div class="flex flex-wrap items-center gap-3 text-sm">
+        <span class="font-medium">In</span>
+        <label><input type="radio" name="rp_files" value="active" checked /> ${escapeHtml(active.name)}</label>
+        <label><input type="radio" name="rp_files" value="all" /> All files (${state.files.length})</label>
+        <label><input type="checkbox" id="rp_filtered" ${filterEngine.isFiltered(active) ? "checked" : ""} /> Filtered rows only</label>
+      </div>
+      <div>
+        <div class="flex items-center gap-2 text-sm"><span class="font-medium">Columns</span><button id="rp_all" class="px-1 border rounded text-xs">All</button><button id="rp_none" class="px-1 border rounded text-xs">None</button></div>
+        <div id="rp_columns" class="flex flex-wrap gap-x-3 gap-y-1 text-sm max-h-24 overflow-auto"></div>
+      </div>
+      <div class="text-xs text-slate-500">In regex mode the replacement can use capture groups: <code>$1</code>, <code>$&lt;name&gt;</code>, <code>$&amp;</code> for the whole match. Formula cells and computed columns are left alone.</div>
+      <div id="rp_summary" class="text-sm text-slate-600"></div>
+      <div id="rp_preview" class="max-h-64 overflow-auto border rounded"></div>
+      <div class="flex justify-end"><button id="rp_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="rp_apply" class="px-3 py-1 bg-indigo-600 text-white rounded" disabled>Replace all</button></div>
+    </div>`);
+  const excluded = new Set(); // unticked column names, kept when switching between file scopes
+  let plan = { changes: [], skipped: 0 };
+  if (state.searchMode === "plain" || state.searchMode === "regex") {
+    modal.querySelector("#rp_find").value = state.searchTerm;
+    modal.querySelector("#rp_mode").value = state.searchMode;
+  }
+
+  const scopeFiles = () =>
+    modal.querySelector("input[name=rp_files]:checked").value === "all" ? state.files : [active];
+
+  function renderColumns() {
+    const names = [...new Set(scopeFiles().flatMap((f) => viewManager.orderedHeaders(f)))];
+    modal.querySelector("#rp_columns").innerHTML = names
+      .map(
+        (h) =>
+          `<label><input type="checkbox" data-col="${escapeAttr(h)}" ${excluded.has(h) ? "" : "checked"} /> ${escapeHtml(h)}</label>`
+      )
+      .join("");
+  }
+
+  function update() {
+    const replacer = replaceEngine.compile(modal.querySelector("#rp_find").value, modal.querySelector("#rp_replace").value, {
+      mode: modal.querySelector("#rp_mode").value,
+      matchCase: modal.querySelector("#rp_case").checked,
+      wholeCell: modal.querySelector("#rp_whole").checked
+    });
+    const filtered = modal.querySelector("#rp_filtered").checked;
+    const targets = scopeFiles().map((f) => ({
+      file: f,
+      rows: filtered ? filteredIndices(f) : f.rows.map((_, i) => i),
+      columns: f.headers.filter((h) => !excluded.has(h))
+    }));
+    plan = replacer.error ? { changes: [], skipped: 0 } : replaceEngine.plan(targets, replacer);
+    modal.querySelector("#rp_apply").disabled = !plan.changes.length;
+
+    if (replacer.error) {
+      modal.querySelector("#rp_summary").innerHTML = `<span class="text-red-600">${escapeHtml(replacer.error)}</span>`;
+      modal.querySelector("#rp_preview").innerHTML = "";
+      return;
+    }
+    const files = new Set(plan.changes.map((c) => c.file)).size;
+    modal.querySelector("#rp_summary").textContent =
+      `${plan.changes.length} cell${plan.changes.length === 1 ? "" : "s"} in ${files} file${files === 1 ? "" : "s"} will change` +
+      (plan.skipped ? ` (${plan.skipped} formula cell${plan.skipped === 1 ? "" : "s"} skipped)` : "") +
+      (plan.changes.length > REPLACE_PREVIEW ? ` — showing the first ${REPLACE_PREVIEW}` : "");
+    const showFile = scopeFiles().length > 1;
+    modal.querySelector("#rp_preview").innerHTML = plan.changes.length
+      ? `<table class="min-w-full text-xs"><thead><tr>${showFile ? "<th class='p-1 text-left'>File</th>" : ""}<th class="p-1 text-left">Row</th><th class="p-1 text-left">Column</th><th class="p-1 text-left">Before</th><th class="p-1 text-left">After</th></tr></thead><tbody>${plan.changes
+        .slice(0, REPLACE_PREVIEW)
+        .map(
+          (c) => `<tr class="border-t">${showFile ? `<td class="p-1">${escapeHtml(c.file.name)}</td>` : ""}<td class="p-1">${c.row + 1}</td><td class="p-1">${escapeHtml(c.column)}</td><td class="p-1 text-red-600">${escapeHtml(c.before)}</td><td class="p-1 text-green-700">${escapeHtml(c.after)}</td></tr>`
+        )
+        .join("")}</tbody></table>`
+      : "";
+  }
+  const refresh = debounce(update, 200);
+
+  ["#rp_find", "#rp_replace"].forEach((sel) => modal.querySelector(sel).addEventListener("input", refresh));
+  ["#rp_mode", "#rp_case", "#rp_whole", "#rp_filtered"].forEach((sel) => modal.querySelector(sel).addEventListener("change", update));
+  modal.querySelectorAll("input[name=rp_files]").forEach((r) =>
+    r.addEventListener("change", () => {
+      renderColumns();
+      update();
+    })
+  );
+  modal.querySelector("#rp_columns").addEventListener("change", (e) => {
+    const col = e.target.dataset.col;
+    if (e.target.checked) excluded.delete(col);
+    else excluded.add(col);
+    update();
+  });
+  modal.querySelector("#rp_all").addEventListener("click", () => {
+    excluded.clear();
+    renderColumns();
+    update();
+  });
+  modal.querySelector("#rp_none").addEventListener("click", () => {
+    scopeFiles().forEach((f) => f.headers.forEach((h) => excluded.add(h)));
+    renderColumns();
+    update();
+  });
+  modal.querySelector("#rp_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#rp_apply").addEventListener("click", () => {
+    update(); // the preview may be a debounce behind the inputs
+    if (!plan.changes.length) return;
+    const changed = new Map();
+    takeSnapshots([...new Set(plan.changes.map((c) => c.file))], "Before replacing");
+    // One step for the whole replacement, so a single undo reverts it
+    const step = recordStep(`Replace ${plan.changes.length} cell${plan.changes.length === 1 ? "" : "s"}`);
+    plan.changes.forEach(({ file, row, column, after }) => {
+      step.setCell(file, row, column, after);
+      if (!changed.has(file)) changed.set(file, []);
+      changed.get(file).push([row, column]);
+    });
+    changed.forEach((cells, file) => {
+      dependencyGraph.recalculate(file, cells);
+      searchIndex.touch(file);
+    });
+    step.commit();
+    closeModal();
+    renderAll();
+    saveLocal();
+    alert(`Replaced ${plan.changes.length} cell${plan.changes.length === 1 ? "" : "s"} in ${changed.size} file${changed.size === 1 ? "" : "s"}.`);
+  });
+  renderColumns();
+  update();
+  modal.querySelector("#rp_find").focus();
+}
+
+// --- Search ---
+const MAX_SEARCH_HITS = 100000; // cells the navigator steps through; the row filter isn't capped
+
+function searchMatcher() {
+  return searchEngine.compile(state.searchTerm, state.searchMode);
+}
+
+// The chosen column, or every visible column
+function searchColumnsFor(f) {
+  return state.filterColumn ? [state.filterColumn] : displayHeaders(f);
+}
+
+// Cell text as HTML, with search matches wrapped in <mark>
+function highlightText(text, ranges) {
+  if (!ranges.length) return escapeHtml(text);
+  let html = "";
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(last, start))}<mark class="search-hit">${escapeHtml(
+      text.slice(start, end)
+    )}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// Highlighter for the cells of the current render: (text, col) -> HTML
+function cellHighlighter(f) {
+  if (!state.searchTerm) return (text) => escapeHtml(text);
+  const matcher = searchMatcher();
+  const columns = new Set(searchColumnsFor(f));
+  return (text, col) =>
+    columns.has(col) ? highlightText(text, matcher.ranges(text)) : escapeHtml(text);
+}
+
+// Match counter, or the regex error, next to the search box
+function updateSearchInfo() {
+  const error = state.searchTerm ? searchMatcher().error : null;
+  searchInput.classList.toggle("search-invalid", !!error);
+  searchInput.title = error ? `Invalid regex: ${error}` : "";
+  searchHitInfo.classList.toggle("text-red-600", !!error);
+  if (error) {
+    searchHitInfo.textContent = "Invalid regex";
+    return;
+  }
+  const hits = state.searchHits;
+  if (!state.searchTerm) {
+    searchHitInfo.textContent = "";
+    return;
+  }
+  const capped = hits.length >= MAX_SEARCH_HITS ? "+" : "";
+  const current = state.searchCursor ? searchHitIndex() + 1 : 0;
+  searchHitInfo.textContent = hits.length
+    ? `${current ? `${current} / ` : ""}${hits.length.toLocaleString()}${capped} matches`
+    : "No matches";
+}
+
+function searchHitIndex() {
+  const cursor = state.searchCursor;
+  if (!cursor) return -1;
+  return state.searchHits.findIndex((h) => h.row === cursor.row && h.col === cursor.col);
+}
+
+// Move to the next (1) or previous (-1) matching cell, switching pages as needed
+function gotoSearchHit(delta) {
+  const f = getActive();
+  const hits = state.searchHits;
+  if (!f || !hits.length) return;
+  const current = searchHitIndex();
+  let next;
+  if (current !== -1) {
+    next = (current + delta + hits.length) % hits.length;
+  } else {
+    // Start from the page being looked at rather than the top of the file
+    const pageStart = state.page * state.perPage;
+    const position = new Map(state.view.map((row, pos) => [row, pos]));
+    next = hits.findIndex((h) => position.get(h.row) >= pageStart);
+    if (next === -1) next = 0;
+    if (delta < 0) next = (next - 1 + hits.length) % hits.length;
+  }
+  state.searchCursor = hits[next];
+
+  const page = Math.floor(state.view.indexOf(hits[next].row) / state.perPage);
+  if (page !== state.page) {
+    state.page = page;
+    renderTable();
+  } else {
+    updateSearchInfo();
+  }
+  revealSearchHit(f);
+}
+
+// Mark the navigator's cell and scroll it into view, bringing a windowed-out column in first
+function revealSearchHit(f) {
+  tableBody.querySelectorAll(".search-current").forEach((el) => el.classList.remove("search-current"));
+  const cursor = state.searchCursor;
+  if (!cursor) return;
+  const selector = `[data-idx="${cursor.row}"][data-col="${CSS.escape(cursor.col)}"]`;
+  let el = tableBody.querySelector(selector);
+  const layout = columnLayout(f);
+  if (!el && layout) {
+    const scrolling = displayHeaders(f).filter((h) => !layout.pinned.includes(h));
+    tableViewport.scrollLeft = Math.max(0, scrolling.indexOf(cursor.col) * layout.width);
+    renderGrid(f);
+    el = tableBody.querySelector(selector);
+  }
+  if (!el) return;
+  el.classList.add("search-current");
+  el.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+
+// --- Filtering ---
+// Rows passing the file's header filters and filter builder conditions. Stats, charts and exports
+// use these so they describe the same rows as the table (the search box only narrows the table view).
+function filteredIndices(f) {
+  return filterEngine.applyFile(f);
+}
+function filteredRows(f) {
+  if (!filterEngine.isFiltered(f)) return f.rows;
+  return filteredIndices(f).map((i) => f.rows[i]);
+}
+// "12 of 40 rows" note for panels that follow the filter
+function filterNote(f, count) {
+  return filterEngine.isFiltered(f)
+    ? ` <span class="text-xs text-amber-600">(filtered: ${count} of ${f.rows.length} rows)</span>`
+    : "";
+}
+
+function setFilter(f, filter) {
+  f.filter = filterEngine.isActive(filter) ? filter : null;
+  state.page = 0;
+  renderAll();
+  saveLocal();
+}
+
+function setColumnFilter(f, col, columnFilter) {
+  const rest = filterEngine.renameColumnFilters(f.columnFilters || {}, col, null);
+  f.columnFilters = columnFilter ? { ...rest, [col]: columnFilter } : rest;
+  if (!Object.keys(f.columnFilters).length) delete f.columnFilters;
+  state.page = 0;
+  renderAll();
+  saveLocal();
+}
+
+// One chip per header filter and per builder condition, with the AND/OR that joins it to the previous one
+function renderFilterChips(f) {
+  if (!f || !filterEngine.isFiltered(f)) {
+    filterChips.innerHTML = "";
+    filterChips.classList.add("hidden");
+    return;
+  }
+  const joiner = (word) =>
+    `<span class="text-xs font-semibold text-slate-500 uppercase">${word}</span>`;
+  const chip = (attr, id, label, title) =>
+    `<span class="filter-chip" ${attr}="${escapeAttr(id)}" title="${title}">${escapeHtml(
+      label
+    )}<button class="filter-chip-remove" ${attr}="${escapeAttr(id)}" title="Remove">✕</button></span>`;
+
+  const columnChips = Object.entries(f.columnFilters || {}).map(([col, cf]) =>
+    chip("data-col", col, filterEngine.describeColumnFilter(col, cf), "Edit column filter")
+  );
+  let builderChips = "";
+  if (filterEngine.isActive(f.filter)) {
+    const { logic, groups } = f.filter;
+    builderChips = groups
+      .map((g, gi) => {
+        const chips = g.conditions
+          .map((c, ci) => `${ci ? joiner(g.logic) : ""}${chip("data-id", c.id, filterEngine.describe(c), "Edit filter")}`)
+          .join("");
+        const wrapped = groups.length > 1 && g.conditions.length > 1
+          ? `<span class="filter-chip-group">${chips}</span>`
+          : chips;
+        return `${gi ? joiner(logic) : ""}${wrapped}`;
+      })
+      .join("");
+    // Header filters are ANDed with the whole builder filter, which an OR inside it must not hide
+    if (columnChips.length && logic === "or" && groups.length > 1) {
+      builderChips = `<span class="filter-chip-group">${builderChips}</span>`;
+    }
+  }
+  filterChips.innerHTML =
+    [...columnChips, builderChips].filter(Boolean).join(joiner("and")) +
+    '<button id="clearFiltersBtn" class="text-xs underline text-slate-500 ml-1">Clear filters</button>';
+  filterChips.classList.remove("hidden");
+
+  filterChips.querySelectorAll(".filter-chip").forEach((el) =>
+    el.addEventListener("click", () =>
+      el.dataset.col ? openColumnFilter(el.dataset.col, el) : openFilterBuilder()
+    )
+  );
+  filterChips.querySelectorAll(".filter-chip-remove").forEach((b) =>
+    b.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (b.dataset.col) setColumnFilter(f, b.dataset.col, null);
+      else setFilter(f, filterEngine.removeCondition(f.filter, b.dataset.id));
+    })
+  );
+  filterChips.querySelector("#clearFiltersBtn").addEventListener("click", () => {
+    delete f.columnFilters;
+    setFilter(f, null);
+  });
+}
+
+// --- Header filter dropdowns ---
+// Excel-style value checklist for one column, with a range slider for number and date columns.
+const COLUMN_FILTER_LIST = 500; // values rendered at once; the search box reaches the rest
+const DAY_MS = 86400000;
+let columnFilterMenu = null;
+
+function closeColumnFilter() {
+  if (!columnFilterMenu) return;
+  columnFilterMenu.remove();
+  columnFilterMenu = null;
+  document.removeEventListener("mousedown", onColumnFilterOutside);
+  document.removeEventListener("keydown", onColumnFilterKey);
+}
+function onColumnFilterOutside(e) {
+  if (columnFilterMenu && !columnFilterMenu.contains(e.target)) closeColumnFilter();
+}
+function onColumnFilterKey(e) {
+  if (e.key === "Escape") closeColumnFilter();
+}
+
+function openColumnFilter(col, anchor) {
+  const f = getActive();
+  if (!f) return;
+  closeColumnFilter();
+  const current = f.columnFilters?.[col] || {};
+  // Like Excel, the list only offers values still reachable through the other columns' filters
+  const values = filterEngine.distinctValues(
+    f,
+    col,
+    filterEngine.applyFile(f, { except: col })
+  );
+  const checked = new Set(current.values || values.map((v) => v.value));
+  const extent = filterEngine.columnRange(f, col);
+  const isDate = extent?.type === "date";
+  const fromRange = (v) => (isDate ? Date.parse(v) : Number(v));
+  const toRange = (v) =>
+    isDate ? new Date(v).toISOString().slice(0, 10) : Number(Number(v).toPrecision(6));
+  const step = !extent
+    ? 1
+    : isDate
+      ? DAY_MS
+      : Number.isInteger(extent.min) && Number.isInteger(extent.max)
+        ? 1
+        : (extent.max - extent.min) / 200 || 1;
+
+  const menu = document.createElement("div");
+  menu.className = "column-filter-menu";
+  menu.innerHTML = `
+    <div class="font-semibold text-sm">Filter: ${escapeHtml(col)}</div>
+    ${extent
+      ? `<div class="space-y-1 text-xs">
+      <label class="flex items-center gap-2">From <input id="cf_min" type="range" class="flex-1" min="${extent.min}" max="${extent.max}" step="${step}" /> <span id="cf_minLabel" class="w-20 text-right"></span></label>
+      <label class="flex items-center gap-2">To <input id="cf_max" type="range" class="flex-1" min="${extent.min}" max="${extent.max}" step="${step}" /> <span id="cf_maxLabel" class="w-20 text-right"></span></label>
+    </div>`
+      : ""
+    }
+    <input id="cf_search" class="w-full border rounded p-1 text-sm" placeholder="Search values" />
+    <div class="flex items-center gap-2 text-xs">
+      <button id="cf_all" class="underline">Select all</button>
+      <button id="cf_none" class="underline">Select none</button>
+      <span id="cf_count" class="ml-auto text-slate-500"></span>
+    </div>
+    <div id="cf_list" class="column-filter-list"></div>
+    <div class="flex justify-between">
+      <button id="cf_clear" class="px-2 py-1 border rounded text-xs">Clear</button>
+      <div><button id="cf_cancel" class="px-2 py-1 border rounded text-xs">Cancel</button><button id="cf_apply" class="px-2 py-1 bg-indigo-600 text-white rounded text-xs">Apply</button></div>
+    </div>`;
+  document.body.appendChild(menu);
+  columnFilterMenu = menu;
+  const rect = anchor.getBoundingClientRect();
+  menu.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - menu.offsetHeight - 8)}px`;
+  menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8))}px`;
+
+  const list = menu.querySelector("#cf_list");
+  const search = menu.querySelector("#cf_search");
+  const matching = () => {
+    const q = search.value.trim().toLowerCase();
+    return q ? values.filter((v) => v.value.toLowerCase().includes(q)) : values;
+  };
+  function renderList() {
+    const shown = matching();
+    list.innerHTML =
+      shown
+        .slice(0, COLUMN_FILTER_LIST)
+        .map(
+          (v) => `<label class="column-filter-item"><input type="checkbox" data-i="${values.indexOf(v)}" ${checked.has(v.value) ? "checked" : ""
+            } /><span class="flex-1 truncate">${v.value === "" ? "<em>(Empty)</em>" : escapeHtml(v.value)
+            }</span><span class="text-slate-500">${v.count}</span></label>`
+        )
+        .join("") +
+      (shown.length > COLUMN_FILTER_LIST
+        ? `<div class="text-xs text-slate-500 p-1">Showing ${COLUMN_FILTER_LIST} of ${shown.length} values — search to narrow down</div>`
+        : "");
+    menu.querySelector("#cf_count").textContent = `${values.filter((v) => checked.has(v.value)).length} of ${values.length} selected`;
+  }
+  list.addEventListener("change", (e) => {
+    const v = values[Number(e.target.dataset.i)];
+    if (e.target.checked) checked.add(v.value);
+    else checked.delete(v.value);
+    renderList();
+  });
+  search.addEventListener("input", renderList);
+  // Select all / none act on the values matching the search, as in Excel
+  menu.querySelector("#cf_all").addEventListener("click", () => {
+    matching().forEach((v) => checked.add(v.value));
+    renderList();
+  });
+  menu.querySelector("#cf_none").addEventListener("click", () => {
+    matching().forEach((v) => checked.delete(v.value));
+    renderList();
+  });
+
+  let minInput = null;
+  let maxInput = null;
+  if (extent) {
+    minInput = menu.querySelector("#cf_min");
+    maxInput = menu.querySelector("#cf_max");
+    minInput.value = current.range?.min != null ? fromRange(current.range.min) : extent.min;
+    maxInput.value = current.range?.max != null ? fromRange(current.range.max) : extent.max;
+    const showRange = (e) => {
+      // The handles can't cross: moving one past the other pushes it along
+      if (Number(minInput.value) > Number(maxInput.value)) {
+        if (e?.target === minInput) maxInput.value = minInput.value;
+        else minInput.value = maxInput.value;
+      }
+      menu.querySelector("#cf_minLabel").textContent = toRange(minInput.value);
+      menu.querySelector("#cf_maxLabel").textContent = toRange(maxInput.value);
+    };
+    minInput.addEventListener("input", showRange);
+    maxInput.addEventListener("input", showRange);
+    showRange();
+  }
+
+  menu.querySelector("#cf_cancel").addEventListener("click", closeColumnFilter);
+  menu.querySelector("#cf_clear").addEventListener("click", () => {
+    closeColumnFilter();
+    setColumnFilter(f, col, null);
+  });
+  menu.querySelector("#cf_apply").addEventListener("click", () => {
+    const columnFilter = {};
+    if (!values.every((v) => checked.has(v.value))) {
+      columnFilter.values = values.filter((v) => checked.has(v.value)).map((v) => v.value);
+    }
+    if (extent) {
+      // Half a step of slack: the slider snaps to steps and may not land exactly on the ends
+      const min = Number(minInput.value) > extent.min + step / 2 ? toRange(minInput.value) : null;
+      const max = Number(maxInput.value) < extent.max - step / 2 ? toRange(maxInput.value) : null;
+      if (min !== null || max !== null) columnFilter.range = { min, max };
+    }
+    closeColumnFilter();
+    setColumnFilter(f, col, Object.keys(columnFilter).length ? columnFilter : null);
+  });
+
+  renderList();
+  search.focus();
+  // Registered after the opening click has finished so it doesn't close the menu straight away
+  setTimeout(() => {
+    document.addEventListener("mousedown", onColumnFilterOutside);
+    document.addEventListener("keydown", onColumnFilterKey);
+  });
+}
+
+// Edit the filter as groups of conditions; each group matches ALL or ANY of its conditions and
+// the groups themselves are combined with AND or OR
+function openFilterBuilder() {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  if (!f.headers.length) return alert("This file has no columns");
+  const draft = f.filter
+    ? JSON.parse(JSON.stringify(f.filter))
+    : { logic: "and", groups: [] };
+  const newCondition = () => ({ id: uid(6), column: f.headers[0], op: "contains", value: "", value2: "" });
+  if (!draft.groups.length) draft.groups.push({ logic: "and", conditions: [newCondition()] });
+
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Filter — ${escapeHtml(f.name)}</h3>
+      <div id="fb_groups" class="space-y-3"></div>
+      <div class="flex items-center gap-2 text-sm">
+        <button id="fb_addGroup" class="px-2 py-1 border rounded text-sm">+ Add group</button>
+        <span>Combine groups with</span>
+        <select id="fb_logic" class="border rounded p-1 text-sm"><option value="and">AND</option><option value="or">OR</option></select>
+      </div>
+      <div id="fb_count" class="text-sm text-slate-600"></div>
+      <div class="flex justify-between"><button id="fb_clear" class="px-3 py-1 border rounded">Clear filter</button><div><button id="fb_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="fb_apply" class="px-3 py-1 bg-indigo-600 text-white rounded">Apply</button></div></div>
+    </div>`);
+  const groupsEl = modal.querySelector("#fb_groups");
+  const logicSel = modal.querySelector("#fb_logic");
+  logicSel.value = draft.logic;
+  const options = (list, value) =>
+    list
+      .map(
+        ([v, label]) =>
+          `<option value="${escapeAttr(v)}" ${v === value ? "selected" : ""}>${escapeHtml(label)}</option>`
+      )
+      .join("");
+
+  function render() {
+    groupsEl.innerHTML = draft.groups
+      .map(
+        (g, gi) => `<div class="border rounded p-2 space-y-2" data-g="${gi}">
+        <div class="flex items-center gap-2 text-sm">
+          <span class="font-medium">Group ${gi + 1}</span> — match
+          <select data-glogic class="border rounded p-1 text-sm">${options(
+          [["and", "ALL conditions"], ["or", "ANY condition"]],
+          g.logic
+        )}</select>
+          <button data-remove-group class="ml-auto px-1 border rounded text-xs">Remove group</button>
+        </div>
+        ${g.conditions
+            .map((c, ci) => {
+              const op = FILTER_OPERATORS.find((o) => o.id === c.op);
+              const error = filterEngine.validate(c, f);
+              return `<div class="flex flex-wrap items-center gap-2" data-c="${ci}">
+            <select data-prop="column" class="border rounded p-1 text-sm">${options(
+                f.headers.map((h) => [h, h]),
+                c.column
+              )}</select>
+            <select data-prop="op" class="border rounded p-1 text-sm">${options(
+                FILTER_OPERATORS.map((o) => [o.id, o.label]),
+                c.op
+              )}</select>
+            ${op.values >= 1
+                  ? `<input data-prop="value" class="border rounded p-1 text-sm w-32" value="${escapeAttr(
+                    c.value
+                  )}" placeholder="${c.op === "in" ? "a, b, c" : c.op === "top" ? "N" : "value"}" />`
+                  : ""
+                }
+            ${op.values === 2
+                  ? `and <input data-prop="value2" class="border rounded p-1 text-sm w-32" value="${escapeAttr(
+                    c.value2
+                  )}" placeholder="value" />`
+                  : ""
+                }
+            <button data-remove class="px-1 border rounded text-xs">✕</button>
+            <span class="fb-error text-xs text-red-600">${error ? escapeHtml(error) : ""}</span>
+          </div>`;
+            })
+            .join("")}
+        <button data-add class="px-2 py-1 border rounded text-xs">+ Condition</button>
+      </div>`
+      )
+      .join("");
+    updateCount();
+  }
+  // Live match count; conditions that can't be applied yet are left out
+  function updateCount() {
+    const usable = {
+      logic: logicSel.value,
+      groups: draft.groups.map((g) => ({
+        ...g,
+        conditions: g.conditions.filter((c) => !filterEngine.validate(c, f))
+      }))
+    };
+    const count = filterEngine.apply(f, usable).length;
+    modal.querySelector("#fb_count").textContent = `${count} of ${f.rows.length} rows match`;
+  }
+  const target = (e) => {
+    const g = draft.groups[Number(e.target.closest("[data-g]").dataset.g)];
+    const row = e.target.closest("[data-c]");
+    return { g, c: row ? g.conditions[Number(row.dataset.c)] : null, row };
+  };
+
+  groupsEl.addEventListener("input", (e) => {
+    const { c, row } = target(e);
+    if (!c || !e.target.dataset.prop) return;
+    c[e.target.dataset.prop] = e.target.value;
+    if (e.target.tagName === "INPUT") {
+      // Keep focus while typing: only the error text and the count are refreshed
+      const error = filterEngine.validate(c, f);
+      row.querySelector(".fb-error").textContent = error || "";
+      updateCount();
+    } else {
+      render();
+    }
+  });
+  groupsEl.addEventListener("change", (e) => {
+    if (!e.target.hasAttribute("data-glogic")) return;
+    target(e).g.logic = e.target.value;
+    updateCount();
+  });
+  groupsEl.addEventListener("click", (e) => {
+    if (e.target.tagName !== "BUTTON") return;
+    const { g, c } = target(e);
+    if (e.target.hasAttribute("data-add")) g.conditions.push(newCondition());
+    else if (e.target.hasAttribute("data-remove")) g.conditions.splice(g.conditions.indexOf(c), 1);
+    else if (e.target.hasAttribute("data-remove-group")) draft.groups.splice(draft.groups.indexOf(g), 1);
+    draft.groups = draft.groups.filter((x) => x.conditions.length);
+    render();
+  });
+  logicSel.addEventListener("change", updateCount);
+  modal.querySelector("#fb_addGroup").addEventListener("click", () => {
+    draft.groups.push({ logic: "and", conditions: [newCondition()] });
+    render();
+  });
+  modal.querySelector("#fb_clear").addEventListener("click", () => {
+    closeModal();
+    setFilter(f, null);
+  });
+  modal.querySelector("#fb_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#fb_apply").addEventListener("click", () => {
+    const invalid = draft.groups.flatMap((g) => g.conditions).find((c) => filterEngine.validate(c, f));
+    if (invalid) return alert(`${filterEngine.describe(invalid)}: ${filterEngine.validate(invalid, f)}`);
+    draft.logic = logicSel.value;
+    closeModal();
+    setFilter(f, draft);
+  });
+  render();
+}
+
+// --- Column visibility / order and saved views ---
+// Columns the table shows, in display order; the file's own header order is left alone
+function displayHeaders(f) {
+  return viewManager.orderedHeaders(f, { hidden: false });
+}
+
+function moveColumn(col, delta) {
+  const f = getActive();
+  if (!f) return;
+  const order = viewManager.orderedHeaders(f);
+  const i = order.indexOf(col);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= order.length) return;
+  [order[i], order[j]] = [order[j], order[i]];
+  f.columnOrder = order;
+  renderAll();
+  saveLocal();
+}
+
+function toggleColumnHidden(col) {
+  const f = getActive();
+  if (!f) return;
+  const hidden = f.hiddenColumns || [];
+  if (hidden.includes(col)) {
+    f.hiddenColumns = hidden.filter((c) => c !== col);
+  } else {
+    if (displayHeaders(f).length <= 1) return alert("At least one column must stay visible");
+    f.hiddenColumns = [...hidden, col];
+  }
+  renderAll();
+  saveLocal();
+}
+
+function renderViewSelect(f) {
+  if (!f) {
+    viewSelect.innerHTML = "";
+    viewSelect.disabled = true;
+    return;
+  }
+  viewSelect.disabled = false;
+  const views = f.views || [];
+  const active = views.find((v) => v.id === f.activeView);
+  const modified = active && !viewManager.matches(f, active, uiSettings());
+  viewSelect.innerHTML =
+    (active ? "" : '<option value="" selected>Unsaved view</option>') +
+    views
+      .map(
+        (v) =>
+          `<option value="${escapeAttr(v.id)}" ${v === active ? "selected" : ""}>${escapeHtml(
+            v.name
+          )}${v === active && modified ? " (modified)" : ""}</option>`
       )
-    );
-  tableHead.querySelectorAll(".del-col").forEach((b) =>
-    b.addEventListener("click", (e) => {
-      if (confirm("Delete column " + e.target.dataset.col + "?"))
-        deleteColumn(e.target.dataset.col);
-    })
-  );
+      .join("") +
+    '<option value="__default">Reset to default view</option>';
+}
 
-  // Enhanced table stats
-  const displayedRows = paged.length;
-  const filteredCount = state.filteredRows ? state.filteredRows.length : f.rows.length;
-  const totalRowsText = state.filteredRows ? `${filteredCount} filtered` : `${f.rows.length}`;
-  tableStats.textContent = `${totalRowsText} rows • ${f.headers.length} cols (showing ${displayedRows})`;
+function applyView(f, view) {
+  applyUiSettings(viewManager.apply(f, view));
+  renderAll();
+  saveLocal();
+  saveUi();
+}
 
-  // Update filter column dropdown
-  filterColumn.innerHTML = '<option value="">All columns</option>' +
-    f.headers.map(h => `<option value="${escapeAttr(h)}" ${h === state.filterColumn ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('');
+// Default view: every row and column in file order, no search
+function resetView(f) {
+  viewManager.reset(f);
+  applyUiSettings({ searchTerm: "", searchMode: state.searchMode, filterColumn: "", perPage: state.perPage });
+  renderAll();
+  saveLocal();
+  saveUi();
+}
 
-  renderColumnsPanel();
-  populateChartColumns();
-  updateDataInsights();
+viewSelect.addEventListener("change", () => {
+  const f = getActive();
+  if (!f) return;
+  if (viewSelect.value === "__default") return resetView(f);
+  const view = (f.views || []).find((v) => v.id === viewSelect.value);
+  if (view) applyView(f, view);
+});
 
-  // Record render time
-  const renderEnd = performance.now();
-  performanceMonitor.recordRenderTime(renderEnd - renderStart);
+document.getElementById("saveViewBtn").addEventListener("click", () => {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  const active = (f.views || []).find((v) => v.id === f.activeView);
+  const name = prompt("View name", active ? active.name : `View ${(f.views || []).length + 1}`);
+  if (!name || !name.trim()) return;
+  const existing = (f.views || []).find((v) => v.name === name.trim());
+  if (existing && existing !== active && !confirm(`Replace the view "${existing.name}"?`)) return;
+  viewManager.save(f, name.trim(), uiSettings());
+  renderViewSelect(f);
+  saveLocal();
+});
+
+document.getElementById("manageViewsBtn").addEventListener("click", openViewsModal);
+
+function openViewsModal() {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Saved views — ${escapeHtml(f.name)}</h3>
+      <div id="vw_list" class="space-y-2"></div>
+      <div class="text-xs text-slate-500">A view stores the filter, header filters, sort, search, hidden columns, column order and page size.</div>
+      <div class="text-right"><button id="vw_close" class="px-3 py-1 border rounded">Close</button></div>
+    </div>`);
+  const list = modal.querySelector("#vw_list");
+  function render() {
+    const views = f.views || [];
+    list.innerHTML = views.length
+      ? views
+        .map(
+          (v) => `<div class="flex items-center gap-2" data-id="${escapeAttr(v.id)}">
+          <input data-rename class="border rounded p-1 text-sm flex-1" value="${escapeAttr(v.name)}" />
+          <button data-apply class="px-2 py-1 border rounded text-xs">Apply</button>
+          <button data-update class="px-2 py-1 border rounded text-xs" title="Replace with the current filter, sort and columns">Update</button>
+          <button data-delete class="px-2 py-1 border rounded text-xs">Delete</button>
+        </div>`
+        )
+        .join("")
+      : '<div class="text-sm text-slate-500">No saved views yet — use "Save view".</div>';
+  }
+  list.addEventListener("change", (e) => {
+    if (!e.target.hasAttribute("data-rename")) return;
+    const id = e.target.closest("[data-id]").dataset.id;
+    const name = e.target.value.trim();
+    if (!name) return render();
+    viewManager.rename(f, id, name);
+    renderViewSelect(f);
+    saveLocal();
+  });
+  list.addEventListener("click", (e) => {
+    if (e.target.tagName !== "BUTTON") return;
+    const view = (f.views || []).find((v) => v.id === e.target.closest("[data-id]").dataset.id);
+    if (!view) return;
+    if (e.target.hasAttribute("data-apply")) {
+      closeModal();
+      return applyView(f, view);
+    }
+    if (e.target.hasAttribute("data-update")) {
+      viewManager.save(f, view.name, uiSettings());
+    } else if (e.target.hasAttribute("data-delete")) {
+      if (!confirm(`Delete the view "${view.name}"?`)) return;
+      viewManager.remove(f, view.id);
+    }
+    render();
+    renderViewSelect(f);
+    saveLocal();
+  });
+  modal.querySelector("#vw_close").addEventListener("click", closeModal);
+  render();
+}
+
+function computedBadge(f, col) {
+  if (!formulaEngine.isComputed(f, col)) return "";
+  return ` <span class="computed-badge" title="${escapeAttr(
+    "= " + f.computed[col]
+  )}">ƒx</span>`;
 }
 
 function renderColumnsPanel() {
   const f = getActive();
   columnsPanel.innerHTML = "";
   if (!f) return;
-  f.headers.forEach((h) => {
+  const hidden = f.hiddenColumns || [];
+  viewManager.orderedHeaders(f).forEach((h, i, all) => {
     const el = document.createElement("div");
-    el.className = "flex items-center justify-between p-2 border rounded";
-    el.innerHTML = `<div class="text-sm">${escapeHtml(
+    el.className = `flex items-center justify-between p-2 border rounded${hidden.includes(h) ? " opacity-50" : ""}`;
+    const computed = formulaEngine.isComputed(f, h);
+    const label = computed
+      ? `<div class="text-sm">${escapeHtml(h)}${computedBadge(
+        f,
+        h
+      )}<div class="text-xs text-slate-500 font-mono">= ${escapeHtml(
+        f.computed[h]
+      )}</div></div>`
+      : `<div class="text-sm">${escapeHtml(h)}${schemaBadge(f, h)}</div>`;
+    const editBtn = computed
+      ? `<button data-col="${escapeAttr(
+        h
+      )}" class="editCalcBtn px-2 py-1 border rounded text-xs">Edit</button>`
+      : "";
+    el.innerHTML = `${label}<div class="flex gap-2"><button data-col="${escapeAttr(
+      h
+    )}" data-move="-1" class="moveColBtn px-1 border rounded text-xs" title="Move left" ${i === 0 ? "disabled" : ""}>↑</button><button data-col="${escapeAttr(
       h
-    )}</div><div class="flex gap-2"><button data-col="${escapeAttr(
+    )}" data-move="1" class="moveColBtn px-1 border rounded text-xs" title="Move right" ${i === all.length - 1 ? "disabled" : ""}>↓</button><button data-col="${escapeAttr(
+      h
+    )}" class="hideColBtn px-2 py-1 border rounded text-xs">${hidden.includes(h) ? "Show" : "Hide"}</button>${editBtn}<button data-col="${escapeAttr(
+      h
+    )}" class="schemaBtn px-2 py-1 border rounded text-xs">Schema</button><button data-col="${escapeAttr(
       h
     )}" class="sampleBtn px-2 py-1 border rounded text-xs">Sample</button><button data-col="${escapeAttr(
       h
     )}" class="statsBtn px-2 py-1 border rounded text-xs">Stats</button></div>`;
     columnsPanel.appendChild(el);
   });
+  columnsPanel
+    .querySelectorAll(".moveColBtn")
+    .forEach((b) =>
+      b.addEventListener("click", (e) =>
+        moveColumn(e.target.dataset.col, Number(e.target.dataset.move))
+      )
+    );
+  columnsPanel
+    .querySelectorAll(".hideColBtn")
+    .forEach((b) =>
+      b.addEventListener("click", (e) => toggleColumnHidden(e.target.dataset.col))
+    );
+  columnsPanel
+    .querySelectorAll(".schemaBtn")
+    .forEach((b) =>
+      b.addEventListener("click", (e) => openSchemaModal(e.target.dataset.col))
+    );
   columnsPanel
     .querySelectorAll(".sampleBtn")
     .forEach((b) =>
@@ -1004,6 +3367,13 @@ function renderColumnsPanel() {
     .forEach((b) =>
       b.addEventListener("click", (e) => showColumnStats(e.target.dataset.col))
     );
+  columnsPanel
+    .querySelectorAll(".editCalcBtn")
+    .forEach((b) =>
+      b.addEventListener("click", (e) =>
+        openComputedColumnModal(e.target.dataset.col)
+      )
+    );
 }
 
 function populateChartColumns() {
@@ -1011,13 +3381,13 @@ function populateChartColumns() {
   chartColumnSelect.innerHTML =
     '<option value="">Select numeric column</option>';
   if (!f) return;
-  const numericCandidates = f.headers.filter((h) =>
-    f.rows.some((r) => !isNaN(parseFloat(r[h])) && r[h] !== "")
+  const numericCandidates = f.headers.filter(
+    (h) => columnType(f, h) === "number"
   );
   numericCandidates.forEach((h) => {
     const opt = document.createElement("option");
     opt.value = h;
-    opt.textContent = h;
+    opt.textContent = h + columnUnit(f, h);
     chartColumnSelect.appendChild(opt);
   });
 }
@@ -1027,10 +3397,9 @@ function renderMiniChart(col) {
   const f = getActive();
   if (!f || !col) return;
   const counts = {};
-  f.rows.forEach((r) => {
+  filteredRows(f).forEach((r) => {
     const k = r[col] ?? "";
-    counts[k] =
-      (counts[k] || 0) + (isNaN(parseFloat(r[col])) ? 1 : parseFloat(r[col]));
+    counts[k] = (counts[k] || 0) + (numericValue(r[col]) ?? 1);
   });
   const labels = Object.keys(counts).slice(0, 40);
   const data = labels.map((k) => counts[k]);
@@ -1049,7 +3418,7 @@ function addRow() {
   const row = {};
   f.headers.forEach((h) => (row[h] = ""));
   f.rows.push(row);
-  pushHistory();
+  recordStep("Add row").insertRows(f, [f.rows.length - 1]).commit();
   renderAll();
   saveLocal();
 }
@@ -1062,12 +3431,91 @@ function addColumn() {
     alert("Column exists");
     return;
   }
+  const step = recordStep(`Add column ${name}`).meta(f);
   f.headers.push(name);
   f.rows.forEach((r) => (r[name] = ""));
-  pushHistory();
+  step.addColumn(f, name);
+  ensureSchema(f);
+  step.commit();
   renderAll();
   saveLocal();
 }
+// Add (or edit, when `existing` is given) a column derived from an expression over other columns
+function openComputedColumnModal(existing = null) {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  const html = `
+    <div class="space-y-3">
+      <h3 class="font-semibold">${existing ? "Edit" : "Add"} calculated column</h3>
+      <label>Column name</label>
+      <input id="cc_name" class="w-full border rounded p-2" value="${escapeAttr(
+    existing || "calc_col"
+  )}" ${existing ? "disabled" : ""} />
+      <label>Expression</label>
+      <input id="cc_expr" class="w-full border rounded p-2 font-mono" placeholder='revenue / units  or  IF(region = "West", price * 1.1, price)' value="${escapeAttr(
+    existing ? f.computed[existing] : ""
+  )}" />
+      <div class="text-xs text-slate-500">Columns: ${f.headers
+      .map((h) => escapeHtml(h))
+      .join(", ")}</div>
+      <div id="cc_error" class="text-xs text-red-600"></div>
+      <div id="cc_preview" class="max-h-32 overflow-auto border rounded p-2 text-xs font-mono"></div>
+      <div class="text-right"><button id="cc_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="cc_save" class="px-3 py-1 bg-indigo-600 text-white rounded">Save</button></div>
+    </div>`;
+  const modal = openModal(html);
+  const cc_name = modal.querySelector("#cc_name"),
+    cc_expr = modal.querySelector("#cc_expr"),
+    cc_error = modal.querySelector("#cc_error"),
+    cc_preview = modal.querySelector("#cc_preview");
+
+  function preview() {
+    const expr = cc_expr.value;
+    const error = expr.trim() ? formulaEngine.validateExpression(f, expr) : null;
+    cc_error.textContent = error || "";
+    if (error || !expr.trim()) {
+      cc_preview.innerHTML = "";
+      return;
+    }
+    const source = "=" + formulaEngine.normalizeExpression(expr);
+    cc_preview.innerHTML = f.rows
+      .slice(0, 5)
+      .map(
+        (r, idx) =>
+          `Row ${idx + 1}: ${escapeHtml(
+            String(
+              formulaEngine.toCellValue(
+                formulaEngine.evaluate(source, { file: f, rowIndex: idx })
+              )
+            )
+          )}`
+      )
+      .join("<br/>");
+  }
+  cc_expr.addEventListener("input", debounce(preview, 200));
+  preview();
+  modal.querySelector("#cc_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#cc_save").addEventListener("click", () => {
+    const name = existing || cc_name.value.trim();
+    if (!name) return alert("Column name required");
+    if (!existing && f.headers.includes(name)) return alert("Column exists");
+    const error = formulaEngine.validateExpression(f, cc_expr.value);
+    if (error) {
+      cc_error.textContent = error;
+      return;
+    }
+    const step = recordStep(`${existing ? "Edit" : "Add"} calculated column ${name}`).meta(f);
+    if (!existing) {
+      f.headers.push(name);
+      f.rows.forEach((r) => (r[name] = ""));
+      step.addColumn(f, name);
+    }
+    formulaEngine.setComputedColumn(f, name, cc_expr.value);
+    step.commit();
+    closeModal();
+    renderAll();
+    saveLocal();
+  });
+}
 function deleteSelectedRows() {
   const f = getActive();
   if (!f) return;
@@ -1075,8 +3523,11 @@ function deleteSelectedRows() {
     .filter((cb) => cb.checked)
     .map((cb) => Number(cb.dataset.idx));
   if (!sel.length) return alert("No rows selected");
+  takeSnapshots([f], "Before deleting rows");
+  const step = recordStep(`Delete ${sel.length} row${sel.length === 1 ? "" : "s"}`).deleteRows(f, sel);
   sel.sort((a, b) => b - a).forEach((i) => f.rows.splice(i, 1));
-  pushHistory();
+  formulaEngine.removeRows(f, sel);
+  step.commit();
   renderAll();
   saveLocal();
 }
@@ -1085,9 +3536,15 @@ function deleteColumn(col) {
   if (!f) return;
   const idx = f.headers.indexOf(col);
   if (idx < 0) return;
+  takeSnapshots([f], `Before deleting column ${col}`);
+  const step = recordStep(`Delete column ${col}`).meta(f).deleteColumn(f, col);
   f.headers.splice(idx, 1);
   f.rows.forEach((r) => delete r[col]);
-  pushHistory();
+  if (f.schema) delete f.schema[col];
+  if (f.pinnedColumns) f.pinnedColumns = f.pinnedColumns.filter((c) => c !== col);
+  viewManager.renameColumn(f, col, null);
+  formulaEngine.removeColumn(f, col);
+  step.commit();
   renderAll();
   saveLocal();
 }
@@ -1100,12 +3557,23 @@ function promptRenameColumn(oldName) {
     alert("Column exists");
     return;
   }
+  if (newName === oldName) return;
+  const step = recordStep(`Rename column ${oldName} to ${newName}`).meta(f).renameColumn(f, oldName, newName);
   f.headers = f.headers.map((h) => (h === oldName ? newName : h));
   f.rows.forEach((r) => {
     r[newName] = r[oldName];
     delete r[oldName];
   });
-  pushHistory();
+  if (f.schema?.[oldName] && newName !== oldName) {
+    f.schema[newName] = f.schema[oldName];
+    delete f.schema[oldName];
+  }
+  if (f.pinnedColumns) {
+    f.pinnedColumns = f.pinnedColumns.map((c) => (c === oldName ? newName : c));
+  }
+  viewManager.renameColumn(f, oldName, newName);
+  formulaEngine.renameColumn(f, oldName, newName);
+  step.commit();
   renderAll();
   saveLocal();
 }
@@ -1118,6 +3586,32 @@ function csvEscape(v) {
     return `"${v.replace(/"/g, '""')}"`;
   return v;
 }
+// Exports the rows passing the file's filter; formulas are looked up by the original row index
+function fileToCsv(f, useFormulas = false) {
+  const rows = [f.headers.join(",")].concat(
+    filteredIndices(f).map((idx) =>
+      f.headers
+        .map((h) =>
+          csvEscape(
+            (useFormulas && formulaEngine.getFormula(f, idx, h)) || f.rows[idx][h]
+          )
+        )
+        .join(",")
+    )
+  );
+  return rows.join("\n");
+}
+function exportFileCsv(f) {
+  const useFormulas =
+    formulaEngine.hasFormulas(f) &&
+    confirm(
+      "This file contains formulas.\nOK = export formulas, Cancel = export computed values."
+    );
+  downloadBlob(
+    new Blob([fileToCsv(f, useFormulas)], { type: "text/csv" }),
+    f.name.replace(/\.[^/.]+$/, "") + ".csv"
+  );
+}
 function downloadBlob(blob, name) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
@@ -1129,29 +3623,80 @@ function downloadBlob(blob, name) {
   URL.revokeObjectURL(url);
 }
 
+// --- Excel export ---
+function openXlsxExportModal() {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  if (state.files.length < 2) return exportXlsx([f], f.name);
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Export to Excel</h3>
+      <label class="block text-sm"><input type="radio" name="x_scope" value="active" checked /> Active file only (${escapeHtml(
+    f.name
+  )})</label>
+      <label class="block text-sm"><input type="radio" name="x_scope" value="workspace" /> Whole workspace — ${state.files.length
+    } files, one sheet each</label>
+      <div class="text-right"><button id="x_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="x_export" class="px-3 py-1 bg-indigo-600 text-white rounded">Export</button></div>
+    </div>`);
+  modal.querySelector("#x_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#x_export").addEventListener("click", () => {
+    const scope = modal.querySelector("input[name=x_scope]:checked").value;
+    closeModal();
+    if (scope === "workspace") exportXlsx(state.files, "workspace.xlsx");
+    else exportXlsx([f], f.name);
+  });
+}
+async function exportXlsx(files, name) {
+  try {
+    const blob = await xlsxWriter.build(
+      files.map((f) => ({
+        name: f.name,
+        headers: f.headers,
+        rows: filteredRows(f),
+        schema: f.schema
+      }))
+    );
+    downloadBlob(blob, name.replace(/\.[^/.]+$/, "") + ".xlsx");
+  } catch (err) {
+    alert("Excel export failed: " + (err.message || err));
+  }
+}
+
 // --- Auto-cleaning / formatting ---
 function autoCleanAllFiles() {
+  takeSnapshots(state.files, "Before auto-clean");
+  const step = recordStep("Auto-clean");
   state.files.forEach((f) => {
-    f.rows.forEach((r) => {
+    f.rows.forEach((r, idx) => {
       f.headers.forEach((h) => {
+        const set = (value) => {
+          if (value !== r[h]) step.setCell(f, idx, h, value);
+        };
         let v = r[h];
         if (typeof v === "string") v = v.trim();
+        // columns explicitly typed as text (e.g. zip codes) are left alone
+        if (f.schema?.[h]?.type === "text") {
+          set(v);
+          return;
+        }
         // currency
         if (typeof v === "string" && /^\$?\s*\d[\d,]*\.?\d*$/.test(v)) {
-          r[h] = parseFloat(String(v).replace(/[^0-9.-]+/g, ""));
+          set(parseFloat(String(v).replace(/[^0-9.-]+/g, "")));
           return;
         }
         // date detection
         const iso = parseDate(safeString(v));
         if (iso) {
-          r[h] = new Date(iso).toISOString().slice(0, 10);
+          set(new Date(iso).toISOString().slice(0, 10));
           return;
         }
-        r[h] = v;
+        set(v);
       });
     });
+    dependencyGraph.recalculate(f);
+    searchIndex.touch(f);
   });
-  pushHistory();
+  step.commit();
   renderAll();
   saveLocal();
   alert(
@@ -1244,15 +3789,24 @@ function openVlookupModal() {
       const k = String(r[lookKey] ?? "").trim();
       if (k !== "") map[k] = r;
     });
+    const step = recordStep(`Merge from ${look.name}`).meta(base);
     cols.forEach((c) => {
-      if (!base.headers.includes(c)) base.headers.push(c);
+      if (base.headers.includes(c)) return;
+      base.headers.push(c);
+      base.rows.forEach((r) => (r[c] = ""));
+      step.addColumn(base, c);
     });
-    base.rows.forEach((r) => {
+    base.rows.forEach((r, idx) => {
       const k = String(r[baseKey] ?? "").trim();
       const found = map[k];
-      cols.forEach((c) => (r[c] = found ? found[c] ?? "" : r[c] ?? ""));
+      cols.forEach((c) => {
+        const value = found ? found[c] ?? "" : r[c] ?? "";
+        if (value !== r[c]) step.setCell(base, idx, c, value);
+      });
     });
-    pushHistory();
+    dependencyGraph.recalculate(base);
+    searchIndex.touch(base);
+    step.commit();
     renderAll();
     saveLocal();
     closeModal();
@@ -1260,37 +3814,242 @@ function openVlookupModal() {
   });
 }
 
-// --- Compare headers ---
-function compareHeaders() {
-  if (state.files.length < 2) return alert("Upload at least two files");
-  const pairs = [];
-  for (let i = 0; i < state.files.length; i++) {
-    for (let j = i + 1; j < state.files.length; j++) {
-      const a = state.files[i],
-        b = state.files[j];
-      const onlyA = a.headers.filter((h) => !b.headers.includes(h));
-      const onlyB = b.headers.filter((h) => !a.headers.includes(h));
-      const both = a.headers.filter((h) => b.headers.includes(h));
-      pairs.push({ a: a.name, b: b.name, onlyA, onlyB, both });
+// --- Pivot table ---
+function openPivotModal() {
+  const f = getActive();
+  if (!f) return alert("No active file");
+  const config = { rows: [], columns: [], values: [], subtotals: true, grandTotals: true };
+  const fieldOptions = f.headers
+    .map((h) => `<option value="${escapeAttr(h)}">${escapeHtml(h)}</option>`)
+    .join("");
+  const aggOptions = Object.entries(AGGREGATIONS)
+    .map(([key, def]) => `<option value="${key}">${def.label}</option>`)
+    .join("");
+  const html = `
+    <div class="space-y-3">
+      <h3 class="font-semibold">Pivot Table — ${escapeHtml(f.name)}</h3>
+      <div class="grid grid-cols-3 gap-2 text-sm">
+        <div>
+          <label>Rows</label>
+          <div class="flex gap-1"><select id="p_row_field" class="flex-1 border rounded p-1">${fieldOptions}</select><button id="p_add_row" class="px-2 border rounded">+</button></div>
+          <div id="p_rows" class="flex flex-wrap gap-1 mt-1"></div>
+        </div>
+        <div>
+          <label>Columns</label>
+          <div class="flex gap-1"><select id="p_col_field" class="flex-1 border rounded p-1">${fieldOptions}</select><button id="p_add_col" class="px-2 border rounded">+</button></div>
+          <div id="p_cols" class="flex flex-wrap gap-1 mt-1"></div>
+        </div>
+        <div>
+          <label>Values</label>
+          <div class="flex gap-1"><select id="p_val_field" class="flex-1 border rounded p-1">${fieldOptions}</select><select id="p_val_agg" class="border rounded p-1">${aggOptions}</select><button id="p_add_val" class="px-2 border rounded">+</button></div>
+          <div id="p_vals" class="flex flex-wrap gap-1 mt-1"></div>
+        </div>
+      </div>
+      <div class="flex gap-4 text-sm">
+        <label><input type="checkbox" id="p_subtotals" checked /> Subtotals</label>
+        <label><input type="checkbox" id="p_grand" checked /> Grand totals</label>
+      </div>
+      <div id="p_error" class="text-xs text-red-600"></div>
+      <div id="p_result" class="max-h-80 overflow-auto border rounded"></div>
+      <div class="text-right"><button id="p_cancel" class="px-3 py-1 border rounded">Close</button><button id="p_materialize" class="px-3 py-1 bg-indigo-600 text-white rounded" disabled>Materialize as File</button></div>
+    </div>`;
+  const modal = openModal(html);
+  const p_error = modal.querySelector("#p_error"),
+    p_result = modal.querySelector("#p_result"),
+    p_materialize = modal.querySelector("#p_materialize");
+  let result = null;
+
+  function chip(text, onRemove) {
+    const el = document.createElement("span");
+    el.className = "pivot-chip";
+    el.textContent = text;
+    const x = document.createElement("button");
+    x.textContent = "×";
+    x.title = "Remove";
+    x.addEventListener("click", onRemove);
+    el.appendChild(x);
+    return el;
+  }
+
+  function renderChips() {
+    [
+      ["#p_rows", config.rows],
+      ["#p_cols", config.columns]
+    ].forEach(([sel, list]) => {
+      const box = modal.querySelector(sel);
+      box.innerHTML = "";
+      list.forEach((field, i) =>
+        box.appendChild(
+          chip(field, () => {
+            list.splice(i, 1);
+            update();
+          })
+        )
+      );
+    });
+    const vals = modal.querySelector("#p_vals");
+    vals.innerHTML = "";
+    config.values.forEach((v, i) =>
+      vals.appendChild(
+        chip(pivotEngine.valueLabel(v), () => {
+          config.values.splice(i, 1);
+          update();
+        })
+      )
+    );
+  }
+
+  function renderResult() {
+    if (!result) {
+      p_result.innerHTML = "";
+      return;
     }
+    const head = result.headers
+      .map((h) => `<th class="px-2 py-1 text-left">${escapeHtml(h)}</th>`)
+      .join("");
+    const body = result.rows
+      .map(
+        (r, i) =>
+          `<tr class="pivot-${result.rowTypes[i]}">${result.headers
+            .map((h) => `<td class="px-2 py-1">${escapeHtml(r[h] ?? "")}</td>`)
+            .join("")}</tr>`
+      )
+      .join("");
+    p_result.innerHTML = `<table class="pivot-table w-full text-xs"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
   }
-  const html = pairs
-    .map(
-      (p) =>
-        `<div class="mb-2 border-b pb-2"><div class="font-medium">${escapeHtml(
-          p.a
-        )} ⇄ ${escapeHtml(
-          p.b
-        )}</div><div class="text-xs text-slate-600">Shared: ${p.both.length
-        } • Only ${escapeHtml(p.a)}: ${p.onlyA.length} • Only ${escapeHtml(
-          p.b
-        )}: ${p.onlyB.length}</div></div>`
-    )
-    .join("");
-  openModal(
-    `<div><h3 class="font-semibold">Header Comparison</h3><div class="max-h-64 overflow-auto mt-2">${html}</div><div class="text-right mt-2"><button id="closeCmp" class="px-3 py-1 border rounded">Close</button></div></div>`
-  );
-  document.getElementById("closeCmp").addEventListener("click", closeModal);
+
+  function update() {
+    renderChips();
+    config.subtotals = modal.querySelector("#p_subtotals").checked;
+    config.grandTotals = modal.querySelector("#p_grand").checked;
+    p_error.textContent = "";
+    result = null;
+    if (config.values.length) {
+      try {
+        result = pivotEngine.build(f, config);
+      } catch (err) {
+        p_error.textContent = err.message || String(err);
+      }
+    }
+    p_materialize.disabled = !result;
+    renderResult();
+  }
+
+  function addField(list, value) {
+    if (!value || config.rows.includes(value) || config.columns.includes(value))
+      return;
+    list.push(value);
+    update();
+  }
+
+  modal
+    .querySelector("#p_add_row")
+    .addEventListener("click", () =>
+      addField(config.rows, modal.querySelector("#p_row_field").value)
+    );
+  modal
+    .querySelector("#p_add_col")
+    .addEventListener("click", () =>
+      addField(config.columns, modal.querySelector("#p_col_field").value)
+    );
+  modal.querySelector("#p_add_val").addEventListener("click", () => {
+    const field = modal.querySelector("#p_val_field").value;
+    const agg = modal.querySelector("#p_val_agg").value;
+    if (config.values.some((v) => v.field === field && v.agg === agg)) return;
+    config.values.push({ field, agg });
+    update();
+  });
+  modal.querySelector("#p_subtotals").addEventListener("change", update);
+  modal.querySelector("#p_grand").addEventListener("change", update);
+  modal.querySelector("#p_cancel").addEventListener("click", closeModal);
+  p_materialize.addEventListener("click", () => {
+    if (!result) return;
+    const base = f.name.replace(/\.[^/.]+$/, "");
+    const file = pivotEngine.toFile(result, `${base}_pivot.csv`, uid(8));
+    state.files.push(file);
+    state.activeId = file.id;
+    recordStep(`Create ${file.name}`).addFile(file).commit();
+    closeModal();
+    renderAll();
+    saveLocal();
+  });
+  update();
+}
+
+// --- Compare files ---
+// Diff two files row by row, matching rows on key columns or, without keys, by their order
+function openCompareFiles(aId = state.activeId, bId = null, keys = []) {
+  if (state.files.length < 2) return alert("Upload at least two files");
+  if (!state.files.some((f) => f.id === aId)) aId = state.files[0].id;
+  if (!bId) bId = state.files.find((f) => f.id !== aId).id;
+  const options = state.files.map((f) => `<option value="${escapeAttr(f.id)}">${escapeHtml(f.name)}</option>`).join("");
+  const modal = openModal(`
+    <div class="space-y-3">
+      <h3 class="font-semibold">Compare files</h3>
+      <div class="grid grid-cols-2 gap-2 text-sm">
+        <label>From <select id="cf_a" class="border rounded p-1 w-full">${options}</select></label>
+        <label>To <select id="cf_b" class="border rounded p-1 w-full">${options}</select></label>
+      </div>
+      <div id="cf_headers" class="text-xs text-slate-600"></div>
+      <div class="text-sm">Key columns</div>
+      <div id="cf_keys" class="flex flex-wrap gap-x-4 gap-y-1 text-sm"></div>
+      <div class="text-xs text-slate-500">Rows with the same values in the key columns are compared. Without keys, rows are lined up in order.</div>
+      <div class="flex justify-end gap-2"><button id="cf_cancel" class="px-3 py-1 border rounded">Cancel</button><button id="cf_ok" class="px-3 py-1 bg-blue-600 text-white rounded">Compare</button></div>
+    </div>`);
+  const selectA = modal.querySelector("#cf_a");
+  const selectB = modal.querySelector("#cf_b");
+  selectA.value = aId;
+  selectB.value = bId;
+  const files = () => [selectA.value, selectB.value].map((id) => state.files.find((f) => f.id === id));
+  function render() {
+    const [a, b] = files();
+    const shared = a.headers.filter((h) => b.headers.includes(h));
+    modal.querySelector("#cf_headers").textContent = `Shared columns: ${shared.length} • Only in ${a.name}: ${
+      a.headers.length - shared.length
+    } • Only in ${b.name}: ${b.headers.length - shared.length}`;
+    const checked = new Set([...modal.querySelectorAll("#cf_keys input:checked")].map((cb) => cb.value).concat(keys));
+    keys = [];
+    modal.querySelector("#cf_keys").innerHTML =
+      shared
+        .map(
+          (h) =>
+            `<label class="flex items-center gap-1"><input type="checkbox" value="${escapeAttr(h)}" ${checked.has(h) ? "checked" : ""} />${escapeHtml(h)}</label>`
+        )
+        .join("") || `<span class="text-slate-500">The files have no columns in common.</span>`;
+  }
+  selectA.addEventListener("change", render);
+  selectB.addEventListener("change", render);
+  modal.querySelector("#cf_cancel").addEventListener("click", closeModal);
+  modal.querySelector("#cf_ok").addEventListener("click", () => {
+    const [a, b] = files();
+    if (a === b) return alert("Pick two different files");
+    showFileDiff(a, b, [...modal.querySelectorAll("#cf_keys input:checked")].map((cb) => cb.value));
+  });
+  render();
+}
+
+function showFileDiff(a, b, keys) {
+  const diff = diffEngine.diff(a, b, keys);
+  showDiff(diff, a, b, {
+    labelA: a.name,
+    labelB: b.name,
+    back: () => openCompareFiles(a.id, b.id, keys),
+    onApply: (into, kinds) => {
+      const [target, source] = into === "a" ? [a, b] : [b, a];
+      if (!kinds.add && !kinds.remove && !kinds.update) return;
+      if (!confirm(`Change "${target.name}" to match "${source.name}"?`)) return;
+      takeSnapshots([target], `Before applying changes from ${source.name}`);
+      const step = recordStep(`Apply changes from ${source.name} to ${target.name}`);
+      const counts = diffEngine.apply(diff, a, b, step, { into, ...kinds });
+      step.commit();
+      renderAll();
+      saveLocal();
+      alert(
+        `${target.name}: ${counts.added} rows added, ${counts.removed} rows deleted and ${counts.updated} cells updated.`
+      );
+      showFileDiff(a, b, keys);
+    }
+  });
 }
 
 // --- Column sample / stats UI ---
@@ -1316,26 +4075,58 @@ function showColumnSample(col) {
 function showColumnStats(col) {
   const f = getActive();
   if (!f) return;
-  const vals = f.rows
-    .map((r) => {
-      const n = parseFloat(String(r[col]).replace(/[^0-9.-]+/g, ""));
-      return isNaN(n) ? null : n;
-    })
-    .filter((x) => x !== null);
-  if (!vals.length) return alert("No numeric values");
-  const sum = vals.reduce((a, b) => a + b, 0);
-  const avg = sum / vals.length;
-  const min = Math.min(...vals);
-  const max = Math.max(...vals);
+  const column = ensureSchema(f)[col];
+  const rows = filteredRows(f);
+  const present = rows
+    .map((r) => r[col])
+    .filter((v) => v !== null && v !== undefined && v !== "");
+  const empty = rows.length - present.length;
+  let body;
+  if (column.type === "number") {
+    const vals = present.map(numericValue).filter((x) => x !== null);
+    if (!vals.length) return alert("No numeric values");
+    const sum = vals.reduce((a, b) => a + b, 0);
+    const unit = columnUnit(f, col);
+    body = `<div>Count: ${vals.length}</div><div>Sum: ${sum}${unit}</div><div>Avg: ${sum / vals.length
+      }${unit}</div><div>Min: ${Math.min(...vals)}${unit}</div><div>Max: ${Math.max(
+        ...vals
+      )}${unit}</div>`;
+  } else if (column.type === "date") {
+    const dates = present
+      .map((v) => importTransformer.parseDate(String(v).trim(), column.format || DATE_FORMATS[0]))
+      .filter(Boolean)
+      .sort();
+    if (!dates.length) return alert("No valid dates");
+    body = `<div>Count: ${dates.length}</div><div>Earliest: ${escapeHtml(
+      dates[0]
+    )}</div><div>Latest: ${escapeHtml(dates[dates.length - 1])}</div>`;
+  } else {
+    const top = Object.entries(frequencyMap(present.map(String)))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+    body = `<div>Count: ${present.length}</div><div>Distinct: ${new Set(present.map(String)).size
+      }</div><div>Most common: ${top
+        .map(([v, n]) => `${escapeHtml(v)} (${n})`)
+        .join(", ")}</div>`;
+  }
   openModal(
-    `<div><h3 class="font-semibold">Stats: ${escapeHtml(col)}</h3><div>Count: ${vals.length
-    }</div><div>Sum: ${sum}</div><div>Avg: ${avg}</div><div>Min: ${min}</div><div>Max: ${max}</div><div class="text-right mt-2"><button id="closeSt" class="px-3 py-1 border rounded">Close</button></div></div>`
+    `<div><h3 class="font-semibold">Stats: ${escapeHtml(col)} <span class="text-xs text-slate-500">${escapeHtml(
+      column.type
+    )}</span>${filterNote(f, rows.length)}</h3>${column.description ? `<div class="text-xs text-slate-500">${escapeHtml(column.description)}</div>` : ""
+    }${body}<div>Empty: ${empty}</div><div class="text-right mt-2"><button id="closeSt" class="px-3 py-1 border rounded">Close</button></div></div>`
   );
   document.getElementById("closeSt").addEventListener("click", closeModal);
 }
 
 // --- Chatbot (local rule-based, powerful commands) ---
+const CHAT_LIMIT = 200; // messages kept per workspace
 function appendChat(text, who = "user") {
+  state.chat.push({ who, text: String(text) });
+  if (state.chat.length > CHAT_LIMIT) state.chat.splice(0, state.chat.length - CHAT_LIMIT);
+  addChatBubble(text, who);
+  saveLocal();
+}
+function addChatBubble(text, who) {
   const div = document.createElement("div");
   div.className = "mb-2";
   const bubble = document.createElement("div");
@@ -1345,6 +4136,10 @@ function appendChat(text, who = "user") {
   chatBox.appendChild(div);
   chatBox.scrollTop = chatBox.scrollHeight;
 }
+function renderChat() {
+  chatBox.innerHTML = "";
+  state.chat.forEach((m) => addChatBubble(m.text, m.who));
+}
 function chatSendQuery(q) {
   if (!q) return;
   appendChat(q, "user");
@@ -1563,10 +4358,13 @@ function processQuery(q) {
       return appendChat("Column not present in both files.", "bot");
     const countsA = frequencyMap(fileA.rows.map((r) => String(r[col] ?? ""))),
       countsB = frequencyMap(fileB.rows.map((r) => String(r[col] ?? "")));
+    const missing = (from, to) => Object.keys(from).filter((v) => !Object.prototype.hasOwnProperty.call(to, v)).length;
+    const onlyA = missing(countsA, countsB),
+      onlyB = missing(countsB, countsA);
     appendChat(
       `Comparison of ${col}:\nFile "${fileA.name}": ${Object.keys(countsA).length
-      } distinct.\nFile "${fileB.name}": ${Object.keys(countsB).length
-      } distinct.`,
+      } distinct, ${onlyA} not in "${fileB.name}".\nFile "${fileB.name}": ${Object.keys(countsB).length
+      } distinct, ${onlyB} not in "${fileA.name}".\nUse Compare Files for a row-by-row diff.`,
       "bot"
     );
     return;
@@ -1643,27 +4441,27 @@ function frequencyMap(arr) {
 }
 function summarize(f) {
   const cols = f.headers;
-  const rows = f.rows;
-  const numeric = cols.filter((c) =>
-    rows.some((r) => !isNaN(parseFloat(r[c])))
-  );
+  const rows = filteredRows(f);
+  const numeric = cols.filter((c) => columnType(f, c) === "number");
   const out = [
     `Summary for ${f.name}`,
-    `Rows: ${rows.length}`,
+    filterEngine.isFiltered(f)
+      ? `Rows: ${rows.length} of ${f.rows.length} (filter: ${filterEngine.describeFile(f)})`
+      : `Rows: ${rows.length}`,
     `Columns: ${cols.join(", ")}`,
     `Numeric columns: ${numeric.join(", ")}`
   ];
   numeric.forEach((c) => {
-    const vals = rows.map((r) => parseFloat(r[c])).filter((n) => !isNaN(n));
+    const vals = rows.map((r) => numericValue(r[c])).filter((n) => n !== null);
     if (!vals.length) return;
     const sum = vals.reduce((a, b) => a + b, 0);
     const avg = sum / vals.length;
     const min = Math.min(...vals);
     const max = Math.max(...vals);
     out.push(
-      `${c} — count:${vals.length} sum:${sum.toFixed(2)} avg:${avg.toFixed(
+      `${c}${columnUnit(f, c)} — count:${vals.length} sum:${sum.toFixed(
         2
-      )} min:${min} max:${max}`
+      )} avg:${avg.toFixed(2)} min:${min} max:${max}`
     );
   });
   return out.join("\n");
@@ -1725,9 +4523,12 @@ function exportSummaryPdf() {
 }
 
 // --- Modal helpers ---
-function openModal(html) {
+// Called when the open modal goes away, whether closed or replaced by another one
+let modalOnClose = null;
+
+function openModal(html, onClose = null) {
   const root = document.getElementById("modalRoot");
-  root.innerHTML = "";
+  closeModal();
   const overlay = document.createElement("div");
   overlay.className =
     "fixed inset-0 z-50 flex items-start justify-center p-4 bg-black/40";
@@ -1736,20 +4537,14 @@ function openModal(html) {
   inner.innerHTML = html;
   overlay.appendChild(inner);
   root.appendChild(overlay);
+  modalOnClose = onClose;
   return inner;
 }
 function closeModal() {
   document.getElementById("modalRoot").innerHTML = "";
-}
-
-// --- History (undo/redo minimal) ---
-function pushHistory() {
-  try {
-    const snap = JSON.stringify({ files: state.files });
-    state.history.push(snap);
-    if (state.history.length > 50) state.history.shift();
-    state.future = [];
-  } catch (e) { }
+  const onClose = modalOnClose;
+  modalOnClose = null;
+  onClose?.();
 }
 
 // --- Misc helpers for UI ---
@@ -1771,21 +4566,31 @@ function showColumnSample(col) {
   );
   document.getElementById("closeS").addEventListener("click", closeModal);
 }
-function showColumnStats(col) {
-  showColumnStats;
-} // already implemented above as showColumnStats (kept for compatibility)
 
 // --- Export / clear workspace ---
 exportWorkspaceBtn.addEventListener("click", () => {
-  const blob = new Blob([JSON.stringify({ files: state.files }, null, 2)], {
+  // Saved views travel with their files
+  const workspace = workspaceImporter.serialize({
+    name: state.workspace && state.workspace.name,
+    files: state.files,
+    activeId: state.activeId,
+    chat: state.chat
+  });
+  const blob = new Blob([JSON.stringify(workspace, null, 2)], {
     type: "application/json"
   });
   downloadBlob(blob, "workspace.json");
 });
 clearWorkspaceBtn.addEventListener("click", () => {
-  if (!confirm("Clear workspace?")) return;
-  state.files = [];
+  if (!confirm(`Remove all files from the workspace "${state.workspace.name}"?`)) return;
+  takeSnapshots(state.files, "Before clearing the workspace");
+  const step = recordStep("Clear workspace");
+  while (state.files.length) {
+    step.deleteFile(state.files[0]);
+    state.files.shift();
+  }
   state.activeId = null;
+  step.commit();
   saveLocal();
   renderAll();
 });
@@ -1815,21 +4620,18 @@ function downloadBlob(blob, name) {
 // --- small wrappers to link UI buttons to functions ---
 addRowBtn.addEventListener("click", addRow);
 addColBtn.addEventListener("click", addColumn);
+addCalcColBtn.addEventListener("click", () => openComputedColumnModal());
 deleteSelectedBtn.addEventListener("click", deleteSelectedRows);
 exportCsvBtn.addEventListener("click", () => {
   const f = getActive();
   if (!f) return alert("No active file");
-  const rows = [f.headers.join(",")].concat(
-    f.rows.map((r) => f.headers.map((h) => csvEscape(r[h])).join(","))
-  );
-  downloadBlob(
-    new Blob([rows.join("\n")], { type: "text/csv" }),
-    f.name.replace(/\.[^/.]+$/, "") + ".csv"
-  );
+  exportFileCsv(f);
 });
+exportXlsxBtn.addEventListener("click", openXlsxExportModal);
 autoCleanBtn.addEventListener("click", autoCleanAllFiles);
 vlookupBtn.addEventListener("click", openVlookupModal);
-compareBtn.addEventListener("click", compareHeaders);
+pivotBtn.addEventListener("click", openPivotModal);
+compareBtn.addEventListener("click", () => openCompareFiles());
 exportChatPdfBtn.addEventListener("click", exportChatPdf);
 exportSummaryPdfBtn.addEventListener("click", exportSummaryPdf);
 
@@ -1838,47 +4640,48 @@ chartColumnSelect.addEventListener("change", () => {
   renderMiniChart(chartColumnSelect.value);
 });
 
-// --- Init: load, demo if empty, render ---
-loadLocal();
-if (!state.files.length) {
-  // small demo dataset
-  const demo = {
-    id: uid(6),
-    name: "demo_sales.csv",
-    headers: ["order_date", "region", "product", "units", "price", "revenue"],
-    rows: [
-      {
-        order_date: "2024-01-05",
-        region: "West",
-        product: "A",
-        units: "10",
-        price: "12.5",
-        revenue: "125"
-      },
-      {
-        order_date: "2024-02-14",
-        region: "East",
-        product: "B",
-        units: "4",
-        price: "20",
-        revenue: "80"
-      },
-      {
-        order_date: "2024-03-03",
-        region: "West",
-        product: "A",
-        units: "7",
-        price: "12.5",
-        revenue: "87.5"
-      }
-    ]
-  };
-  state.files.push(demo);
-  state.activeId = demo.id;
-  pushHistory();
-  saveLocal();
-}
-renderAll();
+// --- Init: load, demo on first run, render ---
+loadLocal().then((found) => {
+  if (!found && !state.files.length) {
+    // small demo dataset
+    const demo = {
+      id: uid(6),
+      name: "demo_sales.csv",
+      headers: ["order_date", "region", "product", "units", "price", "revenue"],
+      rows: [
+        {
+          order_date: "2024-01-05",
+          region: "West",
+          product: "A",
+          units: "10",
+          price: "12.5",
+          revenue: "125"
+        },
+        {
+          order_date: "2024-02-14",
+          region: "East",
+          product: "B",
+          units: "4",
+          price: "20",
+          revenue: "80"
+        },
+        {
+          order_date: "2024-03-03",
+          region: "West",
+          product: "A",
+          units: "7",
+          price: "12.5",
+          revenue: "87.5"
+        }
+      ]
+    };
+    state.files.push(demo);
+    state.activeId = demo.id;
+    saveLocal();
+  }
+  renderAll();
+  snapshotManager.start(() => state.files);
+});
 
 // Initialize theme manager for dark/light mode toggle
 const themeManager = new ThemeManager();
@@ -1954,30 +4757,15 @@ if (typeof performance !== 'undefined') {
 
 // --- Top-level renderAll ---
 function renderAll() {
+  const active = getActive();
+  if (active) {
+    dependencyGraph.refresh(active);
+    searchIndex.ensure(active);
+    // Files saved before schemas existed get one inferred on first render
+    ensureSchema(active);
+  }
   renderFilesList();
   renderTable();
   updateUndoRedoButtons();
   saveLocal();
-}
-
-// --- Helper placeholders used earlier (avoids duplication) ---
-function showColumnStats(col) {
-  const f = getActive();
-  if (!f) return;
-  const vals = f.rows
-    .map((r) => {
-      const n = parseFloat(String(r[col]).replace(/[^0-9.-]+/g, ""));
-      return isNaN(n) ? null : n;
-    })
-    .filter((x) => x !== null);
-  if (!vals.length) return alert("No numeric values");
-  const sum = vals.reduce((a, b) => a + b, 0);
-  const avg = sum / vals.length;
-  const min = Math.min(...vals);
-  const max = Math.max(...vals);
-  openModal(
-    `<div><h3 class="font-semibold">Stats: ${escapeHtml(col)}</h3><div>Count: ${vals.length
-    }</div><div>Sum: ${sum}</div><div>Avg: ${avg}</div><div>Min: ${min}</div><div>Max: ${max}</div><div class="text-right mt-2"><button id="closeSt" class="px-3 py-1 border rounded">Close</button></div></div>`
-  );
-  document.getElementById("closeSt").addEventListener("click", closeModal);
 }
\ No newline at end of file
@@ -7,19 +7,28 @@
 const PerformanceMonitor = import('./modules/PerformanceMonitor.js');
 const DataProcessor = import('./modules/DataProcessor.js');
 const UIRenderer = import('./modules/UIRenderer.js');
+const FormulaEngine = import('./modules/FormulaEngine.js');
+const DependencyGraph = import('./modules/DependencyGraph.js');
+const XlsxParser = import('./modules/XlsxParser.js');
+const XlsxWriter = import('./modules/XlsxWriter.js');
+const SortEngine = import('./modules/SortEngine.js');
+const FilterEngine = import('./modules/FilterEngine.js');
+const SearchIndex = import('./modules/SearchIndex.js');
+const HistoryManager = import('./modules/HistoryManager.js');
+const WorkspaceStore = import('./modules/WorkspaceStore.js');
+const WorkspaceImporter = import('./modules/WorkspaceImporter.js');
 
 // Global state management
 class AppState {
   constructor() {
     this.files = [];
     this.activeId = null;
-    this.history = [];
-    this.historyIndex = -1;
     this.searchTerm = '';
     this.filterColumn = '';
+    this.searchMode = 'plain'; // see SEARCH_MODES in SearchEngine.js
     this.page = 0;
     this.perPage = 25;
-    this.sortConfig = [];
+    this.viewMode = 'paged'; // 'paged' (pageSizeSelect) or 'virtual' (all rows, windowed)
 
     // Performance tracking
     this.performanceData = {
@@ -36,12 +45,22 @@ class AppState {
     this.performanceMonitor = (await PerformanceMonitor).performanceMonitor;
     this.dataProcessor = (await DataProcessor).dataProcessor;
     this.uiRenderer = (await UIRenderer).uiRenderer;
+    this.formulaEngine = (await FormulaEngine).formulaEngine;
+    this.dependencyGraph = (await DependencyGraph).dependencyGraph;
+    this.xlsxParser = (await XlsxParser).xlsxParser;
+    this.xlsxWriter = (await XlsxWriter).xlsxWriter;
+    this.sortEngine = (await SortEngine).sortEngine;
+    this.filterEngine = (await FilterEngine).filterEngine;
+    this.searchIndex = (await SearchIndex).searchIndex;
+    this.historyManager = (await HistoryManager).historyManager;
+    this.workspaceStore = (await WorkspaceStore).workspaceStore;
+    this.workspaceImporter = (await WorkspaceImporter).workspaceImporter;
 
     // Setup event listeners
     this.setupEventListeners();
 
     // Load saved data
-    this.loadFromStorage();
+    await this.loadFromStorage();
 
     // Initialize UI
     this.initializeUI();
@@ -53,6 +72,7 @@ class AppState {
     document.addEventListener('fileSelect', (e) => this.handleFileSelect(e));
     document.addEventListener('fileDelete', (e) => this.handleFileDelete(e));
     document.addEventListener('columnSort', (e) => this.handleColumnSort(e));
+    document.addEventListener('columnPin', (e) => this.handleColumnPin(e));
 
     // File upload
     this.setupFileUpload();
@@ -60,8 +80,16 @@ class AppState {
     // Keyboard shortcuts
     this.setupKeyboardShortcuts();
 
-    // Window events
-    window.addEventListener('beforeunload', () => this.saveToStorage());
+    // Window events. Write pending saves when the tab is hidden or closed
+    const saveNow = () => {
+      this.saveToStorage();
+      this.workspaceStore.flush();
+    };
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') saveNow();
+    });
+    window.addEventListener('pagehide', saveNow);
+    window.addEventListener('beforeunload', saveNow);
     window.addEventListener('resize', this.debounce(() => this.handleResize(), 250));
   }
 
@@ -105,36 +133,115 @@ class AppState {
     });
   }
 
+  // Files are parsed first and only added once every one succeeded, so Cancel leaves the workspace untouched
   async handleFileUpload(files) {
-    const loadingIndicator = this.showLoading('Processing files...');
+    const controller = new AbortController();
+    const progress = this.showImportProgress(() => controller.abort());
 
     try {
+      const parsed = [];
       for (const file of files) {
-        await this.processFile(file);
+        progress.start(file);
+        parsed.push(...await this.processFile(file, { signal: controller.signal, onProgress: progress.update }));
       }
 
+      parsed.forEach(fileData => this.addFile(fileData));
       this.renderAll();
       this.showNotification('Files uploaded successfully', 'success');
+
+      const malformed = parsed.filter(fileData => fileData.parseErrors?.length);
+      malformed.forEach(fileData => {
+        this.showNotification(`${fileData.name}: ${fileData.metadata.errorCount} malformed rows (see Validate Data)`, 'warning');
+      });
     } catch (error) {
-      console.error('File upload error:', error);
-      this.showNotification('Error uploading files', 'error');
+      if (error.name === 'AbortError') {
+        this.showNotification('Import cancelled', 'info');
+      } else {
+        console.error('File upload error:', error);
+        this.showNotification('Error uploading files', 'error');
+      }
     } finally {
-      this.hideLoading(loadingIndicator);
+      progress.close();
     }
   }
 
-  async processFile(file) {
-    const text = await this.readFileAsText(file);
+  // Returns the parsed file entries (several for multi-sheet workbooks) without adding them
+  async processFile(file, { signal, onProgress } = {}) {
+    const name = file.name.toLowerCase();
 
-    if (file.name.endsWith('.csv')) {
-      const data = await this.dataProcessor.parseCSVOptimized(text, file.name);
-      const validatedData = this.dataProcessor.validateAndCleanData(data);
-      this.addFile(validatedData);
-    } else if (file.name.endsWith('.json')) {
-      const jsonData = JSON.parse(text);
-      const data = this.convertJSONToTableFormat(jsonData, file.name);
-      this.addFile(data);
+    if (name.endsWith('.xlsx')) {
+      return this.processWorkbook(file);
     }
+
+    if (name.endsWith('.csv')) {
+      const data = await this.dataProcessor.parseFileStream(file, { signal, onProgress });
+      return [this.dataProcessor.validateAndCleanData(data)];
+    }
+
+    if (name.endsWith('.json')) {
+      const jsonData = JSON.parse(await this.readFileAsText(file));
+      return [this.convertJSONToTableFormat(jsonData, file.name)];
+    }
+
+    return [];
+  }
+
+  // Each selected worksheet becomes its own file
+  async processWorkbook(file) {
+    const { sheets } = await this.xlsxParser.parse(await file.arrayBuffer());
+    if (!sheets.length) throw new Error('Workbook has no sheets with data');
+
+    const chosen = sheets.length > 1 ? await this.pickSheets(file.name, sheets) : sheets;
+    const baseName = file.name.replace(/\.[^/.]+$/, '');
+
+    return chosen.map(sheet => ({
+      id: this.generateId(),
+      name: sheets.length > 1 ? `${baseName} - ${sheet.name}` : file.name,
+      headers: sheet.headers,
+      rows: sheet.rows,
+      metadata: {
+        rowCount: sheet.rows.length,
+        columnCount: sheet.headers.length,
+        sheetName: sheet.name
+      }
+    }));
+  }
+
+  pickSheets(fileName, sheets) {
+    return new Promise(resolve => {
+      const modal = document.createElement('div');
+      modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+      modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
+          <h3 class="text-lg font-bold mb-4">Import sheets</h3>
+          <div class="space-y-1 max-h-64 overflow-y-auto">
+            ${sheets.map((sheet, i) => `
+              <label class="block text-sm">
+                <input type="checkbox" value="${i}" checked>
+                <span></span>
+                <span class="text-xs text-gray-500">(${sheet.rows.length} rows)</span>
+              </label>`).join('')}
+          </div>
+          <div class="mt-4 flex justify-end gap-2">
+            <button data-action="cancel" class="px-4 py-2 border rounded">Cancel</button>
+            <button data-action="import" class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">Import</button>
+          </div>
+        </div>
+      `;
+      modal.querySelector('h3').textContent = `Import sheets from ${fileName}`;
+      modal.querySelectorAll('label span:first-of-type').forEach((span, i) => {
+        span.textContent = sheets[i].name;
+      });
+
+      modal.addEventListener('click', (e) => {
+        const action = e.target.dataset?.action;
+        if (!action) return;
+        const checked = Array.from(modal.querySelectorAll('input:checked'));
+        modal.remove();
+        resolve(action === 'import' ? checked.map(input => sheets[Number(input.value)]) : []);
+      });
+      document.body.appendChild(modal);
+    });
   }
 
   readFileAsText(file) {
@@ -182,12 +289,27 @@ class AppState {
     const { column, row, value } = event.detail;
     const activeFile = this.getActiveFile();
 
-    if (activeFile && activeFile.rows[row]) {
-      // Save current state for undo
-      this.saveToHistory();
+    if (activeFile && activeFile.rows[row] && !this.formulaEngine.isComputed(activeFile, column)) {
+      // Record the edit as an undo step (see HistoryManager)
+      const step = this.historyManager.begin(this, `Edit ${column} in row ${row + 1}`).cell(activeFile, row, column);
 
-      // Update data
-      activeFile.rows[row][column] = value;
+      // Update data: "=..." input is kept as formula source, the row holds its computed value
+      const before = activeFile.rows[row][column];
+      if (this.formulaEngine.isFormula(value)) {
+        this.formulaEngine.setFormula(activeFile, row, column, value);
+      } else {
+        this.formulaEngine.setFormula(activeFile, row, column, null);
+        activeFile.rows[row][column] = value;
+      }
+      this.searchIndex.updateCell(activeFile, row, column, before);
+      this.dependencyGraph.update(activeFile, row, column);
+      this.dependencyGraph.recalculate(activeFile, [[row, column]]);
+      step.commit();
+
+      const container = document.getElementById('dataTable');
+      if (container) {
+        this.uiRenderer.refreshCells(container, activeFile);
+      }
 
       // Auto-save
       this.saveToStorage();
@@ -211,22 +333,30 @@ class AppState {
     this.saveToStorage();
   }
 
+  // Sort keys are stored with the file; rows stay in place and only the display order changes
   handleColumnSort(event) {
-    const { column, direction } = event.detail;
+    const { column, additive } = event.detail;
     const activeFile = this.getActiveFile();
+    if (!activeFile) return;
 
-    if (activeFile) {
-      this.sortConfig = [{ column, direction }];
-      const sortedData = this.dataProcessor.sortData(activeFile, this.sortConfig);
+    activeFile.sort = this.sortEngine.toggle(activeFile.sort, column, additive);
+    this.renderTable();
+    this.saveToStorage();
+  }
 
-      // Update the file data
-      const fileIndex = this.files.findIndex(f => f.id === activeFile.id);
-      if (fileIndex !== -1) {
-        this.files[fileIndex] = sortedData;
-      }
+  // Pinned columns are stored with the file so they survive reloads
+  handleColumnPin(event) {
+    const { column } = event.detail;
+    const activeFile = this.getActiveFile();
+    if (!activeFile) return;
 
-      this.renderTable();
-    }
+    const pinned = activeFile.pinnedColumns || [];
+    activeFile.pinnedColumns = pinned.includes(column)
+      ? pinned.filter(c => c !== column)
+      : [...pinned, column];
+
+    this.renderTable();
+    this.saveToStorage();
   }
 
   async handleSearch(searchTerm) {
@@ -235,7 +365,7 @@ class AppState {
 
     if (activeFile) {
       if (searchTerm.trim()) {
-        const filteredData = this.dataProcessor.filterData(activeFile, searchTerm, this.filterColumn);
+        const filteredData = this.dataProcessor.filterData(activeFile, searchTerm, this.filterColumn, this.searchMode);
         this.renderTable(filteredData);
       } else {
         this.renderTable(activeFile);
@@ -251,53 +381,21 @@ class AppState {
   addFile(fileData) {
     this.files.push(fileData);
     this.activeId = fileData.id;
-    this.saveToHistory();
+    // Index for fast search and equality filters; large files are indexed in a worker
+    this.searchIndex.ensure(fileData);
+    this.historyManager.begin(this, `Import ${fileData.name}`).addFile(fileData).commit();
   }
 
   getActiveFile() {
     return this.files.find(f => f.id === this.activeId);
   }
 
-  saveToHistory() {
-    const state = {
-      files: JSON.parse(JSON.stringify(this.files)),
-      activeId: this.activeId,
-      timestamp: Date.now()
-    };
-
-    // Remove future history if we're not at the end
-    if (this.historyIndex < this.history.length - 1) {
-      this.history = this.history.slice(0, this.historyIndex + 1);
-    }
-
-    this.history.push(state);
-    this.historyIndex = this.history.length - 1;
-
-    // Limit history size
-    if (this.history.length > 50) {
-      this.history = this.history.slice(-50);
-      this.historyIndex = this.history.length - 1;
-    }
-  }
-
   undo() {
-    if (this.historyIndex > 0) {
-      this.historyIndex--;
-      const state = this.history[this.historyIndex];
-      this.files = JSON.parse(JSON.stringify(state.files));
-      this.activeId = state.activeId;
-      this.renderAll();
-    }
+    if (this.historyManager.undo(this)) this.renderAll();
   }
 
   redo() {
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++;
-      const state = this.history[this.historyIndex];
-      this.files = JSON.parse(JSON.stringify(state.files));
-      this.activeId = state.activeId;
-      this.renderAll();
-    }
+    if (this.historyManager.redo(this)) this.renderAll();
   }
 
   initializeUI() {
@@ -311,6 +409,10 @@ class AppState {
         this.debounce((e) => this.handleSearch(e.target.value), 300)
       );
     }
+    document.getElementById('searchMode')?.addEventListener('change', (e) => {
+      this.searchMode = e.target.value;
+      this.handleSearch(this.searchTerm);
+    });
 
     // Setup button event listeners
     this.setupButtonListeners();
@@ -336,10 +438,36 @@ class AppState {
 
     // Export buttons
     document.getElementById('exportCsvBtn')?.addEventListener('click', () => this.exportCSV());
+    document.getElementById('exportXlsxBtn')?.addEventListener('click', () => this.exportExcel());
     document.getElementById('exportWorkspaceBtn')?.addEventListener('click', () => this.exportWorkspace());
 
     // Clear workspace
     document.getElementById('clearWorkspaceBtn')?.addEventListener('click', () => this.clearWorkspace());
+
+    this.setupPageSizeSelect();
+  }
+
+  // Rows per page, plus a virtual scrolling option that renders every row through a window
+  setupPageSizeSelect() {
+    const select = document.getElementById('pageSizeSelect');
+    if (!select) return;
+
+    if (!select.querySelector('option[value="virtual"]')) {
+      select.add(new Option('All (virtual scroll)', 'virtual'));
+    }
+    select.value = this.viewMode === 'virtual' ? 'virtual' : String(this.perPage);
+
+    select.addEventListener('change', () => {
+      if (select.value === 'virtual') {
+        this.viewMode = 'virtual';
+      } else {
+        this.viewMode = 'paged';
+        this.perPage = parseInt(select.value);
+      }
+      this.page = 0;
+      this.renderTable();
+      this.saveToStorage();
+    });
   }
 
   async autoCleanData() {
@@ -398,27 +526,70 @@ class AppState {
     const activeFile = this.getActiveFile();
     if (!activeFile) return;
 
-    const csv = this.generateCSV(activeFile);
+    const useFormulas = this.formulaEngine.hasFormulas(activeFile) &&
+      confirm('This file contains formulas.\nOK = export formulas, Cancel = export computed values.');
+    const csv = this.generateCSV(activeFile, useFormulas);
     this.downloadBlob(csv, `${activeFile.name.replace(/\.[^/.]+$/, '')}.csv`, 'text/csv');
   }
 
+  async exportExcel() {
+    const activeFile = this.getActiveFile();
+    if (!activeFile) return;
+
+    const wholeWorkspace = this.files.length > 1 &&
+      confirm(`Export all ${this.files.length} files as sheets?\nOK = whole workspace, Cancel = active file only.`);
+    // Each file is exported with its own filter applied
+    const files = (wholeWorkspace ? this.files : [activeFile]).map(file => ({
+      ...file,
+      rows: this.filterEngine.applyFile(file).map(i => file.rows[i])
+    }));
+
+    try {
+      const blob = await this.xlsxWriter.build(files);
+      const name = wholeWorkspace ? 'workspace' : activeFile.name.replace(/\.[^/.]+$/, '');
+      this.downloadBlob(blob, `${name}.xlsx`, this.xlsxWriter.mimeType);
+    } catch (error) {
+      console.error('Excel export error:', error);
+      this.showNotification('Excel export failed', 'error');
+    }
+  }
+
   exportWorkspace() {
-    const workspaceData = {
-      files: this.files,
-      activeId: this.activeId,
-      exportDate: new Date().toISOString()
-    };
+    const workspaceData = this.workspaceImporter.serialize({ files: this.files, activeId: this.activeId });
 
     const json = JSON.stringify(workspaceData, null, 2);
     this.downloadBlob(json, 'workspace.json', 'application/json');
   }
 
+  /**
+   * Add the files of a workspace export to this workspace; `actions` maps the ids of files that
+   * already exist to a COLLISION_ACTIONS key (imported as a copy by default). Returns the report.
+   */
+  async importWorkspace(file, actions = {}) {
+    const result = this.workspaceImporter.read(await file.text());
+    if (result.error) {
+      this.showNotification(`Could not import ${file.name}: ${result.error}`, 'error');
+      return null;
+    }
+    const step = this.historyManager.begin(this, `Import ${file.name}`);
+    const report = this.workspaceImporter.apply(this, result.entries, actions, step);
+    if (!this.activeId && this.files.length) this.activeId = this.files[0].id;
+    step.commit();
+    this.renderAll();
+    this.saveToStorage();
+
+    const rows = report.reduce((sum, r) => sum + r.rows, 0);
+    const imported = report.filter(r => r.action !== 'skip').length;
+    const skipped = result.warnings.length + report.length - imported;
+    this.showNotification(`Imported ${rows} rows from ${imported} files${skipped ? `, ${skipped} skipped` : ''}`, skipped ? 'warning' : 'success');
+    return report;
+  }
+
   clearWorkspace() {
     if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
       this.files = [];
       this.activeId = null;
-      this.history = [];
-      this.historyIndex = -1;
+      this.historyManager.clear();
 
       this.renderAll();
       this.saveToStorage();
@@ -444,12 +615,20 @@ class AppState {
     }
   }
 
+  // Row indices to display: the file's filters, then its sort keys (null = every row in file order)
+  viewOrder(file) {
+    const filtered = this.filterEngine.isFiltered(file) ? this.filterEngine.applyFile(file) : null;
+    if (!file.sort?.length) return filtered;
+    return this.sortEngine.order(file, file.sort, filtered);
+  }
+
   renderTable(data = null) {
     const container = document.getElementById('dataTable');
     if (!container) return;
 
     const activeFile = data || this.getActiveFile();
     if (!activeFile) {
+      this.uiRenderer?.resetTable(container);
       container.innerHTML = '<div class="p-8 text-center text-gray-500">No data to display</div>';
       return;
     }
@@ -459,7 +638,10 @@ class AppState {
       this.uiRenderer.renderTable(activeFile, container, {
         startRow: this.page * this.perPage,
         endRow: (this.page + 1) * this.perPage,
-        pageSize: this.perPage
+        pageSize: this.perPage,
+        virtual: this.viewMode === 'virtual',
+        viewport: container.closest('.overflow-auto'),
+        order: this.viewOrder(activeFile)
       });
     }
 
@@ -504,33 +686,32 @@ class AppState {
   }
 
   // Storage methods
+  // Schedules a debounced, incremental IndexedDB write; failures are reported via the store status
   saveToStorage() {
-    try {
-      const data = {
-        files: this.files,
-        activeId: this.activeId,
-        settings: {
-          perPage: this.perPage,
-          theme: localStorage.getItem('theme')
-        }
-      };
-      localStorage.setItem('spreadsheet_data', JSON.stringify(data));
-    } catch (error) {
-      console.warn('Failed to save to localStorage:', error);
-    }
+    this.workspaceStore.save(this, {
+      perPage: this.perPage,
+      viewMode: this.viewMode,
+      theme: localStorage.getItem('theme')
+    });
   }
 
-  loadFromStorage() {
+  async loadFromStorage() {
+    this.workspaceStore.onStatus((status) => {
+      if (status.state === 'error' && status.error !== this.storageError) {
+        this.showNotification(`Workspace not saved: ${status.error}`, 'error');
+      }
+      this.storageError = status.error;
+    });
     try {
-      const saved = localStorage.getItem('spreadsheet_data');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.files = data.files || [];
+      const data = await this.workspaceStore.load();
+      if (data) {
+        this.files = data.files;
         this.activeId = data.activeId;
         this.perPage = data.settings?.perPage || 25;
+        this.viewMode = data.settings?.viewMode || 'paged';
       }
     } catch (error) {
-      console.warn('Failed to load from localStorage:', error);
+      console.warn('Failed to load the saved workspace:', error);
     }
   }
 
@@ -539,11 +720,14 @@ class AppState {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  generateCSV(fileData) {
+  generateCSV(fileData, useFormulas = false) {
     const rows = [
       fileData.headers.join(','),
-      ...fileData.rows.map(row =>
-        fileData.headers.map(header => this.csvEscape(row[header])).join(',')
+      ...this.filterEngine.applyFile(fileData).map(index =>
+        fileData.headers.map(header => {
+          const formula = useFormulas ? fileData.formulas?.[index]?.[header] : null;
+          return this.csvEscape(formula || fileData.rows[index][header]);
+        }).join(',')
       )
     ];
     return rows.join('\n');
@@ -582,6 +766,72 @@ class AppState {
     return loader;
   }
 
+  // Progress overlay for file imports: bytes and rows processed, ETA and a Cancel button
+  showImportProgress(onCancel) {
+    const overlay = document.createElement('div');
+    overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+    overlay.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md shadow-xl">
+        <div class="text-sm font-medium text-gray-700 dark:text-gray-200 truncate" data-role="name">Preparing import...</div>
+        <div class="import-progress mt-3"><div class="import-progress-bar" data-role="bar"></div></div>
+        <div class="mt-2 flex justify-between text-xs text-gray-500 dark:text-gray-400">
+          <span data-role="detail"></span>
+          <span data-role="eta"></span>
+        </div>
+        <div class="mt-4 text-right">
+          <button data-role="cancel" class="px-4 py-2 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const el = role => overlay.querySelector(`[data-role="${role}"]`);
+    let startedAt = 0;
+
+    el('cancel').addEventListener('click', () => {
+      el('cancel').disabled = true;
+      el('name').textContent = 'Cancelling...';
+      onCancel();
+    });
+
+    return {
+      start: (file) => {
+        startedAt = performance.now();
+        el('name').textContent = file.name;
+        el('bar').style.width = '0%';
+        el('detail').textContent = this.formatBytes(file.size);
+        el('eta').textContent = '';
+      },
+      update: ({ bytes, total, rows }) => {
+        const fraction = total ? Math.min(bytes / total, 1) : 0;
+        el('bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+        el('detail').textContent =
+          `${this.formatBytes(bytes)} of ${this.formatBytes(total)} • ${rows.toLocaleString()} rows`;
+
+        const elapsed = (performance.now() - startedAt) / 1000;
+        if (fraction > 0 && fraction < 1 && elapsed > 1) {
+          el('eta').textContent = `ETA ${this.formatDuration(elapsed / fraction - elapsed)}`;
+        } else {
+          el('eta').textContent = '';
+        }
+      },
+      close: () => overlay.remove()
+    };
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+
+  formatDuration(seconds) {
+    const s = Math.max(0, Math.round(seconds));
+    const m = Math.floor(s / 60);
+    return m ? `${m}m ${String(s % 60).padStart(2, '0')}s` : `${s}s`;
+  }
+
   hideLoading(loader) {
     if (loader && loader.parentNode) {
       loader.parentNode.removeChild(loader);
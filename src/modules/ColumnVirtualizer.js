@@ -0,0 +1,65 @@
+/**
+ * Column Virtualizer
+ * Decides which columns of a wide table are materialized for the current horizontal scroll position
+ */
+
+export const COLUMN_WIDTH = 160; // px, every column gets the same width so positions are computable
+export const COLUMN_THRESHOLD = 40; // unpinned columns beyond which only the visible ones are rendered
+const COLUMN_OVERSCAN = 4; // also the step the window moves in, so small scrolls don't re-render
+
+export class ColumnVirtualizer {
+  /**
+   * Layout for `headers` (display order). Pinned columns come first and stay frozen after `leading`
+   * px of fixed cells (e.g. a row selector); the rest are windowed once there are more than
+   * COLUMN_THRESHOLD of them. Returns null when the table can render every column as usual.
+   *
+   * Result: `{ width, pinned, offsets, visible, before, after, totalWidth, key }` where `before` /
+   * `after` are the widths of the skipped columns (rendered as spacer cells) and `key` changes only
+   * when the set of rendered columns does.
+   */
+  layout(headers, { pinned = [], scrollLeft = 0, viewportWidth = 0, leading = 0, width = COLUMN_WIDTH } = {}) {
+    const pinnedSet = new Set(pinned);
+    const frozen = headers.filter(h => pinnedSet.has(h));
+    const rest = headers.filter(h => !pinnedSet.has(h));
+    if (!frozen.length && rest.length <= COLUMN_THRESHOLD) return null;
+
+    const offsets = {};
+    frozen.forEach((h, i) => {
+      offsets[h] = leading + i * width;
+    });
+    const frozenWidth = leading + frozen.length * width;
+
+    let start = 0;
+    let end = rest.length;
+    if (rest.length > COLUMN_THRESHOLD) {
+      // Frozen cells cover the left edge of the viewport, so fewer scrolling columns are visible
+      const visibleWidth = Math.max(width, viewportWidth - frozenWidth);
+      const first = Math.floor(scrollLeft / width);
+      const last = Math.ceil((scrollLeft + visibleWidth) / width);
+      start = Math.max(0, first - (first % COLUMN_OVERSCAN) - COLUMN_OVERSCAN);
+      end = Math.min(rest.length, last - (last % COLUMN_OVERSCAN) + COLUMN_OVERSCAN * 2);
+    }
+
+    return {
+      width,
+      pinned: frozen,
+      offsets,
+      visible: rest.slice(start, end),
+      before: start * width,
+      after: (rest.length - end) * width,
+      totalWidth: frozenWidth + rest.length * width,
+      key: `${frozen.join('\u0000')}|${start}|${end}`
+    };
+  }
+
+  /**
+   * Cells of a row in render order: header names, with `{ spacer: px }` entries standing in for
+   * the columns left out on either side.
+   */
+  sequence(headers, layout) {
+    if (!layout) return headers;
+    return [...layout.pinned, { spacer: layout.before }, ...layout.visible, { spacer: layout.after }];
+  }
+}
+
+export const columnVirtualizer = new ColumnVirtualizer();
@@ -0,0 +1,311 @@
+/**
+ * Streaming CSV Parser
+ * RFC 4180 state machine shared by the main thread and the CSV worker
+ */
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const QUOTE = 34; // "
+const LF = 10;
+const CR = 13;
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3; // saw `"` inside a quoted field: either `""` or the closing quote
+const AFTER_QUOTED = 4;
+
+const SNIFF_LENGTH = 64 * 1024;
+const MAX_ERRORS = 1000;
+
+/**
+ * Pick the delimiter that most consistently splits the first lines of `sample` into several columns.
+ * Quoted sections are skipped so delimiters inside values don't count.
+ */
+export function detectDelimiter(sample, candidates = DELIMITERS) {
+  let best = candidates[0];
+  let bestScore = 0;
+
+  candidates.forEach(delimiter => {
+    const counts = countFieldsPerLine(sample, delimiter, 20);
+    if (!counts.length) return;
+
+    // The most common field count wins, so a title line above the header doesn't spoil detection
+    const frequency = new Map();
+    counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+    let mode = 1;
+    frequency.forEach((n, count) => {
+      if (count > 1 && (n > (frequency.get(mode) || 0) || mode === 1)) mode = count;
+    });
+    if (mode < 2) return;
+    const score = mode * (frequency.get(mode) / counts.length);
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  });
+
+  return best;
+}
+
+function countFieldsPerLine(sample, delimiter, maxLines) {
+  const counts = [];
+  const code = delimiter.charCodeAt(0);
+  let fields = 1;
+  let inQuotes = false;
+  let lineHasContent = false;
+
+  // The last line of a sample may be truncated, so only complete lines are counted
+  for (let i = 0; i < sample.length && counts.length < maxLines; i++) {
+    const c = sample.charCodeAt(i);
+    if (c === QUOTE) {
+      inQuotes = !inQuotes;
+      lineHasContent = true;
+    } else if (inQuotes) {
+      continue;
+    } else if (c === code) {
+      fields++;
+      lineHasContent = true;
+    } else if (c === LF || c === CR) {
+      if (lineHasContent) counts.push(fields);
+      fields = 1;
+      lineHasContent = false;
+      if (c === CR && sample.charCodeAt(i + 1) === LF) i++;
+    } else {
+      lineHasContent = true;
+    }
+  }
+  if (!counts.length && lineHasContent) counts.push(fields);
+  return counts;
+}
+
+export class CsvParser {
+  /**
+   * Options:
+   * - `delimiter`: one of DELIMITERS, or 'auto' to sniff it from the first 64 KB
+   * - `header`: treat the first record as column names and emit row objects (default true)
+   * - `skipEmptyLines`: ignore blank records (default true)
+   * - `onRow(row, line)`: called per record (object when `header`, else array of fields)
+   * - `onHeaders(headers)`: called once the header record is read
+   */
+  constructor(options = {}) {
+    this.options = { delimiter: 'auto', header: true, skipEmptyLines: true, ...options };
+    this.delimiter = this.options.delimiter === 'auto' ? null : this.options.delimiter;
+    this.headers = null;
+    this.errors = [];
+    this.errorCount = 0;
+    this.rowCount = 0;
+
+    this.pending = '';
+    this.started = false;
+    this.state = FIELD_START;
+    this.field = '';
+    this.record = [];
+    this.line = 1; // physical line the parser is on
+    this.recordLine = 1; // physical line the current record started on
+    this.afterCR = false;
+    this.recordError = null;
+  }
+
+  /**
+   * Parse a complete string. Returns `{ headers, rows, errors, errorCount, delimiter }`.
+   */
+  static parse(text, options = {}) {
+    const rows = [];
+    const parser = new CsvParser({ ...options, onRow: row => rows.push(row) });
+    parser.push(text);
+    parser.end();
+    return { headers: parser.headers || [], rows, errors: parser.errors, errorCount: parser.errorCount, delimiter: parser.delimiter };
+  }
+
+  push(chunk) {
+    if (!chunk) return;
+    if (!this.started) {
+      this.started = true;
+      if (chunk.charCodeAt(0) === 0xfeff) chunk = chunk.slice(1);
+    }
+
+    if (!this.delimiter) {
+      this.pending += chunk;
+      if (this.pending.length < SNIFF_LENGTH) return;
+      chunk = this.resolveDelimiter();
+    }
+
+    this.consume(chunk);
+  }
+
+  end() {
+    if (!this.delimiter) this.consume(this.resolveDelimiter());
+
+    if (this.state === QUOTED) {
+      this.error('Unterminated quoted field');
+    }
+    if (this.state !== FIELD_START || this.record.length) {
+      this.endField();
+      this.endRecord();
+    }
+  }
+
+  resolveDelimiter() {
+    this.delimiter = detectDelimiter(this.pending);
+    const text = this.pending;
+    this.pending = '';
+    return text;
+  }
+
+  consume(text) {
+    const delimiter = this.delimiter.charCodeAt(0);
+    const n = text.length;
+    let i = 0;
+
+    while (i < n) {
+      let c = text.charCodeAt(i);
+
+      // CRLF split across chunks
+      if (this.afterCR) {
+        this.afterCR = false;
+        if (c === LF) {
+          i++;
+          continue;
+        }
+      }
+
+      if (this.state === QUOTED) {
+        const close = text.indexOf('"', i);
+        const end = close === -1 ? n : close;
+        const piece = text.slice(i, end);
+        this.field += piece;
+        this.countLines(piece);
+        if (close === -1) break;
+        this.state = QUOTE_IN_QUOTED;
+        i = close + 1;
+        continue;
+      }
+
+      if (this.state === QUOTE_IN_QUOTED) {
+        if (c === QUOTE) {
+          this.field += '"';
+          this.state = QUOTED;
+          i++;
+          continue;
+        }
+        this.state = AFTER_QUOTED;
+      }
+
+      if (c === delimiter) {
+        this.endField();
+        this.state = FIELD_START;
+        i++;
+        continue;
+      }
+
+      if (c === LF || c === CR) {
+        this.endField();
+        this.endRecord();
+        this.line++;
+        this.recordLine = this.line;
+        this.state = FIELD_START;
+        if (c === CR) {
+          if (i + 1 < n) {
+            if (text.charCodeAt(i + 1) === LF) i++;
+          } else {
+            this.afterCR = true;
+          }
+        }
+        i++;
+        continue;
+      }
+
+      if (this.state === FIELD_START && c === QUOTE) {
+        this.state = QUOTED;
+        i++;
+        continue;
+      }
+
+      if (this.state === AFTER_QUOTED) {
+        this.error('Unexpected text after closing quote');
+      }
+
+      // Unquoted run up to the next delimiter or line break
+      const start = i;
+      while (i < n) {
+        c = text.charCodeAt(i);
+        if (c === delimiter || c === LF || c === CR) break;
+        if (c === QUOTE && this.state !== AFTER_QUOTED) this.error('Unexpected quote in unquoted field');
+        i++;
+      }
+      this.field += text.slice(start, i);
+      this.state = UNQUOTED;
+    }
+  }
+
+  countLines(text) {
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) this.line++;
+  }
+
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+  }
+
+  endRecord() {
+    const fields = this.record;
+    const line = this.recordLine;
+    const rowError = this.recordError;
+    this.record = [];
+    this.recordError = null;
+
+    if (this.options.skipEmptyLines && fields.length === 1 && fields[0] === '') return;
+
+    if (!this.options.header) {
+      this.rowCount++;
+      if (rowError) this.report(line, rowError);
+      this.options.onRow?.(fields, line);
+      return;
+    }
+
+    if (!this.headers) {
+      this.headers = this.normalizeHeaders(fields);
+      if (rowError) this.report(line, rowError);
+      this.options.onHeaders?.(this.headers);
+      return;
+    }
+
+    this.rowCount++;
+    if (rowError) this.report(line, rowError);
+    if (fields.length !== this.headers.length) {
+      this.report(line, `Expected ${this.headers.length} fields but found ${fields.length}`);
+    }
+
+    const row = {};
+    this.headers.forEach((header, index) => {
+      row[header] = fields[index] ?? '';
+    });
+    this.options.onRow?.(row, line);
+  }
+
+  // Blank headers become "Column N", duplicates get a " (2)" suffix
+  normalizeHeaders(fields) {
+    const used = new Set();
+    return fields.map((field, index) => {
+      const base = field.trim() || `Column ${index + 1}`;
+      let name = base;
+      for (let n = 2; used.has(name); n++) name = `${base} (${n})`;
+      used.add(name);
+      return name;
+    });
+  }
+
+  // Problems inside a record are attached to the line where the record started
+  error(message) {
+    if (!this.recordError) this.recordError = message;
+  }
+
+  report(line, message) {
+    this.errorCount++;
+    if (this.errors.length < MAX_ERRORS) {
+      this.errors.push({ line, row: this.headers ? this.rowCount : 0, message });
+    }
+  }
+}
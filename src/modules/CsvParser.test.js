@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { CsvParser, detectDelimiter } from './CsvParser.js';
+
+describe('CsvParser', () => {
+  it('parses quoted fields with delimiters, doubled quotes and CRLF line breaks inside them', () => {
+    const result = CsvParser.parse('a,b\r\n1,"x\r\ny"\r\n"q""uote","2,5"\r\n');
+    expect(result.headers).toEqual(['a', 'b']);
+    expect(result.rows).toEqual([
+      { a: '1', b: 'x\r\ny' },
+      { a: 'q"uote', b: '2,5' }
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('gives the same rows however the input is split into chunks', () => {
+    const text = 'a,b\r\n"1\r\n2",3\r\n"x""y",4';
+    const rows = [];
+    const parser = new CsvParser({ delimiter: ',', onRow: row => rows.push(row) });
+    ['a,b\r', '\n"1\r', '\n2",', '3\r', '\n"x"', '"y",4'].forEach(chunk => parser.push(chunk));
+    parser.end();
+    expect(rows).toEqual(CsvParser.parse(text, { delimiter: ',' }).rows);
+    expect(rows).toEqual([
+      { a: '1\r\n2', b: '3' },
+      { a: 'x"y', b: '4' }
+    ]);
+  });
+
+  it('reports problems on the line where the record starts', () => {
+    const result = CsvParser.parse('a,b\n"x\ny",1\n2\n');
+    expect(result.rows).toHaveLength(2);
+    expect(result.errors).toEqual([{ line: 4, row: 2, message: 'Expected 2 fields but found 1' }]);
+  });
+
+  it('flags stray and unterminated quotes', () => {
+    expect(CsvParser.parse('a,b\nx"y,2\n').errors[0].message).toBe('Unexpected quote in unquoted field');
+    const unterminated = CsvParser.parse('a,b\n"abc,1\n');
+    expect(unterminated.rows).toEqual([{ a: 'abc,1\n', b: '' }]);
+    expect(unterminated.errors[0].message).toBe('Unterminated quoted field');
+  });
+
+  it('names blank and duplicate headers and drops a byte order mark', () => {
+    expect(CsvParser.parse('﻿a,,a\n1,2,3').headers).toEqual(['a', 'Column 2', 'a (2)']);
+  });
+
+  it('skips empty lines and can return arrays instead of objects', () => {
+    const result = CsvParser.parse('1,2\n\n3,4\n', { header: false });
+    expect(result.rows).toEqual([['1', '2'], ['3', '4']]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the delimiter that splits lines consistently', () => {
+    expect(detectDelimiter('a;b;c\n1;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\tc\n1\t2\t3')).toBe('\t');
+  });
+
+  it('ignores delimiters inside quotes', () => {
+    expect(detectDelimiter('"a,b";c\n"1,2";3')).toBe(';');
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * CSV Worker
+ * Runs the shared CsvParser off the main thread, either over a string or streamed from a File
+ */
+import { CsvParser } from './CsvParser.js';
+
+const BATCH_SIZE = 5000;
+const PROGRESS_INTERVAL = 200; // ms
+
+self.onmessage = async (e) => {
+  const { csvText, file, filename, delimiter = 'auto', encoding = 'utf-8' } = e.data;
+
+  try {
+    if (file) {
+      await streamFile(file, { delimiter, encoding });
+    } else {
+      const result = CsvParser.parse(csvText, { delimiter });
+      self.postMessage({ type: 'done', name: filename, ...result });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
+
+// Rows are posted in batches so the main thread never receives one giant message
+async function streamFile(file, { delimiter, encoding }) {
+  let batch = [];
+  const parser = new CsvParser({
+    delimiter,
+    onHeaders: headers => self.postMessage({ type: 'headers', headers }),
+    onRow: row => {
+      batch.push(row);
+      if (batch.length >= BATCH_SIZE) flush();
+    }
+  });
+
+  const flush = () => {
+    if (!batch.length) return;
+    self.postMessage({ type: 'rows', rows: batch });
+    batch = [];
+  };
+
+  const decoder = new TextDecoder(encoding);
+  const reader = file.stream().getReader();
+  let bytes = 0;
+  let lastProgress = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytes += value.byteLength;
+    parser.push(decoder.decode(value, { stream: true }));
+
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL) {
+      lastProgress = now;
+      flush();
+      self.postMessage({ type: 'progress', bytes, total: file.size, rows: parser.rowCount });
+    }
+  }
+
+  parser.push(decoder.decode());
+  parser.end();
+  flush();
+
+  self.postMessage({
+    type: 'done',
+    headers: parser.headers || [],
+    errors: parser.errors,
+    errorCount: parser.errorCount,
+    delimiter: parser.delimiter,
+    bytes,
+    rowCount: parser.rowCount
+  });
+}
@@ -2,6 +2,10 @@
  * Advanced Data Processing Engine
  * Handles large datasets with memory optimization and caching
  */
+import { CsvParser } from './CsvParser.js';
+import { sortEngine } from './SortEngine.js';
+import { searchEngine } from './SearchEngine.js';
+import { searchIndex } from './SearchIndex.js';
 export class DataProcessor {
   constructor() {
     this.cache = new Map();
@@ -58,124 +62,109 @@ export class DataProcessor {
 
     this.incrementCacheMiss();
 
-    return new Promise((resolve) => {
-      // Use web worker for large files
-      if (csvText.length > 100000) {
-        this.parseWithWorker(csvText, filename).then(result => {
-          this.setCache(cacheKey, result);
-          resolve(result);
-        });
-      } else {
-        // Standard parsing for smaller files
-        const result = this.parseCSVSync(csvText, filename);
-        this.setCache(cacheKey, result);
-        resolve(result);
-      }
-    });
+    // Use web worker for large files, standard parsing for smaller ones
+    const result = csvText.length > 100000
+      ? await this.parseWithWorker(csvText, filename)
+      : this.parseCSVSync(csvText, filename);
+
+    this.setCache(cacheKey, result);
+    return result;
   }
 
-  parseCSVSync(csvText, filename) {
-    const lines = csvText.split('\n');
-    const headers = this.parseCSVLine(lines[0] || '');
-    const rows = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line) {
-        const values = this.parseCSVLine(line);
-        const row = {};
-        headers.forEach((header, index) => {
-          row[header] = values[index] || '';
-        });
-        rows.push(row);
-      }
-    }
+  parseCSVSync(csvText, filename, options = {}) {
+    const result = CsvParser.parse(csvText, options);
+    return this.toParsedFile(result, filename, csvText.length);
+  }
 
+  // Shape a CsvParser result like every other parsed file, keeping per-row errors
+  toParsedFile({ headers, rows, errors, errorCount, delimiter }, filename, size) {
     return {
       id: this.generateId(),
       name: filename,
       headers,
       rows,
+      parseErrors: errors,
       metadata: {
         rowCount: rows.length,
         columnCount: headers.length,
-        size: csvText.length,
+        size,
+        delimiter,
+        errorCount,
         parseTime: performance.now()
       }
     };
   }
 
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+  // Web Worker for heavy processing
+  async parseWithWorker(csvText, filename, options = {}) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./CsvWorker.js', import.meta.url), { type: 'module' });
 
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
+      worker.onmessage = (e) => {
+        worker.terminate();
+        if (e.data.type === 'error') {
+          reject(new Error(e.data.message));
+        } else {
+          resolve(this.toParsedFile(e.data, filename, csvText.length));
+        }
+      };
 
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
+      worker.onerror = (error) => {
+        reject(error);
+        worker.terminate();
+      };
 
-    result.push(current.trim());
-    return result;
+      worker.postMessage({ csvText, filename, delimiter: options.delimiter || 'auto' });
+    });
   }
 
-  // Web Worker for heavy processing
-  async parseWithWorker(csvText, filename) {
+  /**
+   * Stream a File through the CSV worker without loading it into one string.
+   * `onProgress({ bytes, total, rows })` fires a few times per second; aborting `signal`
+   * terminates the worker and rejects with an AbortError.
+   */
+  parseFileStream(file, { onProgress, signal, delimiter = 'auto', encoding = 'utf-8' } = {}) {
     return new Promise((resolve, reject) => {
-      const worker = new Worker(URL.createObjectURL(new Blob([`
-        self.onmessage = function(e) {
-          const { csvText, filename } = e.data;
-          
-          // Simple CSV parsing in worker
-          const lines = csvText.split('\\n');
-          const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-          const rows = [];
-          
-          for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line) {
-              const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-              const row = {};
-              headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-              });
-              rows.push(row);
-            }
-          }
-          
-          self.postMessage({
-            id: Date.now().toString(36),
-            name: filename,
-            headers,
-            rows,
-            metadata: {
-              rowCount: rows.length,
-              columnCount: headers.length,
-              parseTime: performance.now()
-            }
-          });
-        };
-      `], { type: 'application/javascript' })));
+      if (signal?.aborted) {
+        reject(new DOMException('Import cancelled', 'AbortError'));
+        return;
+      }
 
-      worker.onmessage = (e) => {
-        resolve(e.data);
+      const worker = new Worker(new URL('./CsvWorker.js', import.meta.url), { type: 'module' });
+      const rows = [];
+
+      const cleanup = () => {
         worker.terminate();
+        signal?.removeEventListener('abort', abort);
+      };
+      const abort = () => {
+        cleanup();
+        reject(new DOMException('Import cancelled', 'AbortError'));
+      };
+      signal?.addEventListener('abort', abort);
+
+      worker.onmessage = (e) => {
+        const message = e.data;
+        if (message.type === 'rows') {
+          for (const row of message.rows) rows.push(row);
+        } else if (message.type === 'progress') {
+          onProgress?.({ bytes: message.bytes, total: message.total, rows: message.rows });
+        } else if (message.type === 'done') {
+          cleanup();
+          onProgress?.({ bytes: file.size, total: file.size, rows: rows.length });
+          resolve(this.toParsedFile({ ...message, rows }, file.name, file.size));
+        } else if (message.type === 'error') {
+          cleanup();
+          reject(new Error(message.message));
+        }
       };
 
       worker.onerror = (error) => {
+        cleanup();
         reject(error);
-        worker.terminate();
       };
 
-      worker.postMessage({ csvText, filename });
+      worker.postMessage({ file, delimiter, encoding });
     });
   }
 
@@ -230,6 +219,15 @@ export class DataProcessor {
       suggestions: []
     };
 
+    // Rows the CSV parser could not line up with the header
+    if (data.parseErrors?.length) {
+      const total = data.metadata?.errorCount || data.parseErrors.length;
+      data.parseErrors.slice(0, 20).forEach(error => {
+        validation.errors.push(`Line ${error.line}: ${error.message}`);
+      });
+      if (total > 20) validation.errors.push(`…and ${total - 20} more malformed rows`);
+    }
+
     // Check for empty columns
     data.headers.forEach(header => {
       const emptyCount = data.rows.filter(row => !row[header] || row[header] === '').length;
@@ -257,9 +255,9 @@ export class DataProcessor {
     return validation;
   }
 
-  // Optimized filtering with indexing
-  filterData(data, searchTerm, column = null) {
-    const cacheKey = this.generateCacheKey('filter', `${searchTerm}_${column}`);
+  // Optimized filtering with indexing; `mode` is one of SEARCH_MODES (plain, word, regex, fuzzy)
+  filterData(data, searchTerm, column = null, mode = 'plain') {
+    const cacheKey = this.generateCacheKey('filter', `${this.dataKey(data)}_${mode}_${searchTerm}_${column}`);
     const cached = this.cache.get(cacheKey);
 
     if (cached) {
@@ -270,15 +268,18 @@ export class DataProcessor {
     this.incrementCacheMiss();
 
     const searchColumns = column ? [column] : data.headers;
-    const searchLower = searchTerm.toLowerCase();
-
-    const filtered = data.rows.filter(row => {
-      return searchColumns.some(col => {
-        const value = row[col];
-        return value && value.toString().toLowerCase().includes(searchLower);
-      });
+    const matcher = searchEngine.compile(searchTerm, mode);
+    const test = row => searchColumns.some(col => {
+      const value = row[col];
+      return value !== null && value !== undefined && matcher.test(value.toString());
     });
 
+    // The token index narrows plain and whole-word searches to candidate rows, which are still checked
+    const candidates = searchIndex.candidates(data, searchTerm, mode, searchColumns);
+    const filtered = candidates
+      ? candidates.map(i => data.rows[i]).filter(test)
+      : data.rows.filter(test);
+
     const result = { ...data, rows: filtered };
     this.setCache(cacheKey, result);
     return result;
@@ -286,7 +287,7 @@ export class DataProcessor {
 
   // Advanced sorting with multiple columns
   sortData(data, sortConfig) {
-    const cacheKey = this.generateCacheKey('sort', JSON.stringify(sortConfig));
+    const cacheKey = this.generateCacheKey('sort', `${this.dataKey(data)}_${JSON.stringify(sortConfig)}`);
     const cached = this.cache.get(cacheKey);
 
     if (cached) {
@@ -296,25 +297,8 @@ export class DataProcessor {
 
     this.incrementCacheMiss();
 
-    const sorted = [...data.rows].sort((a, b) => {
-      for (const { column, direction } of sortConfig) {
-        const aVal = a[column];
-        const bVal = b[column];
-
-        let comparison = 0;
-
-        if (this.isNumeric(aVal) && this.isNumeric(bVal)) {
-          comparison = parseFloat(aVal) - parseFloat(bVal);
-        } else {
-          comparison = String(aVal).localeCompare(String(bVal));
-        }
-
-        if (comparison !== 0) {
-          return direction === 'desc' ? -comparison : comparison;
-        }
-      }
-      return 0;
-    });
+    // Type-aware (schema or guessed), natural text order, empty cells last unless `nulls: 'first'`
+    const sorted = sortEngine.order(data, sortConfig).map(i => data.rows[i]);
 
     const result = { ...data, rows: sorted };
     this.setCache(cacheKey, result);
@@ -334,6 +318,11 @@ export class DataProcessor {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
+  // Cached results belong to one version of one file (see SearchIndex.touch)
+  dataKey(data) {
+    return `${data.id}@${data.version ?? 0}`;
+  }
+
   generateCacheKey(operation, data) {
     return `${operation}_${this.hashCode(data)}`;
   }
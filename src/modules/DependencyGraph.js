@@ -0,0 +1,206 @@
+/**
+ * Formula Dependency Graph
+ * Tracks which cells each formula reads and recalculates only dirty dependents
+ */
+import { formulaEngine, ERRORS } from './FormulaEngine.js';
+
+const cellKey = (row, column) => `${row}:${column}`;
+
+// Row indexes are numeric, so the first ":" always separates row from column
+const splitKey = (key) => {
+  const sep = key.indexOf(':');
+  return { row: Number(key.slice(0, sep)), column: key.slice(sep + 1) };
+};
+
+export class DependencyGraph {
+  constructor(engine = formulaEngine) {
+    this.engine = engine;
+    this.graphs = new WeakMap();
+  }
+
+  // Graph for a file, rebuilt when formulas, headers or row count changed underneath it
+  getGraph(file) {
+    return this.isStale(file) ? this.build(file) : this.graphs.get(file);
+  }
+
+  isStale(file) {
+    const graph = this.graphs.get(file);
+    return !graph || graph.formulasRef !== file.formulas || graph.signature !== this.signature(file);
+  }
+
+  signature(file) {
+    const computed = Object.entries(file.computed || {}).map(([col, expr]) => `${col}=${expr}`);
+    return [file.rows.length, ...file.headers, '', ...computed].join('\u0001');
+  }
+
+  build(file) {
+    const graph = {
+      formulasRef: file.formulas,
+      signature: this.signature(file),
+      references: new Map(), // formula key -> { cells, ranges }
+      cellDependents: new Map(), // cell key -> Set(formula key)
+      rangeDependents: new Map() // column -> Set(formula key) reading a range over it
+    };
+
+    this.graphs.set(file, graph);
+    this.engine.forEachFormula(file, (row, column, source) => {
+      this.index(graph, file, row, column, source);
+    });
+    return graph;
+  }
+
+  invalidate(file) {
+    this.graphs.delete(file);
+  }
+
+  // Full recalculation only when the file changed structurally since the graph was built
+  refresh(file) {
+    if (!this.engine.hasFormulas(file) || !this.isStale(file)) {
+      return { recalculated: 0, circular: 0 };
+    }
+    return this.recalculate(file);
+  }
+
+  index(graph, file, row, column, source) {
+    const key = cellKey(row, column);
+    const refs = this.engine.getReferences(source, file, row);
+    graph.references.set(key, refs);
+
+    refs.cells.forEach(ref => {
+      const refKey = cellKey(ref.row, ref.column);
+      if (!graph.cellDependents.has(refKey)) graph.cellDependents.set(refKey, new Set());
+      graph.cellDependents.get(refKey).add(key);
+    });
+
+    refs.ranges.forEach(range => {
+      range.columns.forEach(col => {
+        if (!graph.rangeDependents.has(col)) graph.rangeDependents.set(col, new Set());
+        graph.rangeDependents.get(col).add(key);
+      });
+    });
+  }
+
+  unindex(graph, key) {
+    const refs = graph.references.get(key);
+    if (!refs) return;
+
+    refs.cells.forEach(ref => graph.cellDependents.get(cellKey(ref.row, ref.column))?.delete(key));
+    refs.ranges.forEach(range => {
+      range.columns.forEach(col => graph.rangeDependents.get(col)?.delete(key));
+    });
+    graph.references.delete(key);
+  }
+
+  // Call after a cell's formula was set or cleared so its outgoing edges stay current
+  update(file, row, column) {
+    const graph = this.getGraph(file);
+    const key = cellKey(row, column);
+    this.unindex(graph, key);
+
+    const source = this.engine.getFormula(file, row, column);
+    if (source) this.index(graph, file, row, column, source);
+
+    graph.formulasRef = file.formulas;
+  }
+
+  // Formula cells that read the given cell directly or through a range
+  directDependents(graph, key) {
+    const { row, column } = splitKey(key);
+    const result = new Set(graph.cellDependents.get(key) || []);
+
+    graph.rangeDependents.get(column)?.forEach(formulaKey => {
+      const refs = graph.references.get(formulaKey);
+      const covered = refs?.ranges.some(range =>
+        range.columns.includes(column) && row >= range.rowStart && row <= range.rowEnd
+      );
+      if (covered) result.add(formulaKey);
+    });
+
+    return result;
+  }
+
+  /**
+   * Recalculate formulas affected by `changed` (an array of `[row, column]` pairs),
+   * or every formula in the file when omitted. Dirty cells are evaluated in topological
+   * order; cells on a cycle (or downstream of one) receive `#CIRC!`.
+   * Returns `{ recalculated, circular }` counts.
+   */
+  recalculate(file, changed = null) {
+    if (!this.engine.hasFormulas(file)) return { recalculated: 0, circular: 0 };
+
+    const graph = this.getGraph(file);
+    const seeds = changed
+      ? changed.map(([row, column]) => cellKey(row, column))
+      : Array.from(graph.references.keys());
+
+    // Collect the dirty set and the edges between dirty cells
+    const dirty = new Set();
+    const edges = new Map();
+    const visited = new Set();
+    const queue = [];
+
+    seeds.forEach(key => {
+      if (graph.references.has(key)) dirty.add(key);
+      queue.push(key);
+    });
+
+    for (let i = 0; i < queue.length; i++) {
+      const key = queue[i];
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      const dependents = this.directDependents(graph, key);
+      edges.set(key, dependents);
+      dependents.forEach(dep => {
+        dirty.add(dep);
+        if (!visited.has(dep)) queue.push(dep);
+      });
+    }
+
+    // Kahn's algorithm restricted to the dirty set
+    const indegree = new Map();
+    dirty.forEach(key => indegree.set(key, 0));
+    dirty.forEach(key => {
+      edges.get(key)?.forEach(dep => indegree.set(dep, indegree.get(dep) + 1));
+    });
+
+    const ready = [];
+    indegree.forEach((count, key) => {
+      if (count === 0) ready.push(key);
+    });
+
+    let recalculated = 0;
+    while (ready.length) {
+      const key = ready.pop();
+      const { row, column } = splitKey(key);
+      const source = this.engine.getFormula(file, row, column);
+
+      if (source && file.rows[row]) {
+        const value = this.engine.evaluate(source, { file, rowIndex: row });
+        file.rows[row][column] = this.engine.toCellValue(value);
+        recalculated++;
+      }
+
+      edges.get(key)?.forEach(dep => {
+        const remaining = indegree.get(dep) - 1;
+        indegree.set(dep, remaining);
+        if (remaining === 0) ready.push(dep);
+      });
+    }
+
+    // Whatever never became ready sits on, or behind, a circular reference
+    let circular = 0;
+    indegree.forEach((count, key) => {
+      if (count <= 0) return;
+      const { row, column } = splitKey(key);
+      if (file.rows[row]) {
+        file.rows[row][column] = ERRORS.CIRC;
+        circular++;
+      }
+    });
+
+    return { recalculated, circular };
+  }
+}
+
+export const dependencyGraph = new DependencyGraph();
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { formulaEngine, ERRORS } from './FormulaEngine.js';
+import { DependencyGraph } from './DependencyGraph.js';
+
+const makeFile = () => ({
+  headers: ['a', 'b', 'c'],
+  rows: [
+    { a: 1, b: '', c: '' },
+    { a: 2, b: '', c: '' },
+    { a: 3, b: '', c: '' }
+  ]
+});
+
+describe('DependencyGraph', () => {
+  it('recalculates chains in dependency order', () => {
+    const graph = new DependencyGraph();
+    const file = makeFile();
+    formulaEngine.setFormula(file, 0, 'c', '=B1 + 1');
+    formulaEngine.setFormula(file, 0, 'b', '=a * 10');
+    expect(graph.recalculate(file)).toEqual({ recalculated: 2, circular: 0 });
+    expect(file.rows[0]).toMatchObject({ b: 10, c: 11 });
+  });
+
+  it('only recalculates the dependents of changed cells', () => {
+    const graph = new DependencyGraph();
+    const file = makeFile();
+    formulaEngine.setFormula(file, 0, 'b', '=a * 10');
+    formulaEngine.setFormula(file, 1, 'b', '=a * 10');
+    formulaEngine.setFormula(file, 2, 'c', '=SUM(A1:A3)');
+    graph.recalculate(file);
+
+    file.rows[0].a = 5;
+    expect(graph.recalculate(file, [[0, 'a']])).toEqual({ recalculated: 2, circular: 0 });
+    expect(file.rows[0].b).toBe(50);
+    expect(file.rows[1].b).toBe(20);
+    expect(file.rows[2].c).toBe(10);
+  });
+
+  it('marks cells on a cycle and cells reading them with #CIRC!', () => {
+    const graph = new DependencyGraph();
+    const file = makeFile();
+    formulaEngine.setFormula(file, 1, 'b', '=C2');
+    formulaEngine.setFormula(file, 1, 'c', '=B2');
+    formulaEngine.setFormula(file, 2, 'b', '=B2 + 1');
+    formulaEngine.setFormula(file, 0, 'b', '=a + 1');
+    expect(graph.recalculate(file)).toEqual({ recalculated: 1, circular: 3 });
+    expect(file.rows[1]).toMatchObject({ b: ERRORS.CIRC, c: ERRORS.CIRC });
+    expect(file.rows[2].b).toBe(ERRORS.CIRC);
+    expect(file.rows[0].b).toBe(2);
+  });
+
+  it('detects a cell referring to itself', () => {
+    const graph = new DependencyGraph();
+    const file = makeFile();
+    formulaEngine.setFormula(file, 0, 'b', '=B1 + 1');
+    expect(graph.recalculate(file).circular).toBe(1);
+    expect(file.rows[0].b).toBe(ERRORS.CIRC);
+  });
+
+  it('recovers once the cycle is broken', () => {
+    const graph = new DependencyGraph();
+    const file = makeFile();
+    formulaEngine.setFormula(file, 1, 'b', '=C2');
+    formulaEngine.setFormula(file, 1, 'c', '=B2');
+    graph.recalculate(file);
+
+    formulaEngine.setFormula(file, 1, 'c', '=a * 2');
+    graph.update(file, 1, 'c');
+    expect(graph.recalculate(file, [[1, 'c']])).toEqual({ recalculated: 2, circular: 0 });
+    expect(file.rows[1]).toMatchObject({ b: 4, c: 4 });
+  });
+});
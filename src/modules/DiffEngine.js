@@ -0,0 +1,288 @@
+/**
+ * Diff Engine
+ * Row and cell level differences between two versions of a table, or between two tables that
+ * share key columns. Without keys rows are lined up as sequences (the Myers algorithm on whole
+ * rows), so inserted and deleted rows don't make every row after them look changed; a deleted
+ * row followed by an inserted one counts as a changed row. With keys, rows with the same key
+ * values are compared wherever they are. A diff can be applied to either table.
+ */
+import { formulaEngine } from './FormulaEngine.js';
+import { dependencyGraph } from './DependencyGraph.js';
+import { searchIndex } from './SearchIndex.js';
+
+// Edit distance (in rows) the sequence alignment gives up at; beyond it rows are paired by position
+const MAX_EDITS = 1000;
+const SEPARATOR = '\u0001';
+
+export class DiffEngine {
+  /**
+   * Differences from table `a` to table `b` (both `{ headers, rows }`), matching rows on the
+   * `keys` columns when given. Returns `{ columns, keys, addedColumns, removedColumns, rows,
+   * duplicates, summary }`: `rows` lists every row as
+   * `{ type: 'same'|'added'|'removed'|'changed', a, b, cells }` with `a`/`b` the row indices on
+   * each side (null where missing) and `cells` the changed columns. Only columns both tables
+   * have are compared; the others are listed in `addedColumns` and `removedColumns`. `summary`
+   * counts `added`, `removed`, `changed` and `same` rows and, in `columns`, changed cells per
+   * compared column. Keys missing from either table are ignored; `duplicates` counts the rows of
+   * each table whose key values another row has too (`{ a, b }`).
+   */
+  diff(a, b, keys = []) {
+    const columns = [...a.headers, ...b.headers.filter(h => !a.headers.includes(h))];
+    const common = a.headers.filter(h => b.headers.includes(h));
+    const keyColumns = keys.filter(k => common.includes(k));
+    let rows;
+    if (keyColumns.length) {
+      rows = this.matchKeys(a, b, keyColumns, common);
+    } else {
+      const keysA = a.rows.map(row => this.rowKey(row, common));
+      const keysB = b.rows.map(row => this.rowKey(row, common));
+      rows = this.pairRuns(this.align(keysA, keysB), a, b, common);
+    }
+    return {
+      columns,
+      keys: keyColumns,
+      addedColumns: b.headers.filter(h => !a.headers.includes(h)),
+      removedColumns: a.headers.filter(h => !b.headers.includes(h)),
+      rows,
+      duplicates: keyColumns.length ? { a: this.duplicates(a, keyColumns), b: this.duplicates(b, keyColumns) } : { a: 0, b: 0 },
+      summary: this.summarize(rows, common)
+    };
+  }
+
+  rowKey(row, columns) {
+    return columns.map(c => this.text(row?.[c])).join(SEPARATOR);
+  }
+
+  text(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  // Cells of `columns` whose text differs between `rowA` and `rowB`
+  changedCells(rowA, rowB, columns) {
+    return columns.filter(c => this.text(rowA?.[c]) !== this.text(rowB?.[c]));
+  }
+
+  // Key matching
+  /**
+   * Diff rows pairing the rows of `a` and `b` with equal `keys` values (the n-th row with a key
+   * in `a` with the n-th in `b`). Rows follow the order of `b`, with the unmatched rows of `a`
+   * listed where they were.
+   */
+  matchKeys(a, b, keys, columns) {
+    const byKey = new Map(); // key -> { rows of a, next unmatched }
+    a.rows.forEach((row, i) => {
+      const key = this.rowKey(row, keys);
+      if (!byKey.has(key)) byKey.set(key, { rows: [], next: 0 });
+      byKey.get(key).rows.push(i);
+    });
+    const match = b.rows.map(row => {
+      const group = byKey.get(this.rowKey(row, keys));
+      return group && group.next < group.rows.length ? group.rows[group.next++] : null;
+    });
+    const matched = new Set(match.filter(i => i !== null));
+
+    const rows = [];
+    let next = 0; // rows of `a` before this are listed or matched
+    const removedUpTo = end => {
+      for (; next < end; next++) {
+        if (!matched.has(next)) rows.push({ type: 'removed', a: next, b: null, cells: [] });
+      }
+    };
+    match.forEach((i, j) => {
+      if (i === null) {
+        rows.push({ type: 'added', a: null, b: j, cells: [] });
+        return;
+      }
+      removedUpTo(i);
+      next = Math.max(next, i + 1);
+      const cells = this.changedCells(a.rows[i], b.rows[j], columns);
+      rows.push({ type: cells.length ? 'changed' : 'same', a: i, b: j, cells });
+    });
+    removedUpTo(a.rows.length);
+    return rows;
+  }
+
+  // Rows of `table` whose `keys` values another row has too
+  duplicates(table, keys) {
+    const counts = new Map();
+    table.rows.forEach(row => {
+      const key = this.rowKey(row, keys);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    let total = 0;
+    counts.forEach(count => { if (count > 1) total += count; });
+    return total;
+  }
+
+  // Alignment
+  /**
+   * Edit script from `a` to `b` as `[type, indexA, indexB]` steps (`equal`, `delete`, `insert`).
+   * The common prefix and suffix are matched first; when the rest needs more than MAX_EDITS
+   * edits it is paired by position instead.
+   */
+  align(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push(['equal', i, i]);
+    const middle = this.myers(a.slice(start, endA), b.slice(start, endB));
+    if (middle) {
+      middle.forEach(([type, i, j]) => ops.push([type, i === null ? null : i + start, j === null ? null : j + start]));
+    } else {
+      for (let i = start; i < endA; i++) ops.push(['delete', i, null]);
+      for (let j = start; j < endB; j++) ops.push(['insert', null, j]);
+    }
+    for (let i = endA, j = endB; i < a.length; i++, j++) ops.push(['equal', i, j]);
+    return ops;
+  }
+
+  // Shortest edit script by Myers' O((N+M)D) algorithm, or null past MAX_EDITS edits
+  myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) return this.backtrack(trace, offset, n, m);
+      }
+    }
+    return null;
+  }
+
+  backtrack(trace, offset, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+      const prevX = v[offset + prevK];
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        ops.push(['equal', x - 1, y - 1]);
+        x--;
+        y--;
+      }
+      if (d > 0) ops.push(x === prevX ? ['insert', null, y - 1] : ['delete', x - 1, null]);
+      x = prevX;
+      y = prevY;
+    }
+    return ops.reverse();
+  }
+
+  /**
+   * Turn an edit script into diff rows. Within each run of deletes and inserts between equal
+   * rows, deleted and inserted rows are paired in order as changed rows; the rest are removed
+   * or added.
+   */
+  pairRuns(ops, a, b, columns) {
+    const rows = [];
+    let deleted = [];
+    let inserted = [];
+    const flush = () => {
+      const paired = Math.min(deleted.length, inserted.length);
+      for (let k = 0; k < paired; k++) {
+        const cells = this.changedCells(a.rows[deleted[k]], b.rows[inserted[k]], columns);
+        rows.push({ type: cells.length ? 'changed' : 'same', a: deleted[k], b: inserted[k], cells });
+      }
+      deleted.slice(paired).forEach(i => rows.push({ type: 'removed', a: i, b: null, cells: [] }));
+      inserted.slice(paired).forEach(j => rows.push({ type: 'added', a: null, b: j, cells: [] }));
+      deleted = [];
+      inserted = [];
+    };
+    ops.forEach(([type, i, j]) => {
+      if (type === 'delete') deleted.push(i);
+      else if (type === 'insert') inserted.push(j);
+      else {
+        flush();
+        rows.push({ type: 'same', a: i, b: j, cells: [] });
+      }
+    });
+    flush();
+    return rows;
+  }
+
+  summarize(rows, columns) {
+    const summary = { added: 0, removed: 0, changed: 0, same: 0, columns: Object.fromEntries(columns.map(c => [c, 0])) };
+    rows.forEach(row => {
+      summary[row.type]++;
+      row.cells.forEach(c => { summary.columns[c]++; });
+    });
+    return summary;
+  }
+
+  // Applying
+  /**
+   * Make one side of `diff` (from table `a` to table `b`, both files) match the other, recording
+   * the changes on the history `step`. `into` is the file to change, 'a' or 'b'. `add` appends
+   * the rows only the other file has, `remove` deletes the rows only this file has and `update`
+   * copies the other file's value into each changed cell (clearing a formula there; computed
+   * columns are left to recalculate). Only the compared columns change. Returns the counts
+   * `{ added, removed, updated }`.
+   */
+  apply(diff, a, b, step, { into = 'a', add = true, remove = true, update = true } = {}) {
+    const toA = into === 'a';
+    const target = toA ? a : b;
+    const source = toA ? b : a;
+    const at = r => (toA ? r.a : r.b);
+    const from = r => (toA ? r.b : r.a);
+    const counts = { added: 0, removed: 0, updated: 0 };
+
+    if (update) {
+      diff.rows.filter(r => r.type === 'changed').forEach(r => {
+        r.cells.filter(c => !formulaEngine.isComputed(target, c)).forEach(c => {
+          step.cell(target, at(r), c);
+          formulaEngine.setFormula(target, at(r), c, null);
+          target.rows[at(r)][c] = source.rows[from(r)][c];
+          counts.updated++;
+        });
+      });
+    }
+    if (remove) {
+      const extra = diff.rows.filter(r => r.type === (toA ? 'removed' : 'added')).map(at);
+      step.deleteRows(target, extra);
+      const gone = new Set(extra);
+      target.rows = target.rows.filter((_, i) => !gone.has(i));
+      formulaEngine.removeRows(target, extra);
+      counts.removed = extra.length;
+    }
+    if (add) {
+      const start = target.rows.length;
+      diff.rows.filter(r => r.type === (toA ? 'added' : 'removed')).forEach(r => {
+        const row = source.rows[from(r)];
+        target.rows.push(Object.fromEntries(target.headers.map(h => [h, row[h] ?? ''])));
+      });
+      counts.added = target.rows.length - start;
+      if (counts.added) step.insertRows(target, Array.from({ length: counts.added }, (_, k) => start + k));
+    }
+
+    searchIndex.touch(target);
+    dependencyGraph.invalidate(target);
+    dependencyGraph.recalculate(target);
+    return counts;
+  }
+}
+
+export const diffEngine = new DiffEngine();
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { diffEngine } from './DiffEngine.js';
+import { HistoryManager } from './HistoryManager.js';
+
+const table = (rows, headers = ['k', 'v']) => ({ headers, rows: rows.map(([k, v, w]) => ({ k, v, w })) });
+const changes = diff => diff.rows.filter(r => r.type !== 'same').map(r => [r.type, r.a, r.b, r.cells]);
+
+// Small deterministic generator so a failing case can be reproduced
+const random = seed => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+describe('DiffEngine without keys', () => {
+  it('lines rows up so an inserted or deleted row does not change the rows after it', () => {
+    const diff = diffEngine.diff(
+      table([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]),
+      table([[1, 'a'], [3, 'c'], [4, 'X'], [5, 'e']])
+    );
+    expect(changes(diff)).toEqual([
+      ['removed', 1, null, []],
+      ['changed', 3, 2, ['v']],
+      ['added', null, 3, []]
+    ]);
+    expect(diff.summary).toMatchObject({ added: 1, removed: 1, changed: 1, same: 2, columns: { k: 0, v: 1 } });
+  });
+
+  it('reports added and removed columns', () => {
+    const diff = diffEngine.diff(table([[1, 'a']]), table([[0, 'z'], [1, 'a']], ['k', 'v', 'w']));
+    expect(changes(diff)).toEqual([['added', null, 0, []]]);
+    expect(diff.addedColumns).toEqual(['w']);
+    expect(diff.removedColumns).toEqual([]);
+  });
+
+  it('walks both tables in order, matching only equal rows', () => {
+    const next = random(42);
+    const rows = () => Array.from({ length: Math.floor(next() * 15) }, () => [Math.floor(next() * 4), 'x']);
+    for (let trial = 0; trial < 200; trial++) {
+      const a = table(rows());
+      const b = table(rows());
+      const diff = diffEngine.diff(a, b);
+      const inA = diff.rows.filter(r => r.a !== null).map(r => r.a);
+      const inB = diff.rows.filter(r => r.b !== null).map(r => r.b);
+      expect(inA).toEqual(a.rows.map((_, i) => i));
+      expect(inB).toEqual(b.rows.map((_, i) => i));
+      diff.rows
+        .filter(r => r.type === 'same')
+        .forEach(r => expect(a.rows[r.a]).toEqual(b.rows[r.b]));
+    }
+  });
+
+  it('finds the shortest edit script', () => {
+    const a = [1, 2, 3, 4, 5, 6].map(String);
+    const b = [1, 3, 4, 7, 5, 6].map(String);
+    const ops = diffEngine.align(a, b);
+    expect(ops.filter(([type]) => type !== 'equal')).toEqual([['delete', 1, null], ['insert', null, 3]]);
+  });
+
+  it('pairs rows by position when they differ by more than the edit limit', () => {
+    const rows = Array.from({ length: 2000 }, (_, i) => [i, 'a']);
+    expect(diffEngine.myers(rows.map(String), rows.map(r => `${r}b`))).toBeNull();
+    const diff = diffEngine.diff(table(rows), table(rows.map(([k]) => [k, 'b'])));
+    expect(diff.summary).toMatchObject({ added: 0, removed: 0, changed: 2000, same: 0 });
+  });
+});
+
+describe('DiffEngine with keys', () => {
+  const makeTables = () => ({
+    a: {
+      id: 'a',
+      name: 'A',
+      headers: ['id', 'v', 'w'],
+      rows: [
+        { id: 1, v: 'x', w: 1 },
+        { id: 2, v: 'y', w: 2 },
+        { id: 3, v: 'z', w: 3 },
+        { id: 3, v: 'dup', w: 9 },
+        { id: 5, v: 'e', w: 5 }
+      ]
+    },
+    b: {
+      id: 'b',
+      name: 'B',
+      headers: ['id', 'v', 'z'],
+      rows: [{ id: 5, v: 'E', z: 0 }, { id: 1, v: 'x', z: 0 }, { id: 4, v: 'n', z: 0 }, { id: 3, v: 'z', z: 0 }]
+    }
+  });
+
+  it('matches rows by key wherever they are and counts duplicate keys', () => {
+    const { a, b } = makeTables();
+    const diff = diffEngine.diff(a, b, ['id']);
+    expect(diff.rows.map(r => [r.type, r.a, r.b, r.cells])).toEqual([
+      ['removed', 1, null, []],
+      ['removed', 3, null, []],
+      ['changed', 4, 0, ['v']],
+      ['same', 0, 1, []],
+      ['added', null, 2, []],
+      ['same', 2, 3, []]
+    ]);
+    expect(diff.summary).toMatchObject({ added: 1, removed: 2, changed: 1, same: 2 });
+    expect(diff.duplicates).toEqual({ a: 2, b: 0 });
+    expect(diff.columns).toEqual(['id', 'v', 'w', 'z']);
+    expect(diff.addedColumns).toEqual(['z']);
+    expect(diff.removedColumns).toEqual(['w']);
+  });
+
+  it.each([
+    ['a', { added: 1, removed: 2, updated: 1 }],
+    ['b', { added: 2, removed: 1, updated: 1 }]
+  ])('applies the diff into %s as one undoable step', (into, counts) => {
+    const { a, b } = makeTables();
+    const workspace = { files: [a, b], activeId: 'a' };
+    // Headers and rows only: the formula engine adds its own bookkeeping to the files it touches
+    const contents = () => JSON.stringify(workspace.files.map(f => [f.headers, f.rows]));
+    const before = contents();
+    const history = new HistoryManager();
+
+    const step = history.begin(workspace, 'Apply diff');
+    expect(diffEngine.apply(diffEngine.diff(a, b, ['id']), a, b, step, { into })).toEqual(counts);
+    step.commit();
+    expect(diffEngine.diff(a, b, ['id']).summary).toMatchObject({ added: 0, removed: 0, changed: 0 });
+
+    history.undo(workspace);
+    expect(contents()).toBe(before);
+  });
+
+  it('only applies the kinds of change asked for', () => {
+    const { a, b } = makeTables();
+    const workspace = { files: [a, b], activeId: 'a' };
+    const step = new HistoryManager().begin(workspace, 'Apply diff');
+    const counts = diffEngine.apply(diffEngine.diff(a, b, ['id']), a, b, step, { add: false, remove: false });
+    expect(counts).toEqual({ added: 0, removed: 0, updated: 1 });
+    expect(a.rows.map(r => r.v)).toEqual(['x', 'y', 'z', 'dup', 'E']);
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Filter Engine
+ * Structured row filters: per-column conditions combined into AND/OR groups, plus Excel-style
+ * header filters (value checklists and ranges). Like sorting, a filter yields row indices and
+ * never removes rows from the file.
+ */
+import { sortEngine } from './SortEngine.js';
+import { searchIndex } from './SearchIndex.js';
+
+// `values`: how many operands the operator takes (0 = none, 2 = a range)
+export const FILTER_OPERATORS = [
+  { id: 'equals', label: 'equals', values: 1 },
+  { id: 'contains', label: 'contains', values: 1 },
+  { id: 'startsWith', label: 'starts with', values: 1 },
+  { id: 'regex', label: 'matches regex', values: 1 },
+  { id: 'gt', label: '>', values: 1 },
+  { id: 'lt', label: '<', values: 1 },
+  { id: 'between', label: 'between', values: 2 },
+  { id: 'in', label: 'in list', values: 1 },
+  { id: 'empty', label: 'is empty', values: 0 },
+  { id: 'notEmpty', label: 'is not empty', values: 0 },
+  { id: 'before', label: 'date before', values: 1 },
+  { id: 'after', label: 'date after', values: 1 },
+  { id: 'top', label: 'top N', values: 1 }
+];
+
+const OPERATORS = new Map(FILTER_OPERATORS.map(op => [op.id, op]));
+const RANGE_TYPES = new Set(['number', 'date']);
+
+export class FilterEngine {
+  /**
+   * Indices of the rows of `file` that pass `filter`
+   * (`{ logic: 'and'|'or', groups: [{ logic, conditions: [{ id, column, op, value, value2 }] }] }`),
+   * starting from `indices` (all rows when null).
+   */
+  apply(file, filter, indices = null) {
+    const base = indices || file.rows.map((_, i) => i);
+    if (!this.isActive(filter)) return base;
+    const test = this.compile(file, filter);
+    return base.filter(test);
+  }
+
+  isActive(filter) {
+    return Boolean(filter?.groups?.some(g => g.conditions?.length));
+  }
+
+  /**
+   * Rows passing everything stored on the file: its header filters (`file.columnFilters`) and its
+   * builder filter (`file.filter`). `except` leaves one column's header filter out, which is what
+   * that column's own dropdown lists values from.
+   */
+  applyFile(file, { except = null } = {}) {
+    return this.apply(file, file.filter, this.applyColumnFilters(file, file.columnFilters, null, except));
+  }
+
+  isFiltered(file) {
+    return this.isActive(file.filter) || Object.keys(file.columnFilters || {}).length > 0;
+  }
+
+  // Header filters
+  /**
+   * `columnFilters` is `{ [column]: { values?: string[], range?: { min, max } } }`; columns are
+   * combined with AND, like Excel's AutoFilter. `values` lists the checked values ('' = empty cells).
+   */
+  applyColumnFilters(file, columnFilters, indices = null, except = null) {
+    let result = indices || file.rows.map((_, i) => i);
+    Object.entries(columnFilters || {}).forEach(([column, columnFilter]) => {
+      if (column === except || !file.headers.includes(column)) return;
+      const test = this.compileColumnFilter(file, column, columnFilter);
+      result = result.filter(test);
+    });
+    return result;
+  }
+
+  compileColumnFilter(file, column, { values, range }) {
+    const tests = [];
+    if (values) {
+      const set = new Set(values);
+      tests.push(this.narrow(file, column, values, i => set.has(this.valueLabel(file.rows[i]?.[column]))));
+    }
+    if (range) {
+      const type = sortEngine.columnType(file, column);
+      const format = file.schema?.[column]?.format;
+      const min = range.min === null || range.min === undefined ? null : sortEngine.sortKey(range.min, type, format);
+      const max = range.max === null || range.max === undefined ? null : sortEngine.sortKey(range.max, type, format);
+      tests.push(i => {
+        const key = sortEngine.sortKey(file.rows[i]?.[column], type, format);
+        return (!min || this.compare(key, min) >= 0) && (!max || this.compare(key, max) <= 0);
+      });
+    }
+    return i => tests.every(t => t(i));
+  }
+
+  // Cell value as listed in a header dropdown; empty cells are grouped under ''
+  valueLabel(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+  }
+
+  /**
+   * Distinct values of `column` among `indices` with how often each occurs, in the column's sort
+   * order with empty cells last: `[{ value, count }]`.
+   */
+  distinctValues(file, column, indices) {
+    const counts = new Map();
+    indices.forEach(i => {
+      const value = this.valueLabel(file.rows[i]?.[column]);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    const compare = sortEngine.comparator(file, { column, direction: 'asc', nulls: 'last' });
+    return Array.from(counts, ([value, count]) => ({ value, count })).sort((a, b) => compare(a.value, b.value));
+  }
+
+  /**
+   * Extent of a number or date column for range sliders: `{ type, min, max }` in sort-key units
+   * (numbers, or epoch milliseconds for dates), or null for other types or no valid values.
+   */
+  columnRange(file, column) {
+    const type = sortEngine.columnType(file, column);
+    if (!RANGE_TYPES.has(type)) return null;
+    const format = file.schema?.[column]?.format;
+    let min = Infinity;
+    let max = -Infinity;
+    file.rows.forEach(row => {
+      const key = sortEngine.sortKey(row?.[column], type, format);
+      if (key.rank !== 0) return;
+      if (key.value < min) min = key.value;
+      if (key.value > max) max = key.value;
+    });
+    return min <= max ? { type, min, max } : null;
+  }
+
+  // Chip label for a header filter, e.g. `Region: North, South +2` or `Price: 10 – 20`
+  describeColumnFilter(column, { values, range }) {
+    const parts = [];
+    if (values) {
+      const shown = values.slice(0, 3).map(v => (v === '' ? '(empty)' : v)).join(', ');
+      parts.push(values.length > 3 ? `${shown} +${values.length - 3}` : shown || '(none)');
+    }
+    if (range) {
+      if (range.min !== null && range.max !== null) parts.push(`${range.min} – ${range.max}`);
+      else if (range.min !== null) parts.push(`≥ ${range.min}`);
+      else parts.push(`≤ ${range.max}`);
+    }
+    return `${column}: ${parts.join('; ')}`;
+  }
+
+  // Header filters after a column rename or delete (`to` null)
+  renameColumnFilters(columnFilters, from, to) {
+    if (!columnFilters || !(from in columnFilters)) return columnFilters;
+    const { [from]: moved, ...rest } = columnFilters;
+    return to === null ? rest : { ...rest, [to]: moved };
+  }
+
+  /**
+   * Predicate over row indices. Values and regexes are prepared once; a condition that can't be
+   * evaluated (unknown column, bad regex) matches nothing rather than throwing mid-render.
+   */
+  compile(file, filter) {
+    const groups = filter.groups
+      .filter(g => g.conditions?.length)
+      .map(g => {
+        const tests = g.conditions.map(c => this.compileCondition(file, c));
+        return g.logic === 'or'
+          ? i => tests.some(t => t(i))
+          : i => tests.every(t => t(i));
+      });
+    return filter.logic === 'or'
+      ? i => groups.some(g => g(i))
+      : i => groups.every(g => g(i));
+  }
+
+  compileCondition(file, condition) {
+    const { column, op } = condition;
+    if (!file.headers.includes(column) || this.validate(condition, file)) return () => false;
+
+    const type = this.operandType(file, condition);
+    const format = file.schema?.[column]?.format;
+    const text = i => String(file.rows[i]?.[column] ?? '').trim();
+    const key = i => sortEngine.sortKey(file.rows[i]?.[column], type, format);
+    const operand = sortEngine.sortKey(condition.value, type, format);
+    const lower = String(condition.value ?? '').trim().toLowerCase();
+
+    switch (op) {
+      case 'equals':
+        return type === 'text'
+          ? this.narrow(file, column, [condition.value], i => text(i).toLowerCase() === lower)
+          : i => this.compare(key(i), operand) === 0;
+      case 'contains':
+        return i => text(i).toLowerCase().includes(lower);
+      case 'startsWith':
+        return i => text(i).toLowerCase().startsWith(lower);
+      case 'regex': {
+        const regex = new RegExp(condition.value, 'i');
+        return i => regex.test(text(i));
+      }
+      case 'gt':
+      case 'after':
+        return i => this.compare(key(i), operand) > 0;
+      case 'lt':
+      case 'before':
+        return i => this.compare(key(i), operand) < 0;
+      case 'between': {
+        const upper = sortEngine.sortKey(condition.value2, type, format);
+        return i => {
+          const k = key(i);
+          return this.compare(k, operand) >= 0 && this.compare(k, upper) <= 0;
+        };
+      }
+      case 'in': {
+        const items = this.listItems(condition.value);
+        if (type === 'text') {
+          const set = new Set(items.map(v => v.toLowerCase()));
+          return this.narrow(file, column, items, i => set.has(text(i).toLowerCase()));
+        }
+        const keys = items.map(v => sortEngine.sortKey(v, type, format));
+        return i => {
+          const k = key(i);
+          return keys.some(item => this.compare(k, item) === 0);
+        };
+      }
+      case 'empty':
+        return this.narrow(file, column, [''], i => text(i) === '');
+      case 'notEmpty':
+        return i => text(i) !== '';
+      case 'top': {
+        // Highest values across the whole column, so the result doesn't depend on the other conditions
+        const ranked = [];
+        file.rows.forEach((_, i) => {
+          const k = key(i);
+          if (k.rank === 0) ranked.push({ i, value: k.value });
+        });
+        ranked.sort((a, b) => b.value - a.value || a.i - b.i);
+        const set = new Set(ranked.slice(0, Math.floor(Number(condition.value))).map(r => r.i));
+        return i => set.has(i);
+      }
+    }
+    return () => false;
+  }
+
+  // Skip rows the search index rules out for an equality test on `column` before running `test`
+  narrow(file, column, values, test) {
+    const rows = searchIndex.valueRows(file, column, values);
+    return rows ? i => rows.has(i) && test(i) : test;
+  }
+
+  // Ordering of two sort keys, NaN when either can't be compared (empty or not of the column type)
+  compare(a, b) {
+    if (a.rank !== 0 || b.rank !== 0) return NaN;
+    return sortEngine.compareKeys(a, b, 1, false);
+  }
+
+  // Date operators always compare as dates and top N ranks numbers unless the column holds dates
+  operandType(file, { column, op }) {
+    if (op === 'before' || op === 'after') return 'date';
+    const type = sortEngine.columnType(file, column);
+    if (op === 'top') return type === 'date' ? 'date' : 'number';
+    return type;
+  }
+
+  listItems(value) {
+    return String(value ?? '').split(',').map(v => v.trim()).filter(Boolean);
+  }
+
+  /**
+   * Problem with a condition as a message for the builder, or null when it can be applied.
+   * `file` lets dates be entered in the column's own format.
+   */
+  validate({ column, op, value, value2 }, file = null) {
+    const operator = OPERATORS.get(op);
+    if (!operator) return 'Unknown operator';
+    const missing = v => v === undefined || v === null || String(v).trim() === '';
+    if (operator.values >= 1 && missing(value)) return 'Enter a value';
+    if (operator.values === 2 && missing(value2)) return 'Enter both ends of the range';
+
+    if (op === 'regex') {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        return `Invalid regex: ${error.message}`;
+      }
+    }
+    if (op === 'top' && !(Number(value) >= 1)) return 'N must be a positive number';
+    if ((op === 'before' || op === 'after') && isNaN(sortEngine.sortKey(value, 'date', file?.schema?.[column]?.format).value)) {
+      return 'Enter a date like 2024-01-31';
+    }
+    if (op === 'in' && !this.listItems(value).length) return 'Enter values separated by commas';
+    return null;
+  }
+
+  // Short label for a condition chip, e.g. `Price between 10 and 20`
+  describe({ column, op, value, value2 }) {
+    const label = OPERATORS.get(op)?.label || op;
+    if (op === 'top') return `${column}: top ${value}`;
+    if (op === 'between') return `${column} between ${value} and ${value2}`;
+    if (op === 'in') return `${column} in (${this.listItems(value).join(', ')})`;
+    if (OPERATORS.get(op)?.values === 0) return `${column} ${label}`;
+    return `${column} ${label} ${op === 'regex' ? `/${value}/` : `"${value}"`}`;
+  }
+
+  // Everything filtering `file` as text: header filters first, then the builder filter
+  describeFile(file) {
+    const parts = Object.entries(file.columnFilters || {}).map(([column, cf]) => this.describeColumnFilter(column, cf));
+    if (this.isActive(file.filter)) {
+      const text = this.describeFilter(file.filter);
+      parts.push(parts.length && file.filter.groups.length > 1 && file.filter.logic === 'or' ? `(${text})` : text);
+    }
+    return parts.join(' AND ');
+  }
+
+  // Whole filter as text, e.g. `(Price > "10" OR Price is empty) AND Region equals "EU"`
+  describeFilter(filter) {
+    const groups = filter.groups.filter(g => g.conditions.length);
+    return groups
+      .map(g => {
+        const text = g.conditions.map(c => this.describe(c)).join(` ${g.logic.toUpperCase()} `);
+        return groups.length > 1 && g.conditions.length > 1 ? `(${text})` : text;
+      })
+      .join(` ${filter.logic.toUpperCase()} `);
+  }
+
+  // Filter without the condition `id`; groups left empty are dropped
+  removeCondition(filter, id) {
+    if (!filter) return filter;
+    const groups = filter.groups
+      .map(g => ({ ...g, conditions: g.conditions.filter(c => c.id !== id) }))
+      .filter(g => g.conditions.length);
+    return groups.length ? { ...filter, groups } : null;
+  }
+
+  // Filter after a column rename or delete (`to` null drops the conditions on it)
+  renameColumn(filter, from, to) {
+    if (!filter) return filter;
+    const groups = filter.groups
+      .map(g => ({
+        ...g,
+        conditions: to === null
+          ? g.conditions.filter(c => c.column !== from)
+          : g.conditions.map(c => (c.column === from ? { ...c, column: to } : c))
+      }))
+      .filter(g => g.conditions.length);
+    return groups.length ? { ...filter, groups } : null;
+  }
+}
+
+export const filterEngine = new FilterEngine();
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { filterEngine } from './FilterEngine.js';
+
+const file = {
+  headers: ['name', 'price', 'date'],
+  rows: [
+    { name: 'Apple', price: '10', date: '2024-01-05' },
+    { name: 'banana', price: '2.5', date: '2024-02-10' },
+    { name: 'Cherry', price: '', date: '' },
+    { name: 'apple pie', price: '30', date: '2023-12-31' },
+    { name: 'date', price: '7', date: '2024-03-01' }
+  ]
+};
+
+const condition = (column, op, value, value2) => ({ id: 1, column, op, value, value2 });
+const only = c => ({ logic: 'and', groups: [{ logic: 'and', conditions: [c] }] });
+const rows = (column, op, value, value2) => filterEngine.apply(file, only(condition(column, op, value, value2)));
+
+describe('FilterEngine operators', () => {
+  it('matches text without regard to case', () => {
+    expect(rows('name', 'equals', 'apple')).toEqual([0]);
+    expect(rows('name', 'contains', 'APP')).toEqual([0, 3]);
+    expect(rows('name', 'startsWith', 'b')).toEqual([1]);
+    expect(rows('name', 'regex', '^a.*e$')).toEqual([0, 3]);
+    expect(rows('name', 'in', 'cherry, DATE')).toEqual([2, 4]);
+  });
+
+  it('compares numbers as numbers and skips empty cells', () => {
+    expect(rows('price', 'gt', '5')).toEqual([0, 3, 4]);
+    expect(rows('price', 'lt', '10')).toEqual([1, 4]);
+    expect(rows('price', 'between', '5', '10')).toEqual([0, 4]);
+    expect(rows('price', 'in', '2.5, 30')).toEqual([1, 3]);
+    expect(rows('price', 'top', '2')).toEqual([0, 3]);
+  });
+
+  it('tests for empty cells', () => {
+    expect(rows('price', 'empty')).toEqual([2]);
+    expect(rows('price', 'notEmpty')).toEqual([0, 1, 3, 4]);
+  });
+
+  it('compares dates', () => {
+    expect(rows('date', 'before', '2024-01-31')).toEqual([0, 3]);
+    expect(rows('date', 'after', '2024-01-31')).toEqual([1, 4]);
+  });
+
+  it('combines conditions in AND and OR groups', () => {
+    const filter = {
+      logic: 'or',
+      groups: [
+        { logic: 'and', conditions: [condition('name', 'contains', 'apple'), condition('price', 'gt', '20')] },
+        { logic: 'and', conditions: [condition('name', 'equals', 'date')] }
+      ]
+    };
+    expect(filterEngine.apply(file, filter)).toEqual([3, 4]);
+  });
+
+  it('matches nothing for conditions that cannot be applied', () => {
+    expect(rows('name', 'regex', '(')).toEqual([]);
+    expect(rows('missing', 'equals', 'x')).toEqual([]);
+  });
+
+  it('explains what is wrong with a condition', () => {
+    expect(filterEngine.validate(condition('name', 'regex', '('))).toMatch(/^Invalid regex/);
+    expect(filterEngine.validate(condition('price', 'between', '1'))).toBe('Enter both ends of the range');
+    expect(filterEngine.validate(condition('price', 'top', '0'))).toBe('N must be a positive number');
+    expect(filterEngine.validate(condition('date', 'before', 'soon'))).toBe('Enter a date like 2024-01-31');
+    expect(filterEngine.validate(condition('name', 'contains', 'x'))).toBeNull();
+  });
+});
+
+describe('FilterEngine header filters', () => {
+  it('keeps the checked values, with empty cells listed as ""', () => {
+    expect(filterEngine.applyColumnFilters(file, { price: { values: [''] } })).toEqual([2]);
+  });
+
+  it('filters number and date ranges, open at either end', () => {
+    expect(filterEngine.applyColumnFilters(file, { price: { range: { min: '5', max: null } } })).toEqual([0, 3, 4]);
+    expect(filterEngine.applyColumnFilters(file, { date: { range: { min: '2024-01-01', max: '2024-02-28' } } })).toEqual([0, 1]);
+  });
+
+  it('combines columns with AND', () => {
+    const filters = { price: { range: { min: '5', max: null } }, name: { values: ['Apple', 'date', 'banana'] } };
+    expect(filterEngine.applyColumnFilters(file, filters)).toEqual([0, 4]);
+  });
+});
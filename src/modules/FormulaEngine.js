@@ -0,0 +1,1090 @@
+/**
+ * Spreadsheet Formula Engine
+ * Parses and evaluates `=` formulas with A1 and column-name references
+ */
+
+// Error values surfaced in cells, mirroring the usual spreadsheet codes
+export class FormulaError {
+  constructor(code, message = '') {
+    this.code = code;
+    this.message = message;
+  }
+
+  toString() {
+    return this.code;
+  }
+}
+
+export const ERRORS = {
+  DIV0: '#DIV/0!',
+  VALUE: '#VALUE!',
+  REF: '#REF!',
+  NAME: '#NAME?',
+  NA: '#N/A',
+  NUM: '#NUM!',
+  CIRC: '#CIRC!',
+  PARSE: '#ERROR!'
+};
+
+const isError = (value) => value instanceof FormulaError;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class FormulaEngine {
+  constructor() {
+    this.astCache = new Map();
+    this.maxCacheSize = 500;
+    this.functions = this.createFunctionLibrary();
+  }
+
+  isFormula(value) {
+    return typeof value === 'string' && value.length > 1 && value[0] === '=';
+  }
+
+  // Column letter helpers (A, B, ..., Z, AA, AB, ...)
+  columnLetter(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+
+  columnIndex(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) {
+      index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  // Tokenizer
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+
+      if (/[0-9.]/.test(char)) {
+        const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        if (!match) throw new FormulaError(ERRORS.PARSE, `Unexpected "${char}"`);
+        i += match[0].length;
+        tokens.push({ type: 'number', value: parseFloat(match[0]), start, end: i });
+        continue;
+      }
+
+      if (char === '"') {
+        let value = '';
+        i++;
+        while (i < source.length) {
+          if (source[i] === '"') {
+            if (source[i + 1] === '"') {
+              value += '"';
+              i += 2;
+              continue;
+            }
+            break;
+          }
+          value += source[i++];
+        }
+        if (source[i] !== '"') throw new FormulaError(ERRORS.PARSE, 'Unterminated string');
+        i++;
+        tokens.push({ type: 'string', value, start, end: i });
+        continue;
+      }
+
+      if (char === '[') {
+        const close = source.indexOf(']', i);
+        if (close < 0) throw new FormulaError(ERRORS.PARSE, 'Unterminated column reference');
+        tokens.push({ type: 'column', value: source.slice(i + 1, close), start, end: close + 1 });
+        i = close + 1;
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(char)) {
+        const match = source.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$.]*/);
+        i += match[0].length;
+        tokens.push({ type: 'ident', value: match[0], start, end: i });
+        continue;
+      }
+
+      const two = source.slice(i, i + 2);
+      if (two === '<=' || two === '>=' || two === '<>') {
+        i += 2;
+        tokens.push({ type: 'op', value: two, start, end: i });
+        continue;
+      }
+
+      if ('+-*/^&=<>%(),:;'.includes(char)) {
+        i++;
+        tokens.push({ type: 'op', value: char === ';' ? ',' : char, start, end: i });
+        continue;
+      }
+
+      throw new FormulaError(ERRORS.PARSE, `Unexpected "${char}"`);
+    }
+
+    return tokens;
+  }
+
+  // Recursive-descent parser producing a small AST
+  parse(source) {
+    if (this.astCache.has(source)) {
+      return this.astCache.get(source);
+    }
+
+    const body = this.isFormula(source) ? source.slice(1) : source;
+    const tokens = this.tokenize(body);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+      if (!isOp(value)) throw new FormulaError(ERRORS.PARSE, `Expected "${value}"`);
+      return next();
+    };
+
+    const parseComparison = () => {
+      let left = parseConcat();
+      while (peek()?.type === 'op' && ['=', '<>', '<', '>', '<=', '>='].includes(peek().value)) {
+        const op = next().value;
+        left = { type: 'binary', op, left, right: parseConcat() };
+      }
+      return left;
+    };
+
+    const parseConcat = () => {
+      let left = parseAdditive();
+      while (isOp('&')) {
+        next();
+        left = { type: 'binary', op: '&', left, right: parseAdditive() };
+      }
+      return left;
+    };
+
+    const parseAdditive = () => {
+      let left = parseMultiplicative();
+      while (isOp('+') || isOp('-')) {
+        const op = next().value;
+        left = { type: 'binary', op, left, right: parseMultiplicative() };
+      }
+      return left;
+    };
+
+    const parseMultiplicative = () => {
+      let left = parseExponent();
+      while (isOp('*') || isOp('/')) {
+        const op = next().value;
+        left = { type: 'binary', op, left, right: parseExponent() };
+      }
+      return left;
+    };
+
+    const parseExponent = () => {
+      let left = parseUnary();
+      while (isOp('^')) {
+        next();
+        left = { type: 'binary', op: '^', left, right: parseUnary() };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      if (isOp('-') || isOp('+')) {
+        const op = next().value;
+        return { type: 'unary', op, operand: parseUnary() };
+      }
+      return parsePostfix();
+    };
+
+    const parsePostfix = () => {
+      let node = parseRange();
+      while (isOp('%')) {
+        next();
+        node = { type: 'percent', operand: node };
+      }
+      return node;
+    };
+
+    const parseRange = () => {
+      const node = parsePrimary();
+      if (!isOp(':')) return node;
+
+      next();
+      const end = parsePrimary();
+      const refTypes = ['cell', 'column'];
+      if (!refTypes.includes(node.type) || !refTypes.includes(end.type)) {
+        throw new FormulaError(ERRORS.PARSE, 'Invalid range');
+      }
+      return { type: 'range', start: node, end };
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) throw new FormulaError(ERRORS.PARSE, 'Unexpected end of formula');
+
+      if (token.type === 'number') return { type: 'literal', value: token.value };
+      if (token.type === 'string') return { type: 'literal', value: token.value };
+      if (token.type === 'column') return { type: 'column', name: token.value.replace(/^@/, '') };
+
+      if (token.type === 'op' && token.value === '(') {
+        const inner = parseComparison();
+        expect(')');
+        return inner;
+      }
+
+      if (token.type === 'ident') {
+        const name = token.value;
+
+        if (isOp('(')) {
+          next();
+          const args = [];
+          if (!isOp(')')) {
+            args.push(parseComparison());
+            while (isOp(',')) {
+              next();
+              args.push(parseComparison());
+            }
+          }
+          expect(')');
+          return { type: 'call', name: name.toUpperCase(), args };
+        }
+
+        const upper = name.toUpperCase();
+        if (upper === 'TRUE' || upper === 'FALSE') {
+          return { type: 'literal', value: upper === 'TRUE' };
+        }
+
+        const cellMatch = name.match(/^\$?([A-Za-z]{1,3})\$?(\d+)$/);
+        if (cellMatch) {
+          return { type: 'cell', name, col: this.columnIndex(cellMatch[1]), row: Number(cellMatch[2]) - 1 };
+        }
+
+        // Bare names resolve against headers at evaluation time; lone letters may be column ranges
+        return { type: 'column', name, letter: /^[A-Za-z]{1,3}$/.test(name) ? this.columnIndex(name) : null };
+      }
+
+      throw new FormulaError(ERRORS.PARSE, `Unexpected "${token.value}"`);
+    };
+
+    const ast = parseComparison();
+    if (pos < tokens.length) {
+      throw new FormulaError(ERRORS.PARSE, `Unexpected "${tokens[pos].value}"`);
+    }
+
+    if (this.astCache.size >= this.maxCacheSize) {
+      this.astCache.delete(this.astCache.keys().next().value);
+    }
+    this.astCache.set(source, ast);
+    return ast;
+  }
+
+  /**
+   * Evaluate a formula for one row of a file.
+   * `context` is `{ file, rowIndex, getValue(rowIndex, column) }`; `getValue` lets callers
+   * resolve formula cells on demand (it defaults to the stored row values).
+   */
+  evaluate(source, context) {
+    let ast;
+    try {
+      ast = this.parse(source);
+    } catch (error) {
+      return isError(error) ? error : new FormulaError(ERRORS.PARSE, String(error));
+    }
+
+    const ctx = {
+      getValue: (rowIndex, column) => context.file.rows[rowIndex]?.[column],
+      ...context
+    };
+
+    try {
+      const result = this.evaluateNode(ast, ctx);
+      return Array.isArray(result) ? this.firstValue(result) : result;
+    } catch (error) {
+      if (isError(error)) return error;
+      throw error;
+    }
+  }
+
+  evaluateNode(node, ctx) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'cell': {
+        // A header literally named like a cell address ("Q1") wins over the A1 reading
+        const named = this.resolveColumnName(node.name, ctx.file.headers);
+        if (named !== null) return this.normalizeCellValue(ctx.getValue(ctx.rowIndex, named));
+        const column = ctx.file.headers[node.col];
+        if (column === undefined || node.row < 0 || node.row >= ctx.file.rows.length) {
+          return new FormulaError(ERRORS.REF);
+        }
+        return this.normalizeCellValue(ctx.getValue(node.row, column));
+      }
+
+      case 'column': {
+        const column = this.resolveColumnName(node.name, ctx.file.headers);
+        if (column === null) return new FormulaError(ERRORS.NAME, `Unknown column "${node.name}"`);
+        return this.normalizeCellValue(ctx.getValue(ctx.rowIndex, column));
+      }
+
+      case 'range':
+        return this.evaluateRange(node, ctx);
+
+      case 'unary': {
+        const value = this.toNumber(this.evaluateNode(node.operand, ctx));
+        if (isError(value)) return value;
+        return node.op === '-' ? -value : value;
+      }
+
+      case 'percent': {
+        const value = this.toNumber(this.evaluateNode(node.operand, ctx));
+        return isError(value) ? value : value / 100;
+      }
+
+      case 'binary':
+        return this.evaluateBinary(node, ctx);
+
+      case 'call': {
+        const fn = this.functions[node.name];
+        if (!fn) return new FormulaError(ERRORS.NAME, `Unknown function ${node.name}`);
+        // Arguments are thunks so IF/IFERROR/AND/OR can short-circuit
+        const args = node.args.map(arg => () => this.evaluateNode(arg, ctx));
+        return fn(args, ctx);
+      }
+
+      default:
+        return new FormulaError(ERRORS.PARSE);
+    }
+  }
+
+  evaluateBinary(node, ctx) {
+    const left = this.scalar(this.evaluateNode(node.left, ctx));
+    if (isError(left)) return left;
+    const right = this.scalar(this.evaluateNode(node.right, ctx));
+    if (isError(right)) return right;
+
+    if (node.op === '&') {
+      return this.toText(left) + this.toText(right);
+    }
+
+    if (['=', '<>', '<', '>', '<=', '>='].includes(node.op)) {
+      const cmp = this.compareValues(left, right);
+      switch (node.op) {
+        case '=': return cmp === 0;
+        case '<>': return cmp !== 0;
+        case '<': return cmp < 0;
+        case '>': return cmp > 0;
+        case '<=': return cmp <= 0;
+        default: return cmp >= 0;
+      }
+    }
+
+    const a = this.toNumber(left);
+    if (isError(a)) return a;
+    const b = this.toNumber(right);
+    if (isError(b)) return b;
+
+    switch (node.op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return b === 0 ? new FormulaError(ERRORS.DIV0) : a / b;
+      case '^': {
+        const result = Math.pow(a, b);
+        return Number.isFinite(result) ? result : new FormulaError(ERRORS.NUM);
+      }
+      default: return new FormulaError(ERRORS.PARSE);
+    }
+  }
+
+  // Ranges evaluate to a 2D array of values (rows x columns)
+  evaluateRange(node, ctx) {
+    const bounds = this.rangeBounds(node, ctx.file);
+    if (isError(bounds)) return bounds;
+
+    const { rowStart, rowEnd, colStart, colEnd } = bounds;
+    const values = [];
+    for (let r = rowStart; r <= rowEnd; r++) {
+      const rowValues = [];
+      for (let c = colStart; c <= colEnd; c++) {
+        rowValues.push(this.normalizeCellValue(ctx.getValue(r, ctx.file.headers[c])));
+      }
+      values.push(rowValues);
+    }
+    return values;
+  }
+
+  rangeBounds(node, file) {
+    const endpoint = (ref) => {
+      const named = this.resolveColumnName(ref.name, file.headers);
+      if (named !== null) return { col: file.headers.indexOf(named), row: null };
+      if (ref.type === 'cell') return { col: ref.col, row: ref.row };
+      if (ref.letter !== null && ref.letter !== undefined) return { col: ref.letter, row: null };
+      return null;
+    };
+
+    const a = endpoint(node.start);
+    const b = endpoint(node.end);
+    if (!a || !b) return new FormulaError(ERRORS.NAME);
+
+    const wholeColumns = a.row === null || b.row === null;
+    const colStart = Math.min(a.col, b.col);
+    const colEnd = Math.max(a.col, b.col);
+    const rowStart = wholeColumns ? 0 : Math.min(a.row, b.row);
+    const rowEnd = wholeColumns ? file.rows.length - 1 : Math.max(a.row, b.row);
+
+    if (colEnd >= file.headers.length || rowStart < 0 || rowEnd >= file.rows.length) {
+      return new FormulaError(ERRORS.REF);
+    }
+
+    return { rowStart, rowEnd, colStart, colEnd, wholeColumns };
+  }
+
+  /**
+   * Static analysis of the cells a formula reads, used by the dependency graph.
+   * Returns `{ cells: [{ row, column }], ranges: [{ rowStart, rowEnd, columns }] }`;
+   * whole-column ranges use `rowEnd: Infinity` so they keep covering appended rows.
+   */
+  getReferences(source, file, rowIndex) {
+    const refs = { cells: [], ranges: [] };
+    let ast;
+    try {
+      ast = this.parse(source);
+    } catch {
+      return refs;
+    }
+
+    const visit = (node) => {
+      switch (node.type) {
+        case 'cell': {
+          const named = this.resolveColumnName(node.name, file.headers);
+          if (named !== null) refs.cells.push({ row: rowIndex, column: named });
+          else if (file.headers[node.col] !== undefined) refs.cells.push({ row: node.row, column: file.headers[node.col] });
+          break;
+        }
+        case 'column': {
+          const named = this.resolveColumnName(node.name, file.headers);
+          if (named !== null) refs.cells.push({ row: rowIndex, column: named });
+          break;
+        }
+        case 'range': {
+          const bounds = this.rangeBounds(node, file);
+          if (isError(bounds)) break;
+          refs.ranges.push({
+            rowStart: bounds.rowStart,
+            rowEnd: bounds.wholeColumns ? Infinity : bounds.rowEnd,
+            columns: file.headers.slice(bounds.colStart, bounds.colEnd + 1)
+          });
+          break;
+        }
+        case 'unary':
+        case 'percent':
+          visit(node.operand);
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+        case 'call':
+          node.args.forEach(visit);
+          break;
+      }
+    };
+
+    visit(ast);
+    return refs;
+  }
+
+  resolveColumnName(name, headers) {
+    if (headers.includes(name)) return name;
+    const lower = name.toLowerCase();
+    const match = headers.find(h => h.toLowerCase() === lower);
+    return match === undefined ? null : match;
+  }
+
+  // Value coercion helpers
+  normalizeCellValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') {
+      const error = Object.values(ERRORS).find(code => code === value);
+      if (error) return new FormulaError(error);
+    }
+    return value;
+  }
+
+  scalar(value) {
+    return Array.isArray(value) ? this.firstValue(value) : value;
+  }
+
+  firstValue(matrix) {
+    return matrix.length && matrix[0].length ? matrix[0][0] : new FormulaError(ERRORS.REF);
+  }
+
+  flatten(values) {
+    const out = [];
+    const walk = (v) => {
+      if (Array.isArray(v)) v.forEach(walk);
+      else out.push(v);
+    };
+    walk(values);
+    return out;
+  }
+
+  toNumber(value) {
+    value = this.scalar(value);
+    if (isError(value)) return value;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === '' || value === null || value === undefined) return 0;
+
+    const cleaned = String(value).trim().replace(/^\$/, '').replace(/,/g, '');
+    if (/%$/.test(cleaned) && cleaned.length > 1 && !isNaN(cleaned.slice(0, -1))) {
+      return parseFloat(cleaned) / 100;
+    }
+    if (cleaned !== '' && !isNaN(cleaned)) return parseFloat(cleaned);
+    return new FormulaError(ERRORS.VALUE, `"${value}" is not a number`);
+  }
+
+  toText(value) {
+    value = this.scalar(value);
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (value === null || value === undefined) return '';
+    return String(value);
+  }
+
+  toBoolean(value) {
+    value = this.scalar(value);
+    if (isError(value)) return value;
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    const text = String(value).trim().toUpperCase();
+    if (text === 'TRUE') return true;
+    if (text === 'FALSE' || text === '') return false;
+    const num = this.toNumber(value);
+    return isError(num) ? new FormulaError(ERRORS.VALUE) : num !== 0;
+  }
+
+  isNumericValue(value) {
+    if (typeof value === 'number') return true;
+    if (typeof value !== 'string' || value.trim() === '') return false;
+    return !isNaN(value.replace(/,/g, ''));
+  }
+
+  compareValues(a, b) {
+    if (this.isNumericValue(a) && this.isNumericValue(b)) {
+      return this.toNumber(a) - this.toNumber(b);
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+      return Number(this.toBoolean(a)) - Number(this.toBoolean(b));
+    }
+    return this.toText(a).toLowerCase().localeCompare(this.toText(b).toLowerCase());
+  }
+
+  toDate(value) {
+    value = this.scalar(value);
+    if (isError(value)) return value;
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') {
+      // Spreadsheet serial number (days since 1899-12-30)
+      return new Date(Date.UTC(1899, 11, 30) + value * DAY_MS);
+    }
+    const text = String(value).trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+    const parsed = Date.parse(text);
+    if (isNaN(parsed)) return new FormulaError(ERRORS.VALUE, `"${value}" is not a date`);
+    const d = new Date(parsed);
+    return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+  }
+
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Aggregate helpers: ranges contribute only numeric cells, direct arguments are coerced
+  collectNumbers(args) {
+    const numbers = [];
+    for (const arg of args) {
+      const raw = arg();
+      if (isError(raw)) return raw;
+      if (Array.isArray(raw)) {
+        for (const value of this.flatten(raw)) {
+          if (isError(value)) return value;
+          if (this.isNumericValue(value)) numbers.push(this.toNumber(value));
+        }
+      } else {
+        const num = this.toNumber(raw);
+        if (isError(num)) return num;
+        numbers.push(num);
+      }
+    }
+    return numbers;
+  }
+
+  formatText(value, format) {
+    const pattern = String(format);
+
+    if (/[yd]/i.test(pattern) || /m{3,}/i.test(pattern)) {
+      const date = this.toDate(value);
+      if (isError(date)) return date;
+      const y = date.getUTCFullYear();
+      const m = date.getUTCMonth();
+      const d = date.getUTCDate();
+      return pattern.replace(/yyyy|yy|mmmm|mmm|mm|m|dd|d/gi, (token) => {
+        switch (token.toLowerCase()) {
+          case 'yyyy': return String(y);
+          case 'yy': return String(y).slice(-2);
+          case 'mmmm': return new Date(Date.UTC(y, m, 1)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+          case 'mmm': return MONTH_NAMES[m];
+          case 'mm': return String(m + 1).padStart(2, '0');
+          case 'm': return String(m + 1);
+          case 'dd': return String(d).padStart(2, '0');
+          default: return String(d);
+        }
+      });
+    }
+
+    const num = this.toNumber(value);
+    if (isError(num)) return num;
+
+    const percent = pattern.includes('%');
+    const prefix = pattern.match(/^[^0#.,]*/)[0].replace('%', '');
+    const decimals = (pattern.split('.')[1] || '').replace(/[^0#]/g, '').length;
+    const grouped = pattern.includes(',');
+    const n = percent ? num * 100 : num;
+
+    const formatted = n.toLocaleString('en-US', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      useGrouping: grouped
+    });
+    return `${prefix}${formatted}${percent ? '%' : ''}`;
+  }
+
+  lookupExact(needle, values) {
+    return values.findIndex(v => this.compareValues(v, needle) === 0);
+  }
+
+  // Largest value <= needle, assuming ascending order (spreadsheet approximate match)
+  lookupApproximate(needle, values) {
+    let found = -1;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] === '') continue;
+      if (this.compareValues(values[i], needle) <= 0) found = i;
+      else break;
+    }
+    return found;
+  }
+
+  createFunctionLibrary() {
+    const num = (thunk) => this.toNumber(thunk());
+    const optional = (args, index, fallback) => (args[index] ? args[index]() : fallback);
+    const withNumbers = (fn) => (args) => {
+      const numbers = this.collectNumbers(args);
+      return isError(numbers) ? numbers : fn(numbers);
+    };
+    const dateFn = (fn) => (args) => {
+      const date = this.toDate(args[0]?.());
+      return isError(date) ? date : fn(date, args);
+    };
+    const textFn = (fn) => (args) => {
+      const value = this.scalar(args[0]?.() ?? '');
+      return isError(value) ? value : fn(this.toText(value), args);
+    };
+
+    return {
+      // Math & aggregates
+      SUM: withNumbers(nums => nums.reduce((a, b) => a + b, 0)),
+      AVERAGE: withNumbers(nums => (nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : new FormulaError(ERRORS.DIV0))),
+      MIN: withNumbers(nums => (nums.length ? Math.min(...nums) : 0)),
+      MAX: withNumbers(nums => (nums.length ? Math.max(...nums) : 0)),
+      COUNT: (args) => args.reduce((count, arg) => {
+        const raw = arg();
+        const values = Array.isArray(raw) ? this.flatten(raw) : [raw];
+        return count + values.filter(v => this.isNumericValue(v)).length;
+      }, 0),
+      COUNTA: (args) => args.reduce((count, arg) => {
+        const raw = arg();
+        const values = Array.isArray(raw) ? this.flatten(raw) : [raw];
+        return count + values.filter(v => v !== '' && v !== null && v !== undefined).length;
+      }, 0),
+      ROUND: (args) => {
+        const value = num(args[0]);
+        const digits = args[1] ? num(args[1]) : 0;
+        if (isError(value)) return value;
+        if (isError(digits)) return digits;
+        const factor = Math.pow(10, digits);
+        // Halves round away from zero, as in Excel: ROUND(-2.5) is -3
+        return Math.sign(value) * Math.round((Math.abs(value) + Number.EPSILON) * factor) / factor;
+      },
+      ABS: (args) => {
+        const value = num(args[0]);
+        return isError(value) ? value : Math.abs(value);
+      },
+
+      // Logic
+      IF: (args) => {
+        const condition = this.toBoolean(args[0]());
+        if (isError(condition)) return condition;
+        return condition ? optional(args, 1, true) : optional(args, 2, false);
+      },
+      AND: (args) => {
+        for (const arg of args) {
+          const raw = arg();
+          for (const value of Array.isArray(raw) ? this.flatten(raw) : [raw]) {
+            const b = this.toBoolean(value);
+            if (isError(b) || !b) return b;
+          }
+        }
+        return true;
+      },
+      OR: (args) => {
+        for (const arg of args) {
+          const raw = arg();
+          for (const value of Array.isArray(raw) ? this.flatten(raw) : [raw]) {
+            const b = this.toBoolean(value);
+            if (isError(b) || b) return b;
+          }
+        }
+        return false;
+      },
+      NOT: (args) => {
+        const b = this.toBoolean(args[0]());
+        return isError(b) ? b : !b;
+      },
+      IFERROR: (args) => {
+        const value = this.scalar(args[0]());
+        return isError(value) ? optional(args, 1, '') : value;
+      },
+
+      // Text
+      CONCAT: (args) => {
+        let out = '';
+        for (const arg of args) {
+          const raw = arg();
+          for (const value of Array.isArray(raw) ? this.flatten(raw) : [raw]) {
+            if (isError(value)) return value;
+            out += this.toText(value);
+          }
+        }
+        return out;
+      },
+      LEN: textFn(text => text.length),
+      UPPER: textFn(text => text.toUpperCase()),
+      LOWER: textFn(text => text.toLowerCase()),
+      TRIM: textFn(text => text.trim().replace(/\s+/g, ' ')),
+      TEXT: (args) => {
+        const value = this.scalar(args[0]());
+        if (isError(value)) return value;
+        return this.formatText(value, this.toText(optional(args, 1, '0')));
+      },
+
+      // Lookup
+      VLOOKUP: (args) => {
+        const needle = this.scalar(args[0]());
+        const table = args[1]?.();
+        const colIndex = num(args[2]);
+        const approximate = args[3] ? this.toBoolean(args[3]()) : true;
+        if (isError(needle)) return needle;
+        if (!Array.isArray(table)) return new FormulaError(ERRORS.VALUE, 'VLOOKUP needs a range');
+        if (isError(colIndex)) return colIndex;
+        if (colIndex < 1 || colIndex > (table[0]?.length || 0)) return new FormulaError(ERRORS.REF);
+
+        const keys = table.map(row => row[0]);
+        const index = approximate ? this.lookupApproximate(needle, keys) : this.lookupExact(needle, keys);
+        return index < 0 ? new FormulaError(ERRORS.NA) : table[index][colIndex - 1];
+      },
+      INDEX: (args) => {
+        const table = args[0]?.();
+        if (!Array.isArray(table)) return new FormulaError(ERRORS.VALUE, 'INDEX needs a range');
+        let row = num(args[1]);
+        let col = args[2] ? num(args[2]) : 1;
+        if (isError(row)) return row;
+        if (isError(col)) return col;
+        // A single-row range is indexed by its only dimension
+        if (table.length === 1 && !args[2]) {
+          col = row;
+          row = 1;
+        }
+        const value = table[row - 1]?.[col - 1];
+        return value === undefined ? new FormulaError(ERRORS.REF) : value;
+      },
+      MATCH: (args) => {
+        const needle = this.scalar(args[0]());
+        const range = args[1]?.();
+        const type = args[2] ? num(args[2]) : 1;
+        if (isError(needle)) return needle;
+        if (!Array.isArray(range)) return new FormulaError(ERRORS.VALUE, 'MATCH needs a range');
+        if (isError(type)) return type;
+
+        const values = this.flatten(range);
+        let index;
+        if (type === 0) {
+          index = this.lookupExact(needle, values);
+        } else if (type > 0) {
+          index = this.lookupApproximate(needle, values);
+        } else {
+          // Smallest value >= needle in descending data
+          index = -1;
+          for (let i = 0; i < values.length; i++) {
+            if (this.compareValues(values[i], needle) >= 0) index = i;
+            else break;
+          }
+        }
+        return index < 0 ? new FormulaError(ERRORS.NA) : index + 1;
+      },
+
+      // Dates (returned as ISO yyyy-mm-dd strings, like auto-cleaned columns)
+      DATE: (args) => {
+        const y = num(args[0]);
+        const m = num(args[1]);
+        const d = num(args[2]);
+        for (const part of [y, m, d]) if (isError(part)) return part;
+        return this.formatDate(new Date(Date.UTC(y, m - 1, d)));
+      },
+      TODAY: () => this.formatDate(new Date()),
+      NOW: () => new Date().toISOString(),
+      YEAR: dateFn(date => date.getUTCFullYear()),
+      MONTH: dateFn(date => date.getUTCMonth() + 1),
+      DAY: dateFn(date => date.getUTCDate()),
+      WEEKDAY: dateFn(date => date.getUTCDay() + 1),
+      EDATE: dateFn((date, args) => {
+        const months = num(args[1]);
+        if (isError(months)) return months;
+        // Days past the end of the target month become its last day: Jan 31 + 1 month is Feb 28/29
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + Math.trunc(months);
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return this.formatDate(new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay))));
+      }),
+      DAYS: (args) => {
+        const end = this.toDate(args[0]?.());
+        const start = this.toDate(args[1]?.());
+        if (isError(end)) return end;
+        if (isError(start)) return start;
+        return Math.round((end - start) / DAY_MS);
+      },
+      DATEDIF: (args) => {
+        const start = this.toDate(args[0]?.());
+        const end = this.toDate(args[1]?.());
+        if (isError(start)) return start;
+        if (isError(end)) return end;
+        if (end < start) return new FormulaError(ERRORS.NUM);
+        const unit = this.toText(optional(args, 2, 'D')).toUpperCase();
+        const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+          (end.getUTCMonth() - start.getUTCMonth()) - (end.getUTCDate() < start.getUTCDate() ? 1 : 0);
+        if (unit === 'Y') return Math.floor(months / 12);
+        if (unit === 'M') return months;
+        return Math.round((end - start) / DAY_MS);
+      }
+    };
+  }
+
+  // Convert an evaluation result into what is stored in `row[column]`
+  toCellValue(value) {
+    value = this.scalar(value);
+    if (isError(value)) return value.code;
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number' && !Number.isFinite(value)) return ERRORS.NUM;
+    return value;
+  }
+
+  // Per-file formula storage: file.formulas = { [rowIndex]: { [column]: '=...' } }
+  // plus computed columns: file.computed = { [column]: 'expression' } applied to every row
+  getFormula(file, rowIndex, column) {
+    if (this.isComputed(file, column)) return '=' + file.computed[column];
+    return file.formulas?.[rowIndex]?.[column] ?? null;
+  }
+
+  setFormula(file, rowIndex, column, source) {
+    if (!file.formulas) file.formulas = {};
+    if (source) {
+      if (!file.formulas[rowIndex]) file.formulas[rowIndex] = {};
+      file.formulas[rowIndex][column] = source;
+    } else if (file.formulas[rowIndex]) {
+      delete file.formulas[rowIndex][column];
+      if (!Object.keys(file.formulas[rowIndex]).length) delete file.formulas[rowIndex];
+    }
+  }
+
+  hasFormulas(file) {
+    return (!!file.formulas && Object.keys(file.formulas).length > 0) ||
+      (!!file.computed && Object.keys(file.computed).length > 0);
+  }
+
+  forEachFormula(file, callback) {
+    if (file.formulas) {
+      Object.entries(file.formulas).forEach(([rowIndex, cols]) => {
+        Object.entries(cols).forEach(([column, source]) => {
+          if (!this.isComputed(file, column)) callback(Number(rowIndex), column, source);
+        });
+      });
+    }
+
+    Object.entries(file.computed || {}).forEach(([column, expression]) => {
+      for (let rowIndex = 0; rowIndex < file.rows.length; rowIndex++) {
+        callback(rowIndex, column, '=' + expression);
+      }
+    });
+  }
+
+  // Computed columns
+  isComputed(file, column) {
+    return !!file.computed && Object.prototype.hasOwnProperty.call(file.computed, column);
+  }
+
+  normalizeExpression(expression) {
+    const trimmed = String(expression).trim();
+    return trimmed.startsWith('=') ? trimmed.slice(1).trim() : trimmed;
+  }
+
+  /**
+   * Check an expression against a file before it becomes a computed column.
+   * Returns an error message, or null when the expression parses and only names known columns.
+   */
+  validateExpression(file, expression) {
+    const body = this.normalizeExpression(expression);
+    if (!body) return 'Expression is empty';
+
+    try {
+      this.parse('=' + body);
+    } catch (error) {
+      return isError(error) ? (error.message || error.code) : String(error);
+    }
+
+    if (file.rows.length) {
+      const result = this.scalar(this.evaluate('=' + body, { file, rowIndex: 0 }));
+      if (isError(result) && (result.code === ERRORS.NAME || result.code === ERRORS.PARSE)) {
+        return result.message || result.code;
+      }
+    }
+    return null;
+  }
+
+  setComputedColumn(file, column, expression) {
+    if (!file.computed) file.computed = {};
+    file.computed[column] = this.normalizeExpression(expression);
+    // Per-cell formulas are superseded by the column expression
+    if (file.formulas) {
+      Object.keys(file.formulas).forEach(rowIndex => this.setFormula(file, rowIndex, column, null));
+    }
+  }
+
+  removeComputedColumn(file, column) {
+    if (!this.isComputed(file, column)) return;
+    delete file.computed[column];
+    if (!Object.keys(file.computed).length) delete file.computed;
+  }
+
+  // Keep formula storage aligned with structural edits
+  removeRows(file, rowIndexes) {
+    if (!file.formulas) return;
+    const removed = new Set(rowIndexes);
+    const sorted = Array.from(removed).sort((a, b) => a - b);
+    const shifted = {};
+
+    Object.entries(file.formulas).forEach(([key, cols]) => {
+      const rowIndex = Number(key);
+      if (removed.has(rowIndex)) return;
+      const offset = sorted.filter(i => i < rowIndex).length;
+      shifted[rowIndex - offset] = cols;
+    });
+
+    file.formulas = shifted;
+  }
+
+  /**
+   * Inverse of removeRows(): shift formulas down for rows inserted at `rowIndexes` (positions in
+   * the new row order) and put back the inserted rows' own formulas (`formulas[k]` for
+   * `rowIndexes[k]`, or null).
+   */
+  insertRows(file, rowIndexes, formulas = []) {
+    if (!file.formulas && !formulas.some(Boolean)) return;
+    const sorted = [...rowIndexes].sort((a, b) => a - b);
+    const shifted = {};
+
+    Object.entries(file.formulas || {}).forEach(([key, cols]) => {
+      let rowIndex = Number(key);
+      for (const at of sorted) {
+        if (at > rowIndex) break;
+        rowIndex++;
+      }
+      shifted[rowIndex] = cols;
+    });
+    rowIndexes.forEach((at, k) => {
+      if (formulas[k]) shifted[at] = formulas[k];
+    });
+
+    file.formulas = shifted;
+  }
+
+  removeColumn(file, column) {
+    this.removeComputedColumn(file, column);
+    if (!file.formulas) return;
+    Object.keys(file.formulas).forEach(rowIndex => this.setFormula(file, rowIndex, column, null));
+  }
+
+  renameColumn(file, oldName, newName) {
+    if (file.computed) {
+      const renamed = {};
+      Object.entries(file.computed).forEach(([column, expression]) => {
+        const source = this.renameReferences('=' + expression, oldName, newName).slice(1);
+        renamed[column === oldName ? newName : column] = source;
+      });
+      file.computed = renamed;
+    }
+
+    if (!file.formulas) return;
+    Object.values(file.formulas).forEach(cols => {
+      if (oldName in cols) {
+        cols[newName] = cols[oldName];
+        delete cols[oldName];
+      }
+      Object.keys(cols).forEach(column => {
+        cols[column] = this.renameReferences(cols[column], oldName, newName);
+      });
+    });
+  }
+
+  // Rewrite column-name references in a formula after a header rename
+  renameReferences(source, oldName, newName) {
+    const body = source.slice(1);
+    let tokens;
+    try {
+      tokens = this.tokenize(body);
+    } catch {
+      return source;
+    }
+
+    const simple = /^[A-Za-z_][A-Za-z0-9_.]*$/.test(newName) && !/^\$?[A-Za-z]{1,3}\$?\d+$/.test(newName);
+    let out = '';
+    let last = 0;
+
+    tokens.forEach((token, i) => {
+      const isCall = tokens[i + 1]?.type === 'op' && tokens[i + 1].value === '(';
+      const matches = (token.type === 'column' && token.value.replace(/^@/, '') === oldName) ||
+        (token.type === 'ident' && token.value === oldName && !isCall);
+      if (!matches) return;
+      out += body.slice(last, token.start) + (simple ? newName : `[${newName}]`);
+      last = token.end;
+    });
+
+    return '=' + out + body.slice(last);
+  }
+}
+
+export const formulaEngine = new FormulaEngine();
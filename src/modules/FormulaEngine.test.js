@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { formulaEngine, ERRORS } from './FormulaEngine.js';
+
+const file = {
+  headers: ['name', 'price', 'qty', 'unit price'],
+  rows: [
+    { name: 'a', price: 2, qty: 3, 'unit price': 1 },
+    { name: 'b', price: '4', qty: 5, 'unit price': 2 },
+    { name: 'c', price: '', qty: 'x', 'unit price': 3 }
+  ]
+};
+
+const evaluate = (source, rowIndex = 0) =>
+  formulaEngine.toCellValue(formulaEngine.evaluate(source, { file, rowIndex }));
+
+describe('FormulaEngine references', () => {
+  it('reads column names from the same row', () => {
+    expect(evaluate('=price * qty')).toBe(6);
+    expect(evaluate('=price * qty', 1)).toBe(20);
+    expect(evaluate('=[unit price] + 1', 2)).toBe(4);
+  });
+
+  it('reads A1 cells and ranges, row 1 being the first data row', () => {
+    expect(evaluate('=B2 + C2')).toBe(9);
+    expect(evaluate('=SUM(B1:B3)')).toBe(6);
+    expect(evaluate('=SUM(price:price)')).toBe(6);
+  });
+
+  it('reports references outside the file and unknown names', () => {
+    expect(evaluate('=E1')).toBe(ERRORS.REF);
+    expect(evaluate('=FOO(1)')).toBe(ERRORS.NAME);
+    expect(evaluate('=1 +')).toBe(ERRORS.PARSE);
+  });
+});
+
+describe('FormulaEngine functions', () => {
+  it('aggregates numbers and skips text', () => {
+    expect(evaluate('=AVERAGE(C1:C3)')).toBe(4);
+    expect(evaluate('=COUNT(C1:C3)')).toBe(2);
+    expect(evaluate('=COUNTA(B1:B3)')).toBe(2);
+    expect(evaluate('=MAX(B1:B3) - MIN(B1:B3)')).toBe(2);
+  });
+
+  it('rounds halves away from zero', () => {
+    expect(evaluate('=ROUND(2.5)')).toBe(3);
+    expect(evaluate('=ROUND(-2.5)')).toBe(-3);
+    expect(evaluate('=ROUND(1.005, 2)')).toBe(1.01);
+    expect(evaluate('=ROUND(-1.005, 2)')).toBe(-1.01);
+    expect(evaluate('=ROUND(1234, -2)')).toBe(1200);
+    expect(evaluate('=ROUND(0)')).toBe(0);
+  });
+
+  it('handles logic and errors', () => {
+    expect(evaluate('=IF(price > 1, "hi", "lo")')).toBe('hi');
+    expect(evaluate('=1 / 0')).toBe(ERRORS.DIV0);
+    expect(evaluate('=IFERROR(1 / 0, "none")')).toBe('none');
+    expect(evaluate('=AND(TRUE, NOT(FALSE))')).toBe('TRUE');
+  });
+
+  it('works on text', () => {
+    expect(evaluate('=CONCAT(name, "-", qty)')).toBe('a-3');
+    expect(evaluate('=LEN("abc")')).toBe(3);
+    expect(evaluate('=UPPER(TRIM("  ab "))')).toBe('AB');
+    expect(evaluate('=TEXT(0.5, "0%")')).toBe('50%');
+  });
+
+  it('looks values up', () => {
+    expect(evaluate('=VLOOKUP("b", A1:C3, 2, FALSE)')).toBe('4');
+    expect(evaluate('=MATCH("c", A1:A3, 0)')).toBe(3);
+    expect(evaluate('=INDEX(B1:B3, 2)')).toBe('4');
+    expect(evaluate('=VLOOKUP("z", A1:C3, 2, FALSE)')).toBe(ERRORS.NA);
+  });
+
+  it('shifts dates by months, keeping the day inside the target month', () => {
+    expect(evaluate('=EDATE("2024-01-15", 1)')).toBe('2024-02-15');
+    expect(evaluate('=EDATE("2024-01-31", 1)')).toBe('2024-02-29');
+    expect(evaluate('=EDATE("2023-01-31", 1)')).toBe('2023-02-28');
+    expect(evaluate('=EDATE("2024-03-31", -1)')).toBe('2024-02-29');
+    expect(evaluate('=EDATE("2023-01-31", 13)')).toBe('2024-02-29');
+    expect(evaluate('=EDATE("2024-05-31", -12)')).toBe('2023-05-31');
+  });
+
+  it('computes date parts and differences', () => {
+    expect(evaluate('=DATE(2024, 2, 30)')).toBe('2024-03-01');
+    expect(evaluate('=YEAR("2024-03-15") + MONTH("2024-03-15") + DAY("2024-03-15")')).toBe(2042);
+    expect(evaluate('=DAYS("2024-03-01", "2024-02-01")')).toBe(29);
+    expect(evaluate('=DATEDIF("2024-01-01", "2024-03-15", "M")')).toBe(2);
+  });
+});
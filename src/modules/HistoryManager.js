@@ -0,0 +1,372 @@
+/**
+ * History Manager
+ * Operation-based undo/redo. Each step stores only what it changed (cells, inserted or deleted
+ * rows, a column's values, file settings, whole files added or removed) with enough to invert
+ * it, so the cost of a step depends on the size of the change rather than the size of the file.
+ */
+import { formulaEngine } from './FormulaEngine.js';
+import { dependencyGraph } from './DependencyGraph.js';
+import { searchIndex } from './SearchIndex.js';
+
+// File settings a meta operation restores; row data is covered by the other operations
+const META_KEYS = [
+  'name', 'headers', 'schema', 'computed', 'pinnedColumns',
+  'sort', 'filter', 'columnFilters', 'hiddenColumns', 'columnOrder', 'views', 'activeView'
+];
+
+export class HistoryManager {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.done = []; // applied steps, oldest first
+    this.undone = []; // undone steps, the next one to redo last
+    this.nextId = 1;
+  }
+
+  /**
+   * Start recording a step called `label` on `workspace` (anything with `files` and `activeId`).
+   * Tell the recorder about each change as it is made, then `commit()` it.
+   */
+  begin(workspace, label) {
+    return new StepRecorder(this, workspace, label);
+  }
+
+  push(step) {
+    this.done.push(step);
+    if (this.done.length > this.limit) this.done.shift();
+    this.undone = [];
+  }
+
+  canUndo() {
+    return this.done.length > 0;
+  }
+
+  canRedo() {
+    return this.undone.length > 0;
+  }
+
+  // Revert the last step; returns it, or null when there is nothing to undo
+  undo(workspace) {
+    const step = this.done.pop();
+    if (!step) return null;
+    this.apply(workspace, step, true);
+    this.undone.push(step);
+    return step;
+  }
+
+  redo(workspace) {
+    const step = this.undone.pop();
+    if (!step) return null;
+    this.apply(workspace, step, false);
+    this.done.push(step);
+    return step;
+  }
+
+  /**
+   * Undo or redo until step `id` is the last applied one; `0` goes back to before the first
+   * recorded step.
+   */
+  jumpTo(workspace, id) {
+    const last = () => this.done[this.done.length - 1]?.id ?? 0;
+    const move = id === 0 || this.done.some(s => s.id === id)
+      ? () => this.undo(workspace)
+      : () => this.undone.some(s => s.id === id) && this.redo(workspace);
+    while (last() !== id) {
+      if (!move()) break;
+    }
+  }
+
+  // Every recorded step in order, with `done: false` for the ones that were undone
+  steps() {
+    return [
+      ...this.done.map(step => ({ ...step, done: true })),
+      ...[...this.undone].reverse().map(step => ({ ...step, done: false }))
+    ];
+  }
+
+  clear() {
+    this.done = [];
+    this.undone = [];
+  }
+
+  // Applying steps
+  apply(workspace, step, undo) {
+    const ops = undo ? [...step.ops].reverse() : step.ops;
+    const touched = new Map(); // file -> changed cells, or null after a structural change
+    ops.forEach(op => {
+      if (op.type === 'file') {
+        this.applyFile(workspace, op, undo);
+        return;
+      }
+      const file = workspace.files.find(f => f.id === op.fileId);
+      if (!file) return;
+      if (op.type === 'cells') {
+        const cells = touched.has(file) ? touched.get(file) : [];
+        this.applyCells(file, op, undo, cells || []);
+        if (cells) touched.set(file, cells);
+        return;
+      }
+      touched.set(file, null);
+      if (op.type === 'meta') this.restoreMeta(file, undo ? op.before : op.after);
+      else if (op.type === 'rows') this.applyRows(file, op, undo);
+      else if (op.type === 'column') this.applyColumn(file, op, undo);
+      else if (op.type === 'rename') this.renameColumn(file, undo ? op.to : op.from, undo ? op.from : op.to);
+    });
+
+    touched.forEach((cells, file) => {
+      if (cells) {
+        cells.forEach(({ row, column, before }) => {
+          searchIndex.updateCell(file, row, column, before);
+          dependencyGraph.update(file, row, column);
+        });
+        dependencyGraph.recalculate(file, cells.map(c => [c.row, c.column]));
+      } else {
+        searchIndex.touch(file);
+        dependencyGraph.invalidate(file);
+        dependencyGraph.recalculate(file);
+      }
+    });
+
+    const active = undo ? step.active.before : step.active.after;
+    workspace.activeId = workspace.files.some(f => f.id === active) ? active : workspace.files[0]?.id || null;
+  }
+
+  applyCells(file, op, undo, touched) {
+    const changes = undo ? [...op.changes].reverse() : op.changes;
+    changes.forEach(change => {
+      const row = file.rows[change.row];
+      if (!row) return;
+      touched.push({ row: change.row, column: change.column, before: row[change.column] });
+      row[change.column] = undo ? change.before : change.after;
+      formulaEngine.setFormula(file, change.row, change.column, (undo ? change.formulaBefore : change.formulaAfter) || null);
+    });
+  }
+
+  applyRows(file, op, undo) {
+    const insert = (op.action === 'insert') !== undo;
+    if (insert) {
+      op.indices.forEach((at, k) => file.rows.splice(at, 0, op.rows[k]));
+      formulaEngine.insertRows(file, op.indices, op.formulas);
+    } else {
+      [...op.indices].reverse().forEach(i => file.rows.splice(i, 1));
+      formulaEngine.removeRows(file, op.indices);
+    }
+  }
+
+  applyColumn(file, op, undo) {
+    const add = (op.action === 'add') !== undo;
+    if (add) {
+      file.rows.forEach((r, i) => {
+        r[op.column] = op.values ? op.values[i] : op.fill;
+      });
+      Object.entries(op.formulas || {}).forEach(([row, source]) => formulaEngine.setFormula(file, Number(row), op.column, source));
+    } else {
+      file.rows.forEach(r => delete r[op.column]);
+      Object.keys(file.formulas || {}).forEach(row => formulaEngine.setFormula(file, row, op.column, null));
+    }
+  }
+
+  applyFile(workspace, op, undo) {
+    const add = (op.action === 'add') !== undo;
+    if (add) {
+      workspace.files.splice(Math.min(op.index, workspace.files.length), 0, op.file);
+    } else {
+      const index = workspace.files.findIndex(f => f.id === op.file.id);
+      if (index >= 0) workspace.files.splice(index, 1);
+    }
+  }
+
+  // Row keys and formulas; computed column expressions come back with the step's meta operation
+  renameColumn(file, from, to) {
+    file.rows.forEach(r => {
+      r[to] = r[from];
+      delete r[from];
+    });
+    formulaEngine.renameColumn(file, from, to);
+  }
+
+  snapshotMeta(file) {
+    const meta = {};
+    META_KEYS.forEach(key => {
+      if (file[key] !== undefined) meta[key] = structuredClone(file[key]);
+    });
+    return meta;
+  }
+
+  restoreMeta(file, meta) {
+    META_KEYS.forEach(key => {
+      if (key in meta) file[key] = structuredClone(meta[key]);
+      else delete file[key];
+    });
+  }
+}
+
+/**
+ * Collects the operations of one step. Cell changes are gathered per file and written out as one
+ * operation before the next row or column change, so their row indices stay valid.
+ */
+class StepRecorder {
+  constructor(history, workspace, label) {
+    this.history = history;
+    this.workspace = workspace;
+    this.label = label;
+    this.ops = [];
+    this.metas = new Map(); // file -> settings before the step
+    this.pending = new Map(); // file -> Map(cell key -> { row, column, before, formulaBefore })
+    this.activeBefore = workspace.activeId;
+  }
+
+  // Call before changing a file's settings: headers, schema, computed columns, views, ...
+  meta(file) {
+    if (!this.metas.has(file)) this.metas.set(file, this.history.snapshotMeta(file));
+    return this;
+  }
+
+  // Call before a cell is changed some other way than setCell()
+  cell(file, row, column) {
+    if (!this.pending.has(file)) this.pending.set(file, new Map());
+    const cells = this.pending.get(file);
+    const key = `${row}:${column}`;
+    if (!cells.has(key)) {
+      cells.set(key, {
+        row,
+        column,
+        before: file.rows[row]?.[column],
+        formulaBefore: formulaEngine.getFormula(file, row, column)
+      });
+    }
+    return this;
+  }
+
+  setCell(file, row, column, value) {
+    this.cell(file, row, column);
+    file.rows[row][column] = value;
+    return this;
+  }
+
+  // Call before deleting rows at `indices`
+  deleteRows(file, indices) {
+    if (!indices.length) return this;
+    this.flush(file);
+    const sorted = [...new Set(indices)].sort((a, b) => a - b);
+    this.ops.push({
+      type: 'rows',
+      action: 'delete',
+      fileId: file.id,
+      indices: sorted,
+      rows: sorted.map(i => file.rows[i]),
+      formulas: sorted.map(i => (file.formulas?.[i] ? { ...file.formulas[i] } : null))
+    });
+    return this;
+  }
+
+  // Call right after inserting rows at `indices` (positions in the new row order) and their formulas
+  insertRows(file, indices) {
+    this.flush(file);
+    const sorted = [...indices].sort((a, b) => a - b);
+    this.ops.push({
+      type: 'rows',
+      action: 'insert',
+      fileId: file.id,
+      indices: sorted,
+      rows: sorted.map(i => file.rows[i]),
+      formulas: sorted.map(i => (file.formulas?.[i] ? { ...file.formulas[i] } : null))
+    });
+    return this;
+  }
+
+  // Call right after adding `column` with every cell set to `fill`
+  addColumn(file, column, fill = '') {
+    this.flush(file);
+    this.ops.push({ type: 'column', action: 'add', fileId: file.id, column, fill });
+    return this;
+  }
+
+  // Call before deleting `column`; its values and formulas are kept so the delete can be undone
+  deleteColumn(file, column) {
+    this.flush(file);
+    const formulas = {};
+    Object.entries(file.formulas || {}).forEach(([row, cols]) => {
+      if (cols[column] !== undefined) formulas[row] = cols[column];
+    });
+    this.ops.push({
+      type: 'column',
+      action: 'delete',
+      fileId: file.id,
+      column,
+      values: file.rows.map(r => r[column]),
+      formulas
+    });
+    return this;
+  }
+
+  // Call when renaming `from` to `to`
+  renameColumn(file, from, to) {
+    this.flush(file);
+    this.ops.push({ type: 'rename', fileId: file.id, from, to });
+    return this;
+  }
+
+  // Call right after adding `file` to the workspace
+  addFile(file) {
+    this.ops.push({ type: 'file', action: 'add', file, index: this.workspace.files.indexOf(file) });
+    return this;
+  }
+
+  // Call before removing `file` from the workspace
+  deleteFile(file) {
+    this.flush(file);
+    this.ops.push({ type: 'file', action: 'delete', file, index: this.workspace.files.indexOf(file) });
+    return this;
+  }
+
+  // Turn the cells recorded for `file` into an operation, keeping only the ones that changed
+  flush(file) {
+    const cells = this.pending.get(file);
+    if (!cells) return;
+    this.pending.delete(file);
+    const changes = [];
+    cells.forEach(({ row, column, before, formulaBefore }) => {
+      const after = file.rows[row]?.[column];
+      const formulaAfter = formulaEngine.getFormula(file, row, column);
+      if (after === before && formulaAfter === formulaBefore) return;
+      changes.push({
+        row,
+        column,
+        before,
+        after,
+        // Computed columns are restored by the meta operation, not per cell
+        ...(formulaBefore && !formulaEngine.isComputed(file, column) ? { formulaBefore } : {}),
+        ...(formulaAfter && !formulaEngine.isComputed(file, column) ? { formulaAfter } : {})
+      });
+    });
+    if (changes.length) this.ops.push({ type: 'cells', fileId: file.id, changes });
+  }
+
+  /**
+   * Add the step to the history. Returns it, or null when nothing changed (e.g. a cell left
+   * with the value it had).
+   */
+  commit() {
+    [...this.pending.keys()].forEach(file => this.flush(file));
+    const metaOps = [];
+    this.metas.forEach((before, file) => {
+      const after = this.history.snapshotMeta(file);
+      if (JSON.stringify(before) !== JSON.stringify(after)) metaOps.push({ type: 'meta', fileId: file.id, before, after });
+    });
+    // Settings are restored last on undo and first on redo, around the row data they describe
+    const ops = [...metaOps, ...this.ops];
+    if (!ops.length) return null;
+
+    const step = {
+      id: this.history.nextId++,
+      label: this.label,
+      time: Date.now(),
+      ops,
+      active: { before: this.activeBefore, after: this.workspace.activeId }
+    };
+    this.history.push(step);
+    return step;
+  }
+}
+
+export const historyManager = new HistoryManager();
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import { HistoryManager } from './HistoryManager.js';
+import { formulaEngine } from './FormulaEngine.js';
+import { dependencyGraph } from './DependencyGraph.js';
+
+const makeWorkspace = () => {
+  const file = {
+    id: 'a',
+    name: 'a.csv',
+    headers: ['x', 'y'],
+    rows: [{ x: '1', y: 'a' }, { x: '2', y: 'b' }, { x: '3', y: '' }],
+    schema: { x: { type: 'number' } }
+  };
+  formulaEngine.setFormula(file, 2, 'y', '=x * 2');
+  dependencyGraph.recalculate(file);
+  return { files: [file], activeId: 'a' };
+};
+
+// Everything a step can change, in a comparable form
+const state = workspace => JSON.parse(JSON.stringify({
+  activeId: workspace.activeId,
+  files: workspace.files.map(f => ({
+    id: f.id,
+    headers: f.headers,
+    rows: f.rows.map(r => Object.fromEntries(Object.entries(r).sort())),
+    formulas: f.formulas,
+    schema: f.schema,
+    computed: f.computed
+  }))
+}));
+
+// Records one step of each kind, returning the workspace state before the first and after each
+const recordSteps = (history, workspace) => {
+  const file = workspace.files[0];
+  const states = [state(workspace)];
+  const record = (label, change) => {
+    const step = history.begin(workspace, label);
+    change(step);
+    step.commit();
+    states.push(state(workspace));
+  };
+
+  record('Edit x', step => {
+    step.cell(file, 0, 'x');
+    file.rows[0].x = '10';
+    dependencyGraph.recalculate(file, [[0, 'x']]);
+  });
+  record('Delete row', step => {
+    step.deleteRows(file, [0]);
+    file.rows.splice(0, 1);
+    formulaEngine.removeRows(file, [0]);
+  });
+  record('Add row', step => {
+    file.rows.push({ x: '', y: '' });
+    step.insertRows(file, [file.rows.length - 1]);
+  });
+  record('Add column z', step => {
+    step.meta(file);
+    file.headers.push('z');
+    file.rows.forEach(r => { r.z = ''; });
+    step.addColumn(file, 'z').setCell(file, 0, 'z', 'q');
+  });
+  record('Rename x', step => {
+    step.meta(file).renameColumn(file, 'x', 'xx');
+    file.headers = file.headers.map(c => (c === 'x' ? 'xx' : c));
+    file.rows.forEach(r => {
+      r.xx = r.x;
+      delete r.x;
+    });
+    file.schema = { xx: file.schema.x };
+    formulaEngine.renameColumn(file, 'x', 'xx');
+  });
+  record('Delete column y', step => {
+    step.meta(file).deleteColumn(file, 'y');
+    file.headers = file.headers.filter(c => c !== 'y');
+    file.rows.forEach(r => delete r.y);
+    formulaEngine.removeColumn(file, 'y');
+  });
+  record('Import b', step => {
+    const added = { id: 'b', name: 'b.csv', headers: ['n'], rows: [{ n: '1' }] };
+    workspace.files.push(added);
+    workspace.activeId = 'b';
+    step.addFile(added);
+  });
+  record('Delete a', step => {
+    step.deleteFile(file);
+    workspace.files.splice(0, 1);
+  });
+  return states;
+};
+
+describe('HistoryManager', () => {
+  it('undoes every kind of step back to the start and redoes them again', () => {
+    const history = new HistoryManager();
+    const workspace = makeWorkspace();
+    const states = recordSteps(history, workspace);
+
+    for (let i = states.length - 2; i >= 0; i--) {
+      history.undo(workspace);
+      expect(state(workspace)).toEqual(states[i]);
+    }
+    expect(history.undo(workspace)).toBeNull();
+    for (let i = 1; i < states.length; i++) {
+      history.redo(workspace);
+      expect(state(workspace)).toEqual(states[i]);
+    }
+    expect(history.redo(workspace)).toBeNull();
+  });
+
+  it('jumps backwards and forwards to any step', () => {
+    const history = new HistoryManager();
+    const workspace = makeWorkspace();
+    const states = recordSteps(history, workspace);
+    const ids = history.steps().map(s => s.id);
+
+    history.jumpTo(workspace, ids[2]);
+    expect(state(workspace)).toEqual(states[3]);
+    expect(history.steps().map(s => s.done)).toEqual(ids.map((_, i) => i <= 2));
+    history.jumpTo(workspace, 0);
+    expect(state(workspace)).toEqual(states[0]);
+    history.jumpTo(workspace, ids[ids.length - 1]);
+    expect(state(workspace)).toEqual(states[states.length - 1]);
+  });
+
+  it('drops the undone steps when a new one is recorded', () => {
+    const history = new HistoryManager();
+    const workspace = makeWorkspace();
+    recordSteps(history, workspace);
+    history.jumpTo(workspace, history.steps()[0].id);
+    const file = workspace.files[0];
+    history.begin(workspace, 'Edit y').setCell(file, 1, 'y', 'new').commit();
+    expect(history.steps().map(s => s.label)).toEqual(['Edit x', 'Edit y']);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('records nothing when a step leaves every value as it was', () => {
+    const history = new HistoryManager();
+    const workspace = makeWorkspace();
+    expect(history.begin(workspace, 'No-op').cell(workspace.files[0], 0, 'x').commit()).toBeNull();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('stores only the changed cell of a large file', () => {
+    const history = new HistoryManager();
+    const file = { id: 'big', name: 'big', headers: ['v'], rows: Array.from({ length: 100000 }, (_, i) => ({ v: String(i) })) };
+    const workspace = { files: [file], activeId: 'big' };
+    const step = history.begin(workspace, 'Edit').setCell(file, 5, 'v', 'x').commit();
+    expect(JSON.stringify(step).length).toBeLessThan(500);
+  });
+});
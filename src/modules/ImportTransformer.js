@@ -0,0 +1,252 @@
+/**
+ * Import Transformer
+ * Turns delimited text into typed rows according to an import plan (header row, skipped lines, column types)
+ */
+import { CsvParser, detectDelimiter } from './CsvParser.js';
+
+export const ENCODINGS = ['utf-8', 'utf-16le', 'windows-1252', 'iso-8859-1'];
+export const COLUMN_TYPES = ['text', 'number', 'date', 'boolean'];
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD', 'MM-DD-YYYY'];
+
+const TRUE_WORDS = new Set(['true', 'yes', 'y', '1', 't']);
+const FALSE_WORDS = new Set(['false', 'no', 'n', '0', 'f']);
+const GUESS_SAMPLE = 200;
+
+export class ImportTransformer {
+  constructor() {
+    this.dateCache = new Map();
+  }
+
+  decode(buffer, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(buffer);
+  }
+
+  /**
+   * Split text into raw records (arrays of fields). `delimiter` may be 'auto'.
+   * Returns `{ records, lines, lineCount, delimiter, errors }` where `lines[i]` is the line record
+   * i starts on and `lineCount` the number of lines in the text.
+   */
+  readRecords(text, { delimiter = 'auto', limit = Infinity } = {}) {
+    const records = [];
+    const lines = [];
+    const resolved = delimiter === 'auto' ? detectDelimiter(text.slice(0, 64 * 1024)) : delimiter;
+    const parser = new CsvParser({
+      delimiter: resolved,
+      header: false,
+      onRow: (fields, line) => {
+        if (records.length >= limit) return;
+        records.push(fields);
+        lines.push(line);
+      }
+    });
+    parser.push(text);
+    parser.end();
+    // A line break at the very end doesn't start another line
+    const lineCount = parser.line - (/[\r\n]$/.test(text) ? 1 : 0);
+    return { records, lines, lineCount, delimiter: resolved, errors: parser.errors };
+  }
+
+  /**
+   * Default plan for records read by `readRecords()`: first row is the header, types guessed
+   * from the data. Columns of an earlier plan for the same records (`previous`) keep the properties listed in
+   * their `edited` (name, include, type, format) for the column with the same source index.
+   */
+  createPlan(data, base = {}, previous = []) {
+    const plan = {
+      encoding: 'utf-8',
+      delimiter: 'auto',
+      decimal: '.',
+      skipLeading: 0,
+      skipTrailing: 0,
+      headerRow: 1,
+      ...base,
+      columns: []
+    };
+    plan.columns = this.detectColumns(data, plan).map(column => {
+      const before = previous.find(c => c.source === column.source);
+      if (!before?.edited?.length) return column;
+      const kept = Object.fromEntries(before.edited.map(prop => [prop, before[prop]]));
+      return { ...column, ...kept, edited: before.edited };
+    });
+    return plan;
+  }
+
+  // Column list from the header row (or "Column N" when there is none), with guessed types
+  detectColumns(data, plan) {
+    const { header, body } = this.split(data, plan);
+    const width = Math.max(header ? header.length : 0, ...body.slice(0, GUESS_SAMPLE).map(r => r.length), 0);
+    const used = new Set();
+
+    return Array.from({ length: width }, (_, index) => {
+      const base = (header?.[index] || '').trim() || `Column ${index + 1}`;
+      let name = base;
+      for (let n = 2; used.has(name); n++) name = `${base} (${n})`;
+      used.add(name);
+
+      const guess = this.guessType(body.slice(0, GUESS_SAMPLE).map(r => r[index] ?? ''), plan.decimal);
+      return { source: index, name, include: true, ...guess };
+    });
+  }
+
+  /**
+   * Apply skipped lines and header row: returns the header record (or null), the data records and
+   * the index of the first of them in `records`. Lines are physical lines of the text, so a
+   * record starting on a skipped line is skipped whole, however many lines its quoted fields span.
+   */
+  split({ records, lines, lineCount }, plan) {
+    const lastLine = lineCount - Math.max(0, plan.skipTrailing || 0);
+    let start = 0;
+    while (start < records.length && lines[start] <= Math.max(0, plan.skipLeading || 0)) start++;
+    let end = records.length;
+    while (end > start && lines[end - 1] > lastLine) end--;
+    const usable = records.slice(start, end);
+
+    if (!plan.headerRow) return { header: null, body: usable, first: start };
+    const headerIndex = plan.headerRow - 1;
+    return {
+      header: usable[headerIndex] || null,
+      body: usable.slice(headerIndex + 1),
+      first: Math.min(start + headerIndex + 1, end)
+    };
+  }
+
+  /**
+   * Build `{ headers, rows, schema, errors }` from records read by `readRecords()` and a plan.
+   * `errors` lists rows whose field count doesn't match the header and values that failed conversion.
+   */
+  apply(data, plan) {
+    const columns = plan.columns.filter(c => c.include);
+    const headers = columns.map(c => c.name);
+    const { header, body, first } = this.split(data, plan);
+    const expected = header ? header.length : null;
+    const errors = [];
+    let invalid = 0;
+
+    const rows = body.map((fields, i) => {
+      const line = data.lines[first + i];
+      if (expected !== null && fields.length !== expected && !(fields.length === 1 && fields[0] === '')) {
+        errors.push({ line, message: `Expected ${expected} fields but found ${fields.length}` });
+      }
+
+      const row = {};
+      columns.forEach(column => {
+        const raw = fields[column.source] ?? '';
+        const { value, ok } = this.convert(raw, column, plan);
+        if (!ok) {
+          invalid++;
+          if (errors.length < 1000) errors.push({ line, message: `"${raw}" is not a valid ${column.type} for ${column.name}` });
+        }
+        row[column.name] = value;
+      });
+      return row;
+    });
+
+    // Dates are converted to ISO, so that is the format the stored values are in
+    const schema = {};
+    columns.forEach(column => {
+      schema[column.name] = column.type === 'date'
+        ? { type: 'date', format: DATE_FORMATS[0] }
+        : { type: column.type };
+    });
+
+    return { headers, rows, schema, errors, invalid };
+  }
+
+  // Value conversion: `ok` is false when a typed column can't read the value (the raw text is kept)
+  convert(raw, column, plan) {
+    const text = String(raw ?? '').trim();
+    if (text === '' || column.type === 'text') return { value: column.type === 'text' ? raw : '', ok: true };
+
+    if (column.type === 'number') {
+      const n = this.parseNumber(text, plan.decimal);
+      return n === null ? { value: raw, ok: false } : { value: String(n), ok: true };
+    }
+    if (column.type === 'date') {
+      const iso = this.parseDate(text, column.format);
+      return iso === null ? { value: raw, ok: false } : { value: iso, ok: true };
+    }
+    if (column.type === 'boolean') {
+      const b = this.parseBoolean(text);
+      return b === null ? { value: raw, ok: false } : { value: b ? 'TRUE' : 'FALSE', ok: true };
+    }
+    return { value: raw, ok: true };
+  }
+
+  parseNumber(text, decimal = '.') {
+    let cleaned = text.replace(/[\s\u00a0']/g, '');
+    const percent = cleaned.endsWith('%');
+    if (percent) cleaned = cleaned.slice(0, -1);
+    cleaned = cleaned.replace(/^\((.*)\)$/, '-$1').replace(/^([-+]?)[$€£¥]/, '$1');
+
+    // Thousands separators only count when they group digits in threes
+    const thousands = decimal === ',' ? '.' : ',';
+    if (cleaned.includes(thousands)) {
+      const grouped = new RegExp(`^[-+]?\\d{1,3}(\\${thousands}\\d{3})+(\\${decimal}\\d*)?$`);
+      if (!grouped.test(cleaned)) return null;
+      cleaned = cleaned.split(thousands).join('');
+    }
+    if (decimal === ',') cleaned = cleaned.replace(',', '.');
+
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(cleaned)) return null;
+    const n = Number(cleaned);
+    return percent ? n / 100 : n;
+  }
+
+  /**
+   * Parse `text` with a format like 'DD/MM/YYYY' into ISO 'yyyy-mm-dd' (time of day kept if present).
+   */
+  parseDate(text, format = 'YYYY-MM-DD') {
+    let pattern = this.dateCache.get(format);
+    if (!pattern) {
+      const order = [];
+      const source = format.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/YYYY|YY|MM|DD/g, token => {
+        order.push(token);
+        return token.length === 4 ? '(\\d{4})' : '(\\d{1,2})';
+      });
+      pattern = { regex: new RegExp(`^${source}(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?$`), order };
+      this.dateCache.set(format, pattern);
+    }
+
+    const match = text.match(pattern.regex);
+    if (!match) return null;
+
+    const parts = {};
+    pattern.order.forEach((token, i) => (parts[token] = Number(match[i + 1])));
+    const year = parts.YYYY ?? (parts.YY < 70 ? 2000 + parts.YY : 1900 + parts.YY);
+    const month = parts.MM;
+    const day = parts.DD;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    const iso = date.toISOString().slice(0, 10);
+    const [hh, mm, ss] = match.slice(pattern.order.length + 1);
+    if (hh === undefined) return iso;
+    return `${iso} ${hh.padStart(2, '0')}:${mm}:${ss || '00'}`;
+  }
+
+  parseBoolean(text) {
+    const lower = text.toLowerCase();
+    if (TRUE_WORDS.has(lower)) return true;
+    if (FALSE_WORDS.has(lower)) return false;
+    return null;
+  }
+
+  // The most specific type every non-empty sample value satisfies
+  guessType(values, decimal = '.') {
+    const present = values.map(v => String(v).trim()).filter(Boolean);
+    if (!present.length) return { type: 'text', format: DATE_FORMATS[0] };
+
+    if (present.every(v => /^(true|false|yes|no)$/i.test(v))) return { type: 'boolean', format: DATE_FORMATS[0] };
+    // Codes with leading zeros (zip codes, ids) stay text
+    const numeric = present.every(v => !/^0\d/.test(v) && this.parseNumber(v, decimal) !== null);
+    if (numeric) return { type: 'number', format: DATE_FORMATS[0] };
+
+    const format = DATE_FORMATS.find(f => present.every(v => this.parseDate(v, f) !== null));
+    if (format) return { type: 'date', format };
+
+    return { type: 'text', format: DATE_FORMATS[0] };
+  }
+}
+
+export const importTransformer = new ImportTransformer();
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { importTransformer } from './ImportTransformer.js';
+
+const read = text => importTransformer.readRecords(text, { delimiter: ',' });
+
+describe('ImportTransformer', () => {
+  it('guesses column types from the data below the header row', () => {
+    const data = read('id,price,when,ok,zip\n1,"1,234.5",31/12/2024,yes,01234\n2,7,01/02/2025,no,99999\n');
+    const plan = importTransformer.createPlan(data);
+    expect(plan.columns.map(c => [c.name, c.type])).toEqual([
+      ['id', 'number'],
+      ['price', 'number'],
+      ['when', 'date'],
+      ['ok', 'boolean'],
+      ['zip', 'text']
+    ]);
+    expect(plan.columns[2].format).toBe('DD/MM/YYYY');
+  });
+
+  it('converts values by column type and reports the ones that do not fit', () => {
+    const data = read('n,d\n"1.234,5",2024-01-31\nx,2024-02-30\n');
+    const plan = importTransformer.createPlan(data, { decimal: ',' });
+    plan.columns[0].type = 'number';
+    plan.columns[1].type = 'date';
+    const result = importTransformer.apply(data, plan);
+    expect(result.rows).toEqual([{ n: '1234.5', d: '2024-01-31' }, { n: 'x', d: '2024-02-30' }]);
+    expect(result.invalid).toBe(2);
+    expect(result.errors.map(e => e.line)).toEqual([3, 3]);
+    expect(result.schema).toEqual({ n: { type: 'number' }, d: { type: 'date', format: 'YYYY-MM-DD' } });
+  });
+
+  it('keeps the columns edited by hand when the plan is detected again', () => {
+    const data = read('title\na,b,c\n1,2,x\n3,4,y\n');
+    const first = importTransformer.createPlan(data);
+    const [a, b, c] = first.columns;
+    Object.assign(a, { name: 'first', edited: ['name'] });
+    Object.assign(b, { include: false, edited: ['include'] });
+    Object.assign(c, { type: 'date', format: 'DD.MM.YYYY', edited: ['type', 'format'] });
+
+    const plan = importTransformer.createPlan(data, { headerRow: 2 }, first.columns);
+    expect(plan.columns.map(({ name, include, type, format }) => ({ name, include, type, format }))).toEqual([
+      { name: 'first', include: true, type: 'number', format: 'YYYY-MM-DD' },
+      { name: 'b', include: false, type: 'number', format: 'YYYY-MM-DD' },
+      { name: 'c', include: true, type: 'date', format: 'DD.MM.YYYY' }
+    ]);
+
+    // A column the new header row doesn't reach has nothing to keep
+    const narrower = importTransformer.createPlan(
+      { ...data, records: data.records.map(r => r.slice(0, 2)) },
+      { headerRow: 2 },
+      plan.columns
+    );
+    expect(narrower.columns.map(col => col.name)).toEqual(['first', 'b']);
+  });
+
+  it('skips leading and trailing lines of the text, not records', () => {
+    // The second record spans lines 2-3 and the last one lines 6-7
+    const data = read('Report\n"multi\nline",x\na,b\n1,2\n"end\nnote",y\n');
+    expect(data.lineCount).toBe(7);
+
+    const plan = importTransformer.createPlan(data, { skipLeading: 3, skipTrailing: 2 });
+    const { header, body, first } = importTransformer.split(data, plan);
+    expect(header).toEqual(['a', 'b']);
+    expect(body).toEqual([['1', '2']]);
+    expect(first).toBe(3);
+
+    // A record starting on a skipped line is skipped whole, even when its field runs on past it
+    expect(importTransformer.split(data, { skipLeading: 2, skipTrailing: 2, headerRow: 0 }).body).toEqual([
+      ['a', 'b'],
+      ['1', '2']
+    ]);
+  });
+
+  it('reports problems on the line the record starts on after skipped lines', () => {
+    const data = read('Exported 2024\n\nn\n"1\n"\nx\n');
+    const plan = importTransformer.createPlan(data, { skipLeading: 2 });
+    plan.columns[0].type = 'number';
+    const result = importTransformer.apply(data, plan);
+    expect(result.rows).toEqual([{ n: '1' }, { n: 'x' }]);
+    expect(result.errors).toEqual([{ line: 6, message: '"x" is not a valid number for n' }]);
+  });
+});
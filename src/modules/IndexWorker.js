@@ -0,0 +1,15 @@
+/**
+ * Index Worker
+ * Builds a file's search index off the main thread
+ */
+import { searchIndex } from './SearchIndex.js';
+
+self.onmessage = (e) => {
+  const { headers, rows } = e.data;
+
+  try {
+    self.postMessage({ type: 'done', columns: searchIndex.buildColumns(headers, rows) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
@@ -0,0 +1,227 @@
+/**
+ * Pivot Table Engine
+ * Groups rows by row and column fields and aggregates value fields, with subtotals and grand totals
+ */
+
+const KEY_SEP = '\u0001';
+const TOTAL_KEY = '\u0002total';
+const BLANK_LABEL = '(blank)';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const n = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return isNaN(n) ? null : n;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const naturalCompare = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+// Aggregations read from a shared accumulator so every level is built in a single pass
+export const AGGREGATIONS = {
+  sum: { label: 'Sum', result: acc => acc.numbers ? acc.sum : null },
+  avg: { label: 'Average', result: acc => acc.numbers ? acc.sum / acc.numbers : null },
+  count: { label: 'Count', result: acc => acc.count },
+  countDistinct: { label: 'Count Distinct', distinct: true, result: acc => acc.distinct.size },
+  min: { label: 'Min', result: acc => acc.numbers ? acc.min : null },
+  max: { label: 'Max', result: acc => acc.numbers ? acc.max : null },
+  median: { label: 'Median', values: true, result: acc => median(acc.values) }
+};
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export class PivotEngine {
+  constructor() {
+    this.aggregations = AGGREGATIONS;
+  }
+
+  valueLabel(value) {
+    return `${AGGREGATIONS[value.agg]?.label || value.agg} of ${value.field}`;
+  }
+
+  /**
+   * Build a pivot of `file` from `config`:
+   * `{ rows: [field], columns: [field], values: [{ field, agg }], subtotals, grandTotals }`.
+   * Returns `{ headers, rows, rowTypes }` where `rows` are plain records (ready to become a file)
+   * and `rowTypes[i]` is 'data', 'subtotal' or 'grand'.
+   */
+  build(file, config) {
+    const rowFields = config.rows || [];
+    const colFields = config.columns || [];
+    const values = config.values || [];
+    const subtotals = config.subtotals !== false;
+    const grandTotals = config.grandTotals !== false;
+
+    if (!values.length) throw new Error('Add at least one value field');
+    [...rowFields, ...colFields, ...values.map(v => v.field)].forEach(field => {
+      if (!file.headers.includes(field)) throw new Error(`Column "${field}" not found`);
+    });
+    values.forEach(v => {
+      if (!AGGREGATIONS[v.agg]) throw new Error(`Unknown aggregation "${v.agg}"`);
+    });
+
+    const cells = new Map(); // row level + prefix -> Map(column key -> accumulators)
+    const rowTree = new Map();
+    const colKeys = new Map();
+
+    file.rows.forEach(record => {
+      const rowParts = rowFields.map(f => this.label(record[f]));
+      const colParts = colFields.map(f => this.label(record[f]));
+      const colKey = colParts.join(KEY_SEP);
+      if (colFields.length && !colKeys.has(colKey)) colKeys.set(colKey, colParts);
+
+      let node = rowTree;
+      rowParts.forEach(part => {
+        if (!node.has(part)) node.set(part, new Map());
+        node = node.get(part);
+      });
+
+      const colTargets = colFields.length ? [colKey, TOTAL_KEY] : [TOTAL_KEY];
+      for (let level = rowParts.length; level >= 0; level--) {
+        const isLeaf = level === rowParts.length;
+        if (!isLeaf && level > 0 && !subtotals) continue;
+        if (level === 0 && !isLeaf && !grandTotals) continue;
+
+        const rowKey = level + KEY_SEP + rowParts.slice(0, level).join(KEY_SEP);
+        if (!cells.has(rowKey)) cells.set(rowKey, new Map());
+        const row = cells.get(rowKey);
+
+        colTargets.forEach(target => {
+          if (target === TOTAL_KEY && colFields.length && !grandTotals) return;
+          if (!row.has(target)) row.set(target, values.map(v => this.createAccumulator(v.agg)));
+          row.get(target).forEach((acc, i) => this.accumulate(acc, record[values[i].field]));
+        });
+      }
+    });
+
+    // Columns: each column key crossed with each value field, then the row totals
+    const sortedColKeys = Array.from(colKeys.entries()).sort((a, b) => this.compareParts(a[1], b[1]));
+    const valueColumns = [];
+    sortedColKeys.forEach(([key, parts]) => {
+      values.forEach((v, i) => valueColumns.push({ key, index: i, header: `${parts.join(' / ')}: ${this.valueLabel(v)}` }));
+    });
+    if (!colFields.length || grandTotals) {
+      values.forEach((v, i) => valueColumns.push({
+        key: TOTAL_KEY,
+        index: i,
+        header: colFields.length ? `Total: ${this.valueLabel(v)}` : this.valueLabel(v)
+      }));
+    }
+
+    const headers = this.uniqueHeaders([...rowFields, ...valueColumns.map(c => c.header)]);
+    const labelHeaders = headers.slice(0, rowFields.length);
+    const valueHeaders = headers.slice(rowFields.length);
+    const rows = [];
+    const rowTypes = [];
+
+    const emit = (level, prefix, type) => {
+      const record = {};
+      labelHeaders.forEach((h, i) => {
+        if (type === 'data') record[h] = prefix[i];
+        else if (type === 'subtotal') record[h] = i < level - 1 ? prefix[i] : i === level - 1 ? `${prefix[i]} Total` : '';
+        else record[h] = i === 0 ? 'Grand Total' : '';
+      });
+      const accs = cells.get(level + KEY_SEP + prefix.join(KEY_SEP));
+      valueColumns.forEach((col, i) => {
+        const acc = accs?.get(col.key)?.[col.index];
+        record[valueHeaders[i]] = acc ? this.formatResult(AGGREGATIONS[values[col.index].agg].result(acc)) : '';
+      });
+      rows.push(record);
+      rowTypes.push(type);
+    };
+
+    const walk = (node, prefix) => {
+      const keys = Array.from(node.keys()).sort(naturalCompare);
+      keys.forEach(part => {
+        const path = [...prefix, part];
+        if (path.length === rowFields.length) {
+          emit(path.length, path, 'data');
+          return;
+        }
+        walk(node.get(part), path);
+        if (subtotals) emit(path.length, path, 'subtotal');
+      });
+    };
+
+    if (rowFields.length) {
+      walk(rowTree, []);
+      if (grandTotals && file.rows.length) emit(0, [], 'grand');
+    } else if (file.rows.length) {
+      emit(0, [], 'data');
+    }
+
+    return { headers, rows, rowTypes };
+  }
+
+  // Turn a pivot result into a workspace file entry
+  toFile(result, name, id) {
+    return {
+      id,
+      name,
+      headers: [...result.headers],
+      rows: result.rows.map(r => ({ ...r }))
+    };
+  }
+
+  label(value) {
+    return isBlank(value) ? BLANK_LABEL : String(value).trim();
+  }
+
+  compareParts(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      const diff = naturalCompare(a[i], b[i]);
+      if (diff) return diff;
+    }
+    return 0;
+  }
+
+  createAccumulator(agg) {
+    const def = AGGREGATIONS[agg];
+    return {
+      sum: 0,
+      numbers: 0,
+      count: 0,
+      min: Infinity,
+      max: -Infinity,
+      distinct: def.distinct ? new Set() : null,
+      values: def.values ? [] : null
+    };
+  }
+
+  accumulate(acc, value) {
+    if (isBlank(value)) return;
+    acc.count++;
+    if (acc.distinct) acc.distinct.add(String(value).trim());
+
+    const n = toNumber(value);
+    if (n === null) return;
+    acc.numbers++;
+    acc.sum += n;
+    if (n < acc.min) acc.min = n;
+    if (n > acc.max) acc.max = n;
+    if (acc.values) acc.values.push(n);
+  }
+
+  // Trim floating point noise so materialized pivots read like typed-in numbers
+  formatResult(value) {
+    if (value === null || value === undefined) return '';
+    return String(Math.round(value * 1e10) / 1e10);
+  }
+
+  uniqueHeaders(headers) {
+    const seen = new Set();
+    return headers.map(h => {
+      let name = h;
+      for (let i = 2; seen.has(name); i++) name = `${h} (${i})`;
+      seen.add(name);
+      return name;
+    });
+  }
+}
+
+export const pivotEngine = new PivotEngine();
@@ -0,0 +1,62 @@
+/**
+ * Replace Engine
+ * Find & replace over cell values, as plain text or a regex with capture groups. Planning a
+ * replacement only lists the cells it would change, so the caller can preview them first.
+ */
+import { formulaEngine } from './FormulaEngine.js';
+import { searchEngine } from './SearchEngine.js';
+
+export class ReplaceEngine {
+  /**
+   * Replacer for `find` → `replacement`: `{ replace(text), error }`. `replace` returns the new
+   * text, or null when `find` doesn't occur in `text`. In regex mode the replacement may refer
+   * to groups with `$1`, `$<name>` and `$&`; in plain mode it is inserted literally.
+   * `wholeCell` only matches when the pattern covers the entire cell.
+   */
+  compile(find, replacement, { mode = 'plain', matchCase = false, wholeCell = false } = {}) {
+    if (!find) return { replace: () => null, error: 'Enter the text to find' };
+
+    let source = mode === 'regex' ? find : searchEngine.escape(find);
+    if (wholeCell) source = `^(?:${source})$`;
+    let regex;
+    try {
+      regex = new RegExp(source, matchCase ? 'gu' : 'giu');
+    } catch (error) {
+      return { replace: () => null, error: error.message };
+    }
+    const literal = () => replacement;
+    return {
+      error: null,
+      replace: text => {
+        regex.lastIndex = 0;
+        if (!regex.test(text)) return null;
+        return text.replace(regex, mode === 'regex' ? replacement : literal);
+      }
+    };
+  }
+
+  /**
+   * Cells `replacer` would change in `targets` (`[{ file, rows, columns }]`, rows as indices).
+   * Formula cells and computed columns hold derived values, so matches there are only counted
+   * in `skipped`. Returns `{ changes: [{ file, row, column, before, after }], skipped }`.
+   */
+  plan(targets, replacer) {
+    const changes = [];
+    let skipped = 0;
+    targets.forEach(({ file, rows, columns }) => {
+      rows.forEach(row => {
+        columns.forEach(column => {
+          const value = file.rows[row]?.[column];
+          const before = value === null || value === undefined ? '' : String(value);
+          const after = replacer.replace(before);
+          if (after === null || after === before) return;
+          if (formulaEngine.getFormula(file, row, column)) skipped++;
+          else changes.push({ file, row, column, before, after });
+        });
+      });
+    });
+    return { changes, skipped };
+  }
+}
+
+export const replaceEngine = new ReplaceEngine();
@@ -0,0 +1,162 @@
+/**
+ * Search Engine
+ * Compiles a search term into a matcher for one of the search modes (plain, whole word, regex,
+ * fuzzy) that can both test a cell and report where in the text the matches are.
+ */
+
+export const SEARCH_MODES = [
+  { id: 'plain', label: 'Plain' },
+  { id: 'word', label: 'Whole word' },
+  { id: 'regex', label: 'Regex' },
+  { id: 'fuzzy', label: 'Fuzzy' }
+];
+
+// Letters, digits and underscore in any script count as word characters
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+export class SearchEngine {
+  /**
+   * Matcher for `term` in `mode`: `{ test(text), ranges(text), error }`. `ranges` returns
+   * non-overlapping `[start, end)` pairs. An invalid regex gives a matcher that matches nothing
+   * and carries the parser's message in `error`.
+   */
+  compile(term, mode = 'plain') {
+    if (!term) return { test: () => true, ranges: () => [], error: null };
+
+    if (mode === 'fuzzy') return this.fuzzyMatcher(term.toLowerCase());
+
+    let regex;
+    try {
+      regex = mode === 'regex'
+        ? new RegExp(term, 'giu')
+        : new RegExp(
+          mode === 'word' ? `(?<!${WORD_CHAR})${this.escape(term)}(?!${WORD_CHAR})` : this.escape(term),
+          'giu'
+        );
+    } catch (error) {
+      return { test: () => false, ranges: () => [], error: error.message };
+    }
+    return {
+      error: null,
+      test: text => {
+        regex.lastIndex = 0;
+        return regex.test(text);
+      },
+      ranges: text => {
+        const ranges = [];
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text))) {
+          if (match[0] === '') {
+            // Zero-length matches (e.g. /x*/) have nothing to highlight; step past them
+            regex.lastIndex++;
+            continue;
+          }
+          ranges.push([match.index, match.index + match[0].length]);
+        }
+        return ranges;
+      }
+    };
+  }
+
+  escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Typos allowed for a fuzzy term: none for very short terms, which would otherwise match
+   * almost anything, then one, then two.
+   */
+  tolerance(term) {
+    if (term.length <= 3) return 0;
+    return term.length <= 7 ? 1 : 2;
+  }
+
+  fuzzyMatcher(term) {
+    const maxErrors = this.tolerance(term);
+    return {
+      error: null,
+      test: text => this.fuzzyRanges(String(text).toLowerCase(), term, maxErrors, true).length > 0,
+      ranges: text => this.fuzzyRanges(String(text).toLowerCase(), term, maxErrors, false)
+    };
+  }
+
+  /**
+   * Approximate substring matching (Sellers' algorithm): substrings of `text` within
+   * `maxErrors` edits (insert, delete, substitute, swap two neighbours) of `term`. Keeps the last
+   * two DP columns plus the start position of each cell's best alignment so the matched span can
+   * be reported.
+   */
+  fuzzyRanges(text, term, maxErrors, firstOnly) {
+    if (text.includes(term)) {
+      if (firstOnly) return [[0, 0]];
+      if (maxErrors === 0) return this.exactRanges(text, term);
+    }
+    if (maxErrors === 0) return [];
+
+    const m = term.length;
+    let cost = Array.from({ length: m + 1 }, (_, i) => i);
+    let start = new Array(m + 1).fill(0);
+    let prevCost = null;
+    let prevStart = null;
+    const ranges = [];
+    let lastEnd = 0;
+    let pending = null; // best match ending so far, kept while the next characters improve it
+
+    for (let j = 1; j <= text.length; j++) {
+      const nextCost = [0];
+      const nextStart = [j];
+      for (let i = 1; i <= m; i++) {
+        const substitution = cost[i - 1] + (term[i - 1] === text[j - 1] ? 0 : 1);
+        const deletion = cost[i] + 1; // skip a text character
+        const insertion = nextCost[i - 1] + 1; // skip a term character
+        if (substitution <= deletion && substitution <= insertion) {
+          nextCost[i] = substitution;
+          nextStart[i] = start[i - 1];
+        } else if (deletion <= insertion) {
+          nextCost[i] = deletion;
+          nextStart[i] = start[i];
+        } else {
+          nextCost[i] = insertion;
+          nextStart[i] = nextStart[i - 1];
+        }
+        // Transposed neighbours ("teh" for "the") count as one typo
+        if (prevCost && i > 1 && term[i - 1] === text[j - 2] && term[i - 2] === text[j - 1] && prevCost[i - 2] + 1 < nextCost[i]) {
+          nextCost[i] = prevCost[i - 2] + 1;
+          nextStart[i] = prevStart[i - 2];
+        }
+      }
+      prevCost = cost;
+      prevStart = start;
+      cost = nextCost;
+      start = nextStart;
+
+      const errors = cost[m];
+      const matched = errors <= maxErrors && start[m] >= lastEnd;
+      if (matched && firstOnly) return [[start[m], j]];
+      // A longer alignment from the same start (or with fewer errors) replaces the pending match
+      if (matched && pending && (errors < pending.errors || (errors === pending.errors && start[m] === pending.start))) {
+        pending = { start: start[m], end: j, errors };
+        continue;
+      }
+      if (pending) {
+        ranges.push([pending.start, pending.end]);
+        lastEnd = pending.end;
+        pending = null;
+      }
+      if (matched && start[m] >= lastEnd) pending = { start: start[m], end: j, errors };
+    }
+    if (pending) ranges.push([pending.start, pending.end]);
+    return ranges;
+  }
+
+  exactRanges(text, term) {
+    const ranges = [];
+    for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + term.length)) {
+      ranges.push([i, i + term.length]);
+    }
+    return ranges;
+  }
+}
+
+export const searchEngine = new SearchEngine();
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { searchEngine } from './SearchEngine.js';
+
+const ranges = (text, term, mode) => searchEngine.compile(term, mode).ranges(text);
+
+describe('SearchEngine', () => {
+  it('finds every plain match without regard to case', () => {
+    expect(ranges('Cat catalog cat', 'cat', 'plain')).toEqual([[0, 3], [4, 7], [12, 15]]);
+    expect(ranges('1+1=2', '1+1', 'plain')).toEqual([[0, 3]]);
+  });
+
+  it('matches whole words only, including non-ASCII letters', () => {
+    expect(ranges('Cat catalog cat', 'cat', 'word')).toEqual([[0, 3], [12, 15]]);
+    expect(ranges('café-bar cafés', 'café', 'word')).toEqual([[0, 4]]);
+  });
+
+  it('reports regex matches, skipping empty ones', () => {
+    expect(ranges('a1 b22 c333', '\\d+', 'regex')).toEqual([[1, 2], [4, 6], [8, 11]]);
+    expect(ranges('xyz', 'x*', 'regex')).toEqual([[0, 1]]);
+  });
+
+  it('turns an invalid regex into a matcher that matches nothing', () => {
+    const matcher = searchEngine.compile('(', 'regex');
+    expect(matcher.error).toMatch(/Unterminated group/);
+    expect(matcher.test('(')).toBe(false);
+  });
+
+  it('matches everything for an empty term', () => {
+    expect(searchEngine.compile('', 'fuzzy').test('anything')).toBe(true);
+  });
+});
+
+describe('SearchEngine fuzzy ranges', () => {
+  it('allows more typos in longer terms', () => {
+    expect(searchEngine.tolerance('cat')).toBe(0);
+    expect(searchEngine.tolerance('brown')).toBe(1);
+    expect(searchEngine.tolerance('amsterdam')).toBe(2);
+  });
+
+  it('finds the span of a match with one typo', () => {
+    expect(ranges('the quick brwon fox', 'brown', 'fuzzy')).toEqual([[10, 15]]);
+    expect(ranges('smith and smyth', 'smith', 'fuzzy')).toEqual([[0, 5], [10, 15]]);
+  });
+
+  it('counts swapped neighbours as one typo', () => {
+    expect(ranges('I live in Amsterdam', 'amsterdma', 'fuzzy')).toEqual([[10, 19]]);
+    expect(ranges('recieve recieve', 'receive', 'fuzzy')).toEqual([[0, 7], [8, 15]]);
+  });
+
+  it('requires short terms to match exactly', () => {
+    expect(ranges('cats', 'cot', 'fuzzy')).toEqual([]);
+    expect(ranges('teh cat', 'the', 'fuzzy')).toEqual([]);
+    expect(ranges('the cat', 'cat', 'fuzzy')).toEqual([[4, 7]]);
+  });
+
+  it('agrees with test()', () => {
+    const matcher = searchEngine.compile('receive', 'fuzzy');
+    expect(matcher.test('We recieved it')).toBe(true);
+    expect(matcher.test('nothing here')).toBe(false);
+  });
+});
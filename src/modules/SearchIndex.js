@@ -0,0 +1,264 @@
+/**
+ * Search Index
+ * Per-file inverted index of cell tokens and whole cell values, so plain and whole-word search
+ * and equality filters only check candidate rows instead of scanning every cell. Large files are
+ * indexed in a worker; single cell edits update the index in place.
+ */
+import { formulaEngine } from './FormulaEngine.js';
+
+// Runs of word characters, the same characters whole-word search treats as part of a word
+const TOKEN = /[\p{L}\p{N}_]+/gu;
+// Files with fewer cells are indexed on the main thread; posting them to a worker costs more
+const WORKER_THRESHOLD = 20000;
+
+export class SearchIndex {
+  constructor() {
+    this.indexes = new WeakMap(); // file -> { version, rowsRef, signature, columns }
+    this.pending = new WeakMap(); // file -> data version a worker is indexing
+    this.clock = 0;
+  }
+
+  /**
+   * Give `file` a new data version after its values changed some other way than updateCell();
+   * its index is rebuilt on the next ensure(). Versions come from a session-wide clock, not a
+   * per-file counter, so an undo followed by a different edit never reuses a version.
+   */
+  touch(file) {
+    file.version = this.nextVersion();
+    this.indexes.delete(file);
+  }
+
+  nextVersion() {
+    this.clock = Math.max(this.clock + 1, Date.now());
+    return this.clock;
+  }
+
+  // Index of `file` if it matches the file's current rows and data version, otherwise null
+  get(file) {
+    const index = this.indexes.get(file);
+    if (!index) return null;
+    if (index.version !== (file.version ?? 0) || index.rowsRef !== file.rows || index.signature !== this.signature(file)) {
+      this.indexes.delete(file);
+      return null;
+    }
+    return index;
+  }
+
+  signature(file) {
+    return [file.rows.length, ...file.headers].join('\u0001');
+  }
+
+  /**
+   * Index `file` unless it already has a current index. Small files are indexed right away and
+   * the index is returned; large ones go to a worker and this returns null until it is done
+   * (callers scan the rows meanwhile).
+   */
+  ensure(file) {
+    const current = this.get(file);
+    if (current) return current;
+
+    const version = file.version ?? 0;
+    if (this.pending.get(file) === version) return null;
+    if (typeof Worker === 'undefined' || file.rows.length * file.headers.length < WORKER_THRESHOLD) {
+      return this.store(file, version, this.buildColumns(file.headers, file.rows));
+    }
+
+    this.pending.set(file, version);
+    const rows = file.rows;
+    const signature = this.signature(file);
+    const worker = new Worker(new URL('./IndexWorker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      if (this.pending.get(file) === version) this.pending.delete(file);
+    };
+
+    worker.onmessage = (e) => {
+      finish();
+      if (e.data.type === 'error') {
+        console.warn('Search index build failed:', e.data.message);
+        return;
+      }
+      // Edits made while the worker was busy leave its result out of date; drop it
+      if ((file.version ?? 0) === version && file.rows === rows && this.signature(file) === signature) {
+        this.store(file, version, e.data.columns);
+      }
+    };
+    worker.onerror = (error) => {
+      finish();
+      console.warn('Search index build failed:', error.message);
+    };
+    worker.postMessage({ headers: file.headers, rows });
+    return null;
+  }
+
+  store(file, version, columns) {
+    const index = { version, rowsRef: file.rows, signature: this.signature(file), columns };
+    this.indexes.set(file, index);
+    return index;
+  }
+
+  // `Map(column -> { tokens: Map(token -> rows), values: Map(value -> rows) })`, rows ascending
+  buildColumns(headers, rows) {
+    const columns = new Map(headers.map(h => [h, { tokens: new Map(), values: new Map() }]));
+    rows.forEach((row, i) => {
+      headers.forEach(h => this.addCell(columns.get(h), i, row?.[h]));
+    });
+    return columns;
+  }
+
+  /**
+   * Keep the index in step with one edited cell; `before` is the value it replaced. Bumps the
+   * file's data version either way.
+   */
+  updateCell(file, row, column, before) {
+    const index = this.get(file);
+    file.version = this.nextVersion();
+    if (!index) return;
+
+    const entry = index.columns.get(column);
+    if (entry) {
+      this.removeCell(entry, row, before);
+      this.addCell(entry, row, file.rows[row]?.[column]);
+    }
+    index.version = file.version;
+  }
+
+  // Queries
+  /**
+   * Rows of `file` that may contain `term` in one of `columns` under plain or whole-word search,
+   * ascending. This is a superset: callers still test each row with the search matcher. Null
+   * when the index can't narrow the search (no current index, regex or fuzzy mode, a term
+   * without word characters, computed columns) and every row has to be checked.
+   */
+  candidates(file, term, mode, columns) {
+    if (mode !== 'plain' && mode !== 'word') return null;
+    const index = this.get(file);
+    const terms = this.tokenize(term);
+    if (!index || !terms.length || columns.some(c => formulaEngine.isComputed(file, c))) return null;
+
+    const rows = new Set();
+    columns.forEach(column => {
+      const entry = index.columns.get(column);
+      if (!entry) return;
+      // Start from the rarest token and check the others by binary search in their postings
+      const postings = terms
+        .map((token, k) => this.postings(entry.tokens, token, mode === 'word' ? 'exact' : this.position(k, terms.length)))
+        .sort((a, b) => this.size(a) - this.size(b));
+      const [rarest, ...rest] = postings;
+      rarest.forEach(list => list.forEach(i => {
+        if (rest.every(lists => lists.some(other => other[this.search(other, i)] === i))) rows.add(i);
+      }));
+    });
+    this.addFormulaRows(file, columns, rows);
+    return [...rows].sort((a, b) => a - b);
+  }
+
+  /**
+   * Rows of `file` whose `column` value equals one of `values`, ignoring case and surrounding
+   * whitespace, as a Set for membership tests. Like candidates() this may include extra rows and
+   * is null when the index can't answer.
+   */
+  valueRows(file, column, values) {
+    const index = this.get(file);
+    const entry = index?.columns.get(column);
+    if (!entry || formulaEngine.isComputed(file, column)) return null;
+
+    const rows = new Set();
+    values.forEach(value => {
+      entry.values.get(this.valueKey(value))?.forEach(i => rows.add(i));
+    });
+    this.addFormulaRows(file, [column], rows);
+    return rows;
+  }
+
+  /**
+   * How a term's k-th token sits in a matching cell token: a single token can be anywhere in it,
+   * otherwise the first one ends a cell token, the last one starts one and the rest are whole.
+   */
+  position(k, count) {
+    if (count === 1) return 'inside';
+    if (k === 0) return 'end';
+    return k === count - 1 ? 'start' : 'exact';
+  }
+
+  // Posting lists of the cell tokens `token` can match at `position`
+  postings(tokens, token, position) {
+    if (position === 'exact') return tokens.has(token) ? [tokens.get(token)] : [];
+    const lists = [];
+    tokens.forEach((list, key) => {
+      const hit = position === 'inside' ? key.includes(token)
+        : position === 'end' ? key.endsWith(token)
+          : key.startsWith(token);
+      if (hit) lists.push(list);
+    });
+    return lists;
+  }
+
+  size(lists) {
+    return lists.reduce((sum, list) => sum + list.length, 0);
+  }
+
+  // Formula results change on recalculation without passing through the index, so always check them
+  addFormulaRows(file, columns, rows) {
+    Object.entries(file.formulas || {}).forEach(([row, cols]) => {
+      if (columns.some(c => cols[c] !== undefined)) rows.add(Number(row));
+    });
+  }
+
+  // Postings
+  tokenize(text) {
+    return String(text).toLowerCase().match(TOKEN) || [];
+  }
+
+  valueKey(value) {
+    return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+  }
+
+  addCell(entry, row, value) {
+    this.post(entry.values, this.valueKey(value), row);
+    this.tokenize(value ?? '').forEach(token => this.post(entry.tokens, token, row));
+  }
+
+  removeCell(entry, row, value) {
+    this.unpost(entry.values, this.valueKey(value), row);
+    this.tokenize(value ?? '').forEach(token => this.unpost(entry.tokens, token, row));
+  }
+
+  post(map, key, row) {
+    const list = map.get(key);
+    if (!list) {
+      map.set(key, [row]);
+      return;
+    }
+    // Building appends in row order; edits insert in place
+    if (list[list.length - 1] < row) {
+      list.push(row);
+      return;
+    }
+    const at = this.search(list, row);
+    if (list[at] !== row) list.splice(at, 0, row);
+  }
+
+  unpost(map, key, row) {
+    const list = map.get(key);
+    if (!list) return;
+    const at = this.search(list, row);
+    if (list[at] !== row) return;
+    list.splice(at, 1);
+    if (!list.length) map.delete(key);
+  }
+
+  // First position in the ascending `list` whose value is >= `row`
+  search(list, row) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid] < row) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+}
+
+export const searchIndex = new SearchIndex();
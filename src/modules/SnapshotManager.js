@@ -0,0 +1,99 @@
+/**
+ * Snapshot Manager
+ * Timestamped copies of files kept in IndexedDB next to the workspace: taken on import, before
+ * destructive bulk operations and periodically while a file changes, so data can be compared
+ * with and restored from an earlier state even after the undo history is gone.
+ */
+import { workspaceStore } from './WorkspaceStore.js';
+
+const PER_FILE_LIMIT = 20; // snapshots kept per file; the oldest go first
+const INTERVAL = 10 * 60 * 1000; // ms between periodic snapshots of changed files
+
+export class SnapshotManager {
+  constructor(store = workspaceStore) {
+    this.store = store;
+    this.timer = null;
+    this.queue = Promise.resolve(); // writes run one after another
+  }
+
+  /**
+   * Snapshot `file` because of `reason` (e.g. "Imported", "Before deleting rows"). The copy is
+   * taken right away, so the file can be changed as soon as this returns; storing it happens in
+   * the background and the returned promise resolves to the listing record.
+   */
+  take(file, reason) {
+    const copy = structuredClone(file);
+    const meta = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      workspaceId: this.store.workspaceId, // the workspace may be switched before the write
+      fileId: file.id,
+      fileName: file.name,
+      reason,
+      time: Date.now(),
+      rows: file.rows.length,
+      columns: file.headers.length,
+      version: file.version ?? 0
+    };
+    const write = this.queue.then(async () => {
+      await this.store.addSnapshot(meta, copy);
+      await this.prune(file.id);
+      return meta;
+    });
+    this.queue = write.catch(error => console.warn('Snapshot failed:', error));
+    return write;
+  }
+
+  // Snapshot every file in `files` that changed since its latest snapshot
+  async takeChanged(files, reason = 'Automatic') {
+    const latest = new Map();
+    (await this.store.snapshots()).forEach(s => {
+      if (!latest.has(s.fileId)) latest.set(s.fileId, s);
+    });
+    return Promise.all(files
+      .filter(f => {
+        const last = latest.get(f.id);
+        return !last || last.version !== (f.version ?? 0) || last.rows !== f.rows.length || last.columns !== f.headers.length;
+      })
+      .map(f => this.take(f, reason)));
+  }
+
+  // Snapshot changed files of `getFiles()` every INTERVAL
+  start(getFiles) {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.takeChanged(getFiles()).catch(error => console.warn('Periodic snapshot failed:', error));
+    }, INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Listing records of the open workspace's snapshots, newest first, optionally only for file
+   * `fileId`. Snapshots of files that were deleted since are included.
+   */
+  async list(fileId = null) {
+    const all = await this.store.snapshots();
+    return fileId ? all.filter(s => s.fileId === fileId) : all;
+  }
+
+  // A fresh copy of the file stored with snapshot `id`
+  async file(id) {
+    const file = await this.store.snapshotFile(id);
+    if (!file) throw new Error('That snapshot no longer exists');
+    return structuredClone(file);
+  }
+
+  remove(ids) {
+    return this.store.deleteSnapshots(ids);
+  }
+
+  async prune(fileId) {
+    const extra = (await this.list(fileId)).slice(PER_FILE_LIMIT);
+    if (extra.length) await this.remove(extra.map(s => s.id));
+  }
+}
+
+export const snapshotManager = new SnapshotManager();
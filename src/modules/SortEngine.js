@@ -0,0 +1,144 @@
+/**
+ * Sort Engine
+ * Multi-key, type-aware row ordering. Sorting produces a view order (row indices) and never
+ * moves rows, so formulas and other row-index references stay aligned with their data.
+ */
+import { importTransformer } from './ImportTransformer.js';
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Key ranks: valid values, then values that don't fit the column type, then empty cells
+const VALID = 0;
+const INVALID = 1;
+const EMPTY = 2;
+
+export class SortEngine {
+  /**
+   * Row indices of `file` ordered by `keys` (`[{ column, direction: 'asc'|'desc', nulls: 'last'|'first' }]`),
+   * starting from `indices` (all rows when null). Ties keep their original order.
+   */
+  order(file, keys, indices = null) {
+    const base = indices ? [...indices] : file.rows.map((_, i) => i);
+    const active = (keys || []).filter(k => file.headers.includes(k.column));
+    if (!active.length) return base;
+
+    // Normalize each sort column once instead of on every comparison
+    const columns = active.map(key => {
+      const type = this.columnType(file, key.column);
+      const format = file.schema?.[key.column]?.format;
+      const values = new Array(file.rows.length);
+      base.forEach(i => {
+        values[i] = this.sortKey(file.rows[i]?.[key.column], type, format);
+      });
+      return {
+        values,
+        sign: key.direction === 'desc' ? -1 : 1,
+        nullsFirst: key.nulls === 'first'
+      };
+    });
+
+    return base.sort((a, b) => {
+      for (const { values, sign, nullsFirst } of columns) {
+        const result = this.compareKeys(values[a], values[b], sign, nullsFirst);
+        if (result !== 0) return result;
+      }
+      return a - b;
+    });
+  }
+
+  /**
+   * Comparator for two raw values of one column, for callers that sort values rather than rows.
+   */
+  comparator(file, { column, direction = 'asc', nulls = 'last' }) {
+    const type = this.columnType(file, column);
+    const format = file.schema?.[column]?.format;
+    const sign = direction === 'desc' ? -1 : 1;
+    return (a, b) => this.compareKeys(this.sortKey(a, type, format), this.sortKey(b, type, format), sign, nulls === 'first');
+  }
+
+  // Empty cells are placed by `nullsFirst` regardless of direction, like Excel's blanks
+  compareKeys(a, b, sign, nullsFirst) {
+    if (a.rank !== b.rank) {
+      if (a.rank === EMPTY || b.rank === EMPTY) {
+        const emptyFirst = a.rank === EMPTY ? -1 : 1;
+        return nullsFirst ? emptyFirst : -emptyFirst;
+      }
+      return (a.rank - b.rank) * sign;
+    }
+    if (a.rank === EMPTY) return 0;
+    if (typeof a.value === 'number' && typeof b.value === 'number') {
+      return (a.value - b.value) * sign;
+    }
+    return collator.compare(String(a.value), String(b.value)) * sign;
+  }
+
+  sortKey(value, type, format) {
+    if (value === null || value === undefined || String(value).trim() === '') return { rank: EMPTY, value: null };
+    const text = String(value).trim();
+
+    if (type === 'number') {
+      const n = typeof value === 'number' ? value : Number(text.replace(/[\s,$€£¥%]/g, ''));
+      return isFinite(n) ? { rank: VALID, value: n } : { rank: INVALID, value: text };
+    }
+    if (type === 'date') {
+      const iso = format ? importTransformer.parseDate(text, format) : null;
+      const time = Date.parse(iso || text);
+      return isNaN(time) ? { rank: INVALID, value: text } : { rank: VALID, value: time };
+    }
+    if (type === 'boolean') {
+      if (/^(true|false)$/i.test(text)) return { rank: VALID, value: /^true$/i.test(text) ? 1 : 0 };
+      return { rank: INVALID, value: text };
+    }
+    return { rank: VALID, value: text };
+  }
+
+  // Declared schema type when there is one, otherwise a guess from the first 200 non-empty values
+  columnType(file, column) {
+    const declared = file.schema?.[column]?.type;
+    if (declared) return declared;
+
+    const sample = [];
+    for (let i = 0; i < file.rows.length && sample.length < 200; i++) {
+      const v = file.rows[i]?.[column];
+      if (v !== null && v !== undefined && String(v).trim() !== '') sample.push(String(v).trim());
+    }
+    if (!sample.length) return 'text';
+    // A few stray values (typos, "n/a") shouldn't turn a numeric column into text
+    const share = test => sample.filter(test).length / sample.length;
+    if (share(v => isFinite(Number(v))) >= 0.9) return 'number';
+    if (share(v => /^\d{4}-\d{2}-\d{2}/.test(v) && !isNaN(Date.parse(v))) >= 0.9) return 'date';
+    return 'text';
+  }
+
+  /**
+   * Sort keys after a header click. A plain click makes `column` the only key (asc → desc → off);
+   * with `additive` (shift-click) it is added as the next key or cycled in place.
+   */
+  toggle(keys, column, additive = false) {
+    const current = keys || [];
+    const existing = current.find(k => k.column === column);
+
+    if (!additive) {
+      if (current.length === 1 && existing) {
+        return existing.direction === 'asc' ? [{ ...existing, direction: 'desc' }] : [];
+      }
+      return [{ column, direction: 'asc', nulls: existing?.nulls || 'last' }];
+    }
+
+    if (!existing) return [...current, { column, direction: 'asc', nulls: 'last' }];
+    if (existing.direction === 'asc') {
+      return current.map(k => (k.column === column ? { ...k, direction: 'desc' } : k));
+    }
+    return current.filter(k => k.column !== column);
+  }
+
+  // Keys after a column rename or delete (`to` null)
+  renameColumn(keys, from, to) {
+    if (!keys) return keys;
+    return to === null
+      ? keys.filter(k => k.column !== from)
+      : keys.map(k => (k.column === from ? { ...k, column: to } : k));
+  }
+}
+
+export const sortEngine = new SortEngine();
@@ -2,28 +2,21 @@
  * UI Component System with Virtual DOM
  * Optimized rendering for large datasets
  */
+import { columnVirtualizer } from './ColumnVirtualizer.js';
+
+const DEFAULT_ROW_HEIGHT = 45; // px, replaced by the measured height of the first rendered row
+const OVERSCAN = 8; // rows rendered above and below the visible window
+// Browsers cap element heights (Firefox at ~17.9M px), so very long tables scroll a scaled-down spacer
+const MAX_SCROLL_HEIGHT = 8000000;
+
 export class UIRenderer {
   constructor() {
     this.virtualDOM = new Map();
     this.renderQueue = [];
     this.isRendering = false;
     this.observers = new Map();
-
-    this.setupIntersectionObserver();
-  }
-
-  setupIntersectionObserver() {
-    if ('IntersectionObserver' in window) {
-      this.intersectionObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            this.lazyLoadElement(entry.target);
-          }
-        });
-      }, {
-        rootMargin: '100px'
-      });
-    }
+    this.virtual = null;
+    this.columnWatch = null;
   }
 
   // Virtual DOM implementation for table rows
@@ -48,8 +41,14 @@ export class UIRenderer {
     };
   }
 
-  // Optimized table rendering with virtualization
+  // Page-based table rendering; `virtual: true` switches to windowed rendering of every row.
+  // `order` (row indices, e.g. from the sort engine) sets the display order; rows keep their real index.
   renderTable(data, container, options = {}) {
+    if (options.virtual) {
+      return this.renderVirtualTable(data, container, options);
+    }
+    this.teardownVirtual();
+
     const {
       startRow = 0,
       endRow = Math.min(data.rows.length, 100),
@@ -62,10 +61,11 @@ export class UIRenderer {
 
     // Clear existing content
     container.innerHTML = '';
+    const layout = this.prepareColumns(data, container, options.viewport || container.parentElement, options);
 
     // Create header
     if (data.headers && data.headers.length > 0) {
-      const headerRow = this.createTableHeader(data.headers);
+      const headerRow = this.createTableHeader(data.headers, data.computed, layout, data.pinnedColumns, data.sort);
       container.appendChild(headerRow);
     }
 
@@ -73,22 +73,23 @@ export class UIRenderer {
     const tbody = document.createElement('tbody');
     tbody.id = 'tableBody';
 
-    // Render visible rows only (virtualization)
-    const visibleRows = data.rows.slice(startRow, endRow);
+    // Render the requested page only
+    const visibleRows = options.order
+      ? options.order.slice(startRow, endRow)
+      : data.rows.slice(startRow, endRow).map((_, index) => startRow + index);
 
-    visibleRows.forEach((rowData, index) => {
-      const actualIndex = startRow + index;
-      const row = this.createTableRow(rowData, data.headers, actualIndex);
+    visibleRows.forEach((actualIndex, index) => {
+      const row = this.createTableRow(data.rows[actualIndex], data.headers, actualIndex, {
+        formulas: data.formulas?.[actualIndex],
+        computed: data.computed,
+        layout
+      });
+      row.dataset.position = startRow + index;
       tbody.appendChild(row);
     });
 
     container.appendChild(tbody);
 
-    // Setup lazy loading for remaining rows
-    if (endRow < data.rows.length) {
-      this.setupLazyLoading(container, data, endRow);
-    }
-
     // Performance tracking end
     const renderTime = performance.now() - startTime;
     window.performanceMonitor?.endRenderTracking();
@@ -98,30 +99,64 @@ export class UIRenderer {
     return container;
   }
 
-  createTableHeader(headers) {
+  createTableHeader(headers, computed = null, layout = null, pinned = [], sort = []) {
     const thead = document.createElement('thead');
     thead.id = 'tableHead';
     thead.className = 'bg-gray-50 sticky top-0 border-b border-gray-200';
 
     const headerRow = document.createElement('tr');
 
-    headers.forEach(header => {
+    columnVirtualizer.sequence(headers, layout).forEach(header => {
+      if (typeof header !== 'string') {
+        headerRow.appendChild(this.createSpacerCell('th', header.spacer));
+        return;
+      }
       const th = document.createElement('th');
       th.className = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100 transition-colors';
       th.textContent = header;
       th.dataset.column = header;
+      th.title = 'Click to sort, Shift+click to add a sort key';
+
+      if (computed && header in computed) {
+        const badge = document.createElement('span');
+        badge.className = 'computed-badge';
+        badge.title = `= ${computed[header]}`;
+        badge.textContent = 'ƒx';
+        th.appendChild(badge);
+      }
+
+      // Sort indicator, numbered by priority when several keys are active
+      const sortIndex = (sort || []).findIndex(k => k.column === header);
+      if (sortIndex !== -1) {
+        const indicator = document.createElement('span');
+        indicator.className = 'sort-badge';
+        indicator.textContent = sort[sortIndex].direction === 'desc' ? '▼' : '▲';
+        if (sort.length > 1) {
+          const priority = document.createElement('sup');
+          priority.textContent = sortIndex + 1;
+          indicator.appendChild(priority);
+        }
+        th.appendChild(indicator);
+      }
 
-      // Add sort indicator
-      const sortIcon = document.createElement('span');
-      sortIcon.className = 'ml-1 text-gray-400';
-      sortIcon.innerHTML = '↕️';
-      th.appendChild(sortIcon);
+      // Pinned columns stay frozen at the left edge while scrolling horizontally
+      const isPinned = pinned?.includes(header);
+      const pin = document.createElement('button');
+      pin.className = `column-pin${isPinned ? ' is-pinned' : ''}`;
+      pin.title = isPinned ? 'Unpin column' : 'Pin column';
+      pin.textContent = '📌';
+      pin.addEventListener('click', (e) => {
+        e.stopPropagation();
+        document.dispatchEvent(new CustomEvent('columnPin', { detail: { column: header } }));
+      });
+      th.appendChild(pin);
 
       // Add click handler for sorting
       th.addEventListener('click', (e) => {
         this.handleColumnSort(e, header);
       });
 
+      this.applyColumnLayout(th, header, layout);
       headerRow.appendChild(th);
     });
 
@@ -129,22 +164,340 @@ export class UIRenderer {
     return thead;
   }
 
-  createTableRow(rowData, headers, index) {
+  // Virtual scrolling
+  /**
+   * Render every row of `data` through a fixed-height window: only the visible rows plus
+   * OVERSCAN on each side exist in the DOM, and the same `<tr>` nodes are refilled on scroll.
+   * `container` is the `<table>`; `viewport` is its scrolling ancestor (defaults to the parent).
+   */
+  renderVirtualTable(data, container, options = {}) {
+    const viewport = options.viewport || this.virtual?.viewport || container.parentElement;
+    const startTime = performance.now();
+    window.performanceMonitor?.startRenderTracking();
+
+    if (this.virtual && (this.virtual.container !== container || this.virtual.viewport !== viewport)) {
+      this.teardownVirtual();
+    }
+    if (!this.virtual) {
+      this.virtual = this.setupVirtual(container, viewport);
+    }
+
+    const state = this.virtual;
+    state.data = data;
+    state.order = options.order || null;
+    state.pool = [];
+
+    container.innerHTML = '';
+    state.layout = this.prepareColumns(data, container, viewport, options);
+    if (data.headers && data.headers.length > 0) {
+      container.appendChild(this.createTableHeader(data.headers, data.computed, state.layout, data.pinnedColumns, data.sort));
+    }
+    state.tbody = document.createElement('tbody');
+    state.tbody.id = 'tableBody';
+    container.appendChild(state.tbody);
+
+    // Row height is measured once from a real row so the scroll math matches the styling
+    state.rowHeight = DEFAULT_ROW_HEIGHT;
+    if (this.virtualRowCount()) {
+      const probe = this.createPooledRow(data, state.layout);
+      state.tbody.appendChild(probe);
+      this.fillRow(probe, data, 0, state.order);
+      state.rowHeight = Math.round(probe.getBoundingClientRect().height) || DEFAULT_ROW_HEIGHT;
+      probe.style.height = `${state.rowHeight}px`;
+      state.pool.push(probe);
+    }
+
+    this.layoutVirtual();
+
+    window.performanceMonitor?.endRenderTracking();
+    console.log(`🎨 Virtual table: ${this.virtualRowCount()} rows, ${state.pool.length} in DOM, ${Math.round(performance.now() - startTime)}ms`);
+    return container;
+  }
+
+  // Wrap the table in a sticky, clipped window followed by a spacer that provides the scroll range
+  setupVirtual(container, viewport) {
+    const frame = document.createElement('div');
+    frame.className = 'virtual-window';
+    const spacer = document.createElement('div');
+    spacer.className = 'virtual-spacer';
+
+    container.parentNode.insertBefore(frame, container);
+    frame.appendChild(container);
+    frame.after(spacer);
+    container.classList.add('virtual-table');
+
+    const state = { container, viewport, frame, spacer, pool: [], data: null, tbody: null, rowHeight: DEFAULT_ROW_HEIGHT, frameRequest: null };
+
+    state.onScroll = () => {
+      if (state.frameRequest) return;
+      state.frameRequest = requestAnimationFrame(() => {
+        state.frameRequest = null;
+        this.updateVirtualRows();
+      });
+    };
+    viewport.addEventListener('scroll', state.onScroll, { passive: true });
+
+    if ('ResizeObserver' in window) {
+      const observer = new ResizeObserver(() => this.layoutVirtual());
+      observer.observe(viewport);
+      this.observers.set('virtual', observer);
+    }
+
+    return state;
+  }
+
+  // Rows in the virtual view: the sort/filter order when one is set, else every row
+  virtualRowCount() {
+    const state = this.virtual;
+    return state.order ? state.order.length : state.data.rows.length;
+  }
+
+  // Restore the plain table when leaving virtual mode
+  teardownVirtual() {
+    const state = this.virtual;
+    if (!state) return;
+
+    state.viewport.removeEventListener('scroll', state.onScroll);
+    if (state.frameRequest) cancelAnimationFrame(state.frameRequest);
+    this.observers.get('virtual')?.disconnect();
+    this.observers.delete('virtual');
+
+    state.frame.parentNode?.insertBefore(state.container, state.frame);
+    state.frame.remove();
+    state.spacer.remove();
+    state.container.classList.remove('virtual-table');
+    this.virtual = null;
+  }
+
+  // Size the window and spacer to the viewport, grow the row pool to fit, then fill it
+  layoutVirtual() {
+    const state = this.virtual;
+    if (!state?.data) return;
+
+    const { viewport, frame, data, rowHeight } = state;
+    const rowCount = this.virtualRowCount();
+    const headerHeight = state.container.tHead?.getBoundingClientRect().height || 0;
+    const viewportHeight = viewport.clientHeight;
+    state.bodyHeight = Math.max(rowHeight, viewportHeight - headerHeight);
+
+    frame.style.height = `${viewportHeight}px`;
+    state.maxOffset = Math.max(0, rowCount * rowHeight - state.bodyHeight);
+    const scrollRange = Math.min(state.maxOffset, MAX_SCROLL_HEIGHT);
+    state.scale = scrollRange ? state.maxOffset / scrollRange : 0;
+    state.spacer.style.height = `${scrollRange}px`;
+
+    const poolSize = Math.min(rowCount, Math.ceil(state.bodyHeight / rowHeight) + 1 + OVERSCAN * 2);
+    while (state.pool.length < poolSize) {
+      const row = this.createPooledRow(data, state.layout);
+      row.style.height = `${rowHeight}px`;
+      state.tbody.appendChild(row);
+      state.pool.push(row);
+    }
+    while (state.pool.length > poolSize) {
+      state.pool.pop().remove();
+    }
+
+    this.updateVirtualRows();
+  }
+
+  // Map the scroll position to the first visible row and refill the pooled rows in place
+  updateVirtualRows() {
+    const state = this.virtual;
+    if (!state?.data) return;
+
+    const { data, order, pool, rowHeight } = state;
+    const offset = Math.min(state.maxOffset, state.viewport.scrollTop * state.scale);
+    const first = Math.floor(offset / rowHeight);
+    const start = Math.max(0, Math.min(first - OVERSCAN, this.virtualRowCount() - pool.length));
+
+    pool.forEach((row, i) => this.fillRow(row, data, start + i, order));
+
+    // Rows above the window slide under the header, which is painted on top
+    state.tbody.style.transform = `translateY(${-(offset - start * rowHeight)}px)`;
+    state.start = start;
+  }
+
+  /**
+   * Scroll so display position `position` is inside the visible window (used by keyboard navigation).
+   */
+  scrollToRow(position) {
+    const state = this.virtual;
+    if (!state?.data || !state.scale) return;
+
+    const top = position * state.rowHeight;
+    const offset = Math.min(state.maxOffset, state.viewport.scrollTop * state.scale);
+    let target = offset;
+    if (top < offset) target = top;
+    else if (top + state.rowHeight > offset + state.bodyHeight) target = top + state.rowHeight - state.bodyHeight;
+    if (target === offset) return;
+
+    state.viewport.scrollTop = target / state.scale;
+    this.updateVirtualRows();
+  }
+
+  // One reusable row: cells and their listeners are created once, values are filled per index
+  createPooledRow(data, layout = null) {
+    const row = document.createElement('tr');
+
+    columnVirtualizer.sequence(data.headers, layout).forEach(header => {
+      if (typeof header !== 'string') {
+        row.appendChild(this.createSpacerCell('td', header.spacer));
+        return;
+      }
+      const cell = document.createElement('td');
+      cell.className = 'px-4 py-3 text-sm text-gray-900 whitespace-nowrap';
+      cell.dataset.column = header;
+      this.applyColumnLayout(cell, header, layout);
+
+      if (data.computed && header in data.computed) {
+        cell.classList.add('computed-cell');
+      } else {
+        cell.contentEditable = true;
+        this.addCellEventListeners(cell);
+      }
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  // Fill a pooled row for display `position`; `order` maps positions to row indices
+  fillRow(row, data, position, order = null) {
+    const index = order ? order[position] : position;
+    if (row.dataset.index === String(index) && row.dataset.position === String(position)) return;
+
+    // A cell being edited must not be relabelled with another row's index; blurring flushes the edit first
+    if (row.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+
+    const rowData = data.rows[index] || {};
+    const formulas = data.formulas?.[index];
+    row.dataset.index = index;
+    row.dataset.position = position;
+    row.className = `border-b border-gray-100 hover:bg-gray-50 ${position % 2 === 0 ? 'bg-white' : 'bg-gray-50'}`;
+
+    Array.from(row.cells).forEach(cell => {
+      const column = cell.dataset.column;
+      if (!column) return; // column spacer
+      cell.dataset.row = index;
+      cell.textContent = this.formatCellValue(rowData[column] || '');
+      if (data.computed && column in data.computed) return;
+
+      const formula = formulas?.[column];
+      if (formula) {
+        cell.dataset.formula = formula;
+        cell.title = formula;
+      } else {
+        delete cell.dataset.formula;
+        cell.removeAttribute('title');
+      }
+      cell.classList.toggle('formula-cell', !!formula);
+    });
+  }
+
+  // Column virtualization
+  /**
+   * Column window for `data` at the viewport's horizontal scroll position (null when every column
+   * is rendered). While a window is active, scrolling far enough to change the rendered columns
+   * renders the table again with the same options.
+   */
+  prepareColumns(data, container, viewport, options) {
+    const layoutAt = () => columnVirtualizer.layout(data.headers || [], {
+      pinned: data.pinnedColumns || [],
+      scrollLeft: viewport?.scrollLeft || 0,
+      viewportWidth: viewport?.clientWidth || 0
+    });
+    const layout = layoutAt();
+
+    container.classList.toggle('columns-fixed', !!layout);
+    container.style.width = layout ? `${layout.totalWidth}px` : '';
+
+    this.unwatchColumns();
+    if (viewport && layout) {
+      const watch = { viewport, frameRequest: null };
+      watch.onScroll = () => {
+        if (watch.frameRequest) return;
+        watch.frameRequest = requestAnimationFrame(() => {
+          watch.frameRequest = null;
+          if (layoutAt()?.key !== layout.key) this.renderTable(data, container, options);
+        });
+      };
+      viewport.addEventListener('scroll', watch.onScroll, { passive: true });
+      this.columnWatch = watch;
+    }
+    return layout;
+  }
+
+  unwatchColumns() {
+    const watch = this.columnWatch;
+    if (!watch) return;
+    watch.viewport.removeEventListener('scroll', watch.onScroll);
+    if (watch.frameRequest) cancelAnimationFrame(watch.frameRequest);
+    this.columnWatch = null;
+  }
+
+  // Back to a plain table (no file to show)
+  resetTable(container) {
+    this.teardownVirtual();
+    this.unwatchColumns();
+    container.classList.remove('columns-fixed');
+    container.style.width = '';
+  }
+
+  // Fixed width for every column; pinned ones also stick to their left offset
+  applyColumnLayout(cell, header, layout) {
+    if (!layout) return;
+    cell.style.width = `${layout.width}px`;
+    if (!(header in layout.offsets)) return;
+    cell.classList.add('pinned-cell');
+    cell.style.left = `${layout.offsets[header]}px`;
+    if (header === layout.pinned[layout.pinned.length - 1]) cell.classList.add('pinned-edge');
+  }
+
+  // Stand-in for the columns outside the window, so the table keeps its full width
+  createSpacerCell(tag, width) {
+    const cell = document.createElement(tag);
+    cell.className = 'column-spacer';
+    cell.style.width = `${width}px`;
+    return cell;
+  }
+
+  createTableRow(rowData, headers, index, { formulas = null, computed = null, layout = null } = {}) {
     const row = document.createElement('tr');
     row.className = `border-b border-gray-100 hover:bg-gray-50 transition-colors ${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}`;
     row.dataset.index = index;
 
-    headers.forEach(header => {
+    columnVirtualizer.sequence(headers, layout).forEach(header => {
+      if (typeof header !== 'string') {
+        row.appendChild(this.createSpacerCell('td', header.spacer));
+        return;
+      }
       const cell = document.createElement('td');
       cell.className = 'px-4 py-3 text-sm text-gray-900 whitespace-nowrap';
-      cell.contentEditable = true;
       cell.dataset.column = header;
       cell.dataset.row = index;
+      this.applyColumnLayout(cell, header, layout);
 
       // Format cell value based on type
       const value = rowData[header] || '';
       cell.textContent = this.formatCellValue(value);
 
+      // Computed columns are derived from their expression and are read-only per cell
+      if (computed && header in computed) {
+        cell.classList.add('computed-cell');
+        row.appendChild(cell);
+        return;
+      }
+      cell.contentEditable = true;
+
+      // Formula cells show their computed value and reveal the source on focus
+      if (formulas?.[header]) {
+        cell.dataset.formula = formulas[header];
+        cell.title = formulas[header];
+        cell.classList.add('formula-cell');
+      }
+
       // Add input handlers
       this.addCellEventListeners(cell);
 
@@ -172,7 +525,11 @@ export class UIRenderer {
       this.handleCellEdit(e);
     }, 300);
 
-    cell.addEventListener('input', debouncedHandler);
+    cell.addEventListener('input', (e) => {
+      cell.dataset.dirty = 'true';
+      debouncedHandler(e);
+    });
+    cell.addEventListener('focus', (e) => this.handleCellFocus(e));
     cell.addEventListener('blur', (e) => this.handleCellBlur(e));
     cell.addEventListener('keydown', (e) => this.handleCellKeydown(e));
   }
@@ -190,9 +547,45 @@ export class UIRenderer {
     document.dispatchEvent(changeEvent);
   }
 
+  handleCellFocus(event) {
+    const cell = event.target;
+    if (cell.dataset.formula) {
+      cell.textContent = cell.dataset.formula;
+    }
+  }
+
   handleCellBlur(event) {
     const cell = event.target;
     cell.classList.remove('ring-2', 'ring-blue-500');
+
+    // Flush pending edits so formulas are evaluated before the cell is redrawn
+    if (cell.dataset.dirty) {
+      delete cell.dataset.dirty;
+      this.handleCellEdit(event);
+    }
+  }
+
+  // Re-sync rendered cells with file data after a recalculation, leaving the focused cell alone
+  refreshCells(container, data) {
+    container.querySelectorAll('td[data-row][data-column]').forEach(cell => {
+      if (cell === document.activeElement) return;
+
+      const index = parseInt(cell.dataset.row);
+      const column = cell.dataset.column;
+      cell.textContent = this.formatCellValue(data.rows[index]?.[column] || '');
+      if (data.computed && column in data.computed) return;
+
+      const formula = data.formulas?.[index]?.[column];
+
+      if (formula) {
+        cell.dataset.formula = formula;
+        cell.title = formula;
+      } else {
+        delete cell.dataset.formula;
+        cell.removeAttribute('title');
+      }
+      cell.classList.toggle('formula-cell', !!formula);
+    });
   }
 
   handleCellKeydown(event) {
@@ -234,11 +627,13 @@ export class UIRenderer {
         }
         break;
       case 'down':
-        nextCell = table.querySelector(`[data-row="${row + 1}"][data-column="${column}"]`);
-        break;
-      case 'up':
-        nextCell = table.querySelector(`[data-row="${row - 1}"][data-column="${column}"]`);
+      case 'up': {
+        // Move by display position, which differs from the row index once the view is sorted
+        const position = Number(currentCell.closest('tr').dataset.position) + (direction === 'down' ? 1 : -1);
+        this.scrollToRow(position);
+        nextCell = table.querySelector(`tr[data-position="${position}"] [data-column="${column}"]`);
         break;
+      }
     }
 
     if (nextCell) {
@@ -247,46 +642,14 @@ export class UIRenderer {
     }
   }
 
+  // The app owns the sort keys and re-renders with the new order; shift-click adds a secondary key
   handleColumnSort(event, column) {
-    const th = event.currentTarget;
-    const currentSort = th.dataset.sort || 'asc';
-    const newSort = currentSort === 'asc' ? 'desc' : 'asc';
-
-    // Clear other column sorts
-    th.parentElement.querySelectorAll('th').forEach(header => {
-      header.dataset.sort = '';
-      header.querySelector('span').innerHTML = '↕️';
-    });
-
-    // Set new sort
-    th.dataset.sort = newSort;
-    th.querySelector('span').innerHTML = newSort === 'asc' ? '↑' : '↓';
-
-    // Emit sort event
     const sortEvent = new CustomEvent('columnSort', {
-      detail: { column, direction: newSort }
+      detail: { column, additive: event.shiftKey }
     });
     document.dispatchEvent(sortEvent);
   }
 
-  setupLazyLoading(container, data, startIndex) {
-    // Create sentinel element for intersection observer
-    const sentinel = document.createElement('div');
-    sentinel.className = 'lazy-load-sentinel h-1';
-    sentinel.dataset.startIndex = startIndex;
-    container.appendChild(sentinel);
-
-    if (this.intersectionObserver) {
-      this.intersectionObserver.observe(sentinel);
-    }
-  }
-
-  lazyLoadElement(element) {
-    const startIndex = parseInt(element.dataset.startIndex);
-    // Implement lazy loading logic here
-    console.log(`🔄 Lazy loading from index: ${startIndex}`);
-  }
-
   // Skeleton loading for better UX
   createSkeletonRow(columnCount) {
     const row = document.createElement('tr');
@@ -406,9 +769,8 @@ export class UIRenderer {
 
   // Clean up
   destroy() {
-    if (this.intersectionObserver) {
-      this.intersectionObserver.disconnect();
-    }
+    this.teardownVirtual();
+    this.unwatchColumns();
 
     this.observers.forEach(observer => observer.disconnect());
     this.observers.clear();
@@ -0,0 +1,143 @@
+/**
+ * View Manager
+ * Named saved views per file: filter, header filters, sort, search, column visibility/order and
+ * page size. Views only describe how a file is displayed; applying one never touches the rows.
+ */
+import { sortEngine } from './SortEngine.js';
+import { filterEngine } from './FilterEngine.js';
+
+// File properties a view captures; their current values live on the file itself
+const FILE_SETTINGS = ['filter', 'columnFilters', 'sort', 'hiddenColumns', 'columnOrder'];
+
+export class ViewManager {
+  /**
+   * Snapshot of how `file` is displayed right now. `ui` carries the settings kept outside the
+   * file: `{ searchTerm, searchMode, filterColumn, perPage }`.
+   */
+  capture(file, ui) {
+    const settings = {};
+    FILE_SETTINGS.forEach(key => {
+      settings[key] = this.isEmpty(file[key]) ? null : structuredClone(file[key]);
+    });
+    return {
+      ...settings,
+      search: { term: ui.searchTerm || '', mode: ui.searchMode || 'plain', column: ui.filterColumn || '' },
+      perPage: ui.perPage
+    };
+  }
+
+  /**
+   * Save the current display of `file` as view `name`, replacing a view of the same name.
+   * Returns the saved view.
+   */
+  save(file, name, ui) {
+    const views = file.views || [];
+    const existing = views.find(v => v.name === name);
+    const view = { id: existing?.id || this.createId(), name, ...this.capture(file, ui) };
+    file.views = existing ? views.map(v => (v === existing ? view : v)) : [...views, view];
+    file.activeView = view.id;
+    return view;
+  }
+
+  /**
+   * Put `view`'s settings on `file` and return the ui settings (`{ searchTerm, searchMode, filterColumn, perPage }`)
+   * for the caller to apply. Columns that no longer exist are ignored.
+   */
+  apply(file, view) {
+    FILE_SETTINGS.forEach(key => {
+      if (view[key]) file[key] = structuredClone(view[key]);
+      else delete file[key];
+    });
+    file.activeView = view.id;
+    const column = file.headers.includes(view.search?.column) ? view.search.column : '';
+    return {
+      searchTerm: view.search?.term || '',
+      searchMode: view.search?.mode || 'plain',
+      filterColumn: column,
+      perPage: view.perPage
+    };
+  }
+
+  // Back to the default display: every row and column in file order
+  reset(file) {
+    FILE_SETTINGS.forEach(key => delete file[key]);
+    file.activeView = null;
+  }
+
+  remove(file, id) {
+    file.views = (file.views || []).filter(v => v.id !== id);
+    if (file.activeView === id) file.activeView = null;
+  }
+
+  rename(file, id, name) {
+    file.views = (file.views || []).map(v => (v.id === id ? { ...v, name } : v));
+  }
+
+  // Whether the file still shows exactly what `view` saved (used to mark a view as modified)
+  matches(file, view, ui) {
+    const { id, name, ...saved } = view;
+    return JSON.stringify(this.capture(file, ui)) === JSON.stringify(this.normalize(saved));
+  }
+
+  // No sort keys, hidden columns etc. is the same as not having the setting
+  isEmpty(value) {
+    if (!value) return true;
+    return typeof value === 'object' && Object.keys(value).length === 0;
+  }
+
+  // Same key order as capture() so saved and current settings compare as JSON
+  normalize(settings) {
+    const result = {};
+    FILE_SETTINGS.forEach(key => {
+      result[key] = this.isEmpty(settings[key]) ? null : settings[key];
+    });
+    result.search = {
+      term: settings.search?.term || '',
+      mode: settings.search?.mode || 'plain',
+      column: settings.search?.column || ''
+    };
+    result.perPage = settings.perPage;
+    return result;
+  }
+
+  /**
+   * Display order of the file's columns: `columnOrder` first (unknown names skipped), then any
+   * columns it doesn't mention in file order. `hidden: false` leaves out hidden columns.
+   */
+  orderedHeaders(file, { hidden = true } = {}) {
+    const known = new Set(file.headers);
+    const ordered = (file.columnOrder || []).filter(h => known.has(h));
+    const listed = new Set(ordered);
+    const all = [...ordered, ...file.headers.filter(h => !listed.has(h))];
+    if (hidden) return all;
+    const hiddenSet = new Set(file.hiddenColumns || []);
+    return all.filter(h => !hiddenSet.has(h));
+  }
+
+  /**
+   * Update the file's current settings and every saved view after a column rename or delete
+   * (`to` null).
+   */
+  renameColumn(file, from, to) {
+    const update = settings => {
+      settings.sort = sortEngine.renameColumn(settings.sort, from, to);
+      settings.filter = filterEngine.renameColumn(settings.filter, from, to);
+      settings.columnFilters = filterEngine.renameColumnFilters(settings.columnFilters, from, to);
+      ['hiddenColumns', 'columnOrder'].forEach(key => {
+        if (!settings[key]) return;
+        settings[key] = to === null
+          ? settings[key].filter(c => c !== from)
+          : settings[key].map(c => (c === from ? to : c));
+      });
+      if (settings.search?.column === from) settings.search.column = to || '';
+    };
+    update(file);
+    (file.views || []).forEach(update);
+  }
+
+  createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+}
+
+export const viewManager = new ViewManager();
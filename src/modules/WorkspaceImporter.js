@@ -0,0 +1,272 @@
+/**
+ * Workspace Importer
+ * Reads `workspace.json` exports back in. Exports declare a schema version and older ones are
+ * migrated one version at a time; every file is checked before anything is imported, and files
+ * whose ids already exist in the workspace are merged, replaced, kept as a copy or skipped.
+ * The result says which files and rows ended up where.
+ */
+import { formulaEngine } from './FormulaEngine.js';
+import { dependencyGraph } from './DependencyGraph.js';
+import { searchIndex } from './SearchIndex.js';
+
+export const WORKSPACE_SCHEMA_VERSION = 2;
+
+// Upgrades an export from version n to n + 1
+const MIGRATIONS = {
+  // Version 1 had no version field: `{ files }` from the dashboard, or
+  // `{ files, activeId, exportDate }` from the modular app
+  1: data => ({
+    schemaVersion: 2,
+    name: data.name ?? null,
+    exportedAt: data.exportDate ?? null,
+    activeId: data.activeId ?? null,
+    chat: data.chat ?? [],
+    files: data.files
+  })
+};
+
+// What to do with an imported file whose id is already in the workspace
+export const COLLISION_ACTIONS = {
+  copy: 'Import as a separate file',
+  merge: 'Append its rows to the existing file',
+  replace: 'Replace the existing file',
+  skip: 'Skip it'
+};
+
+// Optional file settings, kept when they have the expected shape
+const SETTINGS = {
+  computed: 'object', schema: 'object', sort: 'array', filter: 'object', columnFilters: 'object',
+  views: 'array', activeView: 'string', pinnedColumns: 'columns', hiddenColumns: 'columns', columnOrder: 'columns'
+};
+
+export class WorkspaceImporter {
+  // `workspace` (`{ name, files, activeId, chat }`) as an export in the current schema version
+  serialize({ name = null, files, activeId = null, chat = [] }) {
+    return {
+      schemaVersion: WORKSPACE_SCHEMA_VERSION,
+      name,
+      exportedAt: new Date().toISOString(),
+      activeId,
+      chat,
+      files
+    };
+  }
+
+  /**
+   * Parse and check an export. Returns `{ error, fromVersion, workspace, entries, warnings }`:
+   * `error` is set when nothing can be imported; otherwise `workspace` has the export's
+   * `name`, `activeId` and `chat`, and `entries` holds one `{ file, dropped, notes }` per
+   * usable file, where `dropped` counts rows that failed the checks and `notes` lists what was
+   * repaired. Files that can't be used at all are reported in `warnings`.
+   */
+  read(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return this.failure(`Not valid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return this.failure('Expected a workspace object');
+
+    const fromVersion = data.schemaVersion ?? 1;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      return this.failure(`Unknown schema version ${JSON.stringify(fromVersion)}`);
+    }
+    if (fromVersion > WORKSPACE_SCHEMA_VERSION) {
+      return this.failure(`Saved by a newer version (schema ${fromVersion}); this version reads up to schema ${WORKSPACE_SCHEMA_VERSION}`);
+    }
+    for (let version = fromVersion; version < WORKSPACE_SCHEMA_VERSION; version++) {
+      data = MIGRATIONS[version](data);
+    }
+    if (!Array.isArray(data.files)) return this.failure('The export has no "files" list');
+
+    const warnings = [];
+    const entries = [];
+    const ids = new Set();
+    data.files.forEach((raw, i) => {
+      const { entry, error } = this.checkFile(raw, i);
+      if (error) {
+        warnings.push(`File ${i + 1}${typeof raw?.name === 'string' ? ` (${raw.name})` : ''} skipped: ${error}`);
+        return;
+      }
+      if (ids.has(entry.file.id)) {
+        entry.file.id = this.newId(ids);
+        entry.notes.push('its id was used by another file in the export, so it got a new one');
+      }
+      ids.add(entry.file.id);
+      entries.push(entry);
+    });
+    if (!entries.length) return { ...this.failure('The export contains no usable files'), warnings };
+
+    const chat = Array.isArray(data.chat)
+      ? data.chat.filter(m => m && typeof m.text === 'string').map(m => ({ who: m.who === 'bot' ? 'bot' : 'user', text: m.text }))
+      : [];
+    return {
+      error: null,
+      fromVersion,
+      workspace: { name: typeof data.name === 'string' ? data.name : null, activeId: data.activeId ?? null, chat },
+      entries,
+      warnings
+    };
+  }
+
+  failure(error) {
+    return { error, fromVersion: null, workspace: null, entries: [], warnings: [] };
+  }
+
+  // One exported file as `{ entry: { file, dropped, notes } }`, or `{ error }` when it is unusable
+  checkFile(raw, i) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'not a file object' };
+    if (!Array.isArray(raw.headers)) return { error: 'no "headers" list' };
+    if (!Array.isArray(raw.rows)) return { error: 'no "rows" list' };
+
+    const notes = [];
+    const headers = [...new Set(raw.headers.filter(h => typeof h === 'string' && h !== ''))];
+    if (headers.length !== raw.headers.length) notes.push(`${raw.headers.length - headers.length} empty, duplicate or non-text headers removed`);
+    if (!headers.length) return { error: 'no usable headers' };
+    const known = new Set(headers);
+
+    // Rows must be objects of plain values; positions of the kept rows map old indices for formulas
+    const rows = [];
+    const position = new Map();
+    let unknown = 0;
+    let coerced = 0;
+    raw.rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) return;
+      const clean = {};
+      headers.forEach(h => {
+        const value = row[h];
+        if (value === undefined || value === null) clean[h] = '';
+        else if (typeof value === 'object') {
+          clean[h] = JSON.stringify(value);
+          coerced++;
+        } else clean[h] = value;
+      });
+      unknown += Object.keys(row).filter(key => !known.has(key)).length;
+      position.set(index, rows.length);
+      rows.push(clean);
+    });
+    const dropped = raw.rows.length - rows.length;
+    if (dropped) notes.push(`${dropped} non-object row${dropped === 1 ? '' : 's'} dropped`);
+    if (unknown) notes.push(`${unknown} value${unknown === 1 ? '' : 's'} in columns missing from the headers dropped`);
+    if (coerced) notes.push(`${coerced} nested value${coerced === 1 ? '' : 's'} stored as JSON text`);
+
+    const file = {
+      id: typeof raw.id === 'string' && raw.id ? raw.id : null,
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name : `Imported file ${i + 1}`,
+      headers,
+      rows
+    };
+    if (!file.id) {
+      file.id = this.newId();
+      notes.push('it had no id, so it got one');
+    }
+
+    let badFormulas = 0;
+    if (raw.formulas && typeof raw.formulas === 'object') {
+      Object.entries(raw.formulas).forEach(([row, cols]) => {
+        Object.entries(cols && typeof cols === 'object' ? cols : {}).forEach(([column, source]) => {
+          const at = position.get(Number(row));
+          if (at === undefined || !known.has(column) || !formulaEngine.isFormula(source)) badFormulas++;
+          else formulaEngine.setFormula(file, at, column, source);
+        });
+      });
+    }
+    if (badFormulas) notes.push(`${badFormulas} formula${badFormulas === 1 ? '' : 's'} for missing rows or columns dropped`);
+
+    Object.entries(SETTINGS).forEach(([key, type]) => {
+      const value = raw[key];
+      if (value === undefined || value === null) return;
+      const ok = type === 'array' || type === 'columns' ? Array.isArray(value)
+        : type === 'object' ? typeof value === 'object' && !Array.isArray(value)
+          : typeof value === type;
+      if (!ok) {
+        notes.push(`invalid "${key}" setting ignored`);
+        return;
+      }
+      file[key] = type === 'columns' ? value.filter(h => known.has(h)) : value;
+    });
+    if (file.computed) {
+      Object.keys(file.computed).forEach(column => {
+        if (!known.has(column) || typeof file.computed[column] !== 'string') delete file.computed[column];
+      });
+    }
+    return { entry: { file, dropped, notes } };
+  }
+
+  // Imported files whose id is already used in `files`, as `[{ entry, existing }]`
+  collisions(entries, files) {
+    const byId = new Map(files.map(f => [f.id, f]));
+    return entries.filter(entry => byId.has(entry.file.id)).map(entry => ({ entry, existing: byId.get(entry.file.id) }));
+  }
+
+  /**
+   * Add the checked `entries` to `workspace` (anything with `files`), recording each change on
+   * the history `step`. `actions` maps the id of a colliding file to a COLLISION_ACTIONS key
+   * (default `copy`). Returns one report line per entry: `{ name, action, target, rows, from,
+   * to, dropped, notes }`, with `from`/`to` the 1-based rows the imported rows became.
+   */
+  apply(workspace, entries, actions = {}, step) {
+    return entries.map(({ file, dropped, notes }) => {
+      const existing = workspace.files.find(f => f.id === file.id);
+      const action = existing ? actions[file.id] || 'copy' : 'add';
+      const report = { name: file.name, action, target: file.name, rows: file.rows.length, from: 1, to: file.rows.length, dropped, notes };
+
+      if (action === 'skip') return { ...report, rows: 0 };
+      if (action === 'merge') {
+        const start = this.merge(existing, file, step);
+        return { ...report, target: existing.name, from: start + 1, to: start + file.rows.length };
+      }
+      if (action === 'replace') {
+        step.deleteFile(existing);
+        workspace.files.splice(workspace.files.indexOf(existing), 1, file);
+        step.addFile(file);
+        return report;
+      }
+      if (action === 'copy') {
+        file.id = this.newId(new Set(workspace.files.map(f => f.id)));
+        if (workspace.files.some(f => f.name === file.name)) file.name = `${file.name} (imported)`;
+        report.target = file.name;
+      }
+      workspace.files.push(file);
+      step.addFile(file);
+      return report;
+    });
+  }
+
+  // Append the rows of `incoming` to `file`, adding the columns it lacks; returns the first new row
+  merge(file, incoming, step) {
+    step.meta(file);
+    incoming.headers.filter(h => !file.headers.includes(h)).forEach(h => {
+      file.headers.push(h);
+      file.rows.forEach(r => { r[h] = ''; });
+      step.addColumn(file, h, '');
+      if (incoming.schema?.[h]) file.schema = { ...file.schema, [h]: incoming.schema[h] };
+      if (incoming.computed?.[h] !== undefined) formulaEngine.setComputedColumn(file, h, incoming.computed[h]);
+    });
+
+    const start = file.rows.length;
+    incoming.rows.forEach(row => {
+      file.rows.push(Object.fromEntries(file.headers.map(h => [h, row[h] ?? ''])));
+    });
+    Object.entries(incoming.formulas || {}).forEach(([row, cols]) => {
+      Object.entries(cols).forEach(([column, source]) => formulaEngine.setFormula(file, start + Number(row), column, source));
+    });
+    step.insertRows(file, incoming.rows.map((_, k) => start + k));
+
+    searchIndex.touch(file);
+    dependencyGraph.invalidate(file);
+    dependencyGraph.recalculate(file);
+    return start;
+  }
+
+  newId(taken = new Set()) {
+    let id;
+    do {
+      id = Math.random().toString(36).slice(2, 8);
+    } while (taken.has(id));
+    return id;
+  }
+}
+
+export const workspaceImporter = new WorkspaceImporter();
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { workspaceImporter, WORKSPACE_SCHEMA_VERSION } from './WorkspaceImporter.js';
+import { HistoryManager } from './HistoryManager.js';
+
+const read = data => workspaceImporter.read(JSON.stringify(data));
+const file = (id, rows, extra = {}) => ({ id, name: `${id}.csv`, headers: ['a', 'b'], rows, ...extra });
+const rows = n => Array.from({ length: n }, (_, i) => ({ a: String(i + 1), b: `r${i + 1}` }));
+
+describe('WorkspaceImporter.read', () => {
+  it('upgrades a version 1 dashboard export ({ files })', () => {
+    const result = read({ files: [file('f1', rows(2))] });
+    expect(result.error).toBeNull();
+    expect(result.fromVersion).toBe(1);
+    expect(result.workspace).toEqual({ name: null, activeId: null, chat: [] });
+    expect(result.entries.map(e => [e.file.id, e.file.rows.length, e.dropped, e.notes])).toEqual([['f1', 2, 0, []]]);
+  });
+
+  it('upgrades a version 1 modular app export ({ files, activeId, exportDate })', () => {
+    const result = read({ files: [file('f1', rows(1)), file('f2', rows(1))], activeId: 'f2', exportDate: '2024-01-01T00:00:00Z' });
+    expect(result.error).toBeNull();
+    expect(result.fromVersion).toBe(1);
+    expect(result.workspace.activeId).toBe('f2');
+    expect(result.entries.map(e => e.file.id)).toEqual(['f1', 'f2']);
+  });
+
+  it('reads a current export as it is', () => {
+    const data = workspaceImporter.serialize({
+      name: 'Sales',
+      files: [file('f1', rows(1))],
+      activeId: 'f1',
+      chat: [{ who: 'bot', text: 'hi' }, { text: 42 }]
+    });
+    const result = read(data);
+    expect(result.fromVersion).toBe(WORKSPACE_SCHEMA_VERSION);
+    expect(result.workspace).toEqual({ name: 'Sales', activeId: 'f1', chat: [{ who: 'bot', text: 'hi' }] });
+  });
+
+  it('rejects exports it cannot read', () => {
+    expect(workspaceImporter.read('{').error).toMatch(/^Not valid JSON/);
+    expect(read([]).error).toBe('Expected a workspace object');
+    expect(read({ schemaVersion: WORKSPACE_SCHEMA_VERSION + 1, files: [] }).error).toMatch(/newer version/);
+    expect(read({ schemaVersion: 0, files: [] }).error).toMatch(/Unknown schema version/);
+    expect(read({ schemaVersion: 2 }).error).toBe('The export has no "files" list');
+    expect(read({ files: [{ name: 'x' }] })).toMatchObject({
+      error: 'The export contains no usable files',
+      warnings: ['File 1 (x) skipped: no "headers" list']
+    });
+  });
+
+  it('drops bad rows, headers and formulas and says so', () => {
+    const result = read({
+      files: [
+        {
+          id: 'f1',
+          name: 'f1.csv',
+          headers: ['a', 'a', '', 7, 'b'],
+          rows: [{ a: 1, b: { n: 1 }, c: 'x' }, null, [1, 2], { a: 2 }],
+          formulas: { 0: { a: '=1+1', c: '=1' }, 1: { a: '=2' }, 3: { b: '=a * 2' } },
+          pinnedColumns: ['a', 'gone'],
+          sort: 'a'
+        },
+        { id: 'f2', headers: ['', null], rows: [] }
+      ]
+    });
+    const [entry] = result.entries;
+    expect(entry.file.headers).toEqual(['a', 'b']);
+    expect(entry.file.rows.map(r => ({ a: r.a, b: r.b }))).toEqual([{ a: 1, b: '{"n":1}' }, { a: 2, b: '' }]);
+    expect(entry.file.pinnedColumns).toEqual(['a']);
+    expect(entry.file.sort).toBeUndefined();
+    expect(entry.dropped).toBe(2);
+    expect(entry.notes).toEqual([
+      '3 empty, duplicate or non-text headers removed',
+      '2 non-object rows dropped',
+      '1 value in columns missing from the headers dropped',
+      '1 nested value stored as JSON text',
+      '2 formulas for missing rows or columns dropped',
+      'invalid "sort" setting ignored'
+    ]);
+    // Formulas follow their rows past the dropped ones
+    expect(entry.file.formulas).toEqual({ 0: { a: '=1+1' }, 1: { b: '=a * 2' } });
+    expect(result.warnings).toEqual(['File 2 skipped: no usable headers']);
+  });
+
+  it('gives files with the same id in one export different ids', () => {
+    const result = read({ files: [file('f1', rows(1)), file('f1', rows(1)), { headers: ['a'], rows: [] }] });
+    const ids = result.entries.map(e => e.file.id);
+    expect(ids[0]).toBe('f1');
+    expect(new Set(ids).size).toBe(3);
+    expect(result.entries[1].notes).toEqual(['its id was used by another file in the export, so it got a new one']);
+    expect(result.entries[2].notes).toEqual(['it had no id, so it got one']);
+  });
+});
+
+describe('WorkspaceImporter.apply', () => {
+  const setup = () => {
+    const existing = ['keep', 'merge', 'replace', 'skip'].map(id => file(id, rows(3)));
+    const workspace = { files: existing, activeId: 'keep' };
+    const { entries } = read({
+      files: [
+        file('keep', rows(2)),
+        { ...file('merge', rows(2)), headers: ['a', 'c'], rows: [{ a: 'x', c: 'y' }, { a: 'z', c: 'w' }] },
+        file('replace', rows(1)),
+        file('skip', rows(4)),
+        file('new', rows(5))
+      ]
+    });
+    return { workspace, entries };
+  };
+  const actions = { merge: 'merge', replace: 'replace', skip: 'skip' };
+
+  it('copies, merges, replaces or skips colliding files and reports where the rows went', () => {
+    const { workspace, entries } = setup();
+    expect(workspaceImporter.collisions(entries, workspace.files).map(c => c.existing.id)).toEqual([
+      'keep', 'merge', 'replace', 'skip'
+    ]);
+    const step = new HistoryManager().begin(workspace, 'Import');
+    const report = workspaceImporter.apply(workspace, entries, actions, step);
+
+    expect(report.map(({ name, action, target, rows, from, to }) => ({ name, action, target, rows, from, to }))).toEqual([
+      { name: 'keep.csv', action: 'copy', target: 'keep.csv (imported)', rows: 2, from: 1, to: 2 },
+      { name: 'merge.csv', action: 'merge', target: 'merge.csv', rows: 2, from: 4, to: 5 },
+      { name: 'replace.csv', action: 'replace', target: 'replace.csv', rows: 1, from: 1, to: 1 },
+      { name: 'skip.csv', action: 'skip', target: 'skip.csv', rows: 0, from: 1, to: 4 },
+      { name: 'new.csv', action: 'add', target: 'new.csv', rows: 5, from: 1, to: 5 }
+    ]);
+
+    const [keep, merged, replaced, skipped, copy, added] = workspace.files;
+    expect(workspace.files.map(f => f.rows.length)).toEqual([3, 5, 1, 3, 2, 5]);
+    expect(copy.id).not.toBe('keep');
+    expect(keep.rows).toEqual(rows(3));
+    expect(merged.headers).toEqual(['a', 'b', 'c']);
+    expect(merged.rows.slice(2)).toEqual([
+      { a: '3', b: 'r3', c: '' },
+      { a: 'x', b: '', c: 'y' },
+      { a: 'z', b: '', c: 'w' }
+    ]);
+    expect(replaced).toBe(entries[2].file);
+    expect(skipped.rows).toEqual(rows(3));
+    expect(added.id).toBe('new');
+  });
+
+  it('undoes the whole import as one step', () => {
+    const { workspace, entries } = setup();
+    const contents = () => JSON.stringify(workspace.files.map(f => [f.id, f.headers, f.rows]));
+    const before = contents();
+    const history = new HistoryManager();
+    const step = history.begin(workspace, 'Import');
+    workspaceImporter.apply(workspace, entries, actions, step);
+    step.commit();
+
+    history.undo(workspace);
+    expect(contents()).toBe(before);
+  });
+});
@@ -0,0 +1,479 @@
+/**
+ * Workspace Store
+ * Keeps named workspaces in IndexedDB: one record per workspace, one per file with everything but
+ * its rows, plus the rows in fixed-size chunks. Saves go to the open workspace; they are debounced
+ * and only write the files and chunks whose content changed since the last save, so an edit to a
+ * large file rewrites one chunk. File snapshots (see SnapshotManager) are stored alongside.
+ */
+
+const DB_NAME = 'SmartSpreadsheetWorkspace';
+const DB_VERSION = 3;
+const CHUNK_SIZE = 5000; // rows per chunk record
+const SAVE_DELAY = 300; // ms after the last change
+// localStorage keys the workspace was saved under before; moved into IndexedDB on first load
+export const LEGACY_KEYS = ['ssd_mod_v1', 'spreadsheet_data'];
+// Workspace opened last, so a reload comes back to it
+const CURRENT_KEY = 'ssd_workspace';
+export const DEFAULT_WORKSPACE = { id: 'default', name: 'My workspace' };
+
+export class WorkspaceStore {
+  constructor() {
+    this.db = null; // promise of the open database
+    this.workspaceId = null; // workspace load() opened; saves go there
+    this.saved = new Map(); // file id -> { rowsRef, stamp, meta, chunks } as last written
+    this.pending = null; // { workspace, settings } waiting for the debounce
+    this.saving = null; // promise of the write in progress
+    this.timer = null;
+    this.loaded = false; // saves wait for load() so an empty startup state can't replace the stored one
+    this.loadFailed = false; // set when load() failed, so saving can't overwrite what is stored
+    this.listeners = new Set();
+    this.status = { state: 'idle', error: null, usage: null, quota: null, savedAt: null };
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        request.onupgradeneeded = (event) => this.upgrade(event.target.result, event.target.transaction, event.oldVersion);
+      });
+      // Let a later call try again instead of keeping the failure
+      this.db.catch(() => { this.db = null; });
+    }
+    return this.db;
+  }
+
+  /**
+   * Version 1 held a single workspace: a `workspace` record plus files keyed by id and chunks
+   * keyed by `[fileId, index]`. Its data becomes the default workspace of the version 2 layout,
+   * where files and chunks are keyed by workspace first. Version 3 adds snapshots: a listing
+   * record per snapshot and the snapshot's file kept apart, so listing doesn't read the rows.
+   */
+  upgrade(db, tx, oldVersion) {
+    if (oldVersion < 3) {
+      const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+      snapshots.createIndex('workspace', 'workspaceId', { unique: false });
+      db.createObjectStore('snapshotData', { keyPath: 'id' });
+    }
+    if (oldVersion >= 2) return;
+
+    const create = () => {
+      db.createObjectStore('workspaces', { keyPath: 'id' });
+      db.createObjectStore('files', { keyPath: ['workspaceId', 'id'] });
+      db.createObjectStore('chunks', { keyPath: ['workspaceId', 'fileId', 'index'] });
+    };
+    if (oldVersion < 1) {
+      create();
+      return;
+    }
+
+    const old = {};
+    ['workspace', 'files', 'chunks'].forEach(name => {
+      const request = tx.objectStore(name).getAll();
+      request.onsuccess = () => {
+        old[name] = request.result;
+        if (Object.keys(old).length < 3) return;
+        ['workspace', 'files', 'chunks'].forEach(store => db.deleteObjectStore(store));
+        create();
+        if (!old.workspace.length) return;
+        const workspaceId = DEFAULT_WORKSPACE.id;
+        const head = { ...old.workspace[0], ...DEFAULT_WORKSPACE, createdAt: old.workspace[0].savedAt || Date.now() };
+        delete head.key;
+        tx.objectStore('workspaces').put(head);
+        old.files.forEach(record => tx.objectStore('files').put({ ...record, workspaceId }));
+        old.chunks.forEach(chunk => tx.objectStore('chunks').put({ ...chunk, workspaceId }));
+      };
+    });
+  }
+
+  // Workspaces
+  // Every workspace as `{ id, name, fileCount, createdAt, savedAt }`, by name
+  async list() {
+    const db = await this.open();
+    const records = await this.request(db.transaction('workspaces').objectStore('workspaces').getAll());
+    return records
+      .map(({ id, name, fileIds, createdAt, savedAt }) => ({ id, name, fileCount: (fileIds || []).length, createdAt, savedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Add an empty workspace called `name`; returns its id
+  async create(name) {
+    const id = this.newId();
+    const db = await this.open();
+    const tx = db.transaction('workspaces', 'readwrite');
+    tx.objectStore('workspaces').put({ id, name, fileIds: [], activeId: null, settings: null, chat: [], createdAt: Date.now() });
+    await this.done(tx);
+    this.updateQuota();
+    return id;
+  }
+
+  // Copy workspace `id` with all its files under `name`; returns the new id
+  async duplicate(id, name) {
+    if (id === this.workspaceId) await this.flush();
+    const copy = this.newId();
+    const db = await this.open();
+    const tx = db.transaction(['workspaces', 'files', 'chunks'], 'readwrite');
+    const head = await this.request(tx.objectStore('workspaces').get(id));
+    if (!head) throw new Error('That workspace no longer exists');
+    const files = await this.request(tx.objectStore('files').getAll(this.workspaceRange(id)));
+    const chunks = await this.request(tx.objectStore('chunks').getAll(this.workspaceRange(id)));
+    tx.objectStore('workspaces').put({ ...head, id: copy, name, createdAt: Date.now(), savedAt: Date.now() });
+    files.forEach(record => tx.objectStore('files').put({ ...record, workspaceId: copy }));
+    chunks.forEach(chunk => tx.objectStore('chunks').put({ ...chunk, workspaceId: copy }));
+    await this.done(tx);
+    this.updateQuota();
+    return copy;
+  }
+
+  async rename(id, name) {
+    const db = await this.open();
+    const tx = db.transaction('workspaces', 'readwrite');
+    const head = await this.request(tx.objectStore('workspaces').get(id));
+    if (head) tx.objectStore('workspaces').put({ ...head, name });
+    await this.done(tx);
+  }
+
+  // Delete workspace `id` with its files and snapshots. Open another one before deleting the open workspace.
+  async remove(id) {
+    if (id === this.workspaceId) throw new Error('Open another workspace before deleting this one');
+    const db = await this.open();
+    const tx = db.transaction(['workspaces', 'files', 'chunks', 'snapshots', 'snapshotData'], 'readwrite');
+    tx.objectStore('workspaces').delete(id);
+    tx.objectStore('files').delete(this.workspaceRange(id));
+    tx.objectStore('chunks').delete(this.workspaceRange(id));
+    const snapshots = await this.request(tx.objectStore('snapshots').index('workspace').getAllKeys(id));
+    snapshots.forEach(key => {
+      tx.objectStore('snapshots').delete(key);
+      tx.objectStore('snapshotData').delete(key);
+    });
+    await this.done(tx);
+    this.updateQuota();
+  }
+
+  // Snapshots
+  /**
+   * Store a snapshot of `file` in workspace `meta.workspaceId` (the open one by default). `meta` is
+   * what listings show (`id`, `fileId`, `time`, ...); `file` is the copy to restore and should not
+   * be changed afterwards.
+   */
+  async addSnapshot(meta, file) {
+    const db = await this.open();
+    const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+    tx.objectStore('snapshots').put({ workspaceId: this.workspaceId, ...meta });
+    tx.objectStore('snapshotData').put({ id: meta.id, file });
+    await this.done(tx);
+    this.updateQuota();
+  }
+
+  // Listing records of the open workspace's snapshots, newest first
+  async snapshots() {
+    const db = await this.open();
+    const index = db.transaction('snapshots').objectStore('snapshots').index('workspace');
+    const records = await this.request(index.getAll(this.workspaceId));
+    return records.sort((a, b) => b.time - a.time);
+  }
+
+  // The file stored with snapshot `id`, or null
+  async snapshotFile(id) {
+    const db = await this.open();
+    const record = await this.request(db.transaction('snapshotData').objectStore('snapshotData').get(id));
+    return record ? record.file : null;
+  }
+
+  async deleteSnapshots(ids) {
+    const db = await this.open();
+    const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+    ids.forEach(id => {
+      tx.objectStore('snapshots').delete(id);
+      tx.objectStore('snapshotData').delete(id);
+    });
+    await this.done(tx);
+    this.updateQuota();
+  }
+
+  // Loading
+  /**
+   * Open workspace `id` (by default the one opened last) and return it as `{ id, name, files,
+   * activeId, settings, chat }`; a pending save of the workspace open before is written first.
+   * On first use this moves a workspace saved in localStorage by an earlier version into the
+   * default workspace. Null when nothing was saved yet; saves then create the default workspace.
+   */
+  async load(id = null) {
+    if (this.loaded) await this.flush();
+    try {
+      const workspace = await this.read(id || localStorage.getItem(CURRENT_KEY));
+      this.loaded = true;
+      this.loadFailed = false;
+      return workspace;
+    } catch (error) {
+      this.loadFailed = true;
+      this.setStatus({ state: 'error', error: error?.message || String(error) });
+      throw error;
+    }
+  }
+
+  async read(id) {
+    const db = await this.open();
+    const tx = db.transaction(['workspaces', 'files', 'chunks'], 'readonly');
+    const workspaces = tx.objectStore('workspaces');
+    let head = id ? await this.request(workspaces.get(id)) : null;
+    // Fall back to any workspace when the requested one was deleted meanwhile
+    if (!head) head = (await this.request(workspaces.getAll()))[0] || null;
+    this.saved.clear();
+    if (!head) {
+      this.select(DEFAULT_WORKSPACE.id);
+      return this.migrate();
+    }
+
+    this.select(head.id);
+    const files = [];
+    for (const fileId of head.fileIds) {
+      const record = await this.request(tx.objectStore('files').get([head.id, fileId]));
+      if (!record) continue;
+      const chunks = await this.request(tx.objectStore('chunks').getAll(this.range(head.id, fileId)));
+      const file = { ...record.data, rows: chunks.flatMap(chunk => chunk.rows) };
+      files.push(file);
+      this.saved.set(fileId, {
+        rowsRef: file.rows,
+        stamp: this.stamp(file),
+        meta: this.hash(JSON.stringify(record.data)),
+        chunks: record.chunks
+      });
+    }
+    this.setStatus({ state: 'saved', error: null, savedAt: head.savedAt || null });
+    this.updateQuota();
+    return { id: head.id, name: head.name, files, activeId: head.activeId, settings: head.settings || null, chat: head.chat || [] };
+  }
+
+  select(id) {
+    this.workspaceId = id;
+    localStorage.setItem(CURRENT_KEY, id);
+  }
+
+  /**
+   * Move the workspace of an earlier version from localStorage (`ssd_mod_v1` of the dashboard,
+   * `spreadsheet_data` of the modular app) into IndexedDB. A file saved under both keys is taken
+   * once. The old keys are only removed after the write succeeded.
+   */
+  async migrate() {
+    const payloads = [];
+    LEGACY_KEYS.forEach(key => {
+      const raw = localStorage.getItem(key);
+      if (!raw) return;
+      try {
+        payloads.push(JSON.parse(raw));
+      } catch (error) {
+        console.warn(`Skipping unreadable saved workspace "${key}":`, error);
+      }
+    });
+    if (!payloads.length) return null;
+
+    const ids = new Set();
+    const files = [];
+    payloads.forEach(payload => (payload?.files || []).forEach(file => {
+      if (!file?.id || ids.has(file.id)) return;
+      ids.add(file.id);
+      files.push({ ...file, rows: file.rows || [] });
+    }));
+    const activeId = payloads.map(p => p?.activeId).find(id => ids.has(id)) || files[0]?.id || null;
+    const settings = payloads.map(p => p?.settings).find(Boolean) || null;
+    const workspace = { ...DEFAULT_WORKSPACE, files, activeId, settings, chat: [] };
+
+    try {
+      await this.write(workspace, settings);
+      LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      // Keep the old copy; the next save tries again
+      console.warn('Moving the saved workspace to IndexedDB failed:', error);
+    }
+    return workspace;
+  }
+
+  // Saving
+  /**
+   * Save `workspace` (anything with `files`, `activeId` and optionally `chat`) to the open
+   * workspace a moment after the last call, so bursts of changes are written once. `settings`
+   * are stored alongside for the app to restore.
+   */
+  save(workspace, settings = null) {
+    this.pending = { workspace, settings };
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), SAVE_DELAY);
+  }
+
+  // Write a scheduled save now; resolves once it is stored. Failures end up in the status.
+  async flush() {
+    clearTimeout(this.timer);
+    if (!this.loaded) return;
+    if (this.saving) await this.saving;
+    const next = this.pending;
+    if (!next) return;
+    this.pending = null;
+    this.saving = this.write(next.workspace, next.settings)
+      .catch(() => {})
+      .finally(() => { this.saving = null; });
+    await this.saving;
+  }
+
+  async write({ files, activeId, chat }, settings) {
+    this.setStatus({ state: 'saving' });
+    try {
+      if (this.loadFailed) throw new Error('The saved workspace could not be loaded, so it is not overwritten');
+      const workspaceId = this.workspaceId;
+      const db = await this.open();
+      const writes = [];
+      for (const file of files) {
+        const { rows, ...data } = file;
+        const meta = this.hash(JSON.stringify(data));
+        const stamp = this.stamp(file);
+        const prev = this.saved.get(file.id);
+        if (prev && prev.rowsRef === rows && prev.stamp === stamp && prev.meta === meta) continue;
+
+        // Hash every chunk to find the ones that differ from what is stored, yielding now and
+        // then so a large file doesn't hold up the page
+        const chunks = [];
+        const changed = [];
+        for (let index = 0; index * CHUNK_SIZE < rows.length; index++) {
+          const slice = rows.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+          const hash = this.hash(JSON.stringify(slice));
+          chunks.push(hash);
+          if (prev?.chunks[index] !== hash) changed.push({ workspaceId, fileId: file.id, index, rows: slice });
+          if (index % 4 === 3) await this.yield();
+        }
+        writes.push({ file, data, changed, stale: prev ? prev.chunks.length : Infinity, saved: { rowsRef: rows, stamp, meta, chunks } });
+      }
+
+      const tx = db.transaction(['workspaces', 'files', 'chunks'], 'readwrite');
+      const fileStore = tx.objectStore('files');
+      const chunkStore = tx.objectStore('chunks');
+      writes.forEach(({ file, data, changed, stale, saved }) => {
+        changed.forEach(chunk => chunkStore.put(chunk));
+        if (stale > saved.chunks.length) chunkStore.delete(this.range(workspaceId, file.id, saved.chunks.length));
+        fileStore.put({ workspaceId, id: file.id, data, chunks: saved.chunks });
+      });
+      const ids = new Set(files.map(f => f.id));
+      const stored = await this.request(fileStore.getAllKeys(this.workspaceRange(workspaceId)));
+      const removed = stored.map(key => key[1]).filter(id => !ids.has(id));
+      removed.forEach(id => {
+        fileStore.delete([workspaceId, id]);
+        chunkStore.delete(this.range(workspaceId, id));
+      });
+      const savedAt = Date.now();
+      const head = await this.request(tx.objectStore('workspaces').get(workspaceId));
+      tx.objectStore('workspaces').put({
+        name: DEFAULT_WORKSPACE.name,
+        createdAt: savedAt,
+        ...head,
+        id: workspaceId,
+        fileIds: [...ids],
+        activeId,
+        settings,
+        chat: chat ?? head?.chat ?? [],
+        savedAt
+      });
+      await this.done(tx);
+
+      // A workspace opened meanwhile starts from its own stored state
+      if (workspaceId === this.workspaceId) {
+        // What was hashed, not the file as it is now: edits made meanwhile are picked up next time
+        writes.forEach(({ file, saved }) => this.saved.set(file.id, saved));
+        removed.forEach(id => this.saved.delete(id));
+      }
+      this.setStatus({ state: 'saved', error: null, savedAt });
+      this.updateQuota();
+    } catch (error) {
+      this.setStatus({ state: 'error', error: error?.message || String(error) });
+      throw error;
+    }
+  }
+
+  /**
+   * What has to change for a file's rows to need re-hashing: every edit path bumps the data
+   * version (see SearchIndex.touch/updateCell), and inserted or deleted rows change the count.
+   */
+  stamp(file) {
+    return `${file.version ?? 0}:${file.rows.length}`;
+  }
+
+  // Status
+  /**
+   * Call `listener(status)` now and whenever saving starts, ends or fails, or the storage
+   * estimate changes. `status` is `{ state: 'idle'|'saving'|'saved'|'error', error, usage,
+   * quota, savedAt }`. Returns a function that removes the listener.
+   */
+  onStatus(listener) {
+    this.listeners.add(listener);
+    listener(this.status);
+    return () => this.listeners.delete(listener);
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.listeners.forEach(listener => listener(this.status));
+  }
+
+  async updateQuota() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return;
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      this.setStatus({ usage, quota });
+    } catch (error) {
+      console.warn('Storage estimate failed:', error);
+    }
+  }
+
+  // Helpers
+  // Keys of the chunks of file `fileId` in workspace `workspaceId` from chunk `from` on
+  range(workspaceId, fileId, from = 0) {
+    return IDBKeyRange.bound([workspaceId, fileId, from], [workspaceId, fileId, Infinity]);
+  }
+
+  // Keys of every file or chunk of workspace `id` (arrays sort after every other key type)
+  workspaceRange(id) {
+    return IDBKeyRange.bound([id], [id, []]);
+  }
+
+  newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Saving was aborted'));
+    });
+  }
+
+  yield() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  // 53-bit string hash (cyrb53); collisions are rare enough to decide which chunks to rewrite
+  hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+}
+
+export const workspaceStore = new WorkspaceStore();
@@ -0,0 +1,272 @@
+/**
+ * Excel Workbook Parser
+ * Reads .xlsx workbooks (shared strings, number formats, date serials, merged headers) into sheets of rows
+ */
+import { ZipArchive } from './ZipArchive.js';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Built-in number formats that render as dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+const TIME_ONLY_FORMAT_IDS = new Set([18, 19, 20, 21, 45, 46, 47]);
+
+const MS_PER_DAY = 86400000;
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+export class XlsxParser {
+  constructor() {
+    this.maxColumns = 16384;
+  }
+
+  /**
+   * Parse a workbook from an ArrayBuffer.
+   * Returns `{ sheets: [{ name, headers, rows }] }` in workbook order; empty sheets are skipped.
+   */
+  async parse(buffer) {
+    const zip = ZipArchive.read(buffer);
+    const workbookXml = await zip.text('xl/workbook.xml');
+    if (!workbookXml) throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+
+    const date1904 = /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbookXml);
+    const relations = this.parseRelations(await zip.text('xl/_rels/workbook.xml.rels') || '');
+    const sharedStrings = this.parseSharedStrings(await zip.text('xl/sharedStrings.xml') || '');
+    const styles = this.parseStyles(await zip.text('xl/styles.xml') || '');
+
+    const sheets = [];
+    for (const sheet of this.parseSheetList(workbookXml)) {
+      const target = relations.get(sheet.relId);
+      if (!target) continue;
+      const xml = await zip.text(this.resolvePath(target));
+      if (!xml) continue;
+
+      const grid = this.parseSheet(xml, { sharedStrings, styles, date1904 });
+      const table = this.toTable(grid);
+      if (table.headers.length) sheets.push({ name: sheet.name, ...table });
+    }
+
+    return { sheets };
+  }
+
+  // Workbook structure
+  parseSheetList(xml) {
+    const sheets = [];
+    for (const match of xml.matchAll(/<sheet\b([^>]*?)\/?>/g)) {
+      const attrs = this.attributes(match[1]);
+      if (attrs.state === 'hidden' || attrs.state === 'veryHidden') continue;
+      sheets.push({ name: attrs.name, relId: attrs['r:id'] });
+    }
+    return sheets;
+  }
+
+  parseRelations(xml) {
+    const map = new Map();
+    for (const match of xml.matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+      const attrs = this.attributes(match[1]);
+      map.set(attrs.Id, attrs.Target);
+    }
+    return map;
+  }
+
+  resolvePath(target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = ['xl'];
+    target.split('/').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  parseSharedStrings(xml) {
+    const strings = [];
+    for (const match of xml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      strings.push(this.richText(match[1]));
+    }
+    return strings;
+  }
+
+  // Concatenate text runs, ignoring phonetic hints
+  richText(xml) {
+    const body = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    let text = '';
+    for (const match of body.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) text += this.decode(match[1]);
+    return text;
+  }
+
+  // Number formats: cellXfs index -> { date, timeOnly }
+  parseStyles(xml) {
+    const custom = new Map();
+    for (const match of xml.matchAll(/<numFmt\b([^>]*?)\/?>/g)) {
+      const attrs = this.attributes(match[1]);
+      custom.set(Number(attrs.numFmtId), attrs.formatCode || '');
+    }
+
+    const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+    if (!cellXfs) return [];
+
+    return Array.from(cellXfs[1].matchAll(/<xf\b([^>]*?)(\/>|>)/g), match => {
+      const id = Number(this.attributes(match[1]).numFmtId || 0);
+      if (custom.has(id)) return this.classifyFormat(custom.get(id));
+      return { date: DATE_FORMAT_IDS.has(id), timeOnly: TIME_ONLY_FORMAT_IDS.has(id) };
+    });
+  }
+
+  classifyFormat(code) {
+    // Strip quoted literals, escapes and [color]/[$-locale] blocks before looking for date tokens
+    const stripped = code.replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, '').split(';')[0];
+    const date = /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped.trim());
+    return { date, timeOnly: date && !/[dy]/i.test(stripped) };
+  }
+
+  // Sheet cells
+  parseSheet(xml, context) {
+    const grid = [];
+    let maxCol = 0;
+
+    for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const rowIndex = Number(this.attributes(rowMatch[1]).r) - 1;
+      if (!rowMatch[2] || !(rowIndex >= 0)) continue;
+
+      const cells = [];
+      let nextCol = 0;
+      for (const cellMatch of rowMatch[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = this.attributes(cellMatch[1]);
+        const col = attrs.r ? this.columnIndex(attrs.r) : nextCol;
+        nextCol = col + 1;
+        if (col >= this.maxColumns) continue;
+
+        const value = this.cellValue(attrs, cellMatch[2] || '', context);
+        if (value !== '') {
+          cells[col] = value;
+          maxCol = Math.max(maxCol, col + 1);
+        }
+      }
+      grid[rowIndex] = cells;
+    }
+
+    const merges = Array.from(xml.matchAll(/<mergeCell\b[^>]*\bref="([A-Z]+\d+):([A-Z]+\d+)"/g), match => ({
+      start: this.cellAddress(match[1]),
+      end: this.cellAddress(match[2])
+    }));
+
+    return { grid, width: maxCol, merges };
+  }
+
+  cellValue(attrs, inner, { sharedStrings, styles, date1904 }) {
+    const v = inner.match(/<v>([\s\S]*?)<\/v>/);
+    const raw = v ? this.decode(v[1]) : '';
+
+    switch (attrs.t) {
+      case 's':
+        return sharedStrings[Number(raw)] ?? '';
+      case 'inlineStr': {
+        const is = inner.match(/<is>([\s\S]*?)<\/is>/);
+        return is ? this.richText(is[1]) : '';
+      }
+      case 'b':
+        return raw === '1' ? 'TRUE' : 'FALSE';
+      case 'str':
+      case 'e':
+        return raw;
+      case 'd':
+        return raw.endsWith('T00:00:00') || raw.endsWith('T00:00:00Z') ? raw.slice(0, 10) : raw;
+      default: {
+        if (raw === '') return '';
+        const format = styles[Number(attrs.s || 0)];
+        return format?.date ? this.serialToDate(Number(raw), date1904, format.timeOnly) : raw;
+      }
+    }
+  }
+
+  // Excel serials count days from 1899-12-30 (the 1900 leap-year bug is baked into that epoch)
+  serialToDate(serial, date1904 = false, timeOnly = false) {
+    if (!isFinite(serial)) return String(serial);
+    const epoch = date1904 ? EPOCH_1904 : EPOCH_1900;
+    const adjusted = !date1904 && serial < 60 ? serial + 1 : serial;
+    const iso = new Date(epoch + Math.round(adjusted * MS_PER_DAY / 1000) * 1000).toISOString();
+    const time = iso.slice(11, 19);
+
+    if (timeOnly) return time;
+    return time === '00:00:00' ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${time}`;
+  }
+
+  /**
+   * Turn a cell grid into headers and row objects. Merged ranges are filled from their top-left
+   * cell; when merges hang off the first row, the header spans those rows and names are joined
+   * (e.g. "Sales - Q1").
+   */
+  toTable({ grid, width, merges }) {
+    merges.forEach(({ start, end }) => {
+      const value = grid[start.row]?.[start.col];
+      if (value === undefined) return;
+      for (let r = start.row; r <= end.row; r++) {
+        if (!grid[r]) grid[r] = [];
+        for (let c = start.col; c <= end.col; c++) grid[r][c] = value;
+      }
+      width = Math.max(width, end.col + 1);
+    });
+
+    const first = grid.findIndex(row => row && row.some(v => v !== undefined && v !== ''));
+    if (first < 0) return { headers: [], rows: [] };
+
+    const headerEnd = merges
+      .filter(m => m.start.row === first)
+      .reduce((end, m) => Math.max(end, m.end.row), first);
+
+    const used = new Set();
+    const headers = [];
+    for (let c = 0; c < width; c++) {
+      const parts = [];
+      for (let r = first; r <= headerEnd; r++) {
+        const part = String(grid[r]?.[c] ?? '').trim();
+        if (part && parts[parts.length - 1] !== part) parts.push(part);
+      }
+      let name = parts.join(' - ') || `Column ${c + 1}`;
+      for (let i = 2; used.has(name); i++) name = `${parts.join(' - ') || `Column ${c + 1}`} (${i})`;
+      used.add(name);
+      headers.push(name);
+    }
+
+    const rows = [];
+    for (let r = headerEnd + 1; r < grid.length; r++) {
+      const cells = grid[r];
+      if (!cells || !cells.some(v => v !== undefined && v !== '')) continue;
+      const row = {};
+      headers.forEach((h, c) => (row[h] = cells[c] ?? ''));
+      rows.push(row);
+    }
+
+    return { headers, rows };
+  }
+
+  // Helpers
+  attributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) attrs[match[1]] = this.decode(match[2]);
+    return attrs;
+  }
+
+  decode(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(n);
+      }
+      return XML_ENTITIES[code] ?? entity;
+    }).replace(/_x([0-9A-F]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/)[0];
+    let index = 0;
+    for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+    return index - 1;
+  }
+
+  cellAddress(ref) {
+    return { col: this.columnIndex(ref), row: Number(ref.match(/\d+$/)[0]) - 1 };
+  }
+}
+
+export const xlsxParser = new XlsxParser();
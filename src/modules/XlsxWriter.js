@@ -0,0 +1,275 @@
+/**
+ * Excel Workbook Writer
+ * Writes files as .xlsx sheets with typed cells, a frozen bold header row and fitted column widths
+ */
+import { ZipArchive } from './ZipArchive.js';
+
+const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// cellXfs indexes written by styles()
+const STYLE = { DEFAULT: 0, HEADER: 1, DATE: 2, DATETIME: 3 };
+
+const MS_PER_DAY = 86400000;
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+
+// Leading zeros (zip codes, ids) stay text so Excel doesn't strip them
+const NUMBER_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 60;
+
+export class XlsxWriter {
+  constructor() {
+    this.mimeType = MIME_TYPE;
+  }
+
+  /**
+   * Build a workbook Blob from `[{ name, headers, rows, schema? }]`, one worksheet per entry.
+   * When a column has a schema type it decides the cell type instead of guessing from the value.
+   */
+  async build(sheets) {
+    if (!sheets.length) throw new Error('Nothing to export');
+
+    const names = this.sheetNames(sheets.map(s => s.name));
+    const strings = { index: new Map(), list: [] };
+    const files = [
+      { name: '[Content_Types].xml', data: this.contentTypes(sheets.length) },
+      { name: '_rels/.rels', data: this.rootRelations() },
+      { name: 'xl/workbook.xml', data: this.workbook(names) },
+      { name: 'xl/_rels/workbook.xml.rels', data: this.workbookRelations(sheets.length) },
+      { name: 'xl/styles.xml', data: this.styles() }
+    ];
+
+    sheets.forEach((sheet, i) => {
+      files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: this.worksheet(sheet, strings) });
+    });
+    files.push({ name: 'xl/sharedStrings.xml', data: this.sharedStrings(strings) });
+
+    const bytes = await ZipArchive.write(files);
+    return new Blob([bytes], { type: MIME_TYPE });
+  }
+
+  // Cell typing
+  cell(value, type = null) {
+    if (value === null || value === undefined || value === '') return null;
+    if (type) return this.typedCell(value, type);
+    if (typeof value === 'number') return isFinite(value) ? { type: 'n', value } : { type: 's', value: String(value) };
+    if (typeof value === 'boolean') return { type: 'b', value: value ? 1 : 0 };
+
+    const text = String(value);
+    const trimmed = text.trim();
+    // Beyond 15 significant digits Excel would silently round (card numbers, long ids)
+    if (NUMBER_RE.test(trimmed) && trimmed.replace(/\D|[eE].*$/g, '').length <= 15) {
+      return { type: 'n', value: Number(trimmed) };
+    }
+    if (trimmed === 'TRUE' || trimmed === 'FALSE') return { type: 'b', value: trimmed === 'TRUE' ? 1 : 0 };
+
+    const serial = this.dateToSerial(trimmed);
+    if (serial !== null) {
+      return { type: 'n', value: serial, style: Number.isInteger(serial) ? STYLE.DATE : STYLE.DATETIME };
+    }
+    return { type: 's', value: text };
+  }
+
+  // Declared types: text-like columns never become numbers (zip codes, ids); values that
+  // don't fit the declared type are written as strings rather than dropped
+  typedCell(value, type) {
+    const text = String(value);
+    const trimmed = text.trim();
+    if (type === 'number') {
+      const n = typeof value === 'number' ? value : Number(trimmed);
+      return trimmed !== '' && isFinite(n) ? { type: 'n', value: n } : { type: 's', value: text };
+    }
+    if (type === 'date') {
+      const serial = this.dateToSerial(trimmed);
+      if (serial === null) return { type: 's', value: text };
+      return { type: 'n', value: serial, style: Number.isInteger(serial) ? STYLE.DATE : STYLE.DATETIME };
+    }
+    if (type === 'boolean' && /^(true|false)$/i.test(trimmed)) {
+      return { type: 'b', value: /^true$/i.test(trimmed) ? 1 : 0 };
+    }
+    return { type: 's', value: text };
+  }
+
+  dateToSerial(text) {
+    const match = text.match(DATE_RE);
+    if (!match) return null;
+    const [, y, m, d, hh = '0', mm = '0', ss = '0'] = match;
+    const ms = Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss);
+    const date = new Date(ms);
+    // Reject rollovers such as 2024-02-31
+    if (date.getUTCMonth() !== +m - 1 || date.getUTCDate() !== +d) return null;
+
+    const serial = (ms - EPOCH_1900) / MS_PER_DAY;
+    // Excel's phantom 1900-02-29 shifts everything before March 1900 by a day
+    return serial < 61 ? serial - 1 : serial;
+  }
+
+  // Parts
+  worksheet({ headers, rows, schema = null }, strings) {
+    const types = headers.map(h => schema?.[h]?.type || null);
+    const widths = headers.map(h => String(h).length);
+    const out = [];
+
+    out.push(this.row(1, headers.map((h, c) => this.cellXml(c, 1, { type: 's', value: String(h), style: STYLE.HEADER }, strings))));
+
+    rows.forEach((record, r) => {
+      const cells = [];
+      headers.forEach((h, c) => {
+        const value = record[h];
+        const cell = this.cell(value, types[c]);
+        if (!cell) return;
+        cells.push(this.cellXml(c, r + 2, cell, strings));
+        const length = cell.style ? (cell.style === STYLE.DATE ? 10 : 19) : String(value).length;
+        if (length > widths[c]) widths[c] = length;
+      });
+      out.push(this.row(r + 2, cells));
+    });
+
+    const cols = widths
+      .map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, w + 2))}" customWidth="1"/>`)
+      .join('');
+    const lastRef = `${this.columnLetter(Math.max(headers.length - 1, 0))}${rows.length + 1}`;
+
+    return XML_HEADER +
+      `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+      `<dimension ref="A1:${lastRef}"/>` +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView></sheetViews>' +
+      '<sheetFormatPr defaultRowHeight="15"/>' +
+      (cols ? `<cols>${cols}</cols>` : '') +
+      `<sheetData>${out.join('')}</sheetData>` +
+      '</worksheet>';
+  }
+
+  row(index, cells) {
+    return `<row r="${index}">${cells.join('')}</row>`;
+  }
+
+  cellXml(col, row, cell, strings) {
+    const ref = `${this.columnLetter(col)}${row}`;
+    const style = cell.style ? ` s="${cell.style}"` : '';
+
+    if (cell.type === 's') {
+      let id = strings.index.get(cell.value);
+      if (id === undefined) {
+        id = strings.list.length;
+        strings.index.set(cell.value, id);
+        strings.list.push(cell.value);
+      }
+      return `<c r="${ref}" t="s"${style}><v>${id}</v></c>`;
+    }
+    if (cell.type === 'b') return `<c r="${ref}" t="b"${style}><v>${cell.value}</v></c>`;
+    return `<c r="${ref}"${style}><v>${cell.value}</v></c>`;
+  }
+
+  sharedStrings({ list }) {
+    const items = list.map(s => `<si><t xml:space="preserve">${this.escape(s)}</t></si>`).join('');
+    return XML_HEADER + `<sst xmlns="${NS_MAIN}" count="${list.length}" uniqueCount="${list.length}">${items}</sst>`;
+  }
+
+  styles() {
+    return XML_HEADER +
+      `<styleSheet xmlns="${NS_MAIN}">` +
+      '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/><numFmt numFmtId="165" formatCode="yyyy\\-mm\\-dd\\ hh:mm:ss"/></numFmts>' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+
+  workbook(names) {
+    const sheets = names
+      .map((name, i) => `<sheet name="${this.escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+      .join('');
+    return XML_HEADER + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>${sheets}</sheets></workbook>`;
+  }
+
+  workbookRelations(count) {
+    const base = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    let rels = '';
+    for (let i = 1; i <= count; i++) {
+      rels += `<Relationship Id="rId${i}" Type="${base}/worksheet" Target="worksheets/sheet${i}.xml"/>`;
+    }
+    rels += `<Relationship Id="rId${count + 1}" Type="${base}/styles" Target="styles.xml"/>`;
+    rels += `<Relationship Id="rId${count + 2}" Type="${base}/sharedStrings" Target="sharedStrings.xml"/>`;
+    return XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}">${rels}</Relationships>`;
+  }
+
+  rootRelations() {
+    return XML_HEADER +
+      `<Relationships xmlns="${NS_PKG_REL}">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  }
+
+  contentTypes(count) {
+    let overrides = '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>';
+    for (let i = 1; i <= count; i++) {
+      overrides += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+    }
+    overrides += '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>';
+    overrides += '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>';
+
+    return XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      overrides +
+      '</Types>';
+  }
+
+  // Helpers
+  // Excel sheet names: max 31 chars, none of []:*?/\, unique case-insensitively
+  sheetNames(names) {
+    const used = new Set();
+    return names.map((raw, i) => {
+      const base = String(raw || `Sheet${i + 1}`)
+        .replace(/\.[^/.]+$/, '')
+        .replace(/[[\]:*?/\\]/g, '_')
+        .replace(/^'+|'+$/g, '')
+        .trim()
+        .slice(0, 31) || `Sheet${i + 1}`;
+      let name = base;
+      for (let n = 2; used.has(name.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        name = base.slice(0, 31 - suffix.length) + suffix;
+      }
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
+
+  columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+}
+
+export const xlsxWriter = new XlsxWriter();
@@ -0,0 +1,179 @@
+/**
+ * Zip Archive Reader/Writer
+ * Minimal zip container support for Office Open XML (.xlsx) workbooks
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export class ZipArchive {
+  constructor(entries = new Map()) {
+    this.entries = entries; // name -> { method, offset, compressedSize, size, data }
+    this.buffer = null;
+    this.decoder = new TextDecoder('utf-8');
+  }
+
+  /**
+   * Index the central directory of a zip held in an ArrayBuffer or Uint8Array.
+   * Entry contents are inflated lazily by `file()` / `text()`.
+   */
+  static read(source) {
+    const bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const archive = new ZipArchive();
+    archive.buffer = bytes;
+
+    // End of central directory sits in the last 22 bytes plus an optional comment
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error('Not a zip archive');
+
+    const count = view.getUint16(eocd + 10, true);
+    let pos = view.getUint32(eocd + 16, true);
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pos, true) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+      const method = view.getUint16(pos + 10, true);
+      const compressedSize = view.getUint32(pos + 20, true);
+      const size = view.getUint32(pos + 24, true);
+      const nameLength = view.getUint16(pos + 28, true);
+      const extraLength = view.getUint16(pos + 30, true);
+      const commentLength = view.getUint16(pos + 32, true);
+      const localOffset = view.getUint32(pos + 42, true);
+      const name = archive.decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+      if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry "${name}"`);
+      const offset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+
+      archive.entries.set(name, { method, offset, compressedSize, size, data: null });
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return archive;
+  }
+
+  /**
+   * Build a zip from `[{ name, data }]` where data is a string or Uint8Array.
+   * Entries are deflated when the browser supports CompressionStream, stored otherwise.
+   */
+  static async write(files) {
+    const encoder = new TextEncoder();
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+      const nameBytes = encoder.encode(name);
+      const raw = typeof data === 'string' ? encoder.encode(data) : data;
+      const compressed = canDeflate ? await ZipArchive.deflate(raw) : raw;
+      const method = canDeflate ? 8 : 0;
+      const crc = crc32(raw);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_SIGNATURE, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, method, true);
+      local.setUint16(12, 0x21, true); // 1980-01-01 00:00
+      local.setUint32(14, crc, true);
+      local.setUint32(18, compressed.length, true);
+      local.setUint32(22, raw.length, true);
+      local.setUint16(26, nameBytes.length, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, CENTRAL_SIGNATURE, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, method, true);
+      central.setUint16(14, 0x21, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, compressed.length, true);
+      central.setUint32(24, raw.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+
+      locals.push(new Uint8Array(local.buffer), nameBytes, compressed);
+      centrals.push(new Uint8Array(central.buffer), nameBytes);
+      offset += 30 + nameBytes.length + compressed.length;
+    }
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, EOCD_SIGNATURE, true);
+    eocd.setUint16(8, files.length, true);
+    eocd.setUint16(10, files.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(eocd.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    parts.forEach(part => {
+      out.set(part, pos);
+      pos += part.length;
+    });
+    return out;
+  }
+
+  static async deflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  async file(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+    if (entry.data) return entry.data;
+
+    const raw = this.buffer.subarray(entry.offset, entry.offset + entry.compressedSize);
+    if (entry.method === 0) {
+      entry.data = raw;
+    } else if (entry.method === 8) {
+      entry.data = await this.inflate(raw);
+    } else {
+      throw new Error(`Unsupported zip compression method ${entry.method} for "${name}"`);
+    }
+    return entry.data;
+  }
+
+  async text(name) {
+    const data = await this.file(name);
+    return data ? this.decoder.decode(data) : null;
+  }
+
+  async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress zip files');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+}
@@ -42,8 +42,8 @@ export default defineConfig({
 
           // Feature chunks
           'performance': ['./src/modules/PerformanceMonitor.js', './src/modules/PerformanceDashboard.js'],
-          'data-processing': ['./src/modules/DataProcessor.js', './src/modules/CacheManager.js'],
-          'ui-components': ['./src/modules/UIRenderer.js', './src/modules/ProgressiveEnhancement.js']
+          'data-processing': ['./src/modules/DataProcessor.js', './src/modules/CsvParser.js', './src/modules/CacheManager.js', './src/modules/FormulaEngine.js', './src/modules/DependencyGraph.js', './src/modules/PivotEngine.js', './src/modules/ZipArchive.js', './src/modules/XlsxParser.js', './src/modules/XlsxWriter.js', './src/modules/SortEngine.js', './src/modules/FilterEngine.js', './src/modules/ViewManager.js', './src/modules/SearchEngine.js', './src/modules/ReplaceEngine.js', './src/modules/SearchIndex.js', './src/modules/HistoryManager.js', './src/modules/WorkspaceStore.js', './src/modules/WorkspaceImporter.js', './src/modules/DiffEngine.js', './src/modules/SnapshotManager.js'],
+          'ui-components': ['./src/modules/UIRenderer.js', './src/modules/ColumnVirtualizer.js', './src/modules/ProgressiveEnhancement.js']
         },
         // Optimize asset naming
         chunkFileNames: 'assets/js/[name]-[hash].js',
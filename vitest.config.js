@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests for the engine modules. Kept apart from vite.config.js so the tests don't load the
+// Tailwind, PWA and legacy build plugins.
+export default defineConfig({
+  test: {
+    include: ['src/**/*.test.js'],
+    environment: 'node'
+  }
+});